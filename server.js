@@ -4,39 +4,273 @@ const cors = require('cors');
 const axios = require('axios');
 const cheerio = require('cheerio');
 const { OpenAI } = require('openai');
+const Database = require('better-sqlite3');
+const NodeCache = require('node-cache');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const multer = require('multer');
+const mammoth = require('mammoth');
+const { PDFParse } = require('pdf-parse');
 const app = express();
 const PORT = process.env.PORT || 3001;
 // Path to local DB file (useful when mounting a persistent disk on Render)
 const DB_PATH = process.env.DB_PATH || './polai.db';
 
 console.log('DB_PATH:', DB_PATH);
-// Middleware
-app.use(cors());
+// Open the SQLite database (scan_history / user_preferences)
+const db = new Database(DB_PATH);
+initDatabase();
+// Middleware. CORS_ORIGINS: comma-separated allowed origins, or * (default) for any
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(origin => origin.trim()).filter(Boolean);
+app.use(cors({
+    origin: CORS_ORIGINS.includes('*') ? true : CORS_ORIGINS,
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After', 'X-LLM-Quota-Limit', 'X-LLM-Quota-Remaining']
+}));
 app.use(express.json());
+// API keys: required unless API_AUTH_REQUIRED=false (local development only); per-key
+// defaults for the limits
+const API_AUTH_REQUIRED = process.env.API_AUTH_REQUIRED !== 'false';
+// The user every request without an API key acts as (API_AUTH_REQUIRED=false)
+const ANONYMOUS_USER_ID = 'anonymous';
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+const API_RATE_LIMIT_PER_MINUTE = parseInt(process.env.API_RATE_LIMIT_PER_MINUTE, 10) || 60;
+const API_DAILY_LLM_QUOTA = parseInt(process.env.API_DAILY_LLM_QUOTA, 10) || 200;
+app.use('/api', authenticateApiKey);
 // AI Provider Configuration
 const AI_PROVIDER = process.env.AI_PROVIDER || 'mistral';
 const MISTRAL_API_KEY = process.env.MISTRAL_API_KEY;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-// Initialize OpenAI client (if used)
+const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
+// Chunked analyses: how many chunks of one policy are sent to the provider at once
+const AI_CHUNK_CONCURRENCY = parseInt(process.env.AI_CHUNK_CONCURRENCY, 10) || 3;
+// Share of the policy text (0-1) the successful chunks must cover; below it the chunked
+// analysis fails instead of reporting findings for part of the policy
+const AI_CHUNK_MIN_COVERAGE = Math.min(1, Math.max(0, parseFloat(process.env.AI_CHUNK_MIN_COVERAGE ?? '0.8') || 0));
+// Initialize OpenAI client (if configured)
 let openai = null;
-if (AI_PROVIDER === 'openai') {
-    if (!OPENAI_API_KEY) {
-        console.warn('⚠️ OPENAI_API_KEY not set - OpenAI provider will fail');
-    } else {
-        openai = new OpenAI({ apiKey: OPENAI_API_KEY });
-    }
+if (OPENAI_API_KEY) {
+    openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+} else if (AI_PROVIDER === 'openai') {
+    console.warn('⚠️ OPENAI_API_KEY not set - OpenAI provider will fail');
 }
+// Analysis cache: in-memory tier, plus an optional SQLite tier that survives restarts
+const ANALYSIS_CACHE_TTL = parseInt(process.env.ANALYSIS_CACHE_TTL, 10) || 86400; // seconds
+const ANALYSIS_CACHE_PERSIST = process.env.ANALYSIS_CACHE_PERSIST === 'true';
+const analysisCache = new NodeCache({ stdTTL: ANALYSIS_CACHE_TTL, checkperiod: 600 });
+// Policy fetching: default fetcher (http, browser or auto) and crawler bounds
+const POLICY_FETCHER = process.env.POLICY_FETCHER || 'http';
+const POLICY_CRAWL = process.env.POLICY_CRAWL === 'true';
+const CRAWL_MAX_DEPTH = parseInt(process.env.CRAWL_MAX_DEPTH, 10) || 1;
+const CRAWL_MAX_PAGES = parseInt(process.env.CRAWL_MAX_PAGES, 10) || 5;
+const BROWSER_TIMEOUT_MS = parseInt(process.env.BROWSER_TIMEOUT_MS, 10) || 45000;
+const AUTO_BROWSER_MIN_CHARS = 1500;
+// Locale asked of policy sites (Accept-Language) when a request names none; en-US otherwise
+const POLICY_LOCALE = process.env.POLICY_LOCALE || null;
+// App policy discovery: App Store country
+const APP_STORE_COUNTRY = (process.env.APP_STORE_COUNTRY || 'us').toLowerCase();
+// Site tracker audit: tracker database (the bundled trackers.json unless TRACKER_DB_PATH
+// points at an updated copy)
+const TRACKER_DB_PATH = process.env.TRACKER_DB_PATH || path.join(__dirname, 'trackers.json');
+// Fetch guard for user-supplied URLs: private/reserved addresses are refused unless
+// FETCH_ALLOW_PRIVATE is set (local development); optional comma-separated domain lists
+const FETCH_ALLOW_PRIVATE = process.env.FETCH_ALLOW_PRIVATE === 'true';
+const FETCH_MAX_BYTES = parseInt(process.env.FETCH_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const FETCH_MAX_REDIRECTS = 5;
+const parseListSetting = value => (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+const FETCH_DOMAIN_ALLOWLIST = parseListSetting(process.env.FETCH_DOMAIN_ALLOWLIST);
+const FETCH_DOMAIN_DENYLIST = parseListSetting(process.env.FETCH_DOMAIN_DENYLIST);
+const FETCH_ALLOWED_CONTENT_TYPES = process.env.FETCH_ALLOWED_CONTENT_TYPES
+    ? parseListSetting(process.env.FETCH_ALLOWED_CONTENT_TYPES)
+    : ['text/html', 'application/xhtml+xml', 'text/plain', 'application/pdf', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'];
+// Policy file uploads (/api/analyze-file) are held in memory up to this size
+const MAX_UPLOAD_BYTES = parseInt(process.env.MAX_UPLOAD_BYTES, 10) || 10 * 1024 * 1024;
+const policyUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 } });
+// App scans: uploaded APK or AndroidManifest.xml
+const MAX_APP_UPLOAD_BYTES = parseInt(process.env.MAX_APP_UPLOAD_BYTES, 10) || 100 * 1024 * 1024;
+const appUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_APP_UPLOAD_BYTES, files: 1 } });
+// Total bytes an APK's manifest and dex files may inflate to
+const MAX_APP_INFLATED_BYTES = parseInt(process.env.MAX_APP_INFLATED_BYTES, 10) || 256 * 1024 * 1024;
+// Watchlist scheduler: poll interval and defaults for new entries
+const WATCHLIST_ENABLED = process.env.WATCHLIST_ENABLED !== 'false';
+const WATCHLIST_POLL_SECONDS = parseInt(process.env.WATCHLIST_POLL_SECONDS, 10) || 60;
+const WATCHLIST_DEFAULT_INTERVAL_MINUTES = parseInt(process.env.WATCHLIST_DEFAULT_INTERVAL_MINUTES, 10) || 1440;
+const WATCHLIST_MIN_INTERVAL_MINUTES = 5;
+const WATCHLIST_SCORE_THRESHOLD = parseInt(process.env.WATCHLIST_SCORE_THRESHOLD, 10) || 5;
+// Background analysis jobs: how many URLs are analyzed at once, and per-job limit
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY, 10) || 2;
+const JOB_MAX_URLS = parseInt(process.env.JOB_MAX_URLS, 10) || 100;
 console.log('=== PolAI Backend Started ===');
 console.log('AI Provider:', AI_PROVIDER);
 console.log('Mistral API Key:', MISTRAL_API_KEY ? '✓ Configured' : '✗ Missing');
 console.log('OpenAI API Key:', OPENAI_API_KEY ? '✓ Configured' : '✗ Missing');
+console.log('Anthropic API Key:', ANTHROPIC_API_KEY ? '✓ Configured' : '✗ Missing');
 console.log('=============================');
-// Enhanced headers for different sites
-const getHeaders = (url) => {
+// Create tables if missing and add columns introduced after the original schema
+function initDatabase() {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS scan_history (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id TEXT,
+            app_name TEXT,
+            package_name TEXT,
+            privacy_score INTEGER,
+            risk_level TEXT,
+            scan_result TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS user_preferences (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id TEXT,
+            preference_key TEXT,
+            preference_value BOOLEAN,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS policies (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            url TEXT UNIQUE,
+            last_checked_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS policy_versions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            policy_id INTEGER,
+            text_hash TEXT,
+            text_length INTEGER,
+            policy_text TEXT,
+            analysis TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS policy_users (
+            policy_id INTEGER,
+            user_id TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (policy_id, user_id)
+        );
+        CREATE TABLE IF NOT EXISTS watchlist (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id TEXT,
+            target_type TEXT,
+            target TEXT,
+            webhook_url TEXT,
+            webhook_secret TEXT,
+            interval_minutes INTEGER,
+            score_threshold INTEGER,
+            active INTEGER DEFAULT 1,
+            last_url TEXT,
+            last_text_hash TEXT,
+            last_score INTEGER,
+            last_error TEXT,
+            last_checked_at DATETIME,
+            last_notified_at DATETIME,
+            last_webhook_status TEXT,
+            next_check_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS jobs (
+            id TEXT PRIMARY KEY,
+            user_id TEXT,
+            status TEXT,
+            refresh INTEGER DEFAULT 0,
+            provider TEXT,
+            model TEXT,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            started_at DATETIME,
+            finished_at DATETIME
+        );
+        CREATE TABLE IF NOT EXISTS job_items (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            job_id TEXT,
+            position INTEGER,
+            url TEXT,
+            status TEXT,
+            result TEXT,
+            error TEXT,
+            started_at DATETIME,
+            finished_at DATETIME
+        );
+        CREATE TABLE IF NOT EXISTS api_keys (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            key_hash TEXT UNIQUE,
+            key_prefix TEXT,
+            user_id TEXT,
+            name TEXT,
+            rate_limit_per_minute INTEGER,
+            daily_llm_quota INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            last_used_at DATETIME,
+            revoked_at DATETIME
+        );
+        CREATE TABLE IF NOT EXISTS api_key_usage (
+            api_key_id INTEGER,
+            day TEXT,
+            llm_calls INTEGER DEFAULT 0,
+            PRIMARY KEY (api_key_id, day)
+        );
+        CREATE TABLE IF NOT EXISTS llm_usage (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            user_id TEXT,
+            api_key_id INTEGER,
+            feature TEXT,
+            history_id INTEGER,
+            provider TEXT,
+            model TEXT,
+            purpose TEXT,
+            status TEXT,
+            prompt_tokens INTEGER,
+            completion_tokens INTEGER,
+            total_tokens INTEGER,
+            tokens_estimated INTEGER,
+            latency_ms INTEGER,
+            cost_usd REAL,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+        CREATE TABLE IF NOT EXISTS analysis_cache (
+            cache_key TEXT PRIMARY KEY,
+            url TEXT,
+            text_hash TEXT,
+            analysis TEXT,
+            cached_at INTEGER
+        );
+    `);
+    const historyColumns = {
+        source_url: 'TEXT',
+        source_type: 'TEXT',
+        analysis_method: 'TEXT',
+        text_length: 'INTEGER',
+        analysis: 'TEXT'
+    };
+    addMissingColumns('scan_history', historyColumns);
+    // Background work started with an API key is charged to that key's LLM quota
+    addMissingColumns('jobs', { api_key_id: 'INTEGER', output_language: 'TEXT' });
+    addMissingColumns('watchlist', { api_key_id: 'INTEGER' });
+    db.exec('CREATE INDEX IF NOT EXISTS idx_scan_history_user ON scan_history (user_id, created_at)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_policy_versions_policy ON policy_versions (policy_id, id)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_job_items_job ON job_items (job_id, status)');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_llm_usage_user ON llm_usage (user_id, created_at)');
+}
+function addMissingColumns(table, columns) {
+    const existing = db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+    for (const [name, type] of Object.entries(columns)) {
+        if (!existing.includes(name)) {
+            db.exec(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+            console.log(`✓ Added column ${table}.${name}`);
+        }
+    }
+}
+// Enhanced headers for different sites. A locale (de-DE) is preferred over its
+// base language, with English as the last resort.
+const getHeaders = (url, locale = null) => {
     const baseHeaders = {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
         'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8',
-        'Accept-Language': 'en-US,en;q=0.5',
+        'Accept-Language': buildAcceptLanguage(locale || 'en-US'),
         'Accept-Encoding': 'gzip, deflate, br',
         'Connection': 'keep-alive',
         'Upgrade-Insecure-Requests': '1',
@@ -47,9 +281,20 @@ const getHeaders = (url) => {
     };
     return baseHeaders;
 };
+function buildAcceptLanguage(locale) {
+    const base = locale.split('-')[0];
+    const ranges = [locale];
+    if (base !== locale) ranges.push(`${base};q=${base === 'en' ? 0.5 : 0.9}`);
+    if (base !== 'en') ranges.push('en;q=0.5');
+    return ranges.join(',');
+}
 // URL validation and normalization
 const normalizeUrl = (url) => {
-    if (!url) throw new Error('URL is required');
+    if (!url) {
+        const error = new Error('URL is required');
+        error.status = 400;
+        throw error;
+    }
    
     let cleanUrl = url.trim().replace(/^(https?:\/\/\s*)+/i, 'https://');
    
@@ -61,71 +306,311 @@ const normalizeUrl = (url) => {
         const urlObj = new URL(cleanUrl);
         return urlObj.href;
     } catch (error) {
-        throw new Error(`Invalid URL: ${cleanUrl}`);
+        const invalid = new Error(`Invalid URL: ${cleanUrl}`);
+        invalid.status = 400;
+        throw invalid;
     }
 };
-// Enhanced policy extraction with retry logic
-async function extractPolicyText(url, retries = 3) {
-    const normalizedUrl = normalizeUrl(url);
-    console.log(`📄 Extracting policy from: ${normalizedUrl}`);
-   
-    for (let attempt = 1; attempt <= retries; attempt++) {
+// Fetch guard for user-supplied URLs. Hosts that resolve to private, loopback,
+// link-local or otherwise reserved addresses are refused, on every redirect hop and
+// at connect time (so a DNS answer cannot change between the check and the request).
+const BLOCKED_ADDRESS_RANGES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+    ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESS_RANGES.addSubnet(address, prefix, 'ipv4'));
+[
+    // No ::ffff:0:0/96 entry: BlockList checks mapped addresses against the IPv4 ranges and
+    // would match every IPv4 address against it
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64],
+    ['2001:db8::', 32], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESS_RANGES.addSubnet(address, prefix, 'ipv6'));
+function isBlockedAddress(address) {
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1) is judged by its IPv4 address
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return BLOCKED_ADDRESS_RANGES.check(mapped[1], 'ipv4');
+    return BLOCKED_ADDRESS_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+function createFetchError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = 'ERR_FETCH_BLOCKED';
+    return error;
+}
+function matchesDomainList(hostname, domains) {
+    return domains.some(domain => hostname === domain || hostname.endsWith(`.${domain}`));
+}
+// Throws a 4xx error when the URL may not be fetched: not http(s), outside the
+// domain allow/deny lists, or resolving to a blocked address
+async function assertFetchAllowed(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw createFetchError(`Invalid URL: ${url}`, 400);
+    }
+    if (!/^https?:$/.test(parsed.protocol)) {
+        throw createFetchError(`Only http and https URLs can be fetched (got ${parsed.protocol})`, 400);
+    }
+    if (parsed.username || parsed.password) {
+        throw createFetchError('URLs with credentials are not allowed', 400);
+    }
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+    if (matchesDomainList(hostname, FETCH_DOMAIN_DENYLIST)) {
+        throw createFetchError(`Fetching from ${hostname} is not allowed`, 403);
+    }
+    if (FETCH_DOMAIN_ALLOWLIST.length > 0 && !matchesDomainList(hostname, FETCH_DOMAIN_ALLOWLIST)) {
+        throw createFetchError(`${hostname} is not on the list of allowed domains`, 403);
+    }
+    if (FETCH_ALLOW_PRIVATE) return;
+    let addresses;
+    if (net.isIP(hostname)) {
+        addresses = [hostname];
+    } else {
         try {
-            const response = await axios.get(normalizedUrl, {
-                headers: getHeaders(normalizedUrl),
-                timeout: 30000,
-                validateStatus: function (status) {
-                    return status >= 200 && status < 400;
-                }
+            addresses = (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+        } catch (error) {
+            // A name that does not exist is the caller's mistake; any other DNS failure is upstream
+            if (error.code === 'ENOTFOUND' || error.code === 'ENODATA') {
+                throw createFetchError(`Could not resolve host ${hostname}`, 400);
+            }
+            throw createFetchError(`DNS lookup for ${hostname} failed (${error.code || error.message})`, 502);
+        }
+    }
+    if (addresses.some(isBlockedAddress)) {
+        throw createFetchError(`${hostname} ${net.isIP(hostname) ? 'is' : 'resolves to'} a private or reserved address`, 403);
+    }
+}
+// dns.lookup for outgoing connections that refuses blocked addresses
+function guardedLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (!FETCH_ALLOW_PRIVATE && addresses.some(entry => isBlockedAddress(entry.address))) {
+            return callback(createFetchError(`${hostname} resolves to a private or reserved address`, 403));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+const guardedHttpAgent = new http.Agent({ lookup: guardedLookup });
+const guardedHttpsAgent = new https.Agent({ lookup: guardedLookup });
+// axios request to a user-supplied URL through the fetch guard. Redirects are followed
+// here (GET/HEAD only) so every hop is checked, and bodies are capped at FETCH_MAX_BYTES.
+// The final URL is returned as response.finalUrl.
+async function guardedRequest(config) {
+    const method = (config.method || 'get').toLowerCase();
+    const validateStatus = config.validateStatus || (status => status >= 200 && status < 300);
+    let url = config.url;
+    for (let redirects = 0; ; redirects++) {
+        await assertFetchAllowed(url);
+        let response;
+        try {
+            response = await axios.request({
+                ...config,
+                url,
+                maxRedirects: 0,
+                maxContentLength: FETCH_MAX_BYTES,
+                httpAgent: guardedHttpAgent,
+                httpsAgent: guardedHttpsAgent,
+                validateStatus: status => (status >= 300 && status < 400) || validateStatus(status)
             });
-            const $ = cheerio.load(response.data);
-           
-            // Remove unwanted elements
-            $('script, style, nav, header, footer, iframe, noscript').remove();
-           
-            // Enhanced content selectors
-            const contentSelectors = [
-                'main',
-                '[role="main"]',
-                '.privacy-policy',
-                '.privacy-content',
-                '.policy-content',
-                '#privacy-policy',
-                '#privacy',
-                '.legal-content',
-                '.terms-content',
-                'article',
-                '.content',
-                '.main-content',
-                '.page-content',
-                '.container',
-                '#content'
-            ];
-            let policyText = '';
-           
-            for (const selector of contentSelectors) {
-                const content = $(selector);
-                if (content.length > 0) {
-                    policyText = content.text();
-                    if (policyText.length > 500) break;
-                }
+        } catch (error) {
+            const cause = error.cause || error;
+            if (cause.code === 'ERR_FETCH_BLOCKED') throw createFetchError(cause.message, cause.status);
+            if (/maxContentLength/.test(error.message)) {
+                throw createFetchError(`Response from ${new URL(url).hostname} is larger than ${FETCH_MAX_BYTES} bytes`, 413);
+            }
+            throw error;
+        }
+        const location = response.status >= 300 && response.status < 400 ? response.headers.location : null;
+        if (!location || !['get', 'head'].includes(method)) {
+            if (!validateStatus(response.status)) {
+                const error = new Error(`Request failed with status code ${response.status}`);
+                error.response = response;
+                throw error;
+            }
+            response.finalUrl = url;
+            return response;
+        }
+        if (redirects >= FETCH_MAX_REDIRECTS) {
+            throw createFetchError(`Too many redirects fetching ${config.url}`, 502);
+        }
+        url = new URL(location, url).href;
+    }
+}
+// Throws a 415 for a response type that is not a policy document
+function assertAllowedContentType(contentType, url) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (type && !FETCH_ALLOWED_CONTENT_TYPES.includes(type)) {
+        throw createFetchError(`${url} returned ${type}, which is not a supported policy document type`, 415);
+    }
+}
+// Policy fetchers. Every fetcher implements
+//   fetch(url, { locale }) -> { url (final, after redirects), body (Buffer or HTML string), contentType, headers }
+// isAvailable() tells whether it can run in this deployment. The site audit reads the
+// homepage's cookies from headers.
+const policyFetchers = {};
+function registerPolicyFetcher(name, fetcher) {
+    policyFetchers[name] = { name, ...fetcher };
+}
+// Plain HTTP GET; sees only server-rendered HTML. The raw body is kept so PDFs can be parsed.
+registerPolicyFetcher('http', {
+    label: 'HTTP',
+    isAvailable: () => true,
+    async fetch(url, { locale } = {}) {
+        const response = await guardedRequest({
+            method: 'get',
+            url,
+            headers: getHeaders(url, locale),
+            responseType: 'arraybuffer',
+            timeout: 30000,
+            validateStatus: function (status) {
+                return status >= 200 && status < 400;
+            }
+        });
+        const contentType = response.headers?.['content-type'] || null;
+        assertAllowedContentType(contentType, response.finalUrl);
+        return {
+            url: response.finalUrl,
+            body: Buffer.from(response.data),
+            contentType,
+            headers: response.headers
+        };
+    }
+});
+// Headless Chromium for client-rendered pages. Optional: needs `npm install puppeteer`.
+let puppeteerModule;
+let browserPromise = null;
+function loadPuppeteer() {
+    if (puppeteerModule === undefined) {
+        try {
+            puppeteerModule = require('puppeteer');
+        } catch (error) {
+            puppeteerModule = null;
+        }
+    }
+    return puppeteerModule;
+}
+registerPolicyFetcher('browser', {
+    label: 'Headless browser',
+    isAvailable: () => !!loadPuppeteer(),
+    async fetch(url, { locale } = {}) {
+        const puppeteer = loadPuppeteer();
+        if (!puppeteer) {
+            throw new Error('Headless browser fetcher needs the puppeteer package (npm install puppeteer)');
+        }
+        if (!browserPromise) {
+            browserPromise = puppeteer.launch({ headless: true, args: ['--no-sandbox', '--disable-dev-shm-usage'] });
+            browserPromise.catch(() => { browserPromise = null; });
+        }
+        await assertFetchAllowed(url);
+        const browser = await browserPromise;
+        const page = await browser.newPage();
+        try {
+            const { 'User-Agent': userAgent, 'Accept-Language': acceptLanguage } = getHeaders(url, locale);
+            await page.setUserAgent(userAgent);
+            await page.setExtraHTTPHeaders({ 'Accept-Language': acceptLanguage });
+            // The page's own requests (redirects, scripts, XHR) go through the fetch guard too
+            let blocked = null;
+            await page.setRequestInterception(true);
+            page.on('request', request => {
+                if (/^(data|blob):/.test(request.url()) && !request.isNavigationRequest()) return request.continue();
+                assertFetchAllowed(request.url()).then(() => request.continue(), error => {
+                    if (request.isNavigationRequest() && request.frame() === page.mainFrame()) blocked = error;
+                    request.abort('blockedbyclient');
+                });
+            });
+            let response;
+            try {
+                response = await page.goto(url, { waitUntil: 'networkidle2', timeout: BROWSER_TIMEOUT_MS });
+            } catch (error) {
+                throw blocked || error;
             }
-            // Fallback to body
-            if (policyText.length < 500) {
-                policyText = $('body').text();
+            if (response && response.status() >= 400) {
+                throw new Error(`Request failed with status code ${response.status()}`);
+            }
+            const contentType = response?.headers()['content-type'] || 'text/html';
+            assertAllowedContentType(contentType, page.url());
+            const body = await page.content();
+            if (Buffer.byteLength(body) > FETCH_MAX_BYTES) {
+                throw createFetchError(`Rendered page ${page.url()} is larger than ${FETCH_MAX_BYTES} bytes`, 413);
+            }
+            return { url: page.url(), body, contentType, headers: response?.headers() || {} };
+        } finally {
+            await page.close().catch(() => {});
+        }
+    }
+});
+// Fetch options for a request ({ fetcher, crawl, crawl_depth, crawl_max_pages, locale }
+// in the body or query), falling back to the server defaults
+function resolveFetchOptions(source = {}) {
+    const fail = message => {
+        const error = new Error(message);
+        error.status = 400;
+        throw error;
+    };
+    const fetcher = source.fetcher || POLICY_FETCHER;
+    if (fetcher !== 'auto' && !policyFetchers[fetcher]) {
+        fail(`Unknown fetcher: ${fetcher}. Available: auto, ${Object.keys(policyFetchers).join(', ')}`);
+    }
+    if (fetcher !== 'auto' && !policyFetchers[fetcher].isAvailable()) {
+        fail(`Fetcher ${fetcher} is not available on this server`);
+    }
+    const crawl = source.crawl === undefined ? POLICY_CRAWL : source.crawl === true || source.crawl === 'true';
+    const readBound = (value, fallback, max, name) => {
+        if (value === undefined || value === '') return fallback;
+        const number = parseInt(value, 10);
+        if (!(number >= 0 && number <= max)) fail(`${name} must be between 0 and ${max}`);
+        return number;
+    };
+    let locale = source.locale || POLICY_LOCALE;
+    if (locale) {
+        try {
+            [locale] = Intl.getCanonicalLocales(String(locale).replace('_', '-'));
+        } catch (error) {
+            fail(`Invalid locale: ${source.locale || POLICY_LOCALE}`);
+        }
+    }
+    return {
+        fetcher,
+        crawl,
+        locale: locale || null,
+        maxDepth: readBound(source.crawl_depth, CRAWL_MAX_DEPTH, 3, 'crawl_depth'),
+        maxPages: Math.max(1, readBound(source.crawl_max_pages, CRAWL_MAX_PAGES, 15, 'crawl_max_pages'))
+    };
+}
+// Fetch one page with retries and parse it (HTML, or PDF/DOCX/text by content type).
+// "auto" uses HTTP and switches to the headless browser when an HTML page yields
+// little text (a client-rendered shell).
+async function fetchPolicyPage(url, fetcherName, retries = 3, locale = null) {
+    for (let attempt = 1; attempt <= retries; attempt++) {
+        try {
+            const fetcher = policyFetchers[fetcherName === 'auto' ? 'http' : fetcherName];
+            const page = await fetcher.fetch(url, { locale });
+            let document = await parsePolicyDocument(page.body, { contentType: page.contentType, url: page.url });
+            let html = document.format === 'html' ? String(page.body) : null;
+            let usedFetcher = fetcher.name;
+            if (fetcherName === 'auto' && html && document.text.length < AUTO_BROWSER_MIN_CHARS && policyFetchers.browser.isAvailable()) {
+                console.log(`🌐 Only ${document.text.length} characters over HTTP, rendering with headless browser...`);
+                const rendered = await policyFetchers.browser.fetch(url, { locale });
+                const renderedDocument = await parsePolicyDocument(rendered.body, { contentType: rendered.contentType, url: rendered.url });
+                if (renderedDocument.text.length > document.text.length) {
+                    document = renderedDocument;
+                    html = String(rendered.body);
+                    usedFetcher = 'browser';
+                }
             }
-            // Clean up the text
-            policyText = policyText
-                .replace(/\s+/g, ' ')
-                .replace(/\n+/g, '\n')
-                .trim();
-            if (!policyText || policyText.length < 100) {
-                throw new Error('No substantial policy text found');
+            if (document.format === 'pdf') {
+                console.log(`📑 Parsed PDF (${document.page_count} pages)`);
             }
-            console.log(`✓ Extracted ${policyText.length} characters`);
-            return policyText;
+            return { document, html, fetcher: usedFetcher };
         } catch (error) {
             console.log(`✗ Attempt ${attempt}/${retries} failed: ${error.message}`);
+            // Refused by the fetch guard or unparseable: retrying will not help
+            if (error.status) throw error;
            
             if (attempt === retries) {
                 throw new Error(`Failed to extract policy after ${retries} attempts: ${error.message}`);
@@ -135,10 +620,561 @@ async function extractPolicyText(url, retries = 3) {
         }
     }
 }
-// Enhanced Mistral AI response parser
-function parseMistralResponse(response) {
+// Enhanced policy extraction. Returns the structured document built by parseHtmlDocument;
+// in crawl mode, related same-site policy pages are fetched too and combined into one
+// document whose `pages` list records where each part of the text came from.
+async function extractPolicyDocument(url, fetchOptions = resolveFetchOptions(), onProgress = () => {}) {
+    const normalizedUrl = normalizeUrl(url);
+    console.log(`📄 Extracting policy from: ${normalizedUrl}`);
+    const { fetcher, crawl, locale, maxDepth, maxPages } = fetchOptions;
+   
+    const pages = [];
+    const visited = new Set([getCrawlKey(normalizedUrl)]);
+    const seenText = new Set();
+    const skipped = [];
+    const queue = [{ url: normalizedUrl, depth: 0, linkText: null }];
+    while (queue.length > 0 && pages.length < (crawl ? maxPages : 1)) {
+        const next = queue.shift();
+        let fetched;
+        try {
+            onProgress('page_fetch', { url: next.url, depth: next.depth });
+            fetched = await fetchPolicyPage(next.url, fetcher, next.depth === 0 ? 3 : 1, locale);
+        } catch (error) {
+            // Only the starting page is required
+            if (next.depth === 0) throw error;
+            console.log(`⚠️ Skipping linked page ${next.url}: ${error.message}`);
+            skipped.push({ url: next.url, error: error.message });
+            onProgress('page_skipped', { url: next.url, error: error.message });
+            continue;
+        }
+        const { document } = fetched;
+        const textHash = hashText(document.text);
+        if (next.depth > 0 && (document.text.length < 100 || seenText.has(textHash))) continue;
+        seenText.add(textHash);
+        pages.push({ ...next, document, fetcher: fetched.fetcher });
+        if (crawl && fetched.html && next.depth < maxDepth) {
+            for (const link of findPolicyLinks(fetched.html, document.url)) {
+                const key = getCrawlKey(link.url);
+                if (visited.has(key)) continue;
+                visited.add(key);
+                queue.push({ url: link.url, depth: next.depth + 1, linkText: link.text });
+            }
+        }
+    }
+    const document = combinePolicyPages(pages);
+    if (!document.text || document.text.length < 100) {
+        throw new Error('Failed to extract policy: No substantial policy text found');
+    }
+    if (crawl) document.skipped_pages = skipped;
+    console.log(`✓ Extracted ${document.text.length} characters (${document.sections.length} sections, ${pages.length} page${pages.length === 1 ? '' : 's'})`);
+    return document;
+}
+// Link text or URL wording that points at further policy pages, with a relevance weight
+const POLICY_LINK_PATTERNS = [
+    [/cookie/i, 3],
+    [/california|ccpa|cpra|do not (sell|share)|privacy choices|state privacy|us states?/i, 3],
+    [/privacy (center|centre|hub|notice|statement|supplement)|data (protection|processing|retention)|gdpr|sub-?processors?|children/i, 3],
+    [/privacy|personal (data|information)/i, 2],
+    [/notice|supplement|addendum/i, 1]
+];
+const EXCLUDED_LINK_PATTERN = /log ?in|sign ?(in|up)|register|careers|jobs|blog|news|press|shop|cart|checkout|download|terms of (service|use)|mailto:|tel:|javascript:/i;
+const UNSUPPORTED_LINK_EXTENSIONS = /\.(doc|xlsx?|zip|png|jpe?g|gif|svg|mp4|mp3)(\?|$)/i;
+// Registrable domain, approximately: the last two labels, three for ccTLD second levels (co.uk)
+function getSiteDomain(hostname) {
+    const labels = hostname.toLowerCase().replace(/^www\./, '').split('.');
+    const keep = labels.length > 2 && labels[labels.length - 1].length === 2 && /^(co|com|org|net|ac|gov|edu)$/.test(labels[labels.length - 2]) ? 3 : 2;
+    return labels.slice(-keep).join('.');
+}
+// Crawl identity of a URL: fragment and trailing slash ignored
+function getCrawlKey(url) {
+    const parsed = new URL(url);
+    parsed.hash = '';
+    return parsed.href.replace(/\/$/, '');
+}
+// Same-site links that look like further policy pages, most relevant first
+function findPolicyLinks(html, baseUrl) {
+    const $ = cheerio.load(html);
+    const site = getSiteDomain(new URL(baseUrl).hostname);
+    const candidates = new Map();
+    $('a[href]').each((i, element) => {
+        const href = $(element).attr('href');
+        const text = collapseWhitespace($(element).text()) || $(element).attr('aria-label') || $(element).attr('title') || '';
+        let target;
+        try {
+            target = new URL(href, baseUrl);
+        } catch (error) {
+            return;
+        }
+        if (!/^https?:$/.test(target.protocol) || getSiteDomain(target.hostname) !== site) return;
+        if (EXCLUDED_LINK_PATTERN.test(`${href} ${text}`) || UNSUPPORTED_LINK_EXTENSIONS.test(target.pathname)) return;
+        const haystack = `${text} ${decodeURIComponent(target.pathname).replace(/[-_/]/g, ' ')}`;
+        const score = POLICY_LINK_PATTERNS.reduce((sum, [pattern, weight]) => sum + (pattern.test(haystack) ? weight : 0), 0);
+        if (score < 2) return;
+        target.hash = '';
+        const key = getCrawlKey(target.href);
+        if (key === getCrawlKey(baseUrl)) return;
+        if (!candidates.has(key) || candidates.get(key).score < score) {
+            candidates.set(key, { url: target.href, text, score });
+        }
+    });
+    return [...candidates.values()].sort((a, b) => b.score - a.score);
+}
+// Copy of tree nodes with every offset moved by `offset`
+function shiftDocumentNodes(nodes, offset) {
+    return nodes.map(node => {
+        const shifted = { ...node, start: node.start + offset, end: node.end + offset };
+        if (node.children) shifted.children = shiftDocumentNodes(node.children, offset);
+        if (node.items) shifted.items = shiftDocumentNodes(node.items, offset);
+        if (node.rows) shifted.rows = shiftDocumentNodes(node.rows, offset);
+        return shifted;
+    });
+}
+// One document from the fetched pages: texts joined with a blank line, each page a
+// `page` node of the tree and an entry of `pages` with its offsets
+function combinePolicyPages(pages) {
+    const describePage = (page, offset, end) => ({
+        url: page.document.url,
+        title: page.document.title,
+        depth: page.depth,
+        link_text: page.linkText,
+        fetcher: page.fetcher,
+        start: offset,
+        end
+    });
+    if (pages.length === 1) {
+        return { ...pages[0].document, pages: [describePage(pages[0], 0, pages[0].document.text.length)] };
+    }
+    let text = '';
+    const sections = [];
+    const children = [];
+    const provenance = [];
+    pages.forEach((page, index) => {
+        if (text) text += '\n\n';
+        const offset = text.length;
+        text += page.document.text;
+        sections.push(...page.document.sections.map(section => ({ ...section, start: section.start + offset, page: index })));
+        children.push({
+            type: 'page',
+            url: page.document.url,
+            title: page.document.title,
+            start: offset,
+            end: text.length,
+            children: shiftDocumentNodes(page.document.tree.children, offset)
+        });
+        provenance.push(describePage(page, offset, text.length));
+    });
+    const first = pages[0].document;
+    return {
+        url: first.url,
+        title: first.title,
+        language: first.language,
+        detected_language: detectLanguage(text),
+        last_updated: first.last_updated,
+        text,
+        sections,
+        tree: { type: 'document', start: 0, end: text.length, children },
+        pages: provenance
+    };
+}
+// Tag evidence excerpts of a crawled multi-page document with the page they came from
+function annotateEvidencePages(evidence, document) {
+    if (!document?.pages || document.pages.length < 2) return evidence;
+    for (const finding of evidence) {
+        for (const excerpt of finding.excerpts || []) {
+            const page = excerpt.start === null ? null : document.pages.find(page => excerpt.start >= page.start && excerpt.start < page.end);
+            if (page) excerpt.page_url = page.url;
+        }
+    }
+    return evidence;
+}
+// Enhanced content selectors, tried in order; the first with substantial text is the policy
+const CONTENT_SELECTORS = [
+    'main',
+    '[role="main"]',
+    '.privacy-policy',
+    '.privacy-content',
+    '.policy-content',
+    '#privacy-policy',
+    '#privacy',
+    '.legal-content',
+    '.terms-content',
+    'article',
+    '.content',
+    '.main-content',
+    '.page-content',
+    '.container',
+    '#content'
+];
+const PARAGRAPH_TAGS = new Set(['p', 'blockquote', 'pre', 'address', 'dt', 'dd', 'figcaption', 'caption', 'summary', 'legend']);
+const INLINE_TAGS = new Set(['a', 'abbr', 'b', 'bdi', 'bdo', 'br', 'cite', 'code', 'data', 'del', 'dfn', 'em', 'font', 'i', 'ins', 'kbd', 'label', 'mark', 'q', 's', 'samp', 'small', 'span', 'strong', 'sub', 'sup', 'time', 'u', 'var', 'wbr']);
+const POLICY_CONTENT_PATTERN = /\b(personal (data|information)|privacy|cookies?|third[- ]part(y|ies)|data protection|opt[- ]out|retention)\b/gi;
+// Site chrome (nav/header/footer) is dropped unless it carries the policy itself
+function looksLikePolicyContent(text) {
+    return text.length >= 300 && (text.match(POLICY_CONTENT_PATTERN) || []).length >= 3;
+}
+function collapseWhitespace(text) {
+    return text.replace(/\s+/g, ' ').trim();
+}
+// Parse policy HTML into a structured document:
+//   { url, title, language, last_updated, text, sections, tree }
+// text is the readable rendering analyzers work on: one line per heading, paragraph
+// and list item, table cells separated by tabs. Every node in the tree, and every
+// entry of the flat `sections` heading list, carries start/end offsets into text.
+function parseHtmlDocument(html, url) {
+    const $ = cheerio.load(html);
+    const title = collapseWhitespace($('title').first().text()) || collapseWhitespace($('h1').first().text()) || null;
+    const language = $('html').attr('lang')
+        || $('meta[http-equiv="content-language" i]').attr('content')
+        || $('meta[property="og:locale"]').attr('content')
+        || null;
+    const metaModified = $('meta[property="article:modified_time"]').attr('content')
+        || $('meta[name="last-modified" i]').attr('content')
+        || null;
+   
+    // Remove unwanted elements
+    $('script, style, iframe, noscript, template').remove();
+    $('nav, header, footer').each((i, element) => {
+        if (!looksLikePolicyContent(collapseWhitespace($(element).text()))) {
+            $(element).remove();
+        }
+    });
+    let roots = null;
+    for (const selector of CONTENT_SELECTORS) {
+        const content = $(selector);
+        if (content.length > 0 && collapseWhitespace(content.text()).length > 500) {
+            roots = content;
+            break;
+        }
+    }
+    // Fallback to body
+    if (!roots) {
+        roots = $('body').length > 0 ? $('body') : $.root();
+    }
+    const blocks = collectBlocks($, roots.toArray().filter(root => !roots.toArray().some(other => other !== root && $(other).find(root).length > 0)));
+    const { text, tree, sections } = renderDocument(blocks);
+    return {
+        url,
+        title,
+        language: language ? language.trim().replace('_', '-') : null,
+        last_updated: detectLastUpdated(text) || parseMetaDate(metaModified),
+        text,
+        sections,
+        tree
+    };
+}
+// Walk the DOM in document order and produce heading / paragraph / list / table blocks.
+// Loose text inside containers becomes a paragraph.
+function collectBlocks($, roots) {
+    const blocks = [];
+    let inline = '';
+    const flush = () => {
+        const text = collapseWhitespace(inline);
+        if (text) blocks.push({ type: 'paragraph', text });
+        inline = '';
+    };
+    const walk = node => {
+        if (node.type === 'text') {
+            inline += node.data;
+            return;
+        }
+        if (node.type !== 'tag') return;
+        const name = node.name.toLowerCase();
+        if (/^h[1-6]$/.test(name)) {
+            flush();
+            const text = collapseWhitespace($(node).text());
+            if (text) blocks.push({ type: 'heading', level: parseInt(name.charAt(1), 10), text });
+        } else if (name === 'ul' || name === 'ol') {
+            flush();
+            const items = collectListItems($, node, 0);
+            if (items.length > 0) blocks.push({ type: 'list', ordered: name === 'ol', items });
+        } else if (name === 'table') {
+            flush();
+            const rows = $(node).find('tr')
+                .filter((i, row) => $(row).closest('table')[0] === node)
+                .toArray()
+                .map(row => $(row).children('th, td').toArray().map(cell => collapseWhitespace($(cell).text())))
+                .filter(cells => cells.some(Boolean));
+            const caption = collapseWhitespace($(node).children('caption').text());
+            if (caption) blocks.push({ type: 'paragraph', text: caption });
+            if (rows.length > 0) blocks.push({ type: 'table', rows });
+        } else if (PARAGRAPH_TAGS.has(name)) {
+            flush();
+            const text = collapseWhitespace($(node).text());
+            if (text) blocks.push({ type: 'paragraph', text });
+        } else if (INLINE_TAGS.has(name)) {
+            if (name === 'br') inline += '\n';
+            (node.children || []).forEach(walk);
+        } else {
+            // Container (div, section, article...): its children form their own blocks
+            flush();
+            (node.children || []).forEach(walk);
+            flush();
+        }
+    };
+    roots.forEach(walk);
+    flush();
+    return blocks;
+}
+// List items with their nesting depth; nested lists are flattened into the same list
+function collectListItems($, list, depth) {
+    const items = [];
+    $(list).children('li').each((i, item) => {
+        const nested = $(item).find('ul, ol').filter((j, child) => $(child).parent().closest('li')[0] === item);
+        const own = $(item).clone();
+        own.find('ul, ol').remove();
+        const text = collapseWhitespace(own.text());
+        if (text) items.push({ text, depth });
+        nested.each((j, child) => items.push(...collectListItems($, child, depth + 1)));
+    });
+    return items;
+}
+// Render blocks to text and nest them into a section tree by heading level
+function renderDocument(blocks) {
+    let text = '';
+    const appendLine = line => {
+        if (text) text += '\n';
+        const start = text.length;
+        text += line;
+        return { start, end: text.length };
+    };
+    const root = { type: 'document', children: [] };
+    const stack = [{ level: 0, node: root }];
+    const sections = [];
+    for (const block of blocks) {
+        if (block.type === 'heading') {
+            while (stack[stack.length - 1].level >= block.level) stack.pop();
+            const { start, end } = appendLine(block.text);
+            const section = { type: 'section', heading: block.text, level: block.level, start, end, children: [] };
+            stack[stack.length - 1].node.children.push(section);
+            stack.push({ level: block.level, node: section });
+            sections.push({ heading: block.text, level: block.level, start });
+            continue;
+        }
+        let node;
+        if (block.type === 'list') {
+            const items = block.items.map(item => ({ ...item, ...appendLine(item.text) }));
+            node = { type: 'list', ordered: block.ordered, start: items[0].start, end: items[items.length - 1].end, items };
+        } else if (block.type === 'table') {
+            const rows = block.rows.map(cells => ({ cells, ...appendLine(cells.join('\t')) }));
+            node = { type: 'table', start: rows[0].start, end: rows[rows.length - 1].end, rows };
+        } else {
+            node = { type: 'paragraph', text: block.text, ...appendLine(block.text) };
+        }
+        stack[stack.length - 1].node.children.push(node);
+    }
+    const closeSection = node => {
+        for (const child of node.children || []) {
+            if (child.type === 'section') closeSection(child);
+            if (node.type === 'section') node.end = Math.max(node.end, child.end);
+        }
+    };
+    closeSection(root);
+    root.start = 0;
+    root.end = text.length;
+    return { text, tree: root, sections };
+}
+// Lines of plain text that look like headings: numbered, upper-case or colon-terminated short lines
+function isTextHeading(line) {
+    if (line.length < 3 || line.length > 80 || /[.,;]$/.test(line)) return false;
+    const numbered = /^(\d+(\.\d+)*\.?|[IVX]+\.|[A-Z]\.)\s+\S/.test(line);
+    const upperCase = /[A-Z]/.test(line) && line === line.toUpperCase();
+    return numbered || upperCase || line.endsWith(':');
+}
+const TEXT_BULLET_PATTERN = /^([•◦▪●*–-]|\(?[a-z0-9]{1,2}\))\s+/;
+// Blocks (as from collectBlocks) of plain or PDF text. Wrapped lines are joined into
+// paragraphs until a blank line or a line that ends a sentence; bullet lines become lists.
+function textToBlocks(text) {
+    const blocks = [];
+    let paragraph = null;
+    let list = null;
+    const flush = () => {
+        if (paragraph !== null) blocks.push({ type: 'paragraph', text: paragraph });
+        if (list) blocks.push(list);
+        paragraph = null;
+        list = null;
+    };
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = collapseWhitespace(rawLine);
+        if (!line || /^--\s*\d+\s+of\s+\d+\s*--$/.test(line)) {
+            flush();
+            continue;
+        }
+        if (isTextHeading(line) && !TEXT_BULLET_PATTERN.test(line)) {
+            flush();
+            blocks.push({ type: 'heading', level: 2, text: line.replace(/:$/, '') });
+            continue;
+        }
+        const bullet = TEXT_BULLET_PATTERN.exec(line);
+        if (bullet) {
+            if (paragraph !== null) {
+                blocks.push({ type: 'paragraph', text: paragraph });
+                paragraph = null;
+            }
+            list = list || { type: 'list', ordered: !/^[•◦▪●*–-]/.test(bullet[1]), items: [] };
+            list.items.push({ text: line.slice(bullet[0].length), depth: 0 });
+            continue;
+        }
+        if (list) {
+            // Continuation of a wrapped list item
+            const item = list.items[list.items.length - 1];
+            item.text = item.text.endsWith('-') ? item.text + line : `${item.text} ${line}`;
+            continue;
+        }
+        paragraph = paragraph === null ? line : (paragraph.endsWith('-') ? paragraph + line : `${paragraph} ${line}`);
+        if (/[.!?:]["')\]]?$/.test(line)) flush();
+    }
+    flush();
+    return blocks;
+}
+// Structured document (same shape as parseHtmlDocument) from plain text
+function parseTextDocument(rawText, { url = null, title = null, language = null } = {}) {
+    const { text, tree, sections } = renderDocument(textToBlocks(rawText));
+    return {
+        url,
+        title: title || sections[0]?.heading || null,
+        language,
+        last_updated: detectLastUpdated(text),
+        text,
+        sections,
+        tree
+    };
+}
+// Structured document from a PDF, page by page
+async function parsePdfDocument(buffer, url = null) {
+    const parser = new PDFParse({ data: buffer });
+    try {
+        const result = await parser.getText();
+        const info = await parser.getInfo().catch(() => null);
+        const document = parseTextDocument(result.pages.map(page => page.text).join('\n\n'), {
+            url,
+            title: info?.info?.Title || null,
+            language: info?.info?.Language || null
+        });
+        document.page_count = result.total;
+        return document;
+    } finally {
+        await parser.destroy().catch(() => {});
+    }
+}
+// Format of a policy file or response body, from its content type, file name and magic bytes
+function detectDocumentFormat(buffer, contentType = '', filename = '') {
+    const type = (contentType || '').toLowerCase();
+    const extension = (/\.([a-z0-9]+)$/i.exec(filename || '') || [])[1]?.toLowerCase();
+    const head = buffer.subarray(0, 512).toString('latin1');
+    if (type.includes('application/pdf') || extension === 'pdf' || head.startsWith('%PDF-')) return 'pdf';
+    if (type.includes('wordprocessingml') || extension === 'docx') return 'docx';
+    if (type.includes('html') || extension === 'html' || extension === 'htm' || /^\s*(<!doctype html|<html|<head|<body)/i.test(head)) return 'html';
+    if (type.startsWith('text/') || ['txt', 'md', 'text'].includes(extension)) return 'text';
+    // Unlabelled uploads: anything that is not binary is read as text
+    if (!head.startsWith('PK') && !buffer.subarray(0, 4096).includes(0)) return 'text';
+    return null;
+}
+// Parse a fetched or uploaded policy (PDF, DOCX, HTML or plain text) into a structured
+// document; `format` records which parser was used
+async function parsePolicyDocument(body, { contentType, filename, url = null } = {}) {
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(String(body));
+    const format = detectDocumentFormat(buffer, contentType, filename);
+    let document;
+    try {
+        if (format === 'pdf') {
+            document = await parsePdfDocument(buffer, url);
+        } else if (format === 'docx') {
+            const { value: html } = await mammoth.convertToHtml({ buffer });
+            document = parseHtmlDocument(`<html><body>${html}</body></html>`, url);
+        } else if (format === 'html') {
+            document = parseHtmlDocument(buffer.toString('utf8'), url);
+        } else if (format === 'text') {
+            document = parseTextDocument(buffer.toString('utf8'), { url });
+        }
+    } catch (error) {
+        const failure = new Error(`Could not read ${format.toUpperCase()} document: ${error.message}`);
+        failure.status = 422;
+        throw failure;
+    }
+    if (!document) {
+        const error = new Error(`Unsupported document type${contentType ? ` (${contentType})` : ''}. Supported: PDF, DOCX, HTML and plain text`);
+        error.status = 415;
+        throw error;
+    }
+    document.format = format;
+    document.detected_language = detectLanguage(document.text);
+    return document;
+}
+// Frequent function words per language. The language whose words make up the largest
+// share of the text wins; declared page languages are often wrong on translated sites.
+const LANGUAGE_STOPWORDS = {
+    en: ['the', 'and', 'of', 'to', 'you', 'your', 'we', 'our', 'is', 'are', 'with', 'for', 'this', 'that', 'will', 'may', 'or', 'by'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'nicht', 'wir', 'sie', 'ihre', 'ihrer', 'mit', 'von', 'zu', 'den', 'dem', 'werden', 'auf', 'für', 'eine', 'oder', 'uns', 'sich'],
+    fr: ['le', 'les', 'des', 'et', 'est', 'nous', 'vous', 'vos', 'votre', 'pour', 'dans', 'une', 'du', 'sur', 'qui', 'avec', 'sont', 'pas', 'au', 'aux'],
+    es: ['el', 'los', 'las', 'y', 'para', 'con', 'por', 'una', 'sus', 'usted', 'del', 'al', 'es', 'se', 'como', 'su', 'puede', 'nuestro', 'nuestros'],
+    pt: ['o', 'os', 'e', 'do', 'da', 'dos', 'das', 'para', 'com', 'não', 'uma', 'seus', 'suas', 'você', 'nós', 'no', 'na', 'pelo', 'pela', 'ao', 'nossos'],
+    it: ['il', 'gli', 'di', 'che', 'per', 'con', 'non', 'una', 'sono', 'dei', 'delle', 'della', 'del', 'nel', 'alla', 'noi', 'tuoi', 'i', 'è'],
+    nl: ['het', 'een', 'en', 'van', 'wij', 'u', 'uw', 'ons', 'onze', 'niet', 'met', 'voor', 'zijn', 'worden', 'dat', 'op', 'deze', 'kunnen']
+};
+const LANGUAGE_STOPWORD_SETS = Object.fromEntries(Object.entries(LANGUAGE_STOPWORDS).map(([language, words]) => [language, new Set(words)]));
+// ISO 639-1 code of the text's language, or null when too little of it is recognised
+function detectLanguage(text) {
+    const words = (text || '').slice(0, 20000).toLowerCase().match(/\p{L}+/gu) || [];
+    if (words.length < 20) return null;
+    let best = null;
+    for (const [language, stopwords] of Object.entries(LANGUAGE_STOPWORD_SETS)) {
+        const hits = words.filter(word => stopwords.has(word)).length;
+        if (!best || hits > best.hits) best = { language, hits };
+    }
+    return best.hits / words.length >= 0.08 ? best.language : null;
+}
+// Language a policy is matched in: detected from the text, else the declared one (base code)
+function resolvePolicyLanguage(policyText, document = null) {
+    const language = document?.detected_language || detectLanguage(policyText) || document?.language;
+    return language ? language.split('-')[0].toLowerCase() : null;
+}
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DATE_PATTERN = new RegExp([
+    '(\\d{4})-(\\d{1,2})-(\\d{1,2})',
+    `(${MONTH_NAMES.join('|')})[a-z]*\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?,?\\s+(\\d{4})`,
+    `(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_NAMES.join('|')})[a-z]*\\.?,?\\s+(\\d{4})`,
+    '(\\d{1,2})[/.](\\d{1,2})[/.](\\d{4})'
+].join('|'), 'i');
+const LAST_UPDATED_PATTERN = /(last\s+(?:updated|modified|revised|changed)|effective(?:\s+date|\s+as\s+of|\s+from)?|(?:updated|revised)(?:\s+on|\s+as\s+of)?|date\s+of\s+last\s+revision|version\s+date)\s*[:\-–]?\s*(?:on\s+)?/gi;
+function toIsoDate(year, month, day) {
+    const y = parseInt(year, 10);
+    const m = parseInt(month, 10);
+    const d = parseInt(day, 10);
+    if (!(m >= 1 && m <= 12 && d >= 1 && d <= 31 && y >= 1990 && y <= 2100)) return null;
+    return `${y}-${String(m).padStart(2, '0')}-${String(d).padStart(2, '0')}`;
+}
+// Parse a date matched by DATE_PATTERN. Numeric dates with slashes are read as
+// month/day unless the first number cannot be a month; dotted ones as day.month.
+function parseMatchedDate(match) {
+    if (match[1]) return toIsoDate(match[1], match[2], match[3]);
+    if (match[4]) return toIsoDate(match[6], MONTH_NAMES.indexOf(match[4].toLowerCase().slice(0, 3)) + 1, match[5]);
+    if (match[7]) return toIsoDate(match[9], MONTH_NAMES.indexOf(match[8].toLowerCase().slice(0, 3)) + 1, match[7]);
+    const dotted = match[0].includes('.');
+    const first = parseInt(match[10], 10);
+    return dotted || first > 12 ? toIsoDate(match[12], match[11], match[10]) : toIsoDate(match[12], match[10], match[11]);
+}
+// "Last updated" / "Effective date" statement: { text, date (YYYY-MM-DD or null), start, end }
+function detectLastUpdated(text) {
+    LAST_UPDATED_PATTERN.lastIndex = 0;
+    let label;
+    while ((label = LAST_UPDATED_PATTERN.exec(text))) {
+        const after = text.slice(label.index + label[0].length, label.index + label[0].length + 40);
+        const date = DATE_PATTERN.exec(after);
+        if (date && date.index <= 3) {
+            const start = label.index + label[0].length + date.index;
+            return { text: date[0], date: parseMatchedDate(date), start, end: start + date[0].length };
+        }
+    }
+    return null;
+}
+function parseMetaDate(value) {
+    const match = value && /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+    return match ? { text: value, date: toIsoDate(match[1], match[2], match[3]), start: null, end: null } : null;
+}
+// Parse the JSON analysis out of an AI response (raw JSON or a markdown code block)
+function parseAIResponse(response) {
     if (!response) {
-        throw new Error('Empty response from Mistral AI');
+        throw new Error('Empty response from AI provider');
     }
     try {
         return JSON.parse(response);
@@ -162,41 +1198,13 @@ function parseMistralResponse(response) {
            
             throw new Error('No valid JSON found in response');
         } catch (secondError) {
-            console.error('Failed to parse Mistral response:', response.substring(0, 500));
-            throw new Error(`Mistral AI response parsing failed: ${secondError.message}`);
+            console.error('Failed to parse AI response:', response.substring(0, 500));
+            throw new Error(`AI response parsing failed: ${secondError.message}`);
         }
     }
 }
-// ENHANCED: Analyze policy with Mistral AI - Improved Prompt with Chunking Support
-async function analyzePolicyWithMistral(policyText, policyUrl) {
-    if (!MISTRAL_API_KEY) {
-        throw new Error('Mistral API key not configured');
-    }
-    // Calculate approximate token count (rough estimate: 1 token ≈ 4 characters)
-    const estimatedTokens = Math.ceil(policyText.length / 4);
-    const maxInputTokens = 12000; // Conservative limit for Mistral free tier (leaves room for prompt + response)
-   
-    console.log(`📊 Estimated tokens: ${estimatedTokens}`);
-    // If policy is small enough, analyze in one go
-    if (estimatedTokens <= maxInputTokens) {
-        console.log('✓ Policy size within limits, analyzing in single request');
-        return await analyzeSingleChunk(policyText, policyUrl);
-    }
-    // Policy is too large, need to chunk it
-    console.log('⚠️ Policy exceeds token limit, splitting into chunks...');
-    return await analyzeInChunks(policyText, policyUrl, maxInputTokens);
-}
-// Analyze policy in a single request
-async function analyzeSingleChunk(policyText, policyUrl) {
-    const prompt = `You are an expert privacy policy analyst. Analyze this privacy policy thoroughly and provide a detailed JSON response.
-IMPORTANT SCORING GUIDELINES:
-- Be objective and fair in your assessment
-- Consider both positive and negative aspects
-- Data collection is NOT inherently bad - evaluate HOW it's handled
-- Transparency and user control are key positive indicators
-- Strong user rights significantly improve the score
-Required JSON Structure:
-{
+// Analysis JSON structure requested from every provider
+const ANALYSIS_JSON_STRUCTURE = `{
   "summary": "2-3 sentence overview highlighting key points and overall privacy posture",
   "data_collection": {
     "types": ["array of specific data types collected"],
@@ -227,7 +1235,7 @@ Required JSON Structure:
     "cookies_used": true/false,
     "tracking_technologies": ["list of technologies"],
     "opt_out_available": true/false,
-    "granular_controls": false/true,
+    "granular_controls": true/false,
     "tracking_score": 0-10
   },
   "security_measures": {
@@ -265,488 +1273,2167 @@ Required JSON Structure:
     "retention_period_specified": true/false,
     "deletion_process_clear": true/false,
     "retention_score": 0-10
-  }
+  },
+  "evidence": [
+    {"field": "user_rights.deletion", "quotes": ["sentence copied word for word from the policy"]},
+    {"field": "data_collection.types", "item": "one of the listed types", "quotes": ["sentence copied word for word from the policy"]}
+  ]
+}`;
+// Instruction shared by the full-policy and chunk prompts
+const EVIDENCE_INSTRUCTION = 'For every true/false field you set and every list item, add an "evidence" entry with up to 2 quotes copied EXACTLY from the policy text (no paraphrasing, each under 300 characters). For false fields, only add evidence when the policy explicitly denies the practice.';
+const ANALYSIS_SYSTEM_PROMPT = 'You are an expert privacy policy analyst. Provide objective, fair, and detailed analysis. Return ONLY valid JSON with no markdown formatting.';
+// Metadata of an extracted document for analysis responses
+function summarizeDocument(document) {
+    return {
+        title: document.title,
+        language: document.language,
+        detected_language: document.detected_language,
+        last_updated: document.last_updated,
+        format: document.format,
+        section_count: document.sections.length,
+        pages: document.pages?.map(({ url, title, depth, fetcher }) => ({ url, title, depth, fetcher }))
+    };
 }
+// Page metadata from the extracted document, as prompt lines
+function describeDocumentMetadata(document) {
+    if (!document) return '';
+    return [
+        document.title && `Page Title: ${document.title}`,
+        document.last_updated?.date && `Last Updated: ${document.last_updated.date}`,
+        document.language && `Declared Language: ${document.language}`,
+        document.detected_language && `Detected Language: ${document.detected_language}`,
+        document.pages?.length > 1 && `Combined from ${document.pages.length} pages: ${document.pages.map(page => page.url).join(', ')}`
+    ].filter(Boolean).map(line => `${line}\n`).join('');
+}
+// Build the full-policy analysis prompt
+function buildAnalysisPrompt(policyText, policyUrl, maxPolicyChars, document = null, outputLanguage = null) {
+    return `You are an expert privacy policy analyst. Analyze this privacy policy thoroughly and provide a detailed JSON response.
+IMPORTANT SCORING GUIDELINES:
+- Be objective and fair in your assessment
+- Consider both positive and negative aspects
+- Data collection is NOT inherently bad - evaluate HOW it's handled
+- Transparency and user control are key positive indicators
+- Strong user rights significantly improve the score
+- ${EVIDENCE_INSTRUCTION}
+${outputLanguage ? `- ${describeOutputLanguage(outputLanguage)}` : ''}Required JSON Structure:
+${ANALYSIS_JSON_STRUCTURE}
 Privacy Policy URL: ${policyUrl}
-Policy Text:
-${policyText.substring(0, 48000)}
+${describeDocumentMetadata(document)}Policy Text:
+${policyText.substring(0, maxPolicyChars)}
 Respond with ONLY valid JSON. No markdown formatting. Be thorough and fair in your evaluation.`;
-    try {
-        console.log('🤖 Sending single request to Mistral AI...');
-       
-        const response = await axios.post('https://api.mistral.ai/v1/chat/completions', {
-            model: 'mistral-medium',
-            messages: [
-                {
-                    role: 'system',
-                    content: 'You are an expert privacy policy analyst. Provide objective, fair, and detailed analysis. Return ONLY valid JSON with no markdown formatting.'
-                },
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            temperature: 0.2,
-            max_tokens: 6000
-        }, {
-            headers: {
-                'Authorization': `Bearer ${MISTRAL_API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            timeout: 90000
-        });
-        const aiResponse = response.data.choices[0].message.content;
-        const parsed = parseMistralResponse(aiResponse);
-       
-        console.log('✓ Mistral analysis complete');
-        return parsed;
-    } catch (error) {
-        console.error('✗ Mistral AI error:', error.response?.data || error.message);
-        throw new Error(`Mistral AI API failed: ${error.message}`);
-    }
 }
-// Analyze policy in chunks and merge results
-async function analyzeInChunks(policyText, policyUrl, maxInputTokens) {
-    // Split text into chunks (conservative character limit based on token estimate)
-    const maxCharsPerChunk = maxInputTokens * 3.5; // ~3.5 chars per token
-    const chunks = [];
-   
-    let currentPos = 0;
-    while (currentPos < policyText.length) {
-        let endPos = Math.min(currentPos + maxCharsPerChunk, policyText.length);
-       
-        // Try to break at a sentence or paragraph boundary
-        if (endPos < policyText.length) {
-            const lastPeriod = policyText.lastIndexOf('.', endPos);
-            const lastNewline = policyText.lastIndexOf('\n', endPos);
-            const breakPoint = Math.max(lastPeriod, lastNewline);
-           
-            if (breakPoint > currentPos + (maxCharsPerChunk * 0.7)) {
-                endPos = breakPoint + 1;
+// Field types of the analysis object spelled out in ANALYSIS_JSON_STRUCTURE.
+// 'score' is a number from 0 to 10.
+const ANALYSIS_FIELDS = {
+    summary: 'string',
+    data_collection: { types: 'string[]', purposes: 'string[]', transparency_score: 'score', justification: 'string' },
+    user_rights: { access: 'boolean', deletion: 'boolean', correction: 'boolean', portability: 'boolean', opt_out: 'boolean', opt_out_methods: 'string[]', rights_score: 'score', details: 'string' },
+    data_sharing: { third_parties: 'boolean', third_party_purposes: 'string[]', international_transfers: 'boolean', transfer_safeguards: 'string[]', law_enforcement: 'boolean', user_control: 'boolean', sharing_score: 'score' },
+    cookies_tracking: { cookies_used: 'boolean', tracking_technologies: 'string[]', opt_out_available: 'boolean', granular_controls: 'boolean', tracking_score: 'score' },
+    security_measures: { measures: 'string[]', encryption_mentioned: 'boolean', access_controls: 'boolean', incident_response: 'boolean', security_score: 'score' },
+    policy_updates: { notification_method: 'string', frequency_mentioned: 'boolean', user_consent_required: 'boolean' },
+    compliance: { gdpr_mentioned: 'boolean', ccpa_mentioned: 'boolean', coppa_mentioned: 'boolean', other_regulations: 'string[]', compliance_score: 'score' },
+    contact_info: { provided: 'boolean', methods: 'string[]', dpo_mentioned: 'boolean' },
+    transparency: { clear_language: 'boolean', easy_to_find: 'boolean', well_organized: 'boolean', specific_examples: 'boolean', transparency_score: 'score' },
+    data_retention: { retention_period_specified: 'boolean', deletion_process_clear: 'boolean', retention_score: 'score' }
+};
+const FIELD_JSON_SCHEMAS = {
+    string: { type: 'string' },
+    boolean: { type: 'boolean' },
+    score: { type: 'number', minimum: 0, maximum: 10 },
+    'string[]': { type: 'array', items: { type: 'string' } }
+};
+// JSON Schema for the analysis object, served at GET /api/schema
+const ANALYSIS_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: '/api/schema',
+    title: 'PolAI privacy policy analysis',
+    type: 'object',
+    required: Object.keys(ANALYSIS_FIELDS),
+    properties: {
+        ...Object.fromEntries(Object.entries(ANALYSIS_FIELDS).map(([key, fields]) => [key,
+            typeof fields === 'string' ? FIELD_JSON_SCHEMAS[fields] : {
+                type: 'object',
+                required: Object.keys(fields),
+                properties: Object.fromEntries(Object.entries(fields).map(([field, type]) => [field, FIELD_JSON_SCHEMAS[type]]))
+            }
+        ])),
+        analysis_method: { type: 'string', description: 'Provider method or enhanced_rule_based' },
+        ai_provider: { type: 'string' },
+        ai_model: { type: 'string' },
+        ai_error: { type: 'string', description: 'Why AI analysis fell back to the rule-based analyzer' },
+        ai_attempts: { type: 'array', description: 'Providers tried by the failover chain' },
+        evidence: {
+            type: 'array',
+            description: 'Policy excerpts supporting each true/false finding and list item',
+            items: {
+                type: 'object',
+                required: ['field', 'excerpts', 'verified', 'source'],
+                properties: {
+                    field: { type: 'string', description: 'Field path, e.g. user_rights.deletion' },
+                    value: { type: 'boolean' },
+                    item: { type: 'string', description: 'List item, for list fields' },
+                    excerpts: {
+                        type: 'array',
+                        items: {
+                            type: 'object',
+                            properties: {
+                                quote: { type: 'string' },
+                                start: { type: ['integer', 'null'], description: 'Character offset into the analyzed text; null when the quote was not found' },
+                                end: { type: ['integer', 'null'] },
+                                page_url: { type: 'string', description: 'Page the excerpt came from, for crawled multi-page documents' }
+                            }
+                        }
+                    },
+                    verified: { type: 'boolean', description: 'At least one excerpt was found in the analyzed text' },
+                    source: { enum: ['ai', 'rule_based'] }
+                }
+            }
+        },
+        schema_validation: {
+            type: 'object',
+            description: 'How the AI output was brought into line with this schema',
+            properties: {
+                valid: { type: 'boolean', description: 'The AI output matched the schema without changes' },
+                repaired: { type: 'boolean', description: 'A repair round-trip to the model was needed' },
+                coerced: { type: 'array', items: { type: 'string' }, description: 'Fields converted to the expected type' },
+                filled_from_rule_based: { type: 'array', items: { type: 'string' }, description: 'Fields missing from the AI output, taken from the rule-based analyzer' }
             }
         }
-       
-        chunks.push(policyText.substring(currentPos, endPos));
-        currentPos = endPos;
     }
-   
-    console.log(`📦 Split into ${chunks.length} chunks`);
-   
-    // Analyze each chunk
-    const chunkAnalyses = [];
-    for (let i = 0; i < chunks.length; i++) {
-        console.log(`🔍 Analyzing chunk ${i + 1}/${chunks.length}...`);
-       
-        try {
-            const analysis = await analyzeChunk(chunks[i], policyUrl, i + 1, chunks.length);
-            chunkAnalyses.push(analysis);
-           
-            // Rate limiting: wait between requests
-            if (i < chunks.length - 1) {
-                console.log('⏳ Waiting 2s before next chunk...');
-                await new Promise(resolve => setTimeout(resolve, 2000));
+};
+const TRUE_STRINGS = ['true', 'yes', 'y', '1', 'mentioned', 'present'];
+const FALSE_STRINGS = ['false', 'no', 'n', '0', 'none', 'not mentioned', 'not specified', 'unknown', 'n/a'];
+function clampScore(score) {
+    return Math.round(Math.min(10, Math.max(0, score)) * 10) / 10;
+}
+// Coerce a value to a field type; returns undefined when it cannot be recovered
+function coerceField(value, type) {
+    switch (type) {
+        case 'score': {
+            if (typeof value === 'number') return isFinite(value) ? clampScore(value) : undefined;
+            if (typeof value !== 'string') return undefined;
+            const fraction = value.match(/(-?\d+(?:\.\d+)?)\s*(?:\/|out of)\s*(\d+(?:\.\d+)?)/i);
+            if (fraction && parseFloat(fraction[2]) > 0) return clampScore(parseFloat(fraction[1]) / parseFloat(fraction[2]) * 10);
+            const percent = value.match(/(-?\d+(?:\.\d+)?)\s*%/);
+            if (percent) return clampScore(parseFloat(percent[1]) / 10);
+            const number = value.match(/-?\d+(?:\.\d+)?/);
+            return number ? clampScore(parseFloat(number[0])) : undefined;
+        }
+        case 'boolean': {
+            if (typeof value === 'boolean') return value;
+            if (value === 1 || value === 0) return value === 1;
+            if (typeof value !== 'string') return undefined;
+            const normalized = value.trim().toLowerCase().replace(/[.!]$/, '');
+            if (TRUE_STRINGS.includes(normalized)) return true;
+            if (FALSE_STRINGS.includes(normalized)) return false;
+            return undefined;
+        }
+        case 'string[]': {
+            if (typeof value === 'string') {
+                return value.split(/[,;\n]/).map(item => item.trim()).filter(Boolean);
             }
-        } catch (error) {
-            console.error(`✗ Chunk ${i + 1} failed:`, error.message);
-            // Continue with other chunks even if one fails
-            chunkAnalyses.push(null);
+            if (!Array.isArray(value)) return undefined;
+            return value
+                .map(item => {
+                    if (typeof item === 'string') return item.trim();
+                    if (typeof item === 'number' || typeof item === 'boolean') return String(item);
+                    if (item && typeof item === 'object') return Object.values(item).find(v => typeof v === 'string') || '';
+                    return '';
+                })
+                .filter(Boolean);
         }
+        case 'string': {
+            if (typeof value === 'string') return value;
+            if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+            if (Array.isArray(value) && value.every(item => typeof item === 'string')) return value.join(', ');
+            return undefined;
+        }
+        default:
+            return undefined;
     }
-   
-    // Merge chunk analyses
-    console.log('🔄 Merging chunk analyses...');
-    return mergeChunkAnalyses(chunkAnalyses, policyUrl);
 }
-// Analyze a single chunk
-async function analyzeChunk(chunkText, policyUrl, chunkNum, totalChunks) {
-    const prompt = `You are analyzing part ${chunkNum} of ${totalChunks} of a privacy policy. Extract ALL relevant information from this section.
-Focus on finding:
-- Data types collected
-- Purposes for collection
-- User rights mentioned
-- Third-party sharing details
-- Security measures
-- Tracking technologies
-- Compliance regulations
-- Contact information
-- Any other privacy-relevant details
-Return a JSON object with any fields you can determine from this section. Use the same structure as a full analysis, but only include fields where you found information. Mark boolean fields as true if mentioned, false if explicitly denied, or omit if not mentioned.
-Policy Section (Part ${chunkNum}/${totalChunks}):
-${chunkText.substring(0, 14000)}
-Respond with ONLY valid JSON. Include only fields where you found relevant information.`;
+function isFieldValid(value, type) {
+    switch (type) {
+        case 'score': return typeof value === 'number' && isFinite(value) && value >= 0 && value <= 10;
+        case 'boolean': return typeof value === 'boolean';
+        case 'string[]': return Array.isArray(value) && value.every(item => typeof item === 'string');
+        default: return typeof value === 'string';
+    }
+}
+// Check a parsed AI response against ANALYSIS_FIELDS, coercing recoverable values.
+// Values that cannot be recovered are dropped. Returns the cleaned analysis with
+// the coerced, invalid and missing field paths. `partial` (chunk responses) allows
+// fields to be omitted.
+function validateAnalysis(raw, { partial = false } = {}) {
+    const result = { analysis: {}, coerced: [], invalid: [], missing: [] };
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        result.invalid.push({ path: '(root)', expected: 'object', value: raw });
+        return result;
+    }
+    const analysis = { ...raw };
+    const checkField = (container, key, type, path) => {
+        const value = container[key];
+        if (value === undefined || value === null) {
+            delete container[key];
+            if (!partial) result.missing.push(path);
+            return;
+        }
+        if (isFieldValid(value, type)) return;
+        const coerced = coerceField(value, type);
+        if (coerced === undefined) {
+            delete container[key];
+            result.invalid.push({ path, expected: type, value });
+        } else {
+            container[key] = coerced;
+            result.coerced.push(path);
+        }
+    };
+    for (const [key, fields] of Object.entries(ANALYSIS_FIELDS)) {
+        if (typeof fields === 'string') {
+            checkField(analysis, key, fields, key);
+            continue;
+        }
+        const section = analysis[key];
+        if (section === undefined || section === null) {
+            delete analysis[key];
+            if (!partial) result.missing.push(key);
+            continue;
+        }
+        if (typeof section !== 'object' || Array.isArray(section)) {
+            delete analysis[key];
+            result.invalid.push({ path: key, expected: 'object', value: section });
+            continue;
+        }
+        analysis[key] = { ...section };
+        for (const [field, type] of Object.entries(fields)) {
+            checkField(analysis[key], field, type, `${key}.${field}`);
+        }
+    }
+    result.analysis = analysis;
+    return result;
+}
+// Describe validation problems for the repair prompt
+function describeValidationProblems({ invalid, missing }) {
+    return [
+        ...invalid.map(({ path, expected, value }) => `- ${path}: expected ${expected === 'score' ? 'a number from 0 to 10' : expected}, got ${JSON.stringify(value)?.substring(0, 100)}`),
+        ...missing.map(path => `- ${path}: missing`)
+    ].join('\n');
+}
+// Ask the provider for a completion and return a schema-checked analysis. Unparseable
+// output, values that cannot be coerced, or a response missing most sections gets
+// one repair round-trip to the model.
+async function requestAnalysisJSON(ai, request, { partial = false } = {}) {
+    const response = await callAIProvider(ai, request);
+    let parsed;
+    let problems;
     try {
-        const response = await axios.post('https://api.mistral.ai/v1/chat/completions', {
-            model: 'mistral-medium',
-            messages: [
-                {
-                    role: 'system',
-                    content: 'Extract privacy policy information from the provided text section. Return ONLY valid JSON.'
-                },
-                {
-                    role: 'user',
-                    content: prompt
+        parsed = parseAIResponse(response.content);
+    } catch (error) {
+        problems = `- response is not valid JSON (${error.message})`;
+    }
+    let validation = parsed !== undefined ? validateAnalysis(parsed, { partial }) : null;
+    if (validation) {
+        const sectionCount = Object.keys(ANALYSIS_FIELDS).length;
+        const missingSections = validation.missing.filter(path => !path.includes('.')).length;
+        if (validation.invalid.length > 0 || missingSections > sectionCount / 2) {
+            problems = describeValidationProblems(validation);
+        }
+    }
+    if (!problems) {
+        return { ...validation, repaired: false };
+    }
+    console.warn(`🔧 ${ai.provider.label} output failed schema validation, requesting repair...`);
+    const repairResponse = await callAIProvider(ai, {
+        ...request,
+        purpose: 'repair',
+        system: 'You fix JSON so that it matches a required structure. Return ONLY valid JSON with no markdown formatting.',
+        prompt: `The JSON below does not match the required privacy policy analysis structure.
+Problems:
+${problems}
+Required JSON Structure:
+${ANALYSIS_JSON_STRUCTURE}
+${partial ? 'Only include fields for which the original response had information.\n' : ''}Previous response:
+${String(response.content || '').substring(0, 20000)}
+Return ONLY the corrected JSON object. Keep every finding from the previous response; only fix the structure and value types.`,
+        temperature: 0
+    });
+    try {
+        const repaired = validateAnalysis(parseAIResponse(repairResponse.content), { partial });
+        if (repaired.invalid.some(problem => problem.path === '(root)')) throw new Error('repair did not return an object');
+        return { ...repaired, repaired: true };
+    } catch (error) {
+        if (!validation || validation.invalid.some(problem => problem.path === '(root)')) {
+            throw new Error(`AI response failed schema validation after repair: ${error.message}`);
+        }
+        console.warn(`⚠️ Repair failed (${error.message}), keeping the valid parts of the original response`);
+        return { ...validation, repaired: false };
+    }
+}
+// Make an AI analysis conform to the schema: fields still missing or invalid are
+// taken from the rule-based analyzer and listed in analysis.schema_validation.
+// The model's quotes are verified against the policy text at the same time.
+function enforceAnalysisSchema(analysis, policyText, policyUrl, { coerced = [], repaired = false, document = null } = {}) {
+    const validation = validateAnalysis(analysis);
+    const gaps = [...validation.missing, ...validation.invalid.map(problem => problem.path)];
+    const result = validation.analysis;
+    result.evidence = buildAnalysisEvidence(result, policyText);
+    if (gaps.length > 0) {
+        const fallback = performRuleBasedAnalysis(policyText, policyUrl, document);
+        result.evidence.push(...fallback.evidence.filter(entry => gaps.some(path => entry.field === path || entry.field.startsWith(`${path}.`))));
+        for (const path of gaps) {
+            const [section, field] = path.split('.');
+            if (!field) {
+                result[section] = fallback[section];
+            } else {
+                result[section] = result[section] || {};
+                result[section][field] = fallback[section][field];
+            }
+        }
+    }
+    annotateEvidencePages(result.evidence, document);
+    const allCoerced = [...coerced, ...validation.coerced];
+    result.schema_validation = {
+        valid: allCoerced.length === 0 && gaps.length === 0 && !repaired,
+        repaired,
+        coerced: allCoerced,
+        filled_from_rule_based: gaps
+    };
+    return result;
+}
+// Evidence citations. Each finding (a boolean field or a list item) carries the policy
+// excerpts it rests on, with character offsets into the analyzed text:
+//   { field, value | item, excerpts: [{ quote, start, end }], verified, source }
+// A finding is verified when at least one excerpt was located in the text; a rule-based
+// one needs an excerpt for every keyword group, and negated mentions do not count.
+const MAX_EXCERPTS_PER_FINDING = 3;
+const EXCERPT_CONTEXT_CHARS = 200;
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+// Widen a match to its sentence (bounded by EXCERPT_CONTEXT_CHARS on each side)
+function expandToSentence(text, start, end) {
+    let from = start;
+    const minFrom = Math.max(0, start - EXCERPT_CONTEXT_CHARS);
+    while (from > minFrom && !/[.!?\n]/.test(text[from - 1])) from--;
+    let to = end;
+    const maxTo = Math.min(text.length, end + EXCERPT_CONTEXT_CHARS);
+    while (to < maxTo && !/[.!?\n]/.test(text[to])) to++;
+    if (to < text.length && /[.!?]/.test(text[to])) to++;
+    while (from < start && /\s/.test(text[from])) from++;
+    while (to > end && /\s/.test(text[to - 1])) to--;
+    return { quote: text.slice(from, to), start: from, end: to };
+}
+// Lowercase, collapse whitespace and unify quote/dash styles, keeping a map from each
+// normalized character back to its offset in the original text
+function normalizeForSearch(text) {
+    const chars = [];
+    const offsets = [];
+    let lastWasSpace = true;
+    for (let i = 0; i < text.length; i++) {
+        let ch = text[i];
+        if (/\s/.test(ch)) {
+            if (lastWasSpace) continue;
+            lastWasSpace = true;
+            chars.push(' ');
+            offsets.push(i);
+            continue;
+        }
+        lastWasSpace = false;
+        if ('“”„«»'.includes(ch)) ch = '"';
+        else if ('‘’‚'.includes(ch)) ch = '\'';
+        else if ('–—'.includes(ch)) ch = '-';
+        for (const lower of ch.toLowerCase()) {
+            chars.push(lower);
+            offsets.push(i);
+        }
+    }
+    return { text: chars.join(''), offsets };
+}
+// Returns a function locating a quoted excerpt in the policy text: exact match first,
+// then ignoring case, whitespace and quote styles. Quotes with an ellipsis fall back to
+// their longest fragment.
+function createQuoteLocator(policyText) {
+    let normalized = null;
+    const locate = fragment => {
+        const exact = policyText.indexOf(fragment);
+        if (exact !== -1) return { start: exact, end: exact + fragment.length };
+        if (!normalized) normalized = normalizeForSearch(policyText);
+        const needle = normalizeForSearch(fragment).text.trim();
+        if (needle.length < 8) return null;
+        const index = normalized.text.indexOf(needle);
+        if (index === -1) return null;
+        return { start: normalized.offsets[index], end: normalized.offsets[index + needle.length - 1] + 1 };
+    };
+    return quote => {
+        if (typeof quote !== 'string') return null;
+        const trimmed = quote.trim().replace(/^["'“”‘’]+|["'“”‘’]+$/g, '').trim();
+        if (!trimmed) return null;
+        const found = locate(trimmed);
+        if (found || !/\.\.\.|…/.test(trimmed)) return found;
+        const longest = trimmed.split(/\s*(?:\.\.\.|…)\s*/).sort((a, b) => b.length - a.length)[0];
+        return longest ? locate(longest) : null;
+    };
+}
+// Turn the model's evidence entries into findings with verified offsets. Every true
+// flag and every list item gets a finding; false flags only when the model quoted an
+// explicit denial.
+function buildAnalysisEvidence(analysis, policyText) {
+    const locate = createQuoteLocator(policyText);
+    const cited = Array.isArray(analysis.evidence) ? analysis.evidence.filter(entry => entry && typeof entry === 'object') : [];
+    const quotesFor = (field, item) => cited
+        .filter(entry => entry.field === field && (item === undefined
+            ? !entry.item
+            : typeof entry.item === 'string' && entry.item.trim().toLowerCase() === item.trim().toLowerCase()))
+        .flatMap(entry => Array.isArray(entry.quotes) ? entry.quotes : [entry.quote])
+        .filter(quote => typeof quote === 'string' && quote.trim());
+    const finding = (base, quotes) => {
+        const excerpts = [...new Set(quotes)].slice(0, MAX_EXCERPTS_PER_FINDING).map(quote => {
+            const location = locate(quote);
+            return location
+                ? { quote: policyText.slice(location.start, location.end), start: location.start, end: location.end }
+                : { quote: quote.trim(), start: null, end: null };
+        });
+        return { ...base, excerpts, verified: excerpts.some(excerpt => excerpt.start !== null), source: 'ai' };
+    };
+    const evidence = [];
+    for (const [section, fields] of Object.entries(ANALYSIS_FIELDS)) {
+        if (typeof fields === 'string' || !analysis[section]) continue;
+        for (const [field, type] of Object.entries(fields)) {
+            const path = `${section}.${field}`;
+            const value = analysis[section][field];
+            if (type === 'boolean') {
+                const quotes = quotesFor(path);
+                if (value === true || (value === false && quotes.length > 0)) {
+                    evidence.push(finding({ field: path, value }, quotes));
+                }
+            } else if (type === 'string[]' && Array.isArray(value)) {
+                for (const item of value) {
+                    evidence.push(finding({ field: path, item }, quotesFor(path, item)));
                 }
+            }
+        }
+    }
+    return evidence;
+}
+// AI provider registry. Every provider implements
+//   complete({ system, prompt, model, maxTokens, temperature, signal }) -> { content, usage, model }
+// and abandons the request when signal aborts.
+// maxInputTokens decides when a policy is split into chunks, maxPolicyChars caps
+// the policy text sent in one prompt.
+const aiProviders = {};
+function registerAIProvider(name, provider) {
+    aiProviders[name] = { name, ...provider };
+}
+// Provider for any OpenAI-compatible chat completions API (Mistral, Ollama, llama.cpp, vLLM...)
+function createOpenAICompatibleProvider({ label, method, baseUrl, apiKey, requiresApiKey, defaultModel, maxInputTokens, maxPolicyChars, maxOutputTokens, timeout }) {
+    return {
+        label,
+        method,
+        defaultModel,
+        maxInputTokens,
+        maxPolicyChars,
+        maxOutputTokens,
+        isConfigured: () => !!baseUrl && (!requiresApiKey || !!apiKey),
+        async complete({ system, prompt, model, maxTokens, temperature, signal }) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+            const response = await axios.post(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+                model,
+                messages: [
+                    { role: 'system', content: system },
+                    { role: 'user', content: prompt }
+                ],
+                temperature,
+                max_tokens: maxTokens
+            }, { headers, timeout, signal });
+
+            return {
+                content: response.data.choices[0].message.content,
+                usage: response.data.usage || null,
+                model: response.data.model || model
+            };
+        }
+    };
+}
+registerAIProvider('mistral', createOpenAICompatibleProvider({
+    label: 'Mistral AI',
+    method: 'mistral_ai',
+    baseUrl: process.env.MISTRAL_BASE_URL || 'https://api.mistral.ai/v1',
+    apiKey: MISTRAL_API_KEY,
+    requiresApiKey: true,
+    defaultModel: process.env.MISTRAL_MODEL || 'mistral-medium',
+    maxInputTokens: 12000, // Conservative limit for Mistral free tier (leaves room for prompt + response)
+    maxPolicyChars: 48000,
+    maxOutputTokens: 6000,
+    timeout: 90000
+}));
+registerAIProvider('openai', {
+    label: 'OpenAI',
+    method: 'openai',
+    defaultModel: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    maxInputTokens: Infinity, // Never chunked - the prompt is truncated to maxPolicyChars
+    maxPolicyChars: 20000,
+    maxOutputTokens: 4000,
+    isConfigured: () => !!openai,
+    async complete({ system, prompt, model, maxTokens, temperature, signal }) {
+        const completion = await openai.chat.completions.create({
+            model,
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: prompt }
             ],
-            temperature: 0.2,
-            max_tokens: 4000
+            max_tokens: maxTokens,
+            temperature,
+            response_format: { type: "json_object" }
+        }, { signal });
+        return {
+            content: completion.choices[0].message.content,
+            usage: completion.usage || null,
+            model: completion.model || model
+        };
+    }
+});
+registerAIProvider('anthropic', {
+    label: 'Anthropic',
+    method: 'anthropic',
+    defaultModel: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+    maxInputTokens: 40000,
+    maxPolicyChars: 160000,
+    maxOutputTokens: 6000,
+    isConfigured: () => !!ANTHROPIC_API_KEY,
+    async complete({ system, prompt, model, maxTokens, temperature, signal }) {
+        const response = await axios.post('https://api.anthropic.com/v1/messages', {
+            model,
+            system,
+            messages: [{ role: 'user', content: prompt }],
+            max_tokens: maxTokens,
+            temperature
         }, {
             headers: {
-                'Authorization': `Bearer ${MISTRAL_API_KEY}`,
+                'x-api-key': ANTHROPIC_API_KEY,
+                'anthropic-version': '2023-06-01',
                 'Content-Type': 'application/json'
             },
-            timeout: 90000
+            timeout: 120000,
+            signal
         });
-        const aiResponse = response.data.choices[0].message.content;
-        return parseMistralResponse(aiResponse);
-    } catch (error) {
-        console.error(`✗ Chunk ${chunkNum} analysis error:`, error.response?.data || error.message);
+        const usage = response.data.usage;
+        return {
+            content: response.data.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+            usage: usage ? {
+                prompt_tokens: usage.input_tokens,
+                completion_tokens: usage.output_tokens,
+                total_tokens: usage.input_tokens + usage.output_tokens
+            } : null,
+            model: response.data.model || model
+        };
+    }
+});
+// Local Ollama server (OpenAI-compatible endpoint), useful in dev and tests
+registerAIProvider('ollama', createOpenAICompatibleProvider({
+    label: 'Ollama',
+    method: 'ollama',
+    baseUrl: process.env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+    requiresApiKey: false,
+    defaultModel: process.env.OLLAMA_MODEL || 'llama3.1',
+    maxInputTokens: 6000,
+    maxPolicyChars: 24000,
+    maxOutputTokens: 4000,
+    timeout: 300000
+}));
+// Any other OpenAI-compatible server (llama.cpp, vLLM, LM Studio, hosted gateways...)
+registerAIProvider('openai_compatible', createOpenAICompatibleProvider({
+    label: 'OpenAI-compatible',
+    method: 'openai_compatible',
+    baseUrl: process.env.OPENAI_COMPATIBLE_BASE_URL,
+    apiKey: process.env.OPENAI_COMPATIBLE_API_KEY,
+    requiresApiKey: false,
+    defaultModel: process.env.OPENAI_COMPATIBLE_MODEL,
+    maxInputTokens: parseInt(process.env.OPENAI_COMPATIBLE_MAX_INPUT_TOKENS, 10) || 6000,
+    maxPolicyChars: 24000,
+    maxOutputTokens: 4000,
+    timeout: 300000
+}));
+// Resolve the provider and model for a call: per-request override or the AI_PROVIDER default.
+// output_language (a language code such as de or pt-BR) sets the language of the summary.
+function resolveAIProvider({ provider, model, output_language: outputLanguage } = {}, apiKey = null) {
+    const name = provider || AI_PROVIDER;
+    const selected = aiProviders[name];
+    if (!selected) {
+        const error = new Error(`Unknown AI provider: ${name}. Available: ${Object.keys(aiProviders).join(', ')}`);
+        error.status = 400;
+        throw error;
+    }
+    if (model !== undefined && (typeof model !== 'string' || !model.trim())) {
+        const error = new Error('model must be a non-empty string');
+        error.status = 400;
         throw error;
     }
+    return { provider: selected, model: model || selected.defaultModel, outputLanguage: resolveOutputLanguage(outputLanguage), apiKey, calls: [] };
 }
-// Merge multiple chunk analyses into a single comprehensive analysis
-function mergeChunkAnalyses(chunkAnalyses, policyUrl) {
-    console.log('🔧 Merging analyses from chunks...');
-   
-    // Filter out failed chunks
-    const validAnalyses = chunkAnalyses.filter(a => a !== null);
-   
-    if (validAnalyses.length === 0) {
-        throw new Error('All chunk analyses failed');
+const LANGUAGE_NAMES = new Intl.DisplayNames(['en'], { type: 'language', fallback: 'code' });
+function resolveOutputLanguage(value) {
+    if (value === undefined || value === null || value === '') return null;
+    try {
+        const [language] = Intl.getCanonicalLocales(String(value).replace('_', '-'));
+        const base = language.split('-')[0];
+        if (LANGUAGE_NAMES.of(base) !== base) return language;
+    } catch (error) {
+        // Malformed tag, reported below
     }
-   
-    // Initialize merged result
-    const merged = {
-        summary: '',
-        data_collection: {
-            types: [],
-            purposes: [],
-            transparency_score: 0,
-            justification: ''
-        },
-        user_rights: {
-            access: false,
-            deletion: false,
-            correction: false,
-            portability: false,
-            opt_out: false,
-            opt_out_methods: [],
-            rights_score: 0,
-            details: ''
-        },
-        data_sharing: {
-            third_parties: false,
-            third_party_purposes: [],
-            international_transfers: false,
-            transfer_safeguards: [],
-            law_enforcement: false,
-            user_control: false,
-            sharing_score: 0
-        },
-        cookies_tracking: {
-            cookies_used: false,
-            tracking_technologies: [],
-            opt_out_available: false,
-            granular_controls: false,
-            tracking_score: 0
-        },
-        security_measures: {
-            measures: [],
-            encryption_mentioned: false,
-            access_controls: false,
-            incident_response: false,
-            security_score: 0
-        },
-        policy_updates: {
-            notification_method: 'Not specified',
-            frequency_mentioned: false,
-            user_consent_required: false
-        },
-        compliance: {
-            gdpr_mentioned: false,
-            ccpa_mentioned: false,
-            coppa_mentioned: false,
-            other_regulations: [],
-            compliance_score: 0
-        },
-        contact_info: {
-            provided: false,
-            methods: [],
-            dpo_mentioned: false
-        },
-        transparency: {
-            clear_language: false,
-            easy_to_find: false,
-            well_organized: false,
-            specific_examples: false,
-            transparency_score: 0
-        },
-        data_retention: {
-            retention_period_specified: false,
-            deletion_process_clear: false,
-            retention_score: 0
-        }
+    const error = new Error(`Invalid output_language: ${value}. Use a language code such as en, de or pt-BR`);
+    error.status = 400;
+    throw error;
+}
+// Prompt line asking for free-text fields in the requested language; quotes stay verbatim
+function describeOutputLanguage(outputLanguage) {
+    if (!outputLanguage) return '';
+    return `Write "summary" and all other free-text explanations in ${LANGUAGE_NAMES.of(outputLanguage)}. Keep list items in English and evidence quotes in the policy's original language.\n`;
+}
+// Estimated prices in USD per million tokens, matched by the longest model-name prefix.
+// AI_PRICING (JSON, same shape) overrides or extends the table; local models cost nothing.
+const DEFAULT_MODEL_PRICING = {
+    'mistral-small': { input: 0.1, output: 0.3 },
+    'mistral-medium': { input: 0.4, output: 2 },
+    'mistral-large': { input: 2, output: 6 },
+    'open-mistral-nemo': { input: 0.15, output: 0.15 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-3-haiku': { input: 0.25, output: 1.25 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-sonnet-4': { input: 3, output: 15 }
+};
+const MODEL_PRICING = { ...DEFAULT_MODEL_PRICING, ...parseJsonSetting('AI_PRICING', {}) };
+const FREE_PROVIDERS = ['ollama'];
+function parseJsonSetting(name, fallback) {
+    if (!process.env[name]) return fallback;
+    try {
+        return JSON.parse(process.env[name]);
+    } catch (error) {
+        console.warn(`⚠️ Ignoring ${name}: ${error.message}`);
+        return fallback;
+    }
+}
+function getModelPricing(providerName, model) {
+    if (FREE_PROVIDERS.includes(providerName)) return { input: 0, output: 0 };
+    const name = String(model || '').toLowerCase();
+    const match = Object.keys(MODEL_PRICING)
+        .filter(prefix => name.startsWith(prefix.toLowerCase()))
+        .sort((a, b) => b.length - a.length)[0];
+    return match ? MODEL_PRICING[match] : null;
+}
+// Record one provider call on ai.calls: token counts from the provider's usage report
+// (estimated from text length when it has none), latency and estimated cost
+function trackProviderCall(ai, request, { response = null, error = null, started, retries }) {
+    if (!ai.calls) return;
+    const reported = response?.usage;
+    const estimated = !reported && !!response;
+    const promptTokens = reported ? reported.prompt_tokens || 0 : (response ? Math.ceil(((request.system || '').length + request.prompt.length) / 4) : 0);
+    const completionTokens = reported ? reported.completion_tokens || 0 : (response ? Math.ceil(String(response.content || '').length / 4) : 0);
+    const model = response?.model || request.model;
+    const pricing = getModelPricing(ai.provider.name, model);
+    ai.calls.push({
+        provider: ai.provider.name,
+        model,
+        purpose: request.purpose || 'analysis',
+        status: error ? 'failed' : 'success',
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+        tokens_estimated: estimated,
+        latency_ms: Date.now() - started,
+        retries,
+        cost_usd: pricing ? roundCost((promptTokens * pricing.input + completionTokens * pricing.output) / 1e6) : null,
+        error: error ? error.message : undefined
+    });
+}
+function roundCost(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+// The `usage` block of an analysis response: totals over the provider calls it made
+function summarizeUsage(calls = []) {
+    const sum = field => calls.reduce((total, call) => total + call[field], 0);
+    return {
+        llm_calls: calls.length,
+        prompt_tokens: sum('prompt_tokens'),
+        completion_tokens: sum('completion_tokens'),
+        total_tokens: sum('total_tokens'),
+        estimated_cost_usd: roundCost(calls.reduce((total, call) => total + (call.cost_usd || 0), 0)),
+        cost_complete: calls.every(call => call.cost_usd !== null),
+        tokens_estimated: calls.some(call => call.tokens_estimated),
+        latency_ms: sum('latency_ms'),
+        calls
     };
-   
-    // Merge each chunk's findings
-    validAnalyses.forEach((analysis, idx) => {
-        // Merge arrays (deduplicate)
-        if (analysis.data_collection?.types) {
-            merged.data_collection.types = [...new Set([...merged.data_collection.types, ...analysis.data_collection.types])];
-        }
-        if (analysis.data_collection?.purposes) {
-            merged.data_collection.purposes = [...new Set([...merged.data_collection.purposes, ...analysis.data_collection.purposes])];
-        }
-        if (analysis.data_sharing?.third_party_purposes) {
-            merged.data_sharing.third_party_purposes = [...new Set([...merged.data_sharing.third_party_purposes, ...analysis.data_sharing.third_party_purposes])];
+}
+// Provider failover chain: providers tried in order until one succeeds. "rule_based"
+// ends the chain with the local analyzer; leave it out to fail instead of degrading.
+const AI_PROVIDER_CHAIN = (process.env.AI_PROVIDER_CHAIN || `${AI_PROVIDER},rule_based`)
+    .split(',').map(name => name.trim()).filter(Boolean);
+// Transient provider errors (429/5xx, timeouts) are retried with exponential backoff
+const AI_MAX_RETRIES = parseInt(process.env.AI_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.AI_MAX_RETRIES, 10) : 2;
+const AI_RETRY_BASE_DELAY_MS = parseInt(process.env.AI_RETRY_BASE_DELAY_MS, 10) || 1000;
+const AI_RETRY_MAX_DELAY_MS = parseInt(process.env.AI_RETRY_MAX_DELAY_MS, 10) || 30000;
+// Circuit breaker: after this many consecutive failures a provider is skipped for the cooldown
+const CIRCUIT_BREAKER_THRESHOLD = parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD, 10) || 3;
+const CIRCUIT_BREAKER_COOLDOWN_SECONDS = parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_SECONDS, 10) || 300;
+const TRANSIENT_HTTP_STATUSES = [408, 409, 425, 429, 500, 502, 503, 504];
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'EAI_AGAIN', 'EPIPE'];
+const providerCircuits = {};
+// HTTP status of a failed provider call (axios errors and OpenAI SDK errors differ)
+function getProviderErrorStatus(error) {
+    return error.providerStatus || error.response?.status || (typeof error.status === 'number' ? error.status : undefined);
+}
+function isTransientProviderError(error) {
+    const status = getProviderErrorStatus(error);
+    if (status) return TRANSIENT_HTTP_STATUSES.includes(status);
+    return TRANSIENT_NETWORK_CODES.includes(error.code) || /timeout/i.test(error.message || '');
+}
+// Retry-After in milliseconds, given either as seconds or as an HTTP date
+function getRetryAfterMs(error) {
+    const headers = error.response?.headers || error.headers || {};
+    const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+// An analysis whose client went away (ai.signal aborted) stops at the next provider call or chunk
+function assertNotAborted(signal) {
+    if (!signal?.aborted) return;
+    const error = new Error('Analysis cancelled: the client disconnected');
+    error.status = 499;
+    error.code = 'ERR_ANALYSIS_ABORTED';
+    throw error;
+}
+// Call provider.complete, retrying transient failures. ai.stats (if present) counts retries.
+// Each call (retries aside) is charged to ai.apiKey's quota and refused once it is spent.
+async function callAIProvider(ai, request) {
+    const { provider, signal } = ai;
+    assertNotAborted(signal);
+    if (ai.apiKey && !reserveLLMCall(ai.apiKey)) {
+        const error = new Error('Daily LLM call quota exhausted');
+        error.status = 429;
+        error.code = 'ERR_LLM_QUOTA';
+        throw error;
+    }
+    const started = Date.now();
+    for (let attempt = 0; ; attempt++) {
+        try {
+            const response = await provider.complete({ ...request, signal });
+            trackProviderCall(ai, request, { response, started, retries: attempt });
+            return response;
+        } catch (error) {
+            assertNotAborted(signal);
+            const retryAfter = getRetryAfterMs(error);
+            if (attempt >= AI_MAX_RETRIES || !isTransientProviderError(error) || (retryAfter !== null && retryAfter > AI_RETRY_MAX_DELAY_MS)) {
+                trackProviderCall(ai, request, { error, started, retries: attempt });
+                throw error;
+            }
+            const backoff = Math.min(AI_RETRY_MAX_DELAY_MS, AI_RETRY_BASE_DELAY_MS * 2 ** attempt);
+            const delay = retryAfter !== null ? retryAfter : Math.round(backoff * (0.8 + Math.random() * 0.4));
+            console.warn(`⏳ ${provider.label} transient error (${getProviderErrorStatus(error) || error.code || error.message}), retry ${attempt + 1}/${AI_MAX_RETRIES} in ${delay}ms`);
+            if (ai.stats) ai.stats.retries++;
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, delay);
+                signal?.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    resolve();
+                }, { once: true });
+            });
+            assertNotAborted(signal);
         }
-        if (analysis.data_sharing?.transfer_safeguards) {
-            merged.data_sharing.transfer_safeguards = [...new Set([...merged.data_sharing.transfer_safeguards, ...analysis.data_sharing.transfer_safeguards])];
+    }
+}
+function getProviderCircuit(name) {
+    if (!providerCircuits[name]) {
+        providerCircuits[name] = { failures: 0, openUntil: 0, lastError: null };
+    }
+    return providerCircuits[name];
+}
+function isCircuitOpen(name) {
+    return getProviderCircuit(name).openUntil > Date.now();
+}
+function recordProviderSuccess(name) {
+    const circuit = getProviderCircuit(name);
+    circuit.failures = 0;
+    circuit.openUntil = 0;
+}
+// Once open, the circuit lets a single trial call through after the cooldown;
+// another failure re-opens it straight away
+function recordProviderFailure(name, error) {
+    const circuit = getProviderCircuit(name);
+    circuit.failures++;
+    circuit.lastError = error.message;
+    if (circuit.failures >= CIRCUIT_BREAKER_THRESHOLD) {
+        circuit.openUntil = Date.now() + CIRCUIT_BREAKER_COOLDOWN_SECONDS * 1000;
+        console.warn(`🔌 Circuit open for ${name} for ${CIRCUIT_BREAKER_COOLDOWN_SECONDS}s after ${circuit.failures} consecutive failures`);
+    }
+}
+function getCircuitStatus() {
+    return Object.fromEntries(Object.keys(aiProviders).map(name => {
+        const circuit = getProviderCircuit(name);
+        const open = isCircuitOpen(name);
+        return [name, {
+            state: open ? 'open' : (circuit.failures >= CIRCUIT_BREAKER_THRESHOLD ? 'half_open' : 'closed'),
+            consecutive_failures: circuit.failures,
+            open_until: open ? new Date(circuit.openUntil).toISOString() : null,
+            last_error: circuit.lastError
+        }];
+    }));
+}
+// Ordered list of providers to try: the requested provider first, then the rest of the chain
+function buildProviderChain(ai) {
+    const chain = [ai];
+    for (const name of AI_PROVIDER_CHAIN) {
+        if (name === 'rule_based') {
+            chain.push('rule_based');
+            break;
         }
-        if (analysis.cookies_tracking?.tracking_technologies) {
-            merged.cookies_tracking.tracking_technologies = [...new Set([...merged.cookies_tracking.tracking_technologies, ...analysis.cookies_tracking.tracking_technologies])];
+        if (name === ai.provider.name || !aiProviders[name]) continue;
+        chain.push({ provider: aiProviders[name], model: aiProviders[name].defaultModel });
+    }
+    return chain;
+}
+// Run an AI task through the failover chain: each provider in turn, skipping those not
+// configured, over the caller's quota or with an open circuit, then the local fallback when
+// the chain ends with rule_based. Returns { result, attempts, fallbackReason }.
+async function runProviderChain(ai, { run, fallback, fallbackMethod, estimatedTokens, onProgress = () => {} }) {
+    const attempts = [];
+    for (const step of buildProviderChain(ai)) {
+        assertNotAborted(ai.signal);
+        if (step === 'rule_based') {
+            const reason = attempts.map(a => `${a.provider}: ${a.error}`).join('; ') || 'No AI provider available';
+            console.error(`⚠️ AI providers failed, using ${fallbackMethod} fallback:`, reason);
+            onProgress('fallback', { method: fallbackMethod, reason, attempts });
+            return { result: fallback(), attempts, fallbackReason: reason };
         }
-        if (analysis.security_measures?.measures) {
-            merged.security_measures.measures = [...new Set([...merged.security_measures.measures, ...analysis.security_measures.measures])];
+        const { provider, model } = step;
+        const attempt = { provider: provider.name, model: model || null };
+        if (!provider.isConfigured() || !model) {
+            attempts.push({ ...attempt, status: 'skipped', reason: 'not_configured', error: `${provider.label} provider not configured` });
+            continue;
         }
-        if (analysis.compliance?.other_regulations) {
-            merged.compliance.other_regulations = [...new Set([...merged.compliance.other_regulations, ...analysis.compliance.other_regulations])];
+        if (ai.apiKey && getLLMQuota(ai.apiKey).remaining <= 0) {
+            attempts.push({ ...attempt, status: 'skipped', reason: 'quota_exceeded', error: 'Daily LLM call quota exhausted' });
+            onProgress('provider_skipped', { provider: provider.name, reason: 'quota_exceeded' });
+            continue;
         }
-        if (analysis.contact_info?.methods) {
-            merged.contact_info.methods = [...new Set([...merged.contact_info.methods, ...analysis.contact_info.methods])];
+        if (isCircuitOpen(provider.name)) {
+            attempts.push({ ...attempt, status: 'skipped', reason: 'circuit_open', error: `${provider.label} circuit open after repeated failures` });
+            onProgress('provider_skipped', { provider: provider.name, reason: 'circuit_open' });
+            continue;
         }
-        if (analysis.user_rights?.opt_out_methods) {
-            merged.user_rights.opt_out_methods = [...new Set([...merged.user_rights.opt_out_methods, ...analysis.user_rights.opt_out_methods])];
+        const stats = { retries: 0 };
+        const started = Date.now();
+        try {
+            onProgress('analysis_start', { provider: provider.name, model, estimated_tokens: estimatedTokens });
+            const result = await run({ ...ai, provider, model, stats });
+            recordProviderSuccess(provider.name);
+            attempts.push({ ...attempt, status: 'success', retries: stats.retries, duration_ms: Date.now() - started });
+            return { result, attempts, fallbackReason: null };
+        } catch (error) {
+            // A cancelled analysis is no provider failure and needs no fallback
+            assertNotAborted(ai.signal);
+            // The quota ran out part way: not the provider's fault, and no other provider may run
+            if (error.code === 'ERR_LLM_QUOTA') {
+                attempts.push({ ...attempt, status: 'skipped', reason: 'quota_exceeded', error: error.message });
+                onProgress('provider_skipped', { provider: provider.name, reason: 'quota_exceeded' });
+                continue;
+            }
+            recordProviderFailure(provider.name, error);
+            const status = getProviderErrorStatus(error);
+            attempts.push({
+                ...attempt,
+                status: 'failed',
+                reason: status === 429 ? 'rate_limited' : (status ? `http_${status}` : (isTransientProviderError(error) ? 'network' : 'error')),
+                http_status: status || null,
+                error: error.message,
+                retries: stats.retries,
+                duration_ms: Date.now() - started
+            });
+            onProgress('provider_failed', { provider: provider.name, model, error: error.message });
         }
+    }
+    const error = new Error(`All AI providers failed: ${attempts.map(a => `${a.provider}: ${a.error}`).join('; ')}`);
+    error.status = 502;
+    error.attempts = attempts;
+    throw error;
+}
+// Analyze a policy through the failover chain. Every provider tried is recorded in
+// analysis.ai_attempts; ai_error summarizes the failures when the rule-based analyzer is used.
+// document (from extractPolicyDocument) supplies headings for chunking and page metadata.
+async function analyzePolicy(policyText, policyUrl, ai = resolveAIProvider(), { onProgress = () => {}, document = null } = {}) {
+    const { result: analysis, attempts, fallbackReason } = await runProviderChain(ai, {
+        run: stepAI => analyzePolicyWithAI(policyText, policyUrl, stepAI, onProgress, document),
+        fallback: () => performRuleBasedAnalysis(policyText, policyUrl, document),
+        fallbackMethod: 'enhanced_rule_based',
+        estimatedTokens: Math.ceil(policyText.length / 4),
+        onProgress
+    });
+    if (fallbackReason) {
+        // Rule-based summaries are always English
+        analysis.output_language = 'en';
+        analysis.ai_error = fallbackReason;
+    }
+    analysis.ai_attempts = attempts;
+    return analysis;
+}
+// Analyze a policy with an AI provider, splitting it into chunks when it exceeds
+// the provider's input budget. The document's headings guide the split.
+async function analyzePolicyWithAI(policyText, policyUrl, ai = resolveAIProvider(), onProgress = () => {}, document = null) {
+    const { provider, model } = ai;
+    if (!provider.isConfigured()) {
+        throw new Error(`${provider.label} provider not configured`);
+    }
+    if (!model) {
+        throw new Error(`No model configured for ${provider.label}`);
+    }
+    // Calculate approximate token count (rough estimate: 1 token ≈ 4 characters)
+    const estimatedTokens = Math.ceil(policyText.length / 4);
+   
+    console.log(`📊 Estimated tokens: ${estimatedTokens} (${provider.name}/${model})`);
+    let result;
+    // If policy is small enough, analyze in one go
+    if (estimatedTokens <= provider.maxInputTokens) {
+        console.log('✓ Policy size within limits, analyzing in single request');
+        onProgress('chunking', { chunk_count: 1 });
+        result = await analyzeSingleChunk(policyText, policyUrl, ai, document);
+    } else {
+        // Policy is too large, need to chunk it
+        console.log('⚠️ Policy exceeds token limit, splitting into chunks...');
+        result = await analyzeInChunks(policyText, policyUrl, ai, onProgress, document);
+    }
+    const analysis = enforceAnalysisSchema(result.analysis, policyText, policyUrl, { ...result, document });
+    analysis.analysis_method = provider.method;
+    analysis.ai_provider = provider.name;
+    analysis.ai_model = model;
+    analysis.output_language = ai.outputLanguage || 'en';
+    return analysis;
+}
+// Analyze policy in a single request
+async function analyzeSingleChunk(policyText, policyUrl, ai, document = null) {
+    const { provider, model } = ai;
+    const prompt = buildAnalysisPrompt(policyText, policyUrl, provider.maxPolicyChars, document, ai.outputLanguage);
+    try {
+        console.log(`🤖 Sending single request to ${provider.label}...`);
        
-        // Merge booleans (true if any chunk says true)
-        if (analysis.user_rights?.access) merged.user_rights.access = true;
-        if (analysis.user_rights?.deletion) merged.user_rights.deletion = true;
-        if (analysis.user_rights?.correction) merged.user_rights.correction = true;
-        if (analysis.user_rights?.portability) merged.user_rights.portability = true;
-        if (analysis.user_rights?.opt_out) merged.user_rights.opt_out = true;
-       
-        if (analysis.data_sharing?.third_parties) merged.data_sharing.third_parties = true;
-        if (analysis.data_sharing?.international_transfers) merged.data_sharing.international_transfers = true;
-        if (analysis.data_sharing?.law_enforcement) merged.data_sharing.law_enforcement = true;
-        if (analysis.data_sharing?.user_control) merged.data_sharing.user_control = true;
-       
-        if (analysis.cookies_tracking?.cookies_used) merged.cookies_tracking.cookies_used = true;
-        if (analysis.cookies_tracking?.opt_out_available) merged.cookies_tracking.opt_out_available = true;
-        if (analysis.cookies_tracking?.granular_controls) merged.cookies_tracking.granular_controls = true;
-       
-        if (analysis.security_measures?.encryption_mentioned) merged.security_measures.encryption_mentioned = true;
-        if (analysis.security_measures?.access_controls) merged.security_measures.access_controls = true;
-        if (analysis.security_measures?.incident_response) merged.security_measures.incident_response = true;
-       
-        if (analysis.policy_updates?.frequency_mentioned) merged.policy_updates.frequency_mentioned = true;
-        if (analysis.policy_updates?.user_consent_required) merged.policy_updates.user_consent_required = true;
-       
-        if (analysis.compliance?.gdpr_mentioned) merged.compliance.gdpr_mentioned = true;
-        if (analysis.compliance?.ccpa_mentioned) merged.compliance.ccpa_mentioned = true;
-        if (analysis.compliance?.coppa_mentioned) merged.compliance.coppa_mentioned = true;
-       
-        if (analysis.contact_info?.provided) merged.contact_info.provided = true;
-        if (analysis.contact_info?.dpo_mentioned) merged.contact_info.dpo_mentioned = true;
-       
-        if (analysis.transparency?.clear_language) merged.transparency.clear_language = true;
-        if (analysis.transparency?.easy_to_find) merged.transparency.easy_to_find = true;
-        if (analysis.transparency?.well_organized) merged.transparency.well_organized = true;
-        if (analysis.transparency?.specific_examples) merged.transparency.specific_examples = true;
-       
-        if (analysis.data_retention?.retention_period_specified) merged.data_retention.retention_period_specified = true;
-        if (analysis.data_retention?.deletion_process_clear) merged.data_retention.deletion_process_clear = true;
+        const result = await requestAnalysisJSON(ai, {
+            system: ANALYSIS_SYSTEM_PROMPT,
+            prompt,
+            model,
+            maxTokens: provider.maxOutputTokens,
+            temperature: 0.2
+        });
        
-        // Take first non-empty notification method
-        if (analysis.policy_updates?.notification_method && analysis.policy_updates.notification_method !== 'Not specified') {
-            merged.policy_updates.notification_method = analysis.policy_updates.notification_method;
+        console.log(`✓ ${provider.label} analysis complete`);
+        return result;
+    } catch (error) {
+        console.error(`✗ ${provider.label} error:`, error.response?.data || error.message);
+        const failure = new Error(`${provider.label} API failed: ${error.message}`);
+        failure.providerStatus = getProviderErrorStatus(error);
+        throw failure;
+    }
+}
+// Split a policy into chunks of at most maxChars, keeping sections together: whole
+// sections are packed into a chunk while they fit, and only a section larger than
+// the limit is cut, at a sentence or paragraph boundary.
+function splitIntoChunks(policyText, sections, maxChars) {
+    const starts = [...new Set([0, ...sections.map(section => section.start)])]
+        .filter(start => start >= 0 && start < policyText.length)
+        .sort((a, b) => a - b);
+    const units = starts.map((start, i) => ({
+        start,
+        end: i + 1 < starts.length ? starts[i + 1] : policyText.length,
+        heading: sections.find(section => section.start === start)?.heading || null
+    }));
+    const pieces = [];
+    for (const unit of units) {
+        let currentPos = unit.start;
+        while (currentPos < unit.end) {
+            let endPos = Math.min(currentPos + maxChars, unit.end);
+            // Try to break at a sentence or paragraph boundary
+            if (endPos < unit.end) {
+                const lastPeriod = policyText.lastIndexOf('.', endPos);
+                const lastNewline = policyText.lastIndexOf('\n', endPos);
+                const breakPoint = Math.max(lastPeriod, lastNewline);
+                if (breakPoint > currentPos + (maxChars * 0.7)) {
+                    endPos = breakPoint + 1;
+                }
+            }
+            pieces.push({ start: currentPos, end: endPos, heading: unit.heading });
+            currentPos = endPos;
         }
-       
-        // Collect summary snippets
-        if (analysis.summary && idx === 0) {
-            merged.summary = analysis.summary;
+    }
+    const chunks = [];
+    for (const piece of pieces) {
+        const last = chunks[chunks.length - 1];
+        if (last && piece.end - last.start <= maxChars) {
+            last.end = piece.end;
+            if (piece.heading) last.headings.push(piece.heading);
+        } else {
+            chunks.push({ start: piece.start, end: piece.end, headings: piece.heading ? [piece.heading] : [] });
         }
-    });
+    }
+    return chunks.map(chunk => ({ ...chunk, text: policyText.slice(chunk.start, chunk.end) }));
+}
+// Heading-like lines of plain text (numbered, upper-case or colon-terminated short
+// lines), for input that did not come from HTML
+function detectTextSections(policyText) {
+    const sections = [];
+    const linePattern = /[^\n]+/g;
+    let match;
+    while ((match = linePattern.exec(policyText))) {
+        const line = match[0].trim();
+        if (isTextHeading(line)) {
+            sections.push({ heading: line.replace(/:$/, ''), level: 2, start: match.index + match[0].indexOf(line) });
+        }
+    }
+    return sections;
+}
+// Run fn over items with at most `limit` calls in flight; results keep item order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+// Analyze policy in chunks (map), then combine the chunk findings (reduce)
+async function analyzeInChunks(policyText, policyUrl, ai, onProgress = () => {}, document = null) {
+    const sections = document?.sections || [];
+    // Conservative character limit based on token estimate (~3.5 chars per token),
+    // never more than the provider accepts in one prompt
+    const maxCharsPerChunk = Math.floor(Math.min(ai.provider.maxInputTokens * 3.5, ai.provider.maxPolicyChars));
+    const chunks = splitIntoChunks(policyText, sections.length > 0 ? sections : detectTextSections(policyText), maxCharsPerChunk);
    
-    // Calculate average scores
-    const scoreFields = [
-        'data_collection.transparency_score',
-        'user_rights.rights_score',
-        'data_sharing.sharing_score',
-        'cookies_tracking.tracking_score',
-        'security_measures.security_score',
-        'compliance.compliance_score',
-        'transparency.transparency_score',
-        'data_retention.retention_score'
-    ];
+    console.log(`📦 Split into ${chunks.length} chunks (${sections.length} sections, ${AI_CHUNK_CONCURRENCY} in parallel)`);
+    onProgress('chunking', { chunk_count: chunks.length, section_count: sections.length });
    
-    scoreFields.forEach(field => {
-        const parts = field.split('.');
-        const scores = validAnalyses
-            .map(a => {
-                const section = a[parts[0]];
-                return section?.[parts[1]] || 0;
-            })
-            .filter(s => s > 0);
-       
-        if (scores.length > 0) {
-            const avgScore = Math.round(scores.reduce((sum, s) => sum + s, 0) / scores.length);
-            const section = merged[parts[0]];
-            section[parts[1]] = avgScore;
+    const coerced = [];
+    const failures = [];
+    let repaired = false;
+    const chunkAnalyses = await mapWithConcurrency(chunks, AI_CHUNK_CONCURRENCY, async (chunk, i) => {
+        assertNotAborted(ai.signal);
+        console.log(`🔍 Analyzing chunk ${i + 1}/${chunks.length}...`);
+        onProgress('chunk_start', { chunk: i + 1, total: chunks.length, headings: chunk.headings });
+        try {
+            const result = await analyzeChunk(chunk, policyUrl, i + 1, chunks.length, ai);
+            coerced.push(...result.coerced.map(path => `chunk ${i + 1}: ${path}`));
+            repaired = repaired || result.repaired;
+            onProgress('chunk_complete', { chunk: i + 1, total: chunks.length, findings: result.analysis });
+            return result.analysis;
+        } catch (error) {
+            assertNotAborted(ai.signal);
+            console.error(`✗ Chunk ${i + 1} failed:`, error.message);
+            onProgress('chunk_failed', { chunk: i + 1, total: chunks.length, error: error.message });
+            failures.push({ chunk: i + 1, headings: chunk.headings, error: error.message, code: error.code });
+            // Continue with other chunks even if one fails, as long as enough of the text is covered
+            return null;
         }
     });
+    failures.sort((a, b) => a.chunk - b.chunk);
+    const totalChars = chunks.reduce((sum, chunk) => sum + chunk.text.length, 0);
+    const analyzedChars = chunks.reduce((sum, chunk, i) => sum + (chunkAnalyses[i] ? chunk.text.length : 0), 0);
+    const coverage = totalChars > 0 ? Math.round(analyzedChars / totalChars * 1000) / 1000 : 0;
+    if (failures.length > 0 && coverage < AI_CHUNK_MIN_COVERAGE) {
+        const error = new Error(`Only ${Math.round(coverage * 100)}% of the policy was analyzed (${failures.length === 1 ? 'chunk' : 'chunks'} ${failures.map(failure => failure.chunk).join(', ')} of ${chunks.length} failed: ${failures[0].error})`);
+        // Chunks refused for quota make the whole analysis a quota failure
+        if (failures.some(failure => failure.code === 'ERR_LLM_QUOTA')) error.code = 'ERR_LLM_QUOTA';
+        throw error;
+    }
    
-    // Generate comprehensive summary if none exists
-    if (!merged.summary) {
-        merged.summary = `This privacy policy was analyzed across ${validAnalyses.length} sections. ` +
-            `It ${merged.data_collection.types.length > 0 ? `collects ${merged.data_collection.types.length} types of data` : 'has limited data collection information'}, ` +
-            `${merged.user_rights.deletion ? 'provides user deletion rights' : 'has limited user rights'}, and ` +
-            `${merged.compliance.gdpr_mentioned || merged.compliance.ccpa_mentioned ? 'mentions major privacy regulations' : 'has minimal compliance information'}.`;
+    console.log('🔄 Merging chunk analyses...');
+    onProgress('merge_start', { successful_chunks: chunkAnalyses.filter(Boolean).length, total: chunks.length, failed_chunks: failures.map(failure => failure.chunk) });
+    const { merged, contradictions } = mergeChunkAnalyses(chunkAnalyses, chunks);
+    merged.chunking.failed_chunks = failures;
+    merged.chunking.coverage = coverage;
+    await reduceChunkAnalyses(merged, contradictions, chunkAnalyses, chunks, policyUrl, ai);
+    onProgress('merge_complete', { summary: merged.summary, contradictions: merged.chunking.contradictions });
+    return { analysis: merged, coerced, repaired };
+}
+// Analyze a single chunk
+async function analyzeChunk(chunk, policyUrl, chunkNum, totalChunks, ai) {
+    const { provider, model } = ai;
+    const prompt = `You are analyzing part ${chunkNum} of ${totalChunks} of a privacy policy. Extract ALL relevant information from this section.
+Focus on finding:
+- Data types collected
+- Purposes for collection
+- User rights mentioned
+- Third-party sharing details
+- Security measures
+- Tracking technologies
+- Compliance regulations
+- Contact information
+- Any other privacy-relevant details
+Return a JSON object with any fields you can determine from this section. Use the structure below, but only include fields where you found information. Mark boolean fields as true if the practice or right is stated, false if the policy explicitly denies it (e.g. "we do not sell your data"), or omit them if not mentioned. Set "summary" to 1-2 sentences on what this part covers.
+${EVIDENCE_INSTRUCTION}
+${describeOutputLanguage(ai.outputLanguage)}JSON Structure:
+${ANALYSIS_JSON_STRUCTURE}
+Policy URL: ${policyUrl}
+${chunk.headings.length > 0 ? `Sections in this part: ${chunk.headings.join(' | ')}\n` : ''}Policy Section (Part ${chunkNum}/${totalChunks}):
+${chunk.text}
+Respond with ONLY valid JSON. Include only fields where you found relevant information.`;
+    try {
+        return await requestAnalysisJSON(ai, {
+            system: 'Extract privacy policy information from the provided text section. Return ONLY valid JSON.',
+            prompt,
+            purpose: 'chunk',
+            model,
+            maxTokens: Math.min(4000, provider.maxOutputTokens),
+            temperature: 0.2
+        }, { partial: true });
+    } catch (error) {
+        console.error(`✗ Chunk ${chunkNum} analysis error:`, error.response?.data || error.message);
+        throw error;
     }
+}
+// Combine chunk findings field by field. Lists are unioned, scores averaged over the
+// chunks that reported them (zeros included). A boolean stated by some chunks and
+// explicitly denied by others is a contradiction: it is left for reduceChunkAnalyses,
+// with the explicit denial as the provisional value.
+function mergeChunkAnalyses(chunkAnalyses, chunks) {
+    console.log('🔧 Merging analyses from chunks...');
    
-    // Add justification
-    merged.data_collection.justification = `Analysis merged from ${validAnalyses.length} policy sections. ` +
-        `Collects ${merged.data_collection.types.length} data types for ${merged.data_collection.purposes.length} purposes.`;
+    const valid = chunkAnalyses
+        .map((analysis, index) => ({ analysis, chunk: index + 1 }))
+        .filter(({ analysis }) => analysis !== null);
    
-    merged.user_rights.details = `User rights analysis: ${merged.user_rights.access ? 'Access granted' : 'No access mentioned'}, ` +
-        `${merged.user_rights.deletion ? 'deletion available' : 'no deletion mentioned'}, ` +
-        `${merged.user_rights.opt_out ? 'opt-out available' : 'no opt-out mentioned'}.`;
+    if (valid.length === 0) {
+        throw new Error('All chunk analyses failed');
+    }
+    const merged = {};
+    const contradictions = [];
+    const quotesFor = (analysis, path) => (Array.isArray(analysis.evidence) ? analysis.evidence : [])
+        .filter(entry => entry && entry.field === path && !entry.item)
+        .flatMap(entry => Array.isArray(entry.quotes) ? entry.quotes : [entry.quote])
+        .filter(quote => typeof quote === 'string');
+    for (const [section, fields] of Object.entries(ANALYSIS_FIELDS)) {
+        if (typeof fields === 'string') continue;
+        merged[section] = {};
+        for (const [field, type] of Object.entries(fields)) {
+            const path = `${section}.${field}`;
+            const reports = valid
+                .map(({ analysis, chunk }) => ({ chunk, value: analysis[section]?.[field], analysis }))
+                .filter(report => report.value !== undefined);
+            if (type === 'boolean') {
+                const stated = reports.filter(report => report.value === true);
+                const denied = reports.filter(report => report.value === false);
+                merged[section][field] = stated.length > 0 && denied.length === 0;
+                if (stated.length > 0 && denied.length > 0) {
+                    contradictions.push({
+                        field: path,
+                        stated: stated.map(report => ({ chunk: report.chunk, quotes: quotesFor(report.analysis, path) })),
+                        denied: denied.map(report => ({ chunk: report.chunk, quotes: quotesFor(report.analysis, path) }))
+                    });
+                }
+            } else if (type === 'string[]') {
+                const seen = new Map();
+                for (const report of reports) {
+                    for (const item of report.value) {
+                        const key = item.trim().toLowerCase();
+                        if (!seen.has(key)) seen.set(key, item.trim());
+                    }
+                }
+                merged[section][field] = [...seen.values()];
+            } else if (type === 'score') {
+                merged[section][field] = reports.length > 0
+                    ? Math.round(reports.reduce((sum, report) => sum + report.value, 0) / reports.length * 10) / 10
+                    : 0;
+            } else {
+                const specified = reports.map(report => report.value).filter(value => value && !/^not specified$/i.test(value));
+                merged[section][field] = specified[0] || (field === 'notification_method' ? 'Not specified' : '');
+            }
+        }
+    }
+    // Keep every chunk's quotes; they are verified against the full text afterwards
+    merged.evidence = valid.flatMap(({ analysis, chunk }) => (Array.isArray(analysis.evidence) ? analysis.evidence : [])
+        .filter(entry => entry && typeof entry === 'object')
+        .map(entry => ({ ...entry, chunk })));
+    merged.chunking = {
+        chunks_total: chunkAnalyses.length,
+        chunks_analyzed: valid.length,
+        chunk_summaries: valid
+            .filter(({ analysis }) => typeof analysis.summary === 'string' && analysis.summary.trim())
+            .map(({ analysis, chunk }) => ({ chunk, headings: chunks[chunk - 1].headings, summary: analysis.summary.trim() })),
+        contradictions: contradictions.map(({ field, stated, denied }) => ({
+            field,
+            stated_in_chunks: stated.map(report => report.chunk),
+            denied_in_chunks: denied.map(report => report.chunk),
+            resolved_value: false,
+            resolution: 'explicit_denial'
+        }))
+    };
    
     console.log('✓ Merged analysis complete');
     console.log(` - Data types found: ${merged.data_collection.types.length}`);
-    console.log(` - User rights: ${[merged.user_rights.access, merged.user_rights.deletion, merged.user_rights.opt_out].filter(Boolean).length}/5`);
-    console.log(` - Compliance: ${[merged.compliance.gdpr_mentioned, merged.compliance.ccpa_mentioned].filter(Boolean).length} major regulations`);
+    console.log(` - Contradictions to resolve: ${contradictions.length}`);
    
-    return merged;
+    return { merged, contradictions };
 }
-// Analyze policy with OpenAI
-async function analyzePolicyWithOpenAI(policyText, policyUrl) {
-    if (!openai) {
-        throw new Error('OpenAI client not initialized');
-    }
-    const prompt = `You are an expert privacy policy analyst. Analyze this privacy policy thoroughly and provide a detailed JSON response.
-IMPORTANT SCORING GUIDELINES:
-- Be objective and fair in your assessment
-- Consider both positive and negative aspects
-- Data collection is NOT inherently bad - evaluate HOW it's handled
-- Transparency and user control are key positive indicators
-- Strong user rights significantly improve the score
-Required JSON Structure:
+// Reduce step: one more model call sees the merged findings, every chunk summary and
+// the conflicting quotes, writes the whole-policy summary and settles contradictions.
+// If that call fails, a summary is composed from the merged findings and explicit
+// denials stand.
+async function reduceChunkAnalyses(merged, contradictions, chunkAnalyses, chunks, policyUrl, ai) {
+    const findings = Object.fromEntries(Object.keys(ANALYSIS_FIELDS)
+        .filter(section => typeof ANALYSIS_FIELDS[section] !== 'string')
+        .map(section => [section, merged[section]]));
+    const prompt = `You are combining the analyses of ${chunks.length} parts of one privacy policy (${policyUrl}) into a single assessment.
+Summaries of each part:
+${merged.chunking.chunk_summaries.map(({ chunk, headings, summary }) => `- Part ${chunk}${headings.length > 0 ? ` (${headings.join(' | ')})` : ''}: ${summary}`).join('\n') || '- (no part summaries)'}
+Merged findings:
+${JSON.stringify(findings)}
+${contradictions.length > 0 ? `Contradictions between parts (true = the part states the practice, false = the part explicitly denies it):
+${contradictions.map(({ field, stated, denied }) => `- ${field}: stated in part(s) ${stated.map(s => s.chunk).join(', ')}${stated.flatMap(s => s.quotes).slice(0, 2).map(q => ` "${q}"`).join('')}; denied in part(s) ${denied.map(d => d.chunk).join(', ')}${denied.flatMap(d => d.quotes).slice(0, 2).map(q => ` "${q}"`).join('')}`).join('\n')}
+Decide the correct value for each: a denial limited to one context (e.g. "we do not sell data" next to "we share data with advertisers") does not cancel a practice stated elsewhere.
+` : ''}${describeOutputLanguage(ai.outputLanguage)}Return ONLY valid JSON:
 {
-  "summary": "2-3 sentence overview highlighting key points and overall privacy posture",
-  "data_collection": {
-    "types": ["array of specific data types collected"],
-    "purposes": ["array of specific purposes for collection"],
-    "transparency_score": 0-10,
-    "justification": "Brief explanation of data collection practices"
-  },
-  "user_rights": {
-    "access": true/false,
-    "deletion": true/false,
-    "correction": true/false,
-    "portability": true/false,
-    "opt_out": true/false,
-    "opt_out_methods": ["methods available for opting out"],
-    "rights_score": 0-10,
-    "details": "Explanation of how rights are implemented"
-  },
-  "data_sharing": {
-    "third_parties": true/false,
-    "third_party_purposes": ["purposes for sharing"],
-    "international_transfers": true/false,
-    "transfer_safeguards": ["safeguards mentioned"],
-    "law_enforcement": true/false,
-    "user_control": true/false,
-    "sharing_score": 0-10
-  },
-  "cookies_tracking": {
-    "cookies_used": true/false,
-    "tracking_technologies": ["list of technologies"],
-    "opt_out_available": true/false,
-    "granular_controls": true/false,
-    "tracking_score": 0-10
-  },
-  "security_measures": {
-    "measures": ["specific security measures mentioned"],
-    "encryption_mentioned": true/false,
-    "access_controls": true/false,
-    "incident_response": true/false,
-    "security_score": 0-10
-  },
-  "policy_updates": {
-    "notification_method": "how users are notified",
-    "frequency_mentioned": true/false,
-    "user_consent_required": true/false
-  },
-  "compliance": {
-    "gdpr_mentioned": true/false,
-    "ccpa_mentioned": true/false,
-    "coppa_mentioned": true/false,
-    "other_regulations": ["list"],
-    "compliance_score": 0-10
-  },
-  "contact_info": {
-    "provided": true/false,
-    "methods": ["available contact methods"],
-    "dpo_mentioned": true/false
-  },
-  "transparency": {
-    "clear_language": true/false,
-    "easy_to_find": true/false,
-    "well_organized": true/false,
-    "specific_examples": true/false,
-    "transparency_score": 0-10
-  },
-  "data_retention": {
-    "retention_period_specified": true/false,
-    "deletion_process_clear": true/false,
-    "retention_score": 0-10
-  }
-}
-Privacy Policy URL: ${policyUrl}
-Policy Text:
-${policyText.substring(0, 20000)}`;
+  "summary": "3-4 sentence overview of the WHOLE policy highlighting key points and overall privacy posture",
+  "data_collection_justification": "Brief explanation of data collection practices",
+  "user_rights_details": "Explanation of how rights are implemented",
+  "scores": {"data_collection.transparency_score": 0-10, "user_rights.rights_score": 0-10, "data_sharing.sharing_score": 0-10, "cookies_tracking.tracking_score": 0-10, "security_measures.security_score": 0-10, "compliance.compliance_score": 0-10, "transparency.transparency_score": 0-10, "data_retention.retention_score": 0-10},
+  "resolutions": [{"field": "field path from the contradictions", "value": true/false, "reason": "one sentence"}]
+}`;
     try {
-        console.log('🤖 Analyzing with OpenAI...');
-       
-        const completion = await openai.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: [
-                { role: 'system', content: 'You are an expert privacy policy analyst. Provide objective, fair, and detailed analysis. Return ONLY valid JSON.' },
-                { role: 'user', content: prompt }
-            ],
-            max_tokens: 4000,
-            temperature: 0.2,
-            response_format: { type: "json_object" }
+        const response = await callAIProvider(ai, {
+            system: ANALYSIS_SYSTEM_PROMPT,
+            prompt,
+            purpose: 'merge',
+            model: ai.model,
+            maxTokens: Math.min(2000, ai.provider.maxOutputTokens),
+            temperature: 0.2
         });
-        const aiResponse = completion.choices[0].message.content;
-        console.log('✓ OpenAI analysis complete');
-        return JSON.parse(aiResponse);
+        const reduced = parseAIResponse(response.content);
+        const summary = coerceField(reduced.summary, 'string');
+        if (!summary) throw new Error('reduce response has no summary');
+        merged.summary = summary;
+        merged.data_collection.justification = coerceField(reduced.data_collection_justification, 'string') || merged.data_collection.justification;
+        merged.user_rights.details = coerceField(reduced.user_rights_details, 'string') || merged.user_rights.details;
+        for (const [path, value] of Object.entries(reduced.scores || {})) {
+            const [section, field] = path.split('.');
+            const score = coerceField(value, 'score');
+            if (ANALYSIS_FIELDS[section]?.[field] === 'score' && score !== undefined) merged[section][field] = score;
+        }
+        for (const resolution of Array.isArray(reduced.resolutions) ? reduced.resolutions : []) {
+            const contradiction = merged.chunking.contradictions.find(c => c.field === resolution?.field);
+            const value = coerceField(resolution?.value, 'boolean');
+            if (!contradiction || value === undefined) continue;
+            const [section, field] = contradiction.field.split('.');
+            merged[section][field] = value;
+            contradiction.resolved_value = value;
+            contradiction.resolution = 'model';
+            contradiction.reason = coerceField(resolution.reason, 'string') || null;
+        }
+        merged.chunking.reduce_method = 'model';
     } catch (error) {
-        console.error('✗ OpenAI error:', error.response?.data || error.message);
-        throw new Error(`OpenAI API failed: ${error.message}`);
+        assertNotAborted(ai.signal);
+        console.error('⚠️ Reduce step failed, composing summary from merged findings:', error.message);
+        merged.summary = composeMergedSummary(merged);
+        merged.chunking.reduce_method = 'merged_findings';
+        merged.chunking.reduce_error = error.message;
+    }
+    // Drop the quotes of the side that lost each contradiction
+    for (const contradiction of merged.chunking.contradictions) {
+        const losing = contradiction.resolved_value ? contradiction.denied_in_chunks : contradiction.stated_in_chunks;
+        merged.evidence = merged.evidence.filter(entry => entry.field !== contradiction.field || entry.item || !losing.includes(entry.chunk));
+    }
+    if (!merged.data_collection.justification) {
+        merged.data_collection.justification = `Collects ${merged.data_collection.types.length} data types for ${merged.data_collection.purposes.length} purposes.`;
+    }
+    if (!merged.user_rights.details) {
+        merged.user_rights.details = describeMergedRights(merged);
+    }
+}
+function describeMergedRights(merged) {
+    const rights = ['access', 'deletion', 'correction', 'portability', 'opt_out']
+        .filter(right => merged.user_rights[right])
+        .map(right => right.replace('_', '-'));
+    return rights.length > 0 ? `Rights stated: ${rights.join(', ')}.` : 'No user rights stated.';
+}
+// Whole-policy summary built from merged findings, used when the reduce call fails
+function composeMergedSummary(merged) {
+    const parts = [];
+    const types = merged.data_collection.types;
+    parts.push(types.length > 0
+        ? `The policy describes collecting ${types.length} types of data (${types.slice(0, 4).join(', ')}${types.length > 4 ? ', ...' : ''}).`
+        : 'The policy gives little detail on what data is collected.');
+    const sharing = [];
+    if (merged.data_sharing.third_parties) sharing.push('shares data with third parties');
+    if (merged.data_sharing.international_transfers) sharing.push('transfers data internationally');
+    if (merged.cookies_tracking.cookies_used) sharing.push('uses cookies or tracking');
+    if (sharing.length > 0) parts.push(`It ${sharing.join(', ')}.`);
+    parts.push(`${describeMergedRights(merged)}`);
+    const regulations = [
+        merged.compliance.gdpr_mentioned && 'GDPR',
+        merged.compliance.ccpa_mentioned && 'CCPA',
+        merged.compliance.coppa_mentioned && 'COPPA'
+    ].filter(Boolean);
+    parts.push(regulations.length > 0 ? `It references ${regulations.join(', ')}.` : 'No major privacy regulation is referenced.');
+    return parts.join(' ');
+}
+// Keyword rules of the rule-based analyzer. A rule is a list of keyword groups and
+// matches when the text contains at least one keyword from every group. Keywords match
+// whole words, also with an -s, -es, -d, -ed or -ing ending; a trailing * marks a stem
+// that may continue (cooki* matches cookie and cookies).
+const RULE_BASED_FLAGS = {
+    'user_rights.access': [['access', 'view your data', 'request access']],
+    'user_rights.deletion': [['delete', 'erase', 'right to be forgotten', 'remove your data']],
+    'user_rights.correction': [['correct*', 'rectif*', 'update your information']],
+    'user_rights.portability': [['portability', 'data portability', 'export your data']],
+    'user_rights.opt_out': [['opt out', 'opt-out', 'opting out', 'unsubscribe', 'withdraw consent', 'withdraw your consent']],
+    'data_sharing.third_parties': [['third part*', 'third-part*', 'partner', 'share your', 'share personal', 'share data', 'share information']],
+    'data_sharing.international_transfers': [['international', 'transfer*', 'cross-border']],
+    'data_sharing.law_enforcement': [['law enforcement', 'required by law', 'legal process', 'legal request', 'subpoena', 'court order', 'government request']],
+    'data_sharing.user_control': [['you can control', 'manage sharing', 'sharing preferences']],
+    'cookies_tracking.cookies_used': [['cooki*', 'track*']],
+    'cookies_tracking.opt_out_available': [['opt out', 'opt-out', 'opting out', 'disable'], ['cooki*']],
+    'cookies_tracking.granular_controls': [['cookie settings', 'manage cookies', 'cookie preferences']],
+    'security_measures.encryption_mentioned': [['encrypt*']],
+    'security_measures.access_controls': [['access control', 'authentication']],
+    'security_measures.incident_response': [['breach', 'incident response', 'security incident']],
+    'policy_updates.frequency_mentioned': [['update', 'change', 'revise']],
+    'policy_updates.user_consent_required': [['notify you', 'consent to changes']],
+    'compliance.gdpr_mentioned': [['gdpr', 'general data protection regulation']],
+    'compliance.ccpa_mentioned': [['ccpa', 'california consumer privacy act']],
+    'compliance.coppa_mentioned': [['coppa', 'children\'s online privacy']],
+    'contact_info.provided': [['contact', 'email', '@']],
+    'contact_info.dpo_mentioned': [['data protection officer', 'dpo', 'privacy officer']],
+    'transparency.specific_examples': [['for example', 'such as', 'including']],
+    'data_retention.retention_period_specified': [['retain'], ['days', 'months', 'years']],
+    'data_retention.deletion_process_clear': [['delete'], ['request']]
+};
+// List items detected by the rule-based analyzer: [item, ...keyword groups]
+const RULE_BASED_LISTS = {
+    'data_collection.types': [
+        ['Personal Identifiers', ['name', 'email', 'personal information']],
+        ['Cookies & Similar Technologies', ['cooki*']],
+        ['Location Data', ['location', 'gps', 'geolocation']],
+        ['Device & Technical Information', ['device', 'ip', 'browser']],
+        ['Usage & Activity Data', ['usage', 'analytics', 'behavio*']],
+        ['Financial Information', ['payment', 'credit card', 'financial']],
+        ['Biometric Data', ['biometric']],
+        ['Health Information', ['health', 'medical']]
+    ],
+    'data_collection.purposes': [
+        ['Service Provision', ['service', 'provide', 'operate']],
+        ['Personalization', ['personaliz*', 'customiz*', 'tailor']],
+        ['Advertising & Marketing', ['advertis*', 'market', 'promot*']],
+        ['Analytics & Improvement', ['analytics', 'improv*', 'research']],
+        ['Security & Fraud Prevention', ['security', 'fraud', 'protect*']],
+        ['Legal Compliance', ['legal', 'comply', 'regulation']],
+        ['Communication & Support', ['communication', 'support', 'respond']]
+    ],
+    'user_rights.opt_out_methods': [
+        ['email unsubscribe', ['unsubscribe']],
+        ['account settings', ['settings', 'preferences']],
+        ['cookie settings', ['cookie'], ['settings']],
+        ['contact request', ['contact us']]
+    ],
+    'data_sharing.third_party_purposes': [
+        ['service provision', ['service provider']],
+        ['advertising', ['advertising', 'marketing']],
+        ['analytics', ['analytics']],
+        ['legal compliance', ['legal', 'compliance']]
+    ],
+    'data_sharing.transfer_safeguards': [
+        ['Standard Contractual Clauses', ['standard contractual clauses', 'scc']],
+        ['Privacy Shield', ['privacy shield']],
+        ['EU Adequacy Decision', ['adequacy decision']],
+        ['Binding Corporate Rules', ['binding corporate rules']]
+    ],
+    'cookies_tracking.tracking_technologies': [
+        ['Cookies', ['cooki*']],
+        ['Tracking Pixels', ['pixel', 'tracking pixel']],
+        ['Device Fingerprinting', ['fingerprint', 'device fingerprint']],
+        ['Web Beacons', ['beacon', 'web beacon']],
+        ['Local Storage', ['local storage', 'session storage']],
+        ['SDKs', ['sdk', 'software development kit']]
+    ],
+    'security_measures.measures': [
+        ['Encryption', ['encrypt*']],
+        ['SSL/TLS', ['ssl', 'tls']],
+        ['Firewalls', ['firewall']],
+        ['Access Controls', ['access control', 'authentication']],
+        ['Secure Servers', ['secure'], ['server']],
+        ['Security Monitoring', ['monitor', 'security monitoring']],
+        ['Multi-Factor Authentication', ['two-factor', 'multi-factor']],
+        ['Security Audits', ['audit', 'security audit']]
+    ],
+    'compliance.other_regulations': [
+        ['HIPAA', ['hipaa']],
+        ['LGPD (Brazil)', ['lgpd']],
+        ['PIPEDA (Canada)', ['pipeda']],
+        ['POPIA (South Africa)', ['popia']],
+        ['PDPA', ['pdpa']]
+    ],
+    'contact_info.methods': [
+        ['email', ['@']],
+        ['phone', ['phone', 'call']],
+        ['contact form', ['contact form', 'web form', 'online form']],
+        ['postal mail', ['mail'], ['address']]
+    ]
+};
+// Named keyword lists behind the rule-based scores and descriptions
+const RULE_BASED_TERMS = {
+    examples: ['for example', 'such as'],
+    table_of_contents: ['table of contents'],
+    plain_language: ['plain language', 'easy to understand'],
+    legalese: ['notwithstanding', 'hereinafter'],
+    access: ['access'],
+    your_data: ['your data'],
+    deletion: ['delete', 'erase'],
+    correction: ['correct*', 'update'],
+    portability: ['portability', 'export'],
+    opt_out: ['opt-out'],
+    withdraw_consent: ['withdraw consent'],
+    sell: ['sell'],
+    data: ['data'],
+    third_party: ['third party', 'third-party'],
+    advertising: ['advertising'],
+    share: ['share your', 'share personal', 'share data', 'share information'],
+    user_control: ['you can control'],
+    encryption: ['encrypt*'],
+    tls: ['ssl', 'tls'],
+    multi_factor: ['two-factor', 'multi-factor'],
+    security_audit: ['regular audit', 'security testing'],
+    gdpr: ['gdpr'],
+    ccpa: ['ccpa'],
+    coppa: ['coppa'],
+    hipaa: ['hipaa'],
+    cookies: ['cooki*'],
+    do_not_track: ['do not track', 'dnt'],
+    retain: ['retain'],
+    time_period: ['days', 'months', 'years'],
+    inactive: ['inactive'],
+    email: ['email'],
+    notify: ['notif*'],
+    website_posting: ['post', 'website'],
+    in_app: ['in-app', 'notification']
+};
+// Keywords of non-English policies, added to the English rules (which still apply, for
+// terms like GDPR and cookie). Flag and list groups line up with the English groups of
+// the same rule; list items are keyed by item name (an empty group adds nothing to its
+// English group). Keywords are lower-case stems matched from the start of a word.
+const RULE_BASED_LANGUAGE_PACKS = {
+    de: {
+        flags: {
+            'user_rights.access': [['auskunft', 'zugang zu ihren daten', 'einsicht']],
+            'user_rights.deletion': [['lösch', '*löschung', 'recht auf vergessenwerden']],
+            'user_rights.correction': [['berichtig', 'korrigier']],
+            'user_rights.portability': [['übertragbarkeit']],
+            'user_rights.opt_out': [['widerspruch', 'widersprechen', 'widerruf', 'abmelden', 'abbestellen']],
+            'data_sharing.third_parties': [['dritte', 'partner', 'weitergabe', 'weitergeben']],
+            'data_sharing.international_transfers': [['drittland', 'drittländer', 'übermittlung', 'außerhalb der eu', 'außerhalb des ewr']],
+            'data_sharing.law_enforcement': [['behörde', 'gesetzlich', 'gerichtlich', 'gerichtsbeschluss', 'strafverfolgung']],
+            'data_sharing.user_control': [['sie können steuern', 'einstellungen zur weitergabe']],
+            'cookies_tracking.cookies_used': [['nachverfolg']],
+            'cookies_tracking.opt_out_available': [['deaktivier', 'ablehnen', 'widersprechen']],
+            'cookies_tracking.granular_controls': [['cookie-einstellungen', 'cookie-einwilligung', 'einstellungen für cookies']],
+            'security_measures.encryption_mentioned': [['verschlüssel']],
+            'security_measures.access_controls': [['zugriffskontrolle', 'zugangskontrolle', 'authentifizierung']],
+            'security_measures.incident_response': [['datenpanne', 'sicherheitsvorfall', 'verletzung des schutzes']],
+            'policy_updates.frequency_mentioned': [['aktualisier', 'änder', 'überarbeit']],
+            'policy_updates.user_consent_required': [['benachrichtigen', 'informieren sie', 'zustimmung zu änderungen']],
+            'compliance.gdpr_mentioned': [['dsgvo', 'ds-gvo', 'datenschutz-grundverordnung']],
+            'contact_info.provided': [['kontakt', 'e-mail']],
+            'contact_info.dpo_mentioned': [['datenschutzbeauftragte']],
+            'transparency.specific_examples': [['zum beispiel', 'z. b.', 'z.b.', 'beispielsweise']],
+            'data_retention.retention_period_specified': [['speicher', '*speicherung', 'aufbewahr'], ['tage', 'monate', 'jahre']],
+            'data_retention.deletion_process_clear': [['lösch', '*löschung'], ['antrag', 'anfrage', 'verlangen']]
+        },
+        lists: {
+            'data_collection.types': {
+                'Personal Identifiers': [['e-mail-adresse', 'personenbezogene daten']],
+                'Location Data': [['standort', 'ortung']],
+                'Device & Technical Information': [['gerät', 'ip-adresse']],
+                'Usage & Activity Data': [['nutzungsdaten', 'analyse', 'verhalten']],
+                'Financial Information': [['zahlung', 'kreditkarte', 'bankverbindung']],
+                'Biometric Data': [['biometrisch']],
+                'Health Information': [['gesundheit', 'medizinisch']]
+            },
+            'data_collection.purposes': {
+                'Service Provision': [['unsere dienste', 'unserer dienste', 'unseres dienstes', 'bereitstell', 'erbringung', 'betrieb unserer', 'betrieb des']],
+                'Personalization': [['personalisier', 'zugeschnitten']],
+                'Advertising & Marketing': [['werbung', 'werbe']],
+                'Analytics & Improvement': [['analyse', 'verbesser', 'forschung']],
+                'Security & Fraud Prevention': [['sicherheit', 'betrug', 'schutz']],
+                'Legal Compliance': [['gesetzlich', 'rechtlich', 'verpflichtung']],
+                'Communication & Support': [['kommunikation', 'anfragen']]
+            },
+            'user_rights.opt_out_methods': {
+                'email unsubscribe': [['abmelden', 'abbestellen']],
+                'account settings': [['einstellungen']],
+                'cookie settings': [[], ['einstellungen']],
+                'contact request': [['kontaktieren sie uns', 'wenden sie sich']]
+            },
+            'data_sharing.third_party_purposes': {
+                'service provision': [['dienstleister', 'auftragsverarbeiter']],
+                'advertising': [['werbung']],
+                'analytics': [['analyse']],
+                'legal compliance': [['gesetzlich', 'rechtlich']]
+            },
+            'data_sharing.transfer_safeguards': {
+                'Standard Contractual Clauses': [['standardvertragsklauseln', 'standarddatenschutzklauseln']],
+                'EU Adequacy Decision': [['angemessenheitsbeschluss']],
+                'Binding Corporate Rules': [['verbindliche interne datenschutzvorschriften']]
+            },
+            'cookies_tracking.tracking_technologies': {
+                'Tracking Pixels': [['zählpixel']],
+                'Device Fingerprinting': [['fingerabdruck']],
+                'Local Storage': [['lokaler speicher']]
+            },
+            'security_measures.measures': {
+                'Encryption': [['verschlüssel']],
+                'Access Controls': [['zugriffskontrolle', 'authentifizierung']],
+                'Secure Servers': [['sicher'], ['server']],
+                'Security Monitoring': [['überwach']],
+                'Multi-Factor Authentication': [['zwei-faktor', 'mehr-faktor']],
+                'Security Audits': [['sicherheitsprüfung']]
+            },
+            'contact_info.methods': {
+                'phone': [['telefon', 'anruf']],
+                'contact form': [['formular']],
+                'postal mail': [['per post', 'postweg', 'postalisch', 'brief'], ['adresse', 'anschrift']]
+            }
+        },
+        terms: {
+            examples: ['zum beispiel', 'z. b.', 'beispielsweise'],
+            table_of_contents: ['inhaltsverzeichnis', 'inhaltsübersicht'],
+            plain_language: ['einfache sprache', 'leicht verständlich'],
+            legalese: ['ungeachtet', 'vorbehaltlich'],
+            access: ['auskunft'],
+            your_data: ['ihre daten', 'ihren daten', 'ihrer daten'],
+            deletion: ['lösch', '*löschung'],
+            correction: ['berichtig'],
+            portability: ['übertragbarkeit'],
+            opt_out: ['widerspruch', 'widersprechen'],
+            withdraw_consent: ['einwilligung widerrufen', 'widerruf'],
+            sell: ['verkauf'],
+            data: ['daten'],
+            third_party: ['dritte'],
+            advertising: ['werbung'],
+            share: ['weitergabe', 'weitergeben', 'teilen'],
+            user_control: ['sie können steuern'],
+            encryption: ['verschlüssel'],
+            multi_factor: ['zwei-faktor', 'mehr-faktor'],
+            security_audit: ['regelmäßige prüfung', 'sicherheitstests', 'sicherheitsprüfung'],
+            gdpr: ['dsgvo', 'datenschutz-grundverordnung'],
+            retain: ['speicher', 'aufbewahr'],
+            time_period: ['tage', 'monate', 'jahre'],
+            inactive: ['inaktiv'],
+            email: ['e-mail'],
+            notify: ['benachrichtig', 'informieren'],
+            website_posting: ['veröffentlich', 'webseite'],
+            in_app: ['in der app', 'mitteilung']
+        }
+    },
+    fr: {
+        flags: {
+            'user_rights.access': [['accès', 'accéder à vos données']],
+            'user_rights.deletion': [['supprim', 'effac', 'droit à l\'oubli']],
+            'user_rights.correction': [['rectifi', 'corrig']],
+            'user_rights.portability': [['portabilité']],
+            'user_rights.opt_out': [['opposition', 'opposer', 'désinscri', 'désabonn', 'retirer votre consentement']],
+            'data_sharing.third_parties': [['tiers', 'partenaire', 'partag']],
+            'data_sharing.international_transfers': [['transfert', 'hors de l\'union', 'pays tiers']],
+            'data_sharing.law_enforcement': [['autorité', 'légal', 'judiciaire', 'tribunal']],
+            'data_sharing.user_control': [['vous pouvez contrôler', 'gérer le partage', 'préférences de partage']],
+            'cookies_tracking.cookies_used': [['traceur', 'suivi']],
+            'cookies_tracking.opt_out_available': [['refuser', 'désactiv', 'opposer'], ['traceur']],
+            'cookies_tracking.granular_controls': [['paramètres des cookies', 'gérer les cookies', 'gestion des cookies', 'préférences de cookies']],
+            'security_measures.encryption_mentioned': [['chiffr', 'crypt']],
+            'security_measures.access_controls': [['contrôle d\'accès', 'contrôles d\'accès', 'authentification']],
+            'security_measures.incident_response': [['violation de données', 'incident de sécurité']],
+            'policy_updates.frequency_mentioned': [['mise à jour', 'modifi', 'révis']],
+            'policy_updates.user_consent_required': [['vous informer', 'vous informerons', 'consentement aux modifications']],
+            'compliance.gdpr_mentioned': [['rgpd', 'règlement général sur la protection des données']],
+            'contact_info.provided': [['courriel', 'e-mail']],
+            'contact_info.dpo_mentioned': [['délégué à la protection des données', 'dpd']],
+            'transparency.specific_examples': [['par exemple', 'tels que', 'telles que', 'notamment']],
+            'data_retention.retention_period_specified': [['conserv'], ['jours', 'mois', 'ans', 'années']],
+            'data_retention.deletion_process_clear': [['supprim', 'effac'], ['demande']]
+        },
+        lists: {
+            'data_collection.types': {
+                'Personal Identifiers': [['votre nom', 'adresse e-mail', 'données personnelles', 'données à caractère personnel']],
+                'Location Data': [['localisation', 'géolocalisation']],
+                'Device & Technical Information': [['appareil', 'adresse ip', 'navigateur']],
+                'Usage & Activity Data': [['utilisation', 'statistique', 'comportement']],
+                'Financial Information': [['paiement', 'carte bancaire', 'financi']],
+                'Biometric Data': [['biométrique']],
+                'Health Information': [['santé', 'médical']]
+            },
+            'data_collection.purposes': {
+                'Service Provision': [['fournir', 'fonctionnement']],
+                'Personalization': [['personnalis', 'adapté à vos', 'adaptés à vos', 'adaptées à vos']],
+                'Advertising & Marketing': [['publicit', 'promotion']],
+                'Analytics & Improvement': [['statistique', 'amélior', 'recherche']],
+                'Security & Fraud Prevention': [['sécurité', 'fraude', 'protéger']],
+                'Legal Compliance': [['légal', 'obligation', 'réglementation']],
+                'Communication & Support': [['assistance', 'répondre']]
+            },
+            'user_rights.opt_out_methods': {
+                'email unsubscribe': [['désinscri', 'désabonn']],
+                'account settings': [['paramètres', 'préférences']],
+                'cookie settings': [[], ['paramètres', 'gestion']],
+                'contact request': [['contactez-nous', 'nous contacter']]
+            },
+            'data_sharing.third_party_purposes': {
+                'service provision': [['prestataire', 'sous-traitant']],
+                'advertising': [['publicit']],
+                'analytics': [['statistique', 'mesure d\'audience']],
+                'legal compliance': [['obligation légale', 'légal']]
+            },
+            'data_sharing.transfer_safeguards': {
+                'Standard Contractual Clauses': [['clauses contractuelles types']],
+                'EU Adequacy Decision': [['décision d\'adéquation']],
+                'Binding Corporate Rules': [['règles d\'entreprise contraignantes']]
+            },
+            'cookies_tracking.tracking_technologies': {
+                'Cookies': [['traceur']],
+                'Device Fingerprinting': [['empreinte']],
+                'Web Beacons': [['balise']],
+                'Local Storage': [['stockage local']]
+            },
+            'security_measures.measures': {
+                'Encryption': [['chiffr']],
+                'Firewalls': [['pare-feu']],
+                'Access Controls': [['contrôle d\'accès', 'authentification']],
+                'Secure Servers': [['sécuris'], ['serveur']],
+                'Security Monitoring': [['surveill']],
+                'Multi-Factor Authentication': [['deux facteurs', 'multifacteur']]
+            },
+            'contact_info.methods': {
+                'phone': [['téléphone']],
+                'contact form': [['formulaire']],
+                'postal mail': [['courrier postal', 'voie postale', 'adresse postale'], ['adresse']]
+            }
+        },
+        terms: {
+            examples: ['par exemple', 'tels que', 'telles que'],
+            table_of_contents: ['table des matières', 'sommaire'],
+            plain_language: ['langage clair', 'facile à comprendre'],
+            legalese: ['nonobstant', 'ci-après'],
+            access: ['accès'],
+            your_data: ['vos données'],
+            deletion: ['supprim', 'effac'],
+            correction: ['rectifi'],
+            portability: ['portabilité'],
+            opt_out: ['opposition', 'désinscri'],
+            withdraw_consent: ['retirer votre consentement', 'retrait du consentement'],
+            sell: ['vend', 'vente'],
+            data: ['données'],
+            third_party: ['tiers'],
+            advertising: ['publicit'],
+            share: ['partag'],
+            user_control: ['vous pouvez contrôler'],
+            encryption: ['chiffr'],
+            multi_factor: ['deux facteurs', 'multifacteur'],
+            security_audit: ['audits réguliers', 'tests de sécurité'],
+            gdpr: ['rgpd'],
+            cookies: ['traceur'],
+            retain: ['conserv'],
+            time_period: ['jours', 'mois', 'ans', 'années'],
+            inactive: ['inactif', 'inactivité'],
+            email: ['courriel', 'e-mail'],
+            notify: ['vous informer', 'informerons', 'notifi'],
+            website_posting: ['publierons', 'site web', 'site internet'],
+            in_app: ['dans l\'application']
+        }
+    },
+    es: {
+        flags: {
+            'user_rights.access': [['acceso', 'acceder a sus datos']],
+            'user_rights.deletion': [['suprim', 'supresión', 'elimin', 'borr', 'derecho al olvido']],
+            'user_rights.correction': [['rectific', 'corregir']],
+            'user_rights.portability': [['portabilidad']],
+            'user_rights.opt_out': [['oposición', 'oponerse', 'darse de baja', 'retirar su consentimiento', 'cancelar la suscripción']],
+            'data_sharing.third_parties': [['terceros', 'socios', 'compart']],
+            'data_sharing.international_transfers': [['transferencia', 'internacional', 'fuera del espacio económico europeo']],
+            'data_sharing.law_enforcement': [['autoridad', 'judicial', 'tribunal']],
+            'data_sharing.user_control': [['usted puede controlar', 'puede gestionar']],
+            'cookies_tracking.cookies_used': [['rastreo', 'seguimiento']],
+            'cookies_tracking.opt_out_available': [['rechazar', 'desactivar', 'deshabilitar']],
+            'cookies_tracking.granular_controls': [['configuración de cookies', 'configuración de las cookies', 'gestionar las cookies', 'preferencias de cookies']],
+            'security_measures.encryption_mentioned': [['cifr', 'encript']],
+            'security_measures.access_controls': [['control de acceso', 'controles de acceso', 'autenticación']],
+            'security_measures.incident_response': [['violación de datos', 'brecha', 'incidente de seguridad']],
+            'policy_updates.frequency_mentioned': [['actualiz', 'modific', 'cambi']],
+            'policy_updates.user_consent_required': [['le notificaremos', 'le informaremos', 'consentimiento a los cambios']],
+            'compliance.gdpr_mentioned': [['rgpd', 'reglamento general de protección de datos']],
+            'contact_info.provided': [['contacto', 'correo electrónico']],
+            'contact_info.dpo_mentioned': [['delegado de protección de datos', 'dpd']],
+            'transparency.specific_examples': [['por ejemplo', 'tales como', 'incluyendo']],
+            'data_retention.retention_period_specified': [['conserv'], ['días', 'meses', 'años']],
+            'data_retention.deletion_process_clear': [['suprim', 'elimin'], ['solicit']]
+        },
+        lists: {
+            'data_collection.types': {
+                'Personal Identifiers': [['nombre', 'correo electrónico', 'datos personales']],
+                'Location Data': [['ubicación', 'geolocalización', 'localización']],
+                'Device & Technical Information': [['dispositivo', 'dirección ip', 'navegador']],
+                'Usage & Activity Data': [['datos de uso', 'analítica', 'comportamiento']],
+                'Financial Information': [['pago', 'tarjeta de crédito', 'financier']],
+                'Biometric Data': [['biométric']],
+                'Health Information': [['salud', 'médic']]
+            },
+            'data_collection.purposes': {
+                'Service Provision': [['servicio', 'prestar', 'operar']],
+                'Personalization': [['personaliz', 'adaptar']],
+                'Advertising & Marketing': [['publicidad', 'publicitari', 'promoci']],
+                'Analytics & Improvement': [['analítica', 'mejorar', 'investigación']],
+                'Security & Fraud Prevention': [['seguridad', 'fraude', 'proteger']],
+                'Legal Compliance': [['legal', 'cumplir', 'normativa']],
+                'Communication & Support': [['comunicación', 'soporte', 'atención al cliente', 'responder']]
+            },
+            'user_rights.opt_out_methods': {
+                'email unsubscribe': [['darse de baja', 'cancelar la suscripción']],
+                'account settings': [['configuración', 'preferencias']],
+                'cookie settings': [[], ['configuración']],
+                'contact request': [['contáctenos', 'póngase en contacto']]
+            },
+            'data_sharing.third_party_purposes': {
+                'service provision': [['proveedores de servicios', 'encargados del tratamiento']],
+                'advertising': [['publicidad']],
+                'analytics': [['analítica']],
+                'legal compliance': [['cumplimiento']]
+            },
+            'data_sharing.transfer_safeguards': {
+                'Standard Contractual Clauses': [['cláusulas contractuales tipo', 'cláusulas contractuales estándar']],
+                'EU Adequacy Decision': [['decisión de adecuación']],
+                'Binding Corporate Rules': [['normas corporativas vinculantes']]
+            },
+            'cookies_tracking.tracking_technologies': {
+                'Tracking Pixels': [['píxel']],
+                'Device Fingerprinting': [['huella digital']],
+                'Web Beacons': [['baliza']],
+                'Local Storage': [['almacenamiento local']]
+            },
+            'security_measures.measures': {
+                'Encryption': [['cifr', 'encript']],
+                'Firewalls': [['cortafuegos']],
+                'Access Controls': [['control de acceso', 'autenticación']],
+                'Secure Servers': [['segur'], ['servidor']],
+                'Security Monitoring': [['monitor', 'supervis']],
+                'Multi-Factor Authentication': [['dos factores', 'doble factor', 'multifactor']],
+                'Security Audits': [['auditor']]
+            },
+            'contact_info.methods': {
+                'phone': [['teléfono', 'llám']],
+                'contact form': [['formulario']],
+                'postal mail': [['correo postal'], ['dirección']]
+            }
+        },
+        terms: {
+            examples: ['por ejemplo', 'tales como'],
+            table_of_contents: ['índice', 'tabla de contenido'],
+            plain_language: ['lenguaje claro', 'fácil de entender'],
+            legalese: ['no obstante lo', 'en adelante'],
+            access: ['acceso'],
+            your_data: ['sus datos', 'tus datos'],
+            deletion: ['suprim', 'elimin'],
+            correction: ['rectific'],
+            portability: ['portabilidad'],
+            opt_out: ['oposición', 'darse de baja'],
+            withdraw_consent: ['retirar su consentimiento', 'retirar el consentimiento'],
+            sell: ['vend', 'venta'],
+            data: ['datos'],
+            third_party: ['terceros'],
+            advertising: ['publicidad'],
+            share: ['compart'],
+            user_control: ['usted puede controlar'],
+            encryption: ['cifr', 'encript'],
+            multi_factor: ['dos factores', 'multifactor'],
+            security_audit: ['auditorías periódicas', 'pruebas de seguridad'],
+            gdpr: ['rgpd'],
+            retain: ['conserv'],
+            time_period: ['días', 'meses', 'años'],
+            inactive: ['inactiv'],
+            email: ['correo electrónico'],
+            notify: ['notific'],
+            website_posting: ['publicar', 'sitio web'],
+            in_app: ['en la aplicación', 'notificación']
+        }
+    },
+    pt: {
+        flags: {
+            'user_rights.access': [['acesso', 'acessar seus dados']],
+            'user_rights.deletion': [['excluir', 'exclusão de dados', 'exclusão dos seus dados', 'elimin', 'apag']],
+            'user_rights.correction': [['corrig', 'retific', 'correção']],
+            'user_rights.portability': [['portabilidade']],
+            'user_rights.opt_out': [['oposição', 'opor-se', 'cancelar a inscrição', 'descadastr', 'revogar o consentimento', 'revogação do consentimento']],
+            'data_sharing.third_parties': [['terceiros', 'parceiros', 'compartilh', 'partilh']],
+            'data_sharing.international_transfers': [['transferência internacional', 'internacional', 'outros países']],
+            'data_sharing.law_enforcement': [['autoridade', 'judicial', 'ordem judicial']],
+            'data_sharing.user_control': [['você pode controlar', 'gerenciar o compartilhamento']],
+            'cookies_tracking.cookies_used': [['rastreamento', 'rastreio']],
+            'cookies_tracking.opt_out_available': [['recusar', 'desativar', 'desabilitar']],
+            'cookies_tracking.granular_controls': [['configurações de cookies', 'gerenciar cookies', 'preferências de cookies', 'definições de cookies']],
+            'security_measures.encryption_mentioned': [['criptograf', 'cifr', 'encript']],
+            'security_measures.access_controls': [['controle de acesso', 'controlo de acesso', 'autenticação']],
+            'security_measures.incident_response': [['violação de dados', 'incidente de segurança', 'vazamento']],
+            'policy_updates.frequency_mentioned': [['atualiz', 'alteraç', 'alterar', 'revis']],
+            'policy_updates.user_consent_required': [['notificaremos', 'informaremos', 'consentimento para alterações']],
+            'compliance.gdpr_mentioned': [['rgpd', 'regulamento geral sobre a proteção de dados']],
+            'contact_info.provided': [['contato', 'contacto', 'e-mail']],
+            'contact_info.dpo_mentioned': [['encarregado']],
+            'transparency.specific_examples': [['por exemplo', 'tais como', 'incluindo']],
+            'data_retention.retention_period_specified': [['armazen', 'conserv', 'reter', 'retenção'], ['dias', 'meses', 'anos']],
+            'data_retention.deletion_process_clear': [['excluir', 'exclusão', 'elimin'], ['solicita', 'requisição', 'pedido']]
+        },
+        lists: {
+            'data_collection.types': {
+                'Personal Identifiers': [['nome', 'endereço de e-mail', 'dados pessoais']],
+                'Location Data': [['localização', 'geolocalização']],
+                'Device & Technical Information': [['dispositivo', 'endereço ip', 'navegador']],
+                'Usage & Activity Data': [['dados de uso', 'dados de utilização', 'análise', 'comportamento']],
+                'Financial Information': [['pagamento', 'cartão de crédito', 'financeir']],
+                'Biometric Data': [['biométric']],
+                'Health Information': [['saúde', 'médic']]
+            },
+            'data_collection.purposes': {
+                'Service Provision': [['serviço', 'prestar', 'operar', 'fornecer']],
+                'Personalization': [['personaliz', 'adaptar']],
+                'Advertising & Marketing': [['publicidade', 'publicitári', 'promoç']],
+                'Analytics & Improvement': [['análise', 'melhorar', 'pesquisa']],
+                'Security & Fraud Prevention': [['segurança', 'fraude', 'proteger']],
+                'Legal Compliance': [['legal', 'cumprir', 'regulament']],
+                'Communication & Support': [['comunicação', 'suporte', 'atendimento', 'responder']]
+            },
+            'user_rights.opt_out_methods': {
+                'email unsubscribe': [['cancelar a inscrição', 'descadastr']],
+                'account settings': [['configurações', 'preferências', 'definições']],
+                'cookie settings': [[], ['configurações', 'definições']],
+                'contact request': [['entre em contato', 'contacte-nos', 'fale conosco']]
+            },
+            'data_sharing.third_party_purposes': {
+                'service provision': [['prestadores de serviço', 'fornecedores', 'operadores']],
+                'advertising': [['publicidade']],
+                'analytics': [['análise']],
+                'legal compliance': [['cumprimento']]
+            },
+            'data_sharing.transfer_safeguards': {
+                'Standard Contractual Clauses': [['cláusulas contratuais padrão', 'cláusulas-padrão contratuais', 'cláusulas contratuais-tipo']],
+                'EU Adequacy Decision': [['decisão de adequação']],
+                'Binding Corporate Rules': [['normas corporativas globais', 'regras vinculativas aplicáveis às empresas']]
+            },
+            'cookies_tracking.tracking_technologies': {
+                'Device Fingerprinting': [['impressão digital']],
+                'Local Storage': [['armazenamento local']]
+            },
+            'security_measures.measures': {
+                'Encryption': [['criptograf']],
+                'Access Controls': [['controle de acesso', 'autenticação']],
+                'Secure Servers': [['segur'], ['servidor']],
+                'Security Monitoring': [['monitor']],
+                'Multi-Factor Authentication': [['dois fatores', 'duas etapas', 'multifator']],
+                'Security Audits': [['auditori']]
+            },
+            'contact_info.methods': {
+                'phone': [['telefone', 'ligue']],
+                'contact form': [['formulário']],
+                'postal mail': [['correio postal', 'correspondência'], ['endereço']]
+            }
+        },
+        terms: {
+            examples: ['por exemplo', 'tais como'],
+            table_of_contents: ['índice', 'sumário'],
+            plain_language: ['linguagem simples', 'linguagem clara', 'fácil de entender'],
+            legalese: ['não obstante', 'doravante'],
+            access: ['acesso'],
+            your_data: ['seus dados'],
+            deletion: ['excluir', 'exclusão', 'elimin'],
+            correction: ['corrig', 'retific', 'correção'],
+            portability: ['portabilidade'],
+            opt_out: ['oposição', 'descadastr'],
+            withdraw_consent: ['revogar o consentimento', 'revogação do consentimento'],
+            sell: ['vend'],
+            data: ['dados'],
+            third_party: ['terceiros'],
+            advertising: ['publicidade'],
+            share: ['compartilh', 'partilh'],
+            user_control: ['você pode controlar'],
+            encryption: ['criptograf'],
+            multi_factor: ['dois fatores', 'multifator'],
+            security_audit: ['auditorias regulares', 'testes de segurança'],
+            gdpr: ['rgpd'],
+            retain: ['armazen', 'conserv', 'reter'],
+            time_period: ['dias', 'meses', 'anos'],
+            inactive: ['inativ'],
+            email: ['e-mail'],
+            notify: ['notific'],
+            website_posting: ['publicar', 'site'],
+            in_app: ['no aplicativo', 'na aplicação', 'notificação']
+        }
+    },
+    it: {
+        flags: {
+            'user_rights.access': [['accesso', 'accedere ai']],
+            'user_rights.deletion': [['cancell', 'elimin', 'diritto all\'oblio']],
+            'user_rights.correction': [['rettific', 'correggere']],
+            'user_rights.portability': [['portabilità']],
+            'user_rights.opt_out': [['opposizione', 'opporsi', 'disiscri', 'revocare il consenso']],
+            'data_sharing.third_parties': [['terze parti', 'terzi', 'condivid']],
+            'data_sharing.international_transfers': [['trasferimento', 'internazional', 'paesi terzi']],
+            'data_sharing.law_enforcement': [['autorità', 'legale', 'giudiziari', 'tribunale']],
+            'data_sharing.user_control': [['puoi controllare', 'gestire la condivisione']],
+            'cookies_tracking.cookies_used': [['tracciamento']],
+            'cookies_tracking.opt_out_available': [['rifiutare', 'disattiv', 'disabilit']],
+            'cookies_tracking.granular_controls': [['impostazioni dei cookie', 'gestire i cookie', 'preferenze sui cookie', 'preferenze dei cookie']],
+            'security_measures.encryption_mentioned': [['crittograf', 'cifratura']],
+            'security_measures.access_controls': [['controllo degli accessi', 'controlli di accesso', 'autenticazione']],
+            'security_measures.incident_response': [['violazione dei dati', 'incidente di sicurezza']],
+            'policy_updates.frequency_mentioned': [['aggiorn', 'modific', 'revision']],
+            'policy_updates.user_consent_required': [['ti informeremo', 'ti avviseremo', 'consenso alle modifiche']],
+            'compliance.gdpr_mentioned': [['rgpd', 'regolamento generale sulla protezione dei dati']],
+            'contact_info.provided': [['contatt', 'e-mail']],
+            'contact_info.dpo_mentioned': [['responsabile della protezione dei dati', 'rpd']],
+            'transparency.specific_examples': [['ad esempio', 'per esempio']],
+            'data_retention.retention_period_specified': [['conserv'], ['giorni', 'mesi', 'anni']],
+            'data_retention.deletion_process_clear': [['cancell', 'elimin'], ['richiesta', 'richiedere']]
+        },
+        lists: {
+            'data_collection.types': {
+                'Personal Identifiers': [['nome', 'indirizzo e-mail', 'dati personali']],
+                'Location Data': [['posizione', 'geolocalizzazione', 'localizzazione']],
+                'Device & Technical Information': [['dispositivo', 'indirizzo ip']],
+                'Usage & Activity Data': [['dati di utilizzo', 'analisi', 'comportamento']],
+                'Financial Information': [['pagamento', 'carta di credito', 'finanziari']],
+                'Health Information': [['salute', 'medic']]
+            },
+            'data_collection.purposes': {
+                'Service Provision': [['servizi', 'fornire', 'erogare']],
+                'Personalization': [['personalizz']],
+                'Advertising & Marketing': [['pubblicit', 'promozion']],
+                'Analytics & Improvement': [['analisi', 'migliorare', 'ricerca']],
+                'Security & Fraud Prevention': [['sicurezza', 'frode', 'proteggere']],
+                'Legal Compliance': [['legge', 'obblighi', 'normativ']],
+                'Communication & Support': [['comunicazion', 'assistenza', 'rispondere']]
+            },
+            'user_rights.opt_out_methods': {
+                'email unsubscribe': [['disiscri', 'annullare l\'iscrizione']],
+                'account settings': [['impostazioni', 'preferenze']],
+                'cookie settings': [[], ['impostazioni']],
+                'contact request': [['contattaci', 'contattarci']]
+            },
+            'data_sharing.third_party_purposes': {
+                'service provision': [['fornitori di servizi', 'responsabili del trattamento']],
+                'advertising': [['pubblicit']],
+                'analytics': [['analisi']],
+                'legal compliance': [['obblighi legali', 'legge']]
+            },
+            'data_sharing.transfer_safeguards': {
+                'Standard Contractual Clauses': [['clausole contrattuali standard', 'clausole contrattuali tipo']],
+                'EU Adequacy Decision': [['decisione di adeguatezza']],
+                'Binding Corporate Rules': [['norme vincolanti d\'impresa']]
+            },
+            'cookies_tracking.tracking_technologies': {
+                'Device Fingerprinting': [['impronta digitale']],
+                'Local Storage': [['archiviazione locale']]
+            },
+            'security_measures.measures': {
+                'Encryption': [['crittograf', 'cifratura']],
+                'Access Controls': [['controllo degli accessi', 'autenticazione']],
+                'Secure Servers': [['sicur'], ['server']],
+                'Multi-Factor Authentication': [['due fattori', 'multifattore']],
+                'Security Audits': [['verifiche di sicurezza']]
+            },
+            'contact_info.methods': {
+                'phone': [['telefono', 'chiama']],
+                'contact form': [['modulo']],
+                'postal mail': [['posta ordinaria', 'raccomandata', 'postale'], ['indirizzo']]
+            }
+        },
+        terms: {
+            examples: ['ad esempio', 'per esempio'],
+            table_of_contents: ['indice', 'sommario'],
+            plain_language: ['linguaggio semplice', 'linguaggio chiaro', 'facile da capire'],
+            legalese: ['fatto salvo', 'di seguito denominat'],
+            access: ['accesso'],
+            your_data: ['tuoi dati', 'suoi dati', 'vostri dati'],
+            deletion: ['cancell', 'elimin'],
+            correction: ['rettific'],
+            portability: ['portabilità'],
+            opt_out: ['opposizione', 'disiscri'],
+            withdraw_consent: ['revocare il consenso', 'revoca del consenso'],
+            sell: ['vend'],
+            data: ['dati'],
+            third_party: ['terze parti', 'terzi'],
+            advertising: ['pubblicit'],
+            share: ['condivid'],
+            user_control: ['puoi controllare'],
+            encryption: ['crittograf', 'cifratura'],
+            multi_factor: ['due fattori', 'multifattore'],
+            security_audit: ['audit periodici', 'test di sicurezza'],
+            gdpr: ['rgpd'],
+            retain: ['conserv'],
+            time_period: ['giorni', 'mesi', 'anni'],
+            inactive: ['inattiv'],
+            email: ['e-mail'],
+            notify: ['notific', 'avvis'],
+            website_posting: ['pubblicat', 'sito web'],
+            in_app: ['nell\'app', 'notifica']
+        }
+    }
+};
+// Rule tables for a policy language: the English rules extended with that language's pack
+const ruleSetCache = new Map();
+function getRuleSet(language = null) {
+    const key = RULE_BASED_LANGUAGE_PACKS[language] ? language : 'en';
+    if (!ruleSetCache.has(key)) {
+        const pack = RULE_BASED_LANGUAGE_PACKS[key] || {};
+        // Pack keywords are stems: anchored at a word start, open at the end. A leading * lets
+        // one match inside a word too (compound tails such as *löschung in Datenlöschung).
+        const stems = (keywords = []) => keywords.map(keyword => keyword.endsWith('*') ? keyword : `${keyword}*`);
+        const extend = (groups, extra = []) => groups.map((keywords, i) => [...keywords, ...stems(extra[i])]);
+        ruleSetCache.set(key, {
+            language: key,
+            flags: Object.fromEntries(Object.entries(RULE_BASED_FLAGS)
+                .map(([path, groups]) => [path, extend(groups, pack.flags?.[path])])),
+            lists: Object.fromEntries(Object.entries(RULE_BASED_LISTS)
+                .map(([path, rules]) => [path, rules.map(([item, ...groups]) => [item, ...extend(groups, pack.lists?.[path]?.[item])])])),
+            terms: Object.fromEntries(Object.entries(RULE_BASED_TERMS)
+                .map(([term, keywords]) => [term, [...keywords, ...stems(pack.terms?.[term])]]))
+        });
+    }
+    return ruleSetCache.get(key);
+}
+// Compiled keyword patterns: whole words with an optional -s, -es, -d, -ed or -ing
+// ending, and a leading or trailing * lifting the word boundary on that side
+const keywordPatterns = new Map();
+function keywordPattern(keyword) {
+    if (!keywordPatterns.has(keyword)) {
+        const prefix = keyword.startsWith('*');
+        const stem = keyword.endsWith('*');
+        const word = keyword.slice(prefix ? 1 : 0, stem ? -1 : undefined);
+        const start = prefix || !/^[\p{L}\p{N}]/u.test(word) ? '' : '(?<![\\p{L}\\p{N}])';
+        const end = stem || !/[\p{L}\p{N}]$/u.test(word) ? '' : '(?:s|es|d|ed|ing)?(?![\\p{L}\\p{N}])';
+        keywordPatterns.set(keyword, new RegExp(`${start}${escapeRegExp(word)}${end}`, 'iu'));
+    }
+    return keywordPatterns.get(keyword);
+}
+function mentionsKeyword(text, keyword) {
+    return keywordPattern(keyword).test(text);
+}
+// A keyword counts only where it is not negated ("we do not share your data")
+function affirmsKeyword(text, keyword, rules) {
+    const pattern = new RegExp(keywordPattern(keyword).source, 'giu');
+    for (const match of text.matchAll(pattern)) {
+        if (!isNegated(text, match.index, rules)) return true;
+    }
+    return false;
+}
+function matchesRule(text, groups, rules = getRuleSet()) {
+    return groups.every(keywords => keywords.some(keyword => affirmsKeyword(text, keyword, rules)));
+}
+function flagMatches(text, path, rules = getRuleSet()) {
+    return matchesRule(text, rules.flags[path], rules);
+}
+function detectListItems(text, path, rules = getRuleSet()) {
+    return rules.lists[path].filter(([, ...groups]) => matchesRule(text, groups, rules)).map(([item]) => item);
+}
+function mentions(text, rules, term) {
+    return rules.terms[term].some(keyword => affirmsKeyword(text, keyword, rules));
+}
+// Whole-word negators per policy language. A keyword preceded by one in the same clause
+// is not a match. French "ne" and "n'" open a negation whose "pas" follows the verb.
+const NEGATORS = {
+    en: ['not', 'no', 'never', 'neither', 'nor', 'without', 'cannot', 'n\'t'],
+    de: ['nicht', 'kein', 'keine', 'keinen', 'keinem', 'keiner', 'keines', 'nie', 'niemals', 'ohne', 'weder'],
+    fr: ['ne', 'n\'', 'pas', 'jamais', 'aucun', 'aucune', 'ni', 'sans'],
+    es: ['no', 'nunca', 'jamás', 'ningún', 'ninguno', 'ninguna', 'ni', 'sin'],
+    pt: ['não', 'nunca', 'jamais', 'nenhum', 'nenhuma', 'nem', 'sem'],
+    it: ['non', 'mai', 'nessun', 'nessuno', 'nessuna', 'né', 'senza']
+};
+const negationPatterns = new Map();
+function isNegated(text, index, rules = getRuleSet()) {
+    const language = NEGATORS[rules.language] ? rules.language : 'en';
+    if (!negationPatterns.has(language)) {
+        // n't belongs to the verb before it (don't), n' to the verb after it (n'utilisons)
+        const words = NEGATORS[language].map(word => [
+            word === 'n\'t' ? '' : '(?<![\\p{L}])',
+            escapeRegExp(word).replace(/'/g, '[\'’]'),
+            word.endsWith('\'') ? '' : '(?![\\p{L}])'
+        ].join(''));
+        negationPatterns.set(language, new RegExp(words.join('|'), 'iu'));
+    }
+    const clauseStart = Math.max(0, index - EXCERPT_CONTEXT_CHARS);
+    const clause = text.slice(clauseStart, index).split(/[.!?;:,\n]/).pop();
+    return negationPatterns.get(language).test(clause);
+}
+// Supporting excerpts for a matched rule: the sentence around the first occurrence of a
+// keyword from each group, skipping negated ones. Complete when every group has one.
+function findRuleEvidence(policyText, groups, rules = getRuleSet()) {
+    const found = groups.map(keywords => {
+        let first = null;
+        for (const keyword of keywords) {
+            const pattern = new RegExp(keywordPattern(keyword).source, 'giu');
+            for (const match of policyText.matchAll(pattern)) {
+                if (first && match.index >= first.index) break;
+                if (isNegated(policyText, match.index, rules)) continue;
+                first = { index: match.index, length: match[0].length };
+                break;
+            }
+        }
+        return first ? expandToSentence(policyText, first.index, first.index + first.length) : null;
+    });
+    const excerpts = found.filter((excerpt, index) => excerpt && found.findIndex(other => other && other.start === excerpt.start) === index);
+    return { excerpts, complete: found.every(Boolean) };
+}
+// Rule-based evidence for every true flag and every detected list item
+function buildRuleBasedEvidence(analysis, policyText, rules = getRuleSet()) {
+    const evidence = [];
+    for (const [path, groups] of Object.entries(rules.flags)) {
+        const [section, field] = path.split('.');
+        if (analysis[section][field] !== true) continue;
+        const { excerpts, complete } = findRuleEvidence(policyText, groups, rules);
+        evidence.push({ field: path, value: true, excerpts, verified: complete, source: 'rule_based' });
+    }
+    for (const [path, items] of Object.entries(rules.lists)) {
+        const [section, field] = path.split('.');
+        for (const [item, ...groups] of items) {
+            if (!analysis[section][field].includes(item)) continue;
+            const { excerpts, complete } = findRuleEvidence(policyText, groups, rules);
+            evidence.push({ field: path, item, excerpts, verified: complete, source: 'rule_based' });
+        }
     }
+    return evidence;
 }
 // ENHANCED: Rule-based fallback with improved scoring
-function performRuleBasedAnalysis(policyText, policyUrl) {
+function performRuleBasedAnalysis(policyText, policyUrl, document = null) {
     console.log('🔧 Performing enhanced rule-based analysis...');
    
     const text = policyText.toLowerCase();
+    // Keywords of the policy's language are matched alongside the English ones
+    const rules = getRuleSet(resolvePolicyLanguage(policyText, document));
    
-    const dataTypes = detectDataTypes(text);
-    const purposes = detectPurposes(text);
-    const trackingTech = detectTrackingTechnologies(text);
-    const securityMeasures = detectSecurityMeasures(text);
+    const dataTypes = detectListItems(text, 'data_collection.types', rules);
+    const purposes = detectListItems(text, 'data_collection.purposes', rules);
+    const trackingTech = detectListItems(text, 'cookies_tracking.tracking_technologies', rules);
+    const securityMeasures = detectListItems(text, 'security_measures.measures', rules);
    
     // Calculate component scores
-    const transparencyScore = calculateTransparencyScore(text);
-    const rightsScore = calculateRightsScore(text);
-    const sharingScore = calculateSharingScore(text);
-    const securityScore = calculateSecurityScore(text, securityMeasures);
-    const complianceScore = calculateComplianceScore(text);
-    const trackingScore = calculateTrackingScore(text, trackingTech);
-    const retentionScore = calculateRetentionScore(text);
+    const transparencyScore = calculateTransparencyScore(text, rules);
+    const rightsScore = calculateRightsScore(text, rules);
+    const sharingScore = calculateSharingScore(text, rules);
+    const securityScore = calculateSecurityScore(text, rules, securityMeasures);
+    const complianceScore = calculateComplianceScore(text, rules);
+    const trackingScore = calculateTrackingScore(text, rules, trackingTech);
+    const retentionScore = calculateRetentionScore(text, rules);
    
-    return {
+    const analysis = {
         summary: generateSummary(text, transparencyScore, rightsScore, sharingScore),
         data_collection: {
             types: dataTypes,
@@ -755,123 +3442,127 @@ function performRuleBasedAnalysis(policyText, policyUrl) {
             justification: `Collects ${dataTypes.length} types of data for ${purposes.length} stated purposes`
         },
         user_rights: {
-            access: text.includes('access') || text.includes('view your data') || text.includes('request access'),
-            deletion: text.includes('delete') || text.includes('erase') || text.includes('right to be forgotten') || text.includes('remove your data'),
-            correction: text.includes('correct') || text.includes('rectif') || text.includes('update your information'),
-            portability: text.includes('portability') || text.includes('data portability') || text.includes('export your data'),
-            opt_out: text.includes('opt') || text.includes('opt-out') || text.includes('unsubscribe') || text.includes('withdraw consent'),
-            opt_out_methods: detectOptOutMethods(text),
+            access: flagMatches(text, 'user_rights.access', rules),
+            deletion: flagMatches(text, 'user_rights.deletion', rules),
+            correction: flagMatches(text, 'user_rights.correction', rules),
+            portability: flagMatches(text, 'user_rights.portability', rules),
+            opt_out: flagMatches(text, 'user_rights.opt_out', rules),
+            opt_out_methods: detectListItems(text, 'user_rights.opt_out_methods', rules),
             rights_score: rightsScore,
-            details: describeUserRights(text)
+            details: describeUserRights(text, rules)
         },
         data_sharing: {
-            third_parties: text.includes('third') || text.includes('partner') || text.includes('share'),
-            third_party_purposes: detectSharingPurposes(text),
-            international_transfers: text.includes('international') || text.includes('transfer') || text.includes('cross-border'),
-            transfer_safeguards: detectTransferSafeguards(text),
-            law_enforcement: text.includes('law') || text.includes('legal') || text.includes('subpoena') || text.includes('court order'),
-            user_control: text.includes('you can control') || text.includes('manage sharing') || text.includes('sharing preferences'),
+            third_parties: flagMatches(text, 'data_sharing.third_parties', rules),
+            third_party_purposes: detectListItems(text, 'data_sharing.third_party_purposes', rules),
+            international_transfers: flagMatches(text, 'data_sharing.international_transfers', rules),
+            transfer_safeguards: detectListItems(text, 'data_sharing.transfer_safeguards', rules),
+            law_enforcement: flagMatches(text, 'data_sharing.law_enforcement', rules),
+            user_control: flagMatches(text, 'data_sharing.user_control', rules),
             sharing_score: sharingScore
         },
         cookies_tracking: {
-            cookies_used: text.includes('cooki') || text.includes('track'),
+            cookies_used: flagMatches(text, 'cookies_tracking.cookies_used', rules),
             tracking_technologies: trackingTech,
-            opt_out_available: (text.includes('opt') || text.includes('disable')) && text.includes('cooki'),
-            granular_controls: text.includes('cookie settings') || text.includes('manage cookies') || text.includes('cookie preferences'),
+            opt_out_available: flagMatches(text, 'cookies_tracking.opt_out_available', rules),
+            granular_controls: flagMatches(text, 'cookies_tracking.granular_controls', rules),
             tracking_score: trackingScore
         },
         security_measures: {
             measures: securityMeasures,
-            encryption_mentioned: text.includes('encrypt'),
-            access_controls: text.includes('access control') || text.includes('authentication'),
-            incident_response: text.includes('breach') || text.includes('incident response') || text.includes('security incident'),
+            encryption_mentioned: flagMatches(text, 'security_measures.encryption_mentioned', rules),
+            access_controls: flagMatches(text, 'security_measures.access_controls', rules),
+            incident_response: flagMatches(text, 'security_measures.incident_response', rules),
             security_score: securityScore
         },
         policy_updates: {
-            notification_method: detectUpdateMethod(text),
-            frequency_mentioned: text.includes('update') || text.includes('change') || text.includes('revise'),
-            user_consent_required: text.includes('notify you') || text.includes('consent to changes')
+            notification_method: detectUpdateMethod(text, rules),
+            frequency_mentioned: flagMatches(text, 'policy_updates.frequency_mentioned', rules),
+            user_consent_required: flagMatches(text, 'policy_updates.user_consent_required', rules)
         },
         compliance: {
-            gdpr_mentioned: text.includes('gdpr') || text.includes('general data protection regulation'),
-            ccpa_mentioned: text.includes('ccpa') || text.includes('california consumer privacy act'),
-            coppa_mentioned: text.includes('coppa') || text.includes('children\'s online privacy'),
-            other_regulations: detectOtherRegulations(text),
+            gdpr_mentioned: flagMatches(text, 'compliance.gdpr_mentioned', rules),
+            ccpa_mentioned: flagMatches(text, 'compliance.ccpa_mentioned', rules),
+            coppa_mentioned: flagMatches(text, 'compliance.coppa_mentioned', rules),
+            other_regulations: detectListItems(text, 'compliance.other_regulations', rules),
             compliance_score: complianceScore
         },
         contact_info: {
-            provided: text.includes('contact') || text.includes('email') || text.includes('@'),
-            methods: detectContactMethods(text),
-            dpo_mentioned: text.includes('data protection officer') || text.includes('dpo') || text.includes('privacy officer')
+            provided: flagMatches(text, 'contact_info.provided', rules),
+            methods: detectListItems(text, 'contact_info.methods', rules),
+            dpo_mentioned: flagMatches(text, 'contact_info.dpo_mentioned', rules)
         },
         transparency: {
-            clear_language: text.length < 15000 && !text.includes('notwithstanding') && !text.includes('hereinafter'),
+            // Document-level judgements; these carry no evidence excerpts
+            clear_language: text.length < 15000 && !mentions(text, rules, 'legalese'),
             easy_to_find: true,
-            well_organized: text.includes('table of contents') || text.split('\n').length > 10,
-            specific_examples: text.includes('for example') || text.includes('such as') || text.includes('including'),
+            well_organized: mentions(text, rules, 'table_of_contents') || (document ? document.sections.length >= 3 : text.split('\n').length > 10),
+            specific_examples: flagMatches(text, 'transparency.specific_examples', rules),
             transparency_score: transparencyScore
         },
         data_retention: {
-            retention_period_specified: text.includes('retain') && (text.includes('days') || text.includes('months') || text.includes('years')),
-            deletion_process_clear: text.includes('delete') && text.includes('request'),
+            retention_period_specified: flagMatches(text, 'data_retention.retention_period_specified', rules),
+            deletion_process_clear: flagMatches(text, 'data_retention.deletion_process_clear', rules),
             retention_score: retentionScore
         },
-        analysis_method: "enhanced_rule_based"
+        analysis_method: "enhanced_rule_based",
+        rule_language: rules.language
     };
+    analysis.evidence = annotateEvidencePages(buildRuleBasedEvidence(analysis, policyText, rules), document);
+    return analysis;
 }
 // Helper functions for enhanced scoring
-function calculateTransparencyScore(text) {
+function calculateTransparencyScore(text, rules) {
     let score = 5; // Start neutral
-    if (text.includes('for example') || text.includes('such as')) score += 2;
-    if (text.includes('table of contents')) score += 1;
+    if (mentions(text, rules, 'examples')) score += 2;
+    if (mentions(text, rules, 'table_of_contents')) score += 1;
     if (text.length < 10000) score += 1;
-    if (text.includes('plain language') || text.includes('easy to understand')) score += 1;
+    if (mentions(text, rules, 'plain_language')) score += 1;
     return Math.min(10, score);
 }
-function calculateRightsScore(text) {
+function calculateRightsScore(text, rules) {
     let score = 0;
-    if (text.includes('access') && text.includes('your data')) score += 2;
-    if (text.includes('delete') || text.includes('erase')) score += 3;
-    if (text.includes('correct') || text.includes('update')) score += 1;
-    if (text.includes('portability') || text.includes('export')) score += 2;
-    if (text.includes('opt-out') || text.includes('withdraw consent')) score += 2;
+    if (mentions(text, rules, 'access') && mentions(text, rules, 'your_data')) score += 2;
+    if (mentions(text, rules, 'deletion')) score += 3;
+    if (mentions(text, rules, 'correction')) score += 1;
+    if (mentions(text, rules, 'portability')) score += 2;
+    if (mentions(text, rules, 'opt_out') || mentions(text, rules, 'withdraw_consent')) score += 2;
     return Math.min(10, score);
 }
-function calculateSharingScore(text) {
+function calculateSharingScore(text, rules) {
     let score = 10; // Start high (less sharing is better)
-    if (text.includes('sell') && text.includes('data')) score -= 4;
-    if (text.includes('third party') || text.includes('third-party')) score -= 2;
-    if (text.includes('advertising') && text.includes('share')) score -= 1;
-    if (text.includes('you can control') || text.includes('opt-out')) score += 2;
+    if (mentions(text, rules, 'sell') && mentions(text, rules, 'data')) score -= 4;
+    if (mentions(text, rules, 'third_party')) score -= 2;
+    if (mentions(text, rules, 'advertising') && mentions(text, rules, 'share')) score -= 1;
+    if (mentions(text, rules, 'user_control') || mentions(text, rules, 'opt_out')) score += 2;
     return Math.max(0, Math.min(10, score));
 }
-function calculateSecurityScore(text, measures) {
+function calculateSecurityScore(text, rules, measures) {
     let score = measures.length * 2;
-    if (text.includes('encrypt')) score += 2;
-    if (text.includes('ssl') || text.includes('tls')) score += 1;
-    if (text.includes('two-factor') || text.includes('multi-factor')) score += 2;
-    if (text.includes('regular audit') || text.includes('security testing')) score += 1;
+    if (mentions(text, rules, 'encryption')) score += 2;
+    if (mentions(text, rules, 'tls')) score += 1;
+    if (mentions(text, rules, 'multi_factor')) score += 2;
+    if (mentions(text, rules, 'security_audit')) score += 1;
     return Math.min(10, score);
 }
-function calculateComplianceScore(text) {
+function calculateComplianceScore(text, rules) {
     let score = 0;
-    if (text.includes('gdpr')) score += 3;
-    if (text.includes('ccpa')) score += 3;
-    if (text.includes('coppa')) score += 2;
-    if (text.includes('hipaa')) score += 2;
+    if (mentions(text, rules, 'gdpr')) score += 3;
+    if (mentions(text, rules, 'ccpa')) score += 3;
+    if (mentions(text, rules, 'coppa')) score += 2;
+    if (mentions(text, rules, 'hipaa')) score += 2;
     return Math.min(10, score);
 }
-function calculateTrackingScore(text, trackingTech) {
+function calculateTrackingScore(text, rules, trackingTech) {
     let score = 10; // Start high (less tracking is better)
     score -= trackingTech.length;
-    if (text.includes('opt-out') && text.includes('cooki')) score += 2;
-    if (text.includes('do not track') || text.includes('dnt')) score += 1;
+    if (mentions(text, rules, 'opt_out') && mentions(text, rules, 'cookies')) score += 2;
+    if (mentions(text, rules, 'do_not_track')) score += 1;
     return Math.max(0, Math.min(10, score));
 }
-function calculateRetentionScore(text) {
+function calculateRetentionScore(text, rules) {
     let score = 5;
-    if (text.includes('retain') && (text.includes('days') || text.includes('months') || text.includes('years'))) score += 3;
-    if (text.includes('delete') && text.includes('inactive')) score += 2;
+    if (mentions(text, rules, 'retain') && mentions(text, rules, 'time_period')) score += 3;
+    if (mentions(text, rules, 'deletion') && mentions(text, rules, 'inactive')) score += 2;
     return Math.min(10, score);
 }
 function generateSummary(text, transparencyScore, rightsScore, sharingScore) {
@@ -885,157 +3576,374 @@ function generateSummary(text, transparencyScore, rightsScore, sharingScore) {
         return "This privacy policy has limited transparency and user control. Users should carefully review data handling practices and consider privacy implications.";
     }
 }
-function describeUserRights(text) {
+function describeUserRights(text, rules) {
     const rights = [];
-    if (text.includes('access')) rights.push('access');
-    if (text.includes('delete')) rights.push('deletion');
-    if (text.includes('correct')) rights.push('correction');
-    if (text.includes('portability')) rights.push('portability');
-    if (text.includes('opt')) rights.push('opt-out');
+    if (mentions(text, rules, 'access')) rights.push('access');
+    if (mentions(text, rules, 'deletion')) rights.push('deletion');
+    if (mentions(text, rules, 'correction')) rights.push('correction');
+    if (mentions(text, rules, 'portability')) rights.push('portability');
+    if (mentions(text, rules, 'opt_out') || mentions(text, rules, 'withdraw_consent')) rights.push('opt-out');
    
     if (rights.length === 0) return "Limited user rights information available";
     if (rights.length <= 2) return `Basic rights available: ${rights.join(', ')}`;
     return `Comprehensive rights provided: ${rights.join(', ')}`;
 }
-function detectOptOutMethods(text) {
-    const methods = [];
-    if (text.includes('unsubscribe')) methods.push('email unsubscribe');
-    if (text.includes('settings') || text.includes('preferences')) methods.push('account settings');
-    if (text.includes('cookie') && text.includes('settings')) methods.push('cookie settings');
-    if (text.includes('contact us')) methods.push('contact request');
-    return methods;
-}
-function detectSharingPurposes(text) {
-    const purposes = [];
-    if (text.includes('service provider')) purposes.push('service provision');
-    if (text.includes('advertising') || text.includes('marketing')) purposes.push('advertising');
-    if (text.includes('analytics')) purposes.push('analytics');
-    if (text.includes('legal') || text.includes('compliance')) purposes.push('legal compliance');
-    return purposes;
-}
-function detectTransferSafeguards(text) {
-    const safeguards = [];
-    if (text.includes('standard contractual clauses') || text.includes('scc')) safeguards.push('Standard Contractual Clauses');
-    if (text.includes('privacy shield')) safeguards.push('Privacy Shield');
-    if (text.includes('adequacy decision')) safeguards.push('EU Adequacy Decision');
-    if (text.includes('binding corporate rules')) safeguards.push('Binding Corporate Rules');
-    return safeguards;
-}
-function detectContactMethods(text) {
-    const methods = [];
-    if (text.includes('@')) methods.push('email');
-    if (text.includes('phone') || text.includes('call')) methods.push('phone');
-    if (text.includes('form') || text.includes('contact form')) methods.push('contact form');
-    if (text.includes('mail') && text.includes('address')) methods.push('postal mail');
-    return methods;
-}
-// Original helper functions (enhanced)
-function detectDataTypes(text) {
-    const types = [];
-    if (text.includes('name') || text.includes('email') || text.includes('personal information')) types.push('Personal Identifiers');
-    if (text.includes('cooki')) types.push('Cookies & Similar Technologies');
-    if (text.includes('location') || text.includes('gps') || text.includes('geolocation')) types.push('Location Data');
-    if (text.includes('device') || text.includes('ip') || text.includes('browser')) types.push('Device & Technical Information');
-    if (text.includes('usage') || text.includes('analytics') || text.includes('behavior')) types.push('Usage & Activity Data');
-    if (text.includes('payment') || text.includes('credit card') || text.includes('financial')) types.push('Financial Information');
-    if (text.includes('biometric')) types.push('Biometric Data');
-    if (text.includes('health') || text.includes('medical')) types.push('Health Information');
-    return types;
-}
-function detectPurposes(text) {
-    const purposes = [];
-    if (text.includes('service') || text.includes('provide') || text.includes('operate')) purposes.push('Service Provision');
-    if (text.includes('personaliz') || text.includes('custom') || text.includes('tailor')) purposes.push('Personalization');
-    if (text.includes('advertis') || text.includes('market') || text.includes('promot')) purposes.push('Advertising & Marketing');
-    if (text.includes('analytics') || text.includes('improve') || text.includes('research')) purposes.push('Analytics & Improvement');
-    if (text.includes('security') || text.includes('fraud') || text.includes('protect')) purposes.push('Security & Fraud Prevention');
-    if (text.includes('legal') || text.includes('comply') || text.includes('regulation')) purposes.push('Legal Compliance');
-    if (text.includes('communication') || text.includes('support') || text.includes('respond')) purposes.push('Communication & Support');
-    return purposes;
-}
-function detectTrackingTechnologies(text) {
-    const tech = [];
-    if (text.includes('cooki')) tech.push('Cookies');
-    if (text.includes('pixel') || text.includes('tracking pixel')) tech.push('Tracking Pixels');
-    if (text.includes('fingerprint') || text.includes('device fingerprint')) tech.push('Device Fingerprinting');
-    if (text.includes('beacon') || text.includes('web beacon')) tech.push('Web Beacons');
-    if (text.includes('local storage') || text.includes('session storage')) tech.push('Local Storage');
-    if (text.includes('sdk') || text.includes('software development kit')) tech.push('SDKs');
-    return tech;
-}
-function detectSecurityMeasures(text) {
-    const measures = [];
-    if (text.includes('encrypt')) measures.push('Encryption');
-    if (text.includes('ssl') || text.includes('tls')) measures.push('SSL/TLS');
-    if (text.includes('firewall')) measures.push('Firewalls');
-    if (text.includes('access control') || text.includes('authentication')) measures.push('Access Controls');
-    if (text.includes('secure') && text.includes('server')) measures.push('Secure Servers');
-    if (text.includes('monitor') || text.includes('security monitoring')) measures.push('Security Monitoring');
-    if (text.includes('two-factor') || text.includes('multi-factor')) measures.push('Multi-Factor Authentication');
-    if (text.includes('audit') || text.includes('security audit')) measures.push('Security Audits');
-    return measures;
-}
-function detectUpdateMethod(text) {
-    if (text.includes('email') && text.includes('notif')) return 'Email Notification';
-    if (text.includes('post') || text.includes('website')) return 'Website Posting';
-    if (text.includes('in-app') || text.includes('notification')) return 'In-App Notification';
+function detectUpdateMethod(text, rules) {
+    if (mentions(text, rules, 'email') && mentions(text, rules, 'notify')) return 'Email Notification';
+    if (mentions(text, rules, 'website_posting')) return 'Website Posting';
+    if (mentions(text, rules, 'in_app')) return 'In-App Notification';
     return 'Not Specified';
 }
-function detectOtherRegulations(text) {
-    const regs = [];
-    if (text.includes('hipaa')) regs.push('HIPAA');
-    if (text.includes('lgpd')) regs.push('LGPD (Brazil)');
-    if (text.includes('pipeda')) regs.push('PIPEDA (Canada)');
-    if (text.includes('popia')) regs.push('POPIA (South Africa)');
-    if (text.includes('pdpa')) regs.push('PDPA');
-    return regs;
+// Regulation checklists for /api/compliance/check. Each item is a required disclosure;
+// its keyword groups (all must match) mark it present in rule-based mode, and a hint
+// keyword alone marks it unclear. Keywords are English, lower-case stems.
+const COMPLIANCE_CHECKLISTS = {
+    gdpr: {
+        name: 'GDPR Articles 13 and 14',
+        items: [
+            { id: 'controller_identity', requirement: 'Identity of the controller', reference: 'Art. 13(1)(a)', keywords: [['controller', 'responsible for the processing', 'responsible for your personal data']], hints: ['registered office', 'operated by'] },
+            { id: 'controller_contact', requirement: 'Contact details of the controller', reference: 'Art. 13(1)(a)', keywords: [['contact'], ['@', 'address', 'phone']], hints: ['contact'] },
+            { id: 'dpo_contact', requirement: 'Contact details of the data protection officer', reference: 'Art. 13(1)(b)', keywords: [['data protection officer', 'dpo']], hints: ['privacy officer', 'privacy team'] },
+            { id: 'purposes', requirement: 'Purposes of the processing', reference: 'Art. 13(1)(c)', keywords: [['purpose', 'we use your', 'we use personal', 'we process']], hints: ['use'] },
+            { id: 'legal_basis', requirement: 'Legal basis for each purpose', reference: 'Art. 13(1)(c)', keywords: [['legal basis', 'lawful basis', 'legal bases', 'legal ground']], hints: ['legitimate interest', 'performance of a contract', 'your consent'] },
+            { id: 'legitimate_interests', requirement: 'Legitimate interests pursued, where processing relies on them', reference: 'Art. 13(1)(d)', keywords: [['legitimate interest'], ['such as', 'including', 'for example', 'namely', 'to ']], hints: ['legitimate interest'] },
+            { id: 'recipients', requirement: 'Recipients or categories of recipients', reference: 'Art. 13(1)(e)', keywords: [['recipient', 'third part*', 'service provider', 'processor', 'share']], hints: ['partner'] },
+            { id: 'international_transfers', requirement: 'Transfers to third countries and the safeguards used', reference: 'Art. 13(1)(f)', keywords: [['standard contractual clauses', 'adequacy decision', 'binding corporate rules', 'appropriate safeguards']], hints: ['transfer*'] },
+            { id: 'retention_period', requirement: 'Retention period or the criteria used to set it', reference: 'Art. 13(2)(a)', keywords: [['retain', 'retention', 'store', 'keep'], ['days', 'months', 'years', 'as long as', 'period', 'criteria']], hints: ['retain', 'retention'] },
+            { id: 'data_subject_rights', requirement: 'Rights of access, rectification, erasure, restriction, objection and portability', reference: 'Art. 13(2)(b)', keywords: [['access'], ['rectif*', 'correct*'], ['erasure', 'delete', 'deletion'], ['object*', 'restrict*'], ['portability']], hints: ['your rights'] },
+            { id: 'withdraw_consent', requirement: 'Right to withdraw consent at any time', reference: 'Art. 13(2)(c)', keywords: [['withdraw', 'revoke'], ['consent']], hints: ['consent'] },
+            { id: 'complaint_right', requirement: 'Right to lodge a complaint with a supervisory authority', reference: 'Art. 13(2)(d)', keywords: [['complaint', 'lodge'], ['supervisory authority', 'data protection authority', 'regulator', 'commissioner']], hints: ['supervisory authority', 'complaint'] },
+            { id: 'statutory_requirement', requirement: 'Whether providing data is required and the consequences of not providing it', reference: 'Art. 13(2)(e)', keywords: [['required', 'obligat*', 'mandatory'], ['not able', 'unable', 'cannot', 'may not be able']], hints: ['required', 'mandatory'] },
+            { id: 'automated_decisions', requirement: 'Automated decision-making, including profiling, and its logic and consequences', reference: 'Art. 13(2)(f)', keywords: [['automated decision', 'automated individual decision', 'profiling']], hints: ['automated'] },
+            { id: 'data_sources', requirement: 'Source of data not obtained from the data subject', reference: 'Art. 14(2)(f)', keywords: [['source', 'obtain', 'receive', 'collect*'], ['from third part*', 'publicly available', 'from our partners', 'from other sources']], hints: ['third part*'] }
+        ]
+    },
+    ccpa: {
+        name: 'CCPA as amended by the CPRA',
+        items: [
+            { id: 'categories_collected', requirement: 'Categories of personal information collected', reference: '§1798.100, §1798.110', keywords: [['categor*'], ['personal information'], ['collect*']], hints: ['collect*'] },
+            { id: 'sources', requirement: 'Categories of sources of personal information', reference: '§1798.110(a)(2)', keywords: [['categories of sources', 'sources of personal information', 'we obtain', 'obtained from']], hints: ['source'] },
+            { id: 'business_purposes', requirement: 'Business or commercial purposes for collecting, selling or sharing', reference: '§1798.110(a)(3)', keywords: [['business purpose', 'commercial purpose']], hints: ['purpose'] },
+            { id: 'categories_sold_shared', requirement: 'Categories of personal information sold or shared, or a statement that none are', reference: '§1798.115, §1798.130(a)(5)(C)', keywords: [['categor*'], ['sold', 'sell', 'shared', 'share'], ['personal information']], hints: ['sell', 'share'] },
+            { id: 'categories_disclosed', requirement: 'Categories of personal information disclosed for a business purpose', reference: '§1798.130(a)(5)(C)', keywords: [['disclos*'], ['business purpose']], hints: ['disclos*'] },
+            { id: 'do_not_sell_link', requirement: '"Do Not Sell or Share My Personal Information" link or opt-out method', reference: '§1798.120, §1798.135', keywords: [['do not sell', 'do not share', 'opt-out of sale', 'opt out of the sale', 'opt-out of the sale', 'your privacy choices']], hints: ['opt-out', 'opt out'] },
+            { id: 'limit_sensitive', requirement: '"Limit the Use of My Sensitive Personal Information" right', reference: '§1798.121', keywords: [['limit the use'], ['sensitive']], hints: ['sensitive personal information'] },
+            { id: 'right_to_know', requirement: 'Right to know and access', reference: '§1798.100, §1798.110', keywords: [['right to know', 'request to know', 'right to access', 'request access']], hints: ['access'] },
+            { id: 'right_to_delete', requirement: 'Right to delete', reference: '§1798.105', keywords: [['right to delete', 'request deletion', 'request to delete', 'deletion request']], hints: ['delete'] },
+            { id: 'right_to_correct', requirement: 'Right to correct inaccurate information', reference: '§1798.106', keywords: [['right to correct', 'correct inaccurate', 'request to correct', 'correction']], hints: ['correct*'] },
+            { id: 'non_discrimination', requirement: 'Right not to be discriminated or retaliated against', reference: '§1798.125', keywords: [['discriminat*', 'retaliat*']], hints: [] },
+            { id: 'request_methods', requirement: 'Methods for submitting requests (two or more, e.g. toll-free number)', reference: '§1798.130(a)(1)', keywords: [['toll-free', 'toll free', 'web form', 'submit a request', 'online form', 'email us'], ['request']], hints: ['request'] },
+            { id: 'authorized_agent', requirement: 'How an authorized agent can make a request', reference: '§1798.130, 11 CCR §7063', keywords: [['authorized agent', 'authorised agent']], hints: ['agent'] },
+            { id: 'retention_period', requirement: 'Retention period for each category, or the criteria used', reference: '§1798.100(a)(3)', keywords: [['retain', 'retention'], ['period', 'criteria', 'as long as', 'months', 'years']], hints: ['retain', 'retention'] },
+            { id: 'minors_opt_in', requirement: 'Opt-in consent before selling or sharing information of consumers under 16', reference: '§1798.120(c)', keywords: [['under 16', 'under the age of 16', 'younger than 16', 'minors']], hints: ['children'] },
+            { id: 'last_updated', requirement: 'Date the policy was last updated (at least every 12 months)', reference: '§1798.130(a)(5)', keywords: [['last updated', 'effective date', 'last revised', 'last modified']], hints: ['updated'] }
+        ]
+    },
+    coppa: {
+        name: 'COPPA (16 CFR 312.4(d))',
+        items: [
+            { id: 'operator_contact', requirement: 'Name, address, telephone number and email address of each operator', reference: '§312.4(d)(1)', keywords: [['contact'], ['address'], ['phone', 'telephone'], ['@', 'email']], hints: ['contact'] },
+            { id: 'information_collected', requirement: 'Information collected from children and how (actively or passively)', reference: '§312.4(d)(2)', keywords: [['child*', 'under 13', 'under the age of 13'], ['collect*']], hints: ['child*'] },
+            { id: 'use_of_information', requirement: 'How the operator uses children\'s information', reference: '§312.4(d)(2)', keywords: [['child*', 'under 13'], ['use', 'purpose']], hints: ['child*'] },
+            { id: 'disclosure_practices', requirement: 'Disclosure practices for children\'s information', reference: '§312.4(d)(2)', keywords: [['child*', 'under 13'], ['disclos*', 'share', 'third part*']], hints: ['child*'] },
+            { id: 'parental_consent', requirement: 'Verifiable parental consent before collection', reference: '§312.5', keywords: [['parental consent', 'consent of a parent', 'parent\'s consent', 'consent from a parent', 'consent from the parent']], hints: ['parent*'] },
+            { id: 'parental_review_delete', requirement: 'Parent\'s right to review and have the child\'s information deleted', reference: '§312.4(d)(3), §312.6', keywords: [['parent*'], ['review', 'access'], ['delete', 'deletion']], hints: ['parent*'] },
+            { id: 'refuse_further_collection', requirement: 'Parent\'s right to refuse further collection or use', reference: '§312.4(d)(3)', keywords: [['parent*'], ['refuse', 'stop further', 'further collection', 'no longer collect']], hints: ['parent*'] },
+            { id: 'no_conditioning', requirement: 'No conditioning participation on more information than reasonably necessary', reference: '§312.7', keywords: [['reasonably necessary'], ['child*', 'participat*']], hints: ['reasonably necessary'] },
+            { id: 'coppa_reference', requirement: 'Reference to COPPA or its children\'s privacy practices', reference: '16 CFR Part 312', keywords: [['coppa', 'children\'s online privacy protection']], hints: ['children\'s privacy'] }
+        ]
+    }
+};
+const COMPLIANCE_REGULATION_ALIASES = { cpra: 'ccpa' };
+const COMPLIANCE_STATUSES = ['present', 'missing', 'unclear'];
+// Regulation id from a request, e.g. "GDPR" or "cpra"; unknown ones are a 400
+function resolveRegulation(value) {
+    const key = String(value || '').trim().toLowerCase();
+    const regulation = COMPLIANCE_REGULATION_ALIASES[key] || key;
+    if (!COMPLIANCE_CHECKLISTS[regulation]) {
+        const error = new Error(`regulation must be one of: ${[...Object.keys(COMPLIANCE_CHECKLISTS), ...Object.keys(COMPLIANCE_REGULATION_ALIASES)].join(', ')}`);
+        error.status = 400;
+        throw error;
+    }
+    return regulation;
+}
+// Keyword-based checklist: present when every keyword group matches, unclear when only a hint does
+function checkComplianceRuleBased(policyText, regulation) {
+    const text = policyText.toLowerCase();
+    return COMPLIANCE_CHECKLISTS[regulation].items.map(item => {
+        if (matchesRule(text, item.keywords)) {
+            const { excerpts, complete } = findRuleEvidence(policyText, item.keywords);
+            return { id: item.id, status: 'present', explanation: 'Required wording found in the policy.', evidence: excerpts, verified: complete, source: 'rule_based' };
+        }
+        const hint = item.hints.find(keyword => mentionsKeyword(text, keyword));
+        if (hint) {
+            const { excerpts, complete } = findRuleEvidence(policyText, [[hint]]);
+            return { id: item.id, status: 'unclear', explanation: `The policy mentions "${hint}" but not the full disclosure.`, evidence: excerpts, verified: complete, source: 'rule_based' };
+        }
+        return { id: item.id, status: 'missing', explanation: 'No matching disclosure found.', evidence: [], verified: false, source: 'rule_based' };
+    });
+}
+function buildCompliancePrompt(policyText, regulation, { part = null, outputLanguage = null } = {}) {
+    const checklist = COMPLIANCE_CHECKLISTS[regulation];
+    return `You are a privacy lawyer auditing a privacy policy against ${checklist.name}.
+For each required disclosure below, decide whether the policy text${part ? ` (part ${part.number} of ${part.total})` : ''} makes it:
+- "present": clearly and specifically disclosed
+- "unclear": touched on, but vague, incomplete or only implied
+- "missing": not addressed
+Quote the policy word for word as evidence (up to 2 quotes per item, each under 300 characters). Do not quote for missing items.
+${describeOutputLanguage(outputLanguage)}Required disclosures:
+${checklist.items.map(item => `- ${item.id}: ${item.requirement} (${item.reference})`).join('\n')}
+Return ONLY valid JSON:
+{"items": [{"id": "item id", "status": "present|unclear|missing", "explanation": "one sentence", "quotes": ["exact quote"]}]}
+Policy Text:
+${policyText}`;
+}
+// Checklist from an AI provider. Long policies are checked part by part and the best
+// status per item wins. A "present" without a quote found in the text is downgraded to
+// "unclear"; items the model skipped come from the keyword checklist.
+async function checkComplianceWithAI(policyText, regulation, ai, document = null) {
+    const { provider, model } = ai;
+    const parts = policyText.length <= provider.maxPolicyChars
+        ? [{ text: policyText }]
+        : splitIntoChunks(policyText, document?.sections?.length ? document.sections : detectTextSections(policyText), provider.maxPolicyChars);
+    const responses = await mapWithConcurrency(parts, AI_CHUNK_CONCURRENCY, async (part, index) => {
+        const response = await callAIProvider(ai, {
+            system: 'You audit privacy policies against legal disclosure requirements. Return ONLY valid JSON with no markdown formatting.',
+            prompt: buildCompliancePrompt(part.text, regulation, {
+                part: parts.length > 1 ? { number: index + 1, total: parts.length } : null,
+                outputLanguage: ai.outputLanguage
+            }),
+            purpose: 'compliance',
+            model,
+            maxTokens: Math.min(4000, provider.maxOutputTokens),
+            temperature: 0.1
+        });
+        const parsed = parseAIResponse(response.content);
+        if (!Array.isArray(parsed.items)) throw new Error('compliance response has no items list');
+        return parsed.items.filter(item => item && typeof item === 'object');
+    });
+    const locate = createQuoteLocator(policyText);
+    const fallback = checkComplianceRuleBased(policyText, regulation);
+    const rank = { present: 2, unclear: 1, missing: 0 };
+    return COMPLIANCE_CHECKLISTS[regulation].items.map((item, index) => {
+        const reports = responses.flat().filter(report => report.id === item.id && COMPLIANCE_STATUSES.includes(report.status));
+        if (reports.length === 0) return { ...fallback[index], filled_from_rule_based: true };
+        const best = reports.reduce((winner, report) => rank[report.status] > rank[winner.status] ? report : winner);
+        const quotes = reports.filter(report => report.status === best.status)
+            .flatMap(report => Array.isArray(report.quotes) ? report.quotes : [])
+            .filter(quote => typeof quote === 'string' && quote.trim());
+        const evidence = [...new Set(quotes)].slice(0, MAX_EXCERPTS_PER_FINDING).map(quote => {
+            const location = locate(quote);
+            return location
+                ? { quote: policyText.slice(location.start, location.end), start: location.start, end: location.end }
+                : { quote: quote.trim(), start: null, end: null };
+        });
+        const verified = evidence.some(excerpt => excerpt.start !== null);
+        const result = {
+            id: item.id,
+            status: best.status,
+            explanation: coerceField(best.explanation, 'string') || null,
+            evidence,
+            verified,
+            source: 'ai'
+        };
+        if (best.status === 'present' && !verified) {
+            result.status = 'unclear';
+            result.downgraded = 'no quote found in the policy text';
+        }
+        return result;
+    });
+}
+// Check a policy against a regulation's checklist through the provider failover chain
+async function checkCompliance(policyText, regulation, ai = resolveAIProvider(), document = null) {
+    const { result: results, attempts, fallbackReason } = await runProviderChain(ai, {
+        run: stepAI => checkComplianceWithAI(policyText, regulation, stepAI, document),
+        fallback: () => checkComplianceRuleBased(policyText, regulation),
+        fallbackMethod: 'rule_based',
+        estimatedTokens: Math.ceil(policyText.length / 4)
+    });
+    const items = COMPLIANCE_CHECKLISTS[regulation].items.map((item, index) => {
+        const { id, ...result } = results[index];
+        return { id, requirement: item.requirement, reference: item.reference, ...result };
+    });
+    annotateEvidencePages(items.map(item => ({ excerpts: item.evidence })), document);
+    const counts = Object.fromEntries(COMPLIANCE_STATUSES.map(status => [status, items.filter(item => item.status === status).length]));
+    const success = attempts.find(attempt => attempt.status === 'success');
+    return {
+        regulation,
+        regulation_name: COMPLIANCE_CHECKLISTS[regulation].name,
+        summary: {
+            ...counts,
+            total: items.length,
+            // Unclear disclosures count half
+            coverage: Math.round(100 * (counts.present + counts.unclear / 2) / items.length)
+        },
+        items,
+        method: fallbackReason ? 'rule_based' : 'ai',
+        ai_provider: success?.provider || null,
+        ai_model: success?.model || null,
+        ai_error: fallbackReason || undefined,
+        ai_attempts: attempts
+    };
 }
 // Main analysis endpoint
-app.post('/api/analyze', async (req, res) => {
+app.post('/api/analyze', requireLLMQuota, async (req, res) => {
     try {
         const { url } = req.body;
        
         if (!url) {
             return res.status(400).json({ error: 'URL is required' });
         }
+        const ai = resolveAIProvider(req.body, req.apiKey);
+        const fetchOptions = resolveFetchOptions(req.body);
         console.log(`\n📊 Analysis Request: ${url}`);
-        // Step 1: Extract policy text
-        const policyText = await extractPolicyText(url);
-       
-        // Step 2: Analyze with configured AI provider
-        let analysis;
-        try {
-            if (AI_PROVIDER === 'openai') {
-                analysis = await analyzePolicyWithOpenAI(policyText, url);
-                analysis.analysis_method = 'openai';
-            } else {
-                analysis = await analyzePolicyWithMistral(policyText, url);
-                analysis.analysis_method = 'mistral_ai';
-            }
-        } catch (aiError) {
-            console.error('⚠️ AI analysis failed, using enhanced fallback:', aiError.message);
-            analysis = performRuleBasedAnalysis(policyText, url);
-            analysis.ai_error = aiError.message;
-        }
-        // Step 3: Return results
-        console.log(`✓ Analysis complete for ${url}\n`);
+        const result = await analyzeUrl({
+            url,
+            userId: getUserId(req),
+            refresh: isRefreshRequested(req),
+            ai,
+            fetchOptions
+        });
        
         res.json({
             success: true,
-            url: url,
-            analysis: analysis,
-            text_length: policyText.length,
+            ...result,
             timestamp: new Date().toISOString()
         });
     } catch (error) {
         console.error('✗ Analysis error:', error.message);
-        res.status(500).json({
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+// Streaming analysis endpoint (Server-Sent Events): same pipeline as /api/analyze,
+// with progress events while the policy is fetched and analyzed
+app.get('/api/analyze/stream', requireLLMQuota, async (req, res) => {
+    const { url } = req.query;
+   
+    if (!url) {
+        return res.status(400).json({ error: 'URL is required' });
+    }
+
+    let ai;
+    let fetchOptions;
+    try {
+        ai = resolveAIProvider(req.query, req.apiKey);
+        fetchOptions = resolveFetchOptions(req.query);
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: error.message });
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+
+    let closed = false;
+    const send = (event, data) => {
+        if (closed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    // Comment lines keep proxies from closing the connection during long AI calls
+    const heartbeat = setInterval(() => !closed && res.write(': keep-alive\n\n'), 15000);
+    // A client that disconnects cancels the analysis, so no more provider calls are paid for
+    const controller = new AbortController();
+    res.on('close', () => {
+        closed = true;
+        clearInterval(heartbeat);
+        controller.abort();
+    });
+
+    try {
+        console.log(`\n📡 Streaming Analysis Request: ${url}`);
+        const result = await analyzeUrl({
+            url,
+            userId: getUserId(req),
+            refresh: isRefreshRequested(req),
+            ai,
+            fetchOptions,
+            feature: 'analyze_stream',
+            onProgress: send,
+            signal: controller.signal
+        });
+        send('result', {
+            success: true,
+            ...result,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        if (error.code === 'ERR_ANALYSIS_ABORTED') {
+            console.log(`⏹️ Streaming analysis cancelled: ${url}`);
+            return;
+        }
+        console.error('✗ Streaming analysis error:', error.message);
+        send('error', {
             success: false,
             error: error.message,
             timestamp: new Date().toISOString()
         });
+    } finally {
+        clearInterval(heartbeat);
+        res.end();
     }
 });
+// Analyze a policy URL: extract, analyze (reusing the cache), snapshot, personalize
+// and persist. onProgress(event, data) receives progress events for streaming;
+// includeText adds the extracted policy text to the result as `text`. Aborting
+// signal stops the analysis at the next provider call or chunk.
+async function analyzeUrl({ url, userId, refresh = false, ai = resolveAIProvider(), fetchOptions = resolveFetchOptions(), feature = 'analyze', onProgress = () => {}, includeText = false, signal = null }) {
+    if (signal) ai.signal = signal;
+    // Step 1: Extract policy text
+    onProgress('fetch_start', { url });
+    const document = await extractPolicyDocument(url, fetchOptions, onProgress);
+    const policyText = document.text;
+    onProgress('fetch_complete', { url, text_length: policyText.length, pages: document.pages.length });
+    assertNotAborted(signal);
+   
+    // Step 2: Reuse the cached analysis of identical text, or analyze with the configured AI provider
+    const cached = refresh ? null : getCachedAnalysis(url, policyText, ai);
+    let analysis;
+    if (cached) {
+        onProgress('cache_hit', { age_seconds: cached.ageSeconds });
+        analysis = cached.analysis;
+    } else {
+        analysis = await analyzePolicy(policyText, url, ai, { onProgress, document });
+        setCachedAnalysis(url, policyText, analysis, ai);
+    }
+    onProgress('analysis_complete', { analysis_method: analysis.analysis_method });
+    const snapshot = recordPolicySnapshot(getSnapshotUrl(url, fetchOptions), policyText, analysis, userId);
+    // Step 3: Personalize and persist
+    const personalized = calculatePersonalizedScore(analysis, getUserPreferences(userId));
+    const historyId = saveScanHistory({
+        userId,
+        sourceUrl: url,
+        sourceType: 'url',
+        analysis,
+        scanResult: personalized,
+        textLength: policyText.length
+    });
+    saveUsage({ userId, apiKeyId: ai.apiKey?.id, feature, historyId, calls: ai.calls });
+    console.log(`✓ Analysis complete for ${url}\n`);
+
+    return {
+        url: url,
+        analysis: analysis,
+        personalized,
+        cached: !!cached,
+        cache_age_seconds: cached ? cached.ageSeconds : undefined,
+        text_length: policyText.length,
+        text: includeText ? policyText : undefined,
+        document: summarizeDocument(document),
+        usage: summarizeUsage(ai.calls),
+        history_id: historyId,
+        policy_version: snapshot
+    };
+}
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({
@@ -1044,22 +3952,88 @@ app.get('/api/health', (req, res) => {
         ai_provider: AI_PROVIDER,
         mistral_configured: !!MISTRAL_API_KEY,
         openai_configured: !!OPENAI_API_KEY,
+        providers: Object.values(aiProviders).map(provider => ({
+            name: provider.name,
+            configured: provider.isConfigured(),
+            default_model: provider.defaultModel || null
+        })),
+        provider_chain: AI_PROVIDER_CHAIN,
+        circuits: getCircuitStatus(),
+        auth: {
+            api_key_required: API_AUTH_REQUIRED,
+            rate_limit_per_minute: API_RATE_LIMIT_PER_MINUTE,
+            daily_llm_quota: API_DAILY_LLM_QUOTA
+        },
+        fetchers: {
+            default: POLICY_FETCHER,
+            available: Object.values(policyFetchers).map(fetcher => ({ name: fetcher.name, available: fetcher.isAvailable() })),
+            crawl: { enabled: POLICY_CRAWL, max_depth: CRAWL_MAX_DEPTH, max_pages: CRAWL_MAX_PAGES }
+        },
+        cache: {
+            ttl_seconds: ANALYSIS_CACHE_TTL,
+            persistent: ANALYSIS_CACHE_PERSIST,
+            entries: analysisCache.keys().length
+        },
         endpoints: {
             analyze_url: '/api/analyze',
+            analyze_stream: '/api/analyze/stream',
             analyze_text: '/api/analyze-text',
+            analyze_file: '/api/analyze-file',
             batch_analyze: '/api/analyze/batch',
-            scan_app: '/api/scan-app'
+            scan_app: '/api/scan-app',
+            app_discover: '/api/apps/discover',
+            compliance_check: '/api/compliance/check',
+            compare: '/api/compare',
+            audit_site: '/api/audit-site',
+            history: '/api/history',
+            preferences: '/api/preferences/:userId',
+            policy_versions: '/api/policies/:id/versions',
+            policy_diff: '/api/policies/:id/diff',
+            watchlist: '/api/watchlist',
+            jobs: '/api/jobs',
+            usage: '/api/usage',
+            admin_keys: '/api/admin/keys',
+            schema: '/api/schema',
+            extract: '/api/extract'
         },
         timestamp: new Date().toISOString()
     });
 });
+// JSON Schema of the analysis object returned by every analysis endpoint
+app.get('/api/schema', (req, res) => {
+    res.json(ANALYSIS_SCHEMA);
+});
+// Structured extraction of a policy page: section tree, metadata and the text
+// that analysis offsets refer to
+app.get('/api/extract', async (req, res) => {
+    try {
+        const { url } = req.query;
+        if (!url) {
+            return res.status(400).json({ error: 'url query parameter is required' });
+        }
+        const document = await extractPolicyDocument(url, resolveFetchOptions(req.query));
+        res.json({
+            success: true,
+            ...document,
+            text_length: document.text.length,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('✗ Extraction error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
 
     // Root endpoint for quick verification
     app.get('/', (req, res) => {
         res.send('PolAI Backend is running successfully 🚀');
     });
-// Batch analysis endpoint
-app.post('/api/analyze/batch', async (req, res) => {
+// Batch analysis endpoint. Deprecated: it analyzes one URL after another within the request; use /api/jobs
+app.post('/api/analyze/batch', requireLLMQuota, async (req, res) => {
+    res.set({ 'Deprecation': 'true', 'Link': '</api/jobs>; rel="successor-version"' });
     try {
         const { urls } = req.body;
        
@@ -1069,34 +4043,52 @@ app.post('/api/analyze/batch', async (req, res) => {
         if (urls.length > 10) {
             return res.status(400).json({ error: 'Maximum 10 URLs allowed per batch' });
         }
+        const ai = resolveAIProvider(req.body, req.apiKey);
+        const fetchOptions = resolveFetchOptions(req.body);
         console.log(`\n📊 Batch Analysis: ${urls.length} URLs`);
         const results = [];
        
         for (const url of urls) {
+            // Usage is accounted per URL
+            const urlAI = { ...ai, calls: [] };
             try {
-                const policyText = await extractPolicyText(url);
+                const document = await extractPolicyDocument(url, fetchOptions);
+                const policyText = document.text;
+                const cached = isRefreshRequested(req) ? null : getCachedAnalysis(url, policyText, urlAI);
                 let analysis;
-               
-                try {
-                    if (AI_PROVIDER === 'openai') {
-                        analysis = await analyzePolicyWithOpenAI(policyText, url);
-                        analysis.analysis_method = 'openai';
-                    } else {
-                        analysis = await analyzePolicyWithMistral(policyText, url);
-                        analysis.analysis_method = 'mistral_ai';
-                    }
-                } catch (aiError) {
-                    analysis = performRuleBasedAnalysis(policyText, url);
-                    analysis.ai_error = aiError.message;
+                if (cached) {
+                    analysis = cached.analysis;
+                } else {
+                    analysis = await analyzePolicy(policyText, url, urlAI, { document });
+                    setCachedAnalysis(url, policyText, analysis, urlAI);
                 }
+                const snapshot = recordPolicySnapshot(getSnapshotUrl(url, fetchOptions), policyText, analysis, getUserId(req));
+               
+                const historyId = saveScanHistory({
+                    userId: getUserId(req),
+                    sourceUrl: url,
+                    sourceType: 'batch',
+                    analysis,
+                    textLength: policyText.length
+                });
+                saveUsage({ userId: getUserId(req), apiKeyId: req.apiKey?.id, feature: 'batch', historyId, calls: urlAI.calls });
                
                 results.push({
                     url,
                     success: true,
                     analysis,
-                    text_length: policyText.length
+                    cached: !!cached,
+                    cache_age_seconds: cached ? cached.ageSeconds : undefined,
+                    text_length: policyText.length,
+                    usage: summarizeUsage(urlAI.calls),
+                    history_id: historyId,
+                    policy_version: snapshot
                 });
                
+                // Add delay between live AI requests
+                if (!cached) {
+                    await new Promise(resolve => setTimeout(resolve, 2000));
+                }
             } catch (error) {
                 results.push({
                     url,
@@ -1104,228 +4096,3845 @@ app.post('/api/analyze/batch', async (req, res) => {
                     error: error.message
                 });
             }
-           
-            // Add delay between requests
-            await new Promise(resolve => setTimeout(resolve, 2000));
         }
-        console.log(`✓ Batch analysis complete\n`);
-        res.json({
-            success: true,
-            results,
-            timestamp: new Date().toISOString()
-        });
+        console.log(`✓ Batch analysis complete\n`);
+        res.json({
+            success: true,
+            results,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('✗ Batch analysis error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Text analysis endpoint (for OCR results)
+app.post('/api/analyze-text', requireLLMQuota, async (req, res) => {
+    try {
+        const { text } = req.body;
+       
+        if (!text || text.trim().length < 50) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Text too short. Please provide at least 50 characters of policy text.' 
+            });
+        }
+
+        const ai = resolveAIProvider(req.body, req.apiKey);
+        console.log(`\n📄 Text Analysis Request: ${text.length} characters`);
+
+        // Analyze the text directly
+        const analysis = await analyzePolicy(text, 'Direct Text Input', ai);
+
+        const historyId = saveScanHistory({
+            userId: getUserId(req),
+            appName: 'Direct Text Input',
+            sourceType: 'text',
+            analysis,
+            textLength: text.length
+        });
+        saveUsage({ userId: getUserId(req), apiKeyId: req.apiKey?.id, feature: 'analyze_text', historyId, calls: ai.calls });
+        console.log(`✓ Text analysis complete\n`);
+       
+        res.json({
+            success: true,
+            source: 'text',
+            analysis: analysis,
+            text_length: text.length,
+            detected_language: detectLanguage(text),
+            usage: summarizeUsage(ai.calls),
+            history_id: historyId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('✗ Text analysis error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Run the multipart parser for a single `file` field; upload errors become 4xx
+function receivePolicyUpload(req, res, upload = policyUpload) {
+    return new Promise((resolve, reject) => {
+        upload.single('file')(req, res, error => {
+            if (error) {
+                error.status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+                return reject(error);
+            }
+            resolve();
+        });
+    });
+}
+// File analysis endpoint: multipart upload of a PDF, DOCX, HTML or text policy
+app.post('/api/analyze-file', requireLLMQuota, async (req, res) => {
+    try {
+        await receivePolicyUpload(req, res);
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                error: 'A policy file is required (multipart field "file")'
+            });
+        }
+        const ai = resolveAIProvider(req.body, req.apiKey);
+        const { originalname, mimetype, size, buffer } = req.file;
+        console.log(`\n📎 File Analysis Request: ${originalname} (${mimetype}, ${size} bytes)`);
+        const document = await parsePolicyDocument(buffer, { contentType: mimetype, filename: originalname });
+        const policyText = document.text;
+        if (policyText.trim().length < 50) {
+            return res.status(422).json({
+                success: false,
+                error: 'No policy text found in the file. Scanned PDFs without a text layer are not supported.'
+            });
+        }
+        const analysis = await analyzePolicy(policyText, originalname, ai, { document });
+        const historyId = saveScanHistory({
+            userId: getUserId(req),
+            appName: originalname,
+            sourceType: 'file',
+            analysis,
+            textLength: policyText.length
+        });
+        saveUsage({ userId: getUserId(req), apiKeyId: req.apiKey?.id, feature: 'analyze_file', historyId, calls: ai.calls });
+        console.log(`✓ File analysis complete\n`);
+        res.json({
+            success: true,
+            source: 'file',
+            filename: originalname,
+            analysis: analysis,
+            text_length: policyText.length,
+            document: summarizeDocument(document),
+            usage: summarizeUsage(ai.calls),
+            history_id: historyId,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('✗ File analysis error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Compliance checklist: each required disclosure of one regulation (gdpr, ccpa/cpra,
+// coppa) as present, missing or unclear, with evidence. Takes a policy url or text.
+app.post('/api/compliance/check', requireLLMQuota, async (req, res) => {
+    try {
+        const { url, text } = req.body;
+        const regulation = resolveRegulation(req.body.regulation);
+
+        if (!url && !(typeof text === 'string' && text.trim().length >= 50)) {
+            return res.status(400).json({
+                success: false,
+                error: 'A policy url or text (at least 50 characters) is required'
+            });
+        }
+
+        const ai = resolveAIProvider(req.body, req.apiKey);
+        const fetchOptions = url ? resolveFetchOptions(req.body) : null;
+        console.log(`\n⚖️ Compliance check (${regulation}): ${url || `${text.length} characters of text`}`);
+
+        const document = url ? await extractPolicyDocument(url, fetchOptions) : null;
+        const policyText = document ? document.text : text;
+        const result = await checkCompliance(policyText, regulation, ai, document);
+        saveUsage({ userId: getUserId(req), apiKeyId: req.apiKey?.id, feature: 'compliance_check', calls: ai.calls });
+        console.log(`✓ Compliance check complete: ${result.summary.present}/${result.summary.total} present\n`);
+
+        res.json({
+            success: true,
+            source: url ? 'url' : 'text',
+            url: url || undefined,
+            ...result,
+            text_length: policyText.length,
+            document: document ? summarizeDocument(document) : undefined,
+            usage: summarizeUsage(ai.calls),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('✗ Compliance check error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Compliance checklists and their required disclosures
+app.get('/api/compliance/checklists', (req, res) => {
+    res.json({
+        success: true,
+        checklists: Object.entries(COMPLIANCE_CHECKLISTS).map(([id, checklist]) => ({
+            id,
+            name: checklist.name,
+            items: checklist.items.map(({ id, requirement, reference }) => ({ id, requirement, reference }))
+        }))
+    });
+});
+
+// Policy comparison: every analysis section with its 0-10 score (when it has one) and the
+// fields lined up side by side. prefer is the value that protects the user (true, false,
+// or 'fewer' / 'more' list items); weight ranks a difference in that field.
+const COMPARISON_DIMENSIONS = [
+    {
+        section: 'data_collection', label: 'Data collection', score: 'transparency_score',
+        fields: [
+            { field: 'types', label: 'Data types collected', prefer: 'fewer', weight: 3 },
+            { field: 'purposes', label: 'Purposes' }
+        ]
+    },
+    {
+        section: 'user_rights', label: 'User rights', score: 'rights_score',
+        fields: [
+            { field: 'access', label: 'Right to access', prefer: true, weight: 3 },
+            { field: 'deletion', label: 'Right to deletion', prefer: true, weight: 5 },
+            { field: 'correction', label: 'Right to correction', prefer: true, weight: 2 },
+            { field: 'portability', label: 'Data portability', prefer: true, weight: 2 },
+            { field: 'opt_out', label: 'Opt-out', prefer: true, weight: 4 },
+            { field: 'opt_out_methods', label: 'Opt-out methods', prefer: 'more', weight: 1 }
+        ]
+    },
+    {
+        section: 'data_sharing', label: 'Data sharing', score: 'sharing_score',
+        fields: [
+            { field: 'third_parties', label: 'Shares with third parties', prefer: false, weight: 5 },
+            { field: 'third_party_purposes', label: 'Sharing purposes', prefer: 'fewer', weight: 2 },
+            { field: 'user_control', label: 'User control over sharing', prefer: true, weight: 4 },
+            { field: 'international_transfers', label: 'International transfers', prefer: false, weight: 2 },
+            { field: 'transfer_safeguards', label: 'Transfer safeguards', prefer: 'more', weight: 1 },
+            { field: 'law_enforcement', label: 'Disclosure to law enforcement' }
+        ]
+    },
+    {
+        section: 'cookies_tracking', label: 'Cookies and tracking', score: 'tracking_score',
+        fields: [
+            { field: 'cookies_used', label: 'Uses cookies', prefer: false, weight: 3 },
+            { field: 'tracking_technologies', label: 'Tracking technologies', prefer: 'fewer', weight: 3 },
+            { field: 'opt_out_available', label: 'Tracking opt-out', prefer: true, weight: 4 },
+            { field: 'granular_controls', label: 'Granular cookie controls', prefer: true, weight: 2 }
+        ]
+    },
+    {
+        section: 'data_retention', label: 'Data retention', score: 'retention_score',
+        fields: [
+            { field: 'retention_period_specified', label: 'Retention period specified', prefer: true, weight: 3 },
+            { field: 'deletion_process_clear', label: 'Clear deletion process', prefer: true, weight: 3 }
+        ]
+    },
+    {
+        section: 'security_measures', label: 'Security', score: 'security_score',
+        fields: [
+            { field: 'encryption_mentioned', label: 'Encryption', prefer: true, weight: 3 },
+            { field: 'access_controls', label: 'Access controls', prefer: true, weight: 2 },
+            { field: 'incident_response', label: 'Incident response', prefer: true, weight: 2 },
+            { field: 'measures', label: 'Security measures', prefer: 'more', weight: 1 }
+        ]
+    },
+    {
+        section: 'compliance', label: 'Compliance', score: 'compliance_score',
+        fields: [
+            { field: 'gdpr_mentioned', label: 'GDPR', prefer: true, weight: 2 },
+            { field: 'ccpa_mentioned', label: 'CCPA', prefer: true, weight: 2 },
+            { field: 'coppa_mentioned', label: 'COPPA' },
+            { field: 'other_regulations', label: 'Other regulations' }
+        ]
+    },
+    {
+        section: 'transparency', label: 'Transparency', score: 'transparency_score',
+        fields: [
+            { field: 'clear_language', label: 'Clear language', prefer: true, weight: 2 },
+            { field: 'easy_to_find', label: 'Easy to find', prefer: true, weight: 1 },
+            { field: 'well_organized', label: 'Well organized', prefer: true, weight: 1 },
+            { field: 'specific_examples', label: 'Specific examples', prefer: true, weight: 1 }
+        ]
+    },
+    {
+        section: 'contact_info', label: 'Contact',
+        fields: [
+            { field: 'provided', label: 'Contact details', prefer: true, weight: 2 },
+            { field: 'dpo_mentioned', label: 'Data protection officer', prefer: true, weight: 1 },
+            { field: 'methods', label: 'Contact methods' }
+        ]
+    },
+    {
+        section: 'policy_updates', label: 'Policy updates',
+        fields: [
+            { field: 'user_consent_required', label: 'Consent required for changes', prefer: true, weight: 2 },
+            { field: 'frequency_mentioned', label: 'Review frequency stated', prefer: true, weight: 1 },
+            { field: 'notification_method', label: 'Change notification' }
+        ]
+    }
+];
+const MAX_COMPARISON_POLICIES = 5;
+const MAX_KEY_DIFFERENCES = 8;
+// Section scores this far apart count as a key difference
+const COMPARISON_SCORE_GAP = 3;
+
+// Helper: Indices of the policies holding the best value, or [] when they all tie.
+// prefer is 'higher' for scores, or a field's prefer; missing values never win.
+function pickComparisonWinners(values, prefer) {
+    const ranks = values.map(value => {
+        if (value === null || value === undefined) return null;
+        if (prefer === 'fewer') return Array.isArray(value) ? -value.length : null;
+        if (prefer === 'more') return Array.isArray(value) ? value.length : null;
+        if (typeof prefer === 'boolean') return typeof value === 'boolean' ? Number(value === prefer) : null;
+        return typeof value === 'number' ? value : null;
+    });
+    const known = ranks.filter(rank => rank !== null);
+    if (known.length < 2) return [];
+    const best = Math.max(...known);
+    const winners = ranks.flatMap((rank, index) => rank === best ? [index] : []);
+    return winners.length === known.length ? [] : winners;
+}
+
+// Helper: Line the analyses up section by section. Sections without a score are won
+// on the summed weight of the fields each policy wins.
+function buildComparisonMatrix(analyses) {
+    return COMPARISON_DIMENSIONS.map(dimension => {
+        const sections = analyses.map(analysis => analysis[dimension.section] || {});
+        const fields = dimension.fields.map(({ field, label, prefer, weight }) => {
+            const values = sections.map(section => section[field] ?? null);
+            return {
+                field,
+                label,
+                prefer: prefer ?? null,
+                values,
+                winners: prefer === undefined ? [] : pickComparisonWinners(values, prefer)
+            };
+        });
+        const row = { section: dimension.section, label: dimension.label };
+        if (dimension.score) {
+            row.score_field = dimension.score;
+            row.scores = sections.map(section => typeof section[dimension.score] === 'number' ? section[dimension.score] : null);
+            row.winners = pickComparisonWinners(row.scores, 'higher');
+        } else {
+            const points = analyses.map((analysis, index) => dimension.fields.reduce((sum, spec, fieldIndex) =>
+                sum + (fields[fieldIndex].winners.includes(index) ? spec.weight || 0 : 0), 0));
+            row.winners = pickComparisonWinners(points, 'higher');
+        }
+        row.fields = fields;
+        return row;
+    });
+}
+
+// Helper: Render one matrix value for summaries
+function describeComparisonValue(value) {
+    if (value === null || value === undefined) return 'not stated';
+    if (typeof value === 'boolean') return value ? 'yes' : 'no';
+    if (Array.isArray(value)) return value.length ? `${value.length} (${value.slice(0, 3).join(', ')}${value.length > 3 ? ', …' : ''})` : 'none';
+    return String(value);
+}
+
+// Helper: The differences that matter most: weighted field differences and section
+// scores at least COMPARISON_SCORE_GAP apart, heaviest first
+function findKeyDifferences(matrix, labels) {
+    const differences = [];
+    const describe = (label, values, format) => `${label}: ${values.map((value, index) => `${labels[index]} ${format(value)}`).join(', ')}`;
+    for (const row of matrix) {
+        const known = (row.scores || []).filter(score => score !== null);
+        const gap = known.length > 1 ? Math.max(...known) - Math.min(...known) : 0;
+        if (gap >= COMPARISON_SCORE_GAP) {
+            differences.push({
+                section: row.section,
+                field: row.score_field,
+                label: `${row.label} score`,
+                values: row.scores,
+                winners: row.winners,
+                // Scores run 0-10, field weights 1-5
+                weight: Math.ceil(gap / 2),
+                description: describe(`${row.label} score`, row.scores, value => value === null ? 'not scored' : `${value}/10`)
+            });
+        }
+        const weights = Object.fromEntries(COMPARISON_DIMENSIONS.find(dimension => dimension.section === row.section).fields.map(spec => [spec.field, spec.weight || 0]));
+        for (const field of row.fields) {
+            if (!weights[field.field] || field.winners.length === 0) continue;
+            differences.push({
+                section: row.section,
+                field: field.field,
+                label: field.label,
+                values: field.values,
+                winners: field.winners,
+                weight: weights[field.field],
+                description: describe(field.label, field.values, describeComparisonValue)
+            });
+        }
+    }
+    return differences.sort((a, b) => b.weight - a.weight).slice(0, MAX_KEY_DIFFERENCES);
+}
+
+// Helper: Join names as "A", "A and B" or "A, B and C"
+function joinNames(names) {
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}` : names.join('');
+}
+
+// Comparative summary without a model, built from the scores, winners and differences
+function summarizeComparisonRuleBased({ labels, overall, matrix, differences }) {
+    const ranked = labels.map((label, index) => ({ label, score: overall.scores[index] })).sort((a, b) => b.score - a.score);
+    const sentences = [];
+    if (overall.winners.length === 0) {
+        sentences.push(`${joinNames(labels)} have the same overall privacy score (${ranked[0].score}/100).`);
+    } else {
+        const leaders = overall.winners.map(index => labels[index]);
+        const others = ranked.filter(entry => !leaders.includes(entry.label)).map(entry => `${entry.label} (${entry.score}/100)`);
+        sentences.push(`${joinNames(leaders)} ${leaders.length > 1 ? 'share' : 'has'} the highest overall privacy score (${ranked[0].score}/100), ahead of ${joinNames(others)}.`);
+    }
+    for (const [index, label] of labels.entries()) {
+        const leads = matrix.filter(row => row.winners.includes(index)).map(row => row.label.toLowerCase());
+        if (leads.length) sentences.push(`${label} leads on ${joinNames(leads)}.`);
+    }
+    if (differences.length) {
+        sentences.push(`The biggest differences are in ${joinNames([...new Set(differences.slice(0, 3).map(difference => difference.label.toLowerCase()))])}.`);
+    }
+    return {
+        summary: sentences.join(' '),
+        recommendation: overall.winners.length === 1
+            ? `Based on these policies alone, ${labels[overall.winners[0]]} is the more privacy-protective choice.`
+            : 'No policy is clearly more protective overall; weigh the differences that matter most to you.'
+    };
+}
+
+function buildComparisonPrompt({ labels, analyses, overall, matrix, differences }, outputLanguage = null) {
+    const scoredRows = matrix.filter(row => row.scores);
+    return `You are a privacy expert helping a consumer choose between ${labels.length} services by comparing their privacy policies.
+Policies (overall privacy score out of 100):
+${labels.map((label, index) => `${index + 1}. ${label}: ${overall.scores[index]}/100. ${analyses[index].summary || ''}`.trim()).join('\n')}
+Section scores (0-10, higher protects the user better):
+${scoredRows.map(row => `- ${row.label}: ${row.scores.map((score, index) => `${labels[index]} ${score ?? 'n/a'}`).join(', ')}`).join('\n')}
+Key differences:
+${differences.length ? differences.map(difference => `- ${difference.description}`).join('\n') : '- None of note'}
+Write a comparative summary of 3 to 5 sentences that names the policies, says where each is stronger or weaker and what the differences mean for a user, and a one-sentence recommendation. Use only the facts above.
+${describeOutputLanguage(outputLanguage)}Return ONLY valid JSON:
+{"summary": "comparative summary", "recommendation": "one sentence"}`;
+}
+async function summarizeComparisonWithAI(comparison, ai) {
+    const response = await callAIProvider(ai, {
+        system: 'You compare privacy policies for consumers. Return ONLY valid JSON with no markdown formatting.',
+        prompt: buildComparisonPrompt(comparison, ai.outputLanguage),
+        purpose: 'compare',
+        model: ai.model,
+        maxTokens: Math.min(1000, ai.provider.maxOutputTokens),
+        temperature: 0.3
+    });
+    const parsed = parseAIResponse(response.content);
+    const summary = coerceField(parsed.summary, 'string');
+    if (!summary) throw new Error('comparison response has no summary');
+    return { summary, recommendation: coerceField(parsed.recommendation, 'string') || null };
+}
+
+// Compare 2-5 analyses: aligned matrix, per-section winners, key differences and a
+// comparative summary written through the provider failover chain
+async function compareAnalyses(labels, analyses, ai = resolveAIProvider()) {
+    const scores = analyses.map(analysis => calculateSimpleScore(analysis));
+    const overall = { scores, winners: pickComparisonWinners(scores, 'higher') };
+    const matrix = buildComparisonMatrix(analyses);
+    const differences = findKeyDifferences(matrix, labels);
+    const comparison = { labels, analyses, overall, matrix, differences };
+    const { result, attempts, fallbackReason } = await runProviderChain(ai, {
+        run: stepAI => summarizeComparisonWithAI(comparison, stepAI),
+        fallback: () => summarizeComparisonRuleBased(comparison),
+        fallbackMethod: 'rule_based',
+        estimatedTokens: 500 + 150 * labels.length
+    });
+    const success = attempts.find(attempt => attempt.status === 'success');
+    return {
+        overall,
+        matrix,
+        key_differences: differences,
+        summary: {
+            text: result.summary,
+            recommendation: result.recommendation,
+            method: fallbackReason ? 'rule_based' : 'ai',
+            // Rule-based summaries are always English
+            output_language: fallbackReason ? 'en' : ai.outputLanguage,
+            ai_provider: success?.provider || null,
+            ai_model: success?.model || null,
+            ai_error: fallbackReason || undefined,
+            ai_attempts: attempts
+        }
+    };
+}
+
+// Helper: Read one /api/compare entry. Strings starting with http(s):// are URLs, digits
+// are history ids and anything else is a package name; objects name the kind explicitly.
+function parseComparisonTarget(entry, index) {
+    if (Number.isInteger(entry) && entry > 0) return { history_id: entry };
+    if (typeof entry === 'string' && entry.trim()) {
+        const value = entry.trim();
+        if (/^\d+$/.test(value)) return { history_id: Number(value) };
+        if (/^https?:\/\//i.test(value)) return { url: value };
+        return { package_name: value };
+    }
+    if (entry && typeof entry === 'object') {
+        if (typeof entry.url === 'string' && entry.url.trim()) return { url: entry.url.trim() };
+        const packageName = entry.packageName || entry.package_name;
+        if (typeof packageName === 'string' && packageName.trim()) return { package_name: packageName.trim(), store: entry.store || null };
+        if (/^\d+$/.test(String(entry.history_id ?? ''))) return { history_id: Number(entry.history_id) };
+    }
+    const error = new Error(`policies[${index}] must be a URL, a package name or a history id`);
+    error.status = 400;
+    throw error;
+}
+
+// Helper: Load or analyze one comparison target. URLs and packages go through the usual
+// pipeline (cache, history, usage); history ids reuse the stored analysis.
+async function resolveComparisonTarget(target, { userId, refresh, ai, fetchOptions }) {
+    if (target.history_id) {
+        const row = findHistoryRow(target.history_id, userId);
+        if (!row) {
+            const error = new Error(`History entry ${target.history_id} not found`);
+            error.status = 404;
+            throw error;
+        }
+        const analysis = parseStoredJson(row.analysis);
+        if (!analysis) {
+            const error = new Error(`History entry ${target.history_id} has no stored analysis`);
+            error.status = 422;
+            throw error;
+        }
+        return {
+            source: 'history',
+            label: row.app_name,
+            url: row.source_url,
+            package_name: row.package_name || undefined,
+            history_id: row.id,
+            analyzed_at: row.created_at,
+            analysis,
+            calls: []
+        };
+    }
+    // Usage is accounted per policy
+    const itemAI = { ...ai, calls: [] };
+    if (target.package_name) {
+        const result = await scanApp({ packageName: target.package_name, store: target.store, userId, refresh, ai: itemAI, fetchOptions, feature: 'compare' });
+        return { source: 'app', label: target.package_name, url: result.url, package_name: target.package_name, history_id: result.history_id, cached: result.cached, analysis: result.analysis, calls: itemAI.calls };
+    }
+    const result = await analyzeUrl({ url: target.url, userId, refresh, ai: itemAI, fetchOptions, feature: 'compare' });
+    let label = target.url;
+    try {
+        label = new URL(normalizeUrl(target.url)).hostname;
+    } catch (e) {
+        // Keep the URL as given
+    }
+    return { source: 'url', label, url: target.url, history_id: result.history_id, cached: result.cached, analysis: result.analysis, calls: itemAI.calls };
+}
+
+// Policy comparison: 2-5 URLs, package names or history ids side by side
+app.post('/api/compare', requireLLMQuota, async (req, res) => {
+    try {
+        const { policies } = req.body;
+
+        if (!Array.isArray(policies) || policies.length < 2 || policies.length > MAX_COMPARISON_POLICIES) {
+            return res.status(400).json({
+                success: false,
+                error: `policies must be an array of 2 to ${MAX_COMPARISON_POLICIES} URLs, package names or history ids`
+            });
+        }
+        const targets = policies.map(parseComparisonTarget);
+        const ai = resolveAIProvider(req.body, req.apiKey);
+        const fetchOptions = resolveFetchOptions(req.body);
+        const userId = getUserId(req);
+        console.log(`\n⚖️ Comparison: ${targets.length} policies`);
+
+        const resolved = [];
+        for (const [index, target] of targets.entries()) {
+            try {
+                resolved.push(await resolveComparisonTarget(target, { userId, refresh: isRefreshRequested(req), ai, fetchOptions }));
+            } catch (error) {
+                error.message = `policies[${index}] (${target.url || target.package_name || `history ${target.history_id}`}): ${error.message}`;
+                throw error;
+            }
+        }
+
+        // Labels name the policies in the summary, so they must be distinct
+        const labels = resolved.map((item, index) =>
+            resolved.findIndex(other => other.label === item.label) === index ? item.label : `${item.label} (${index + 1})`);
+        const summaryAI = { ...ai, calls: [] };
+        const comparison = await compareAnalyses(labels, resolved.map(item => item.analysis), summaryAI);
+        saveUsage({ userId, apiKeyId: req.apiKey?.id, feature: 'compare', calls: summaryAI.calls });
+        console.log(`✓ Comparison complete (${comparison.summary.method} summary)\n`);
+
+        res.json({
+            success: true,
+            policies: resolved.map(({ calls, ...item }, index) => ({
+                index,
+                ...item,
+                label: labels[index],
+                score: comparison.overall.scores[index],
+                usage: summarizeUsage(calls)
+            })),
+            ...comparison,
+            usage: summarizeUsage([...resolved.flatMap(item => item.calls), ...summaryAI.calls]),
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('✗ Comparison error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// App policy discovery: ranked privacy policy candidates for an app id, without analyzing
+app.get('/api/apps/discover', async (req, res) => {
+    try {
+        const appId = req.query.app_id || req.query.packageName;
+
+        if (!appId) {
+            return res.status(400).json({
+                success: false,
+                error: 'app_id is required (Android package name, App Store id or store URL)'
+            });
+        }
+
+        const discovery = await discoverAppPolicy(appId, { store: req.query.store || null });
+        console.log(`✓ ${discovery.candidates.length} policy candidate(s) for ${discovery.app_id}`);
+
+        res.json({
+            success: true,
+            ...discovery,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('✗ App discovery error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// App scanning endpoint (for background task)
+// JSON, or multipart with an APK / AndroidManifest.xml in `file`
+app.post('/api/scan-app', requireLLMQuota, async (req, res) => {
+    try {
+        if (req.is('multipart/form-data')) {
+            await receivePolicyUpload(req, res, appUpload);
+        }
+        const { policyUrl, store, permissions, components } = req.body;
+        const appPackage = req.file || permissions || components
+            ? await readAppPackage({ file: req.file, permissions, components })
+            : null;
+        const packageName = req.body.packageName || appPackage?.package_name;
+       
+        if (!packageName && !policyUrl) {
+            return res.status(400).json({ 
+                success: false,
+                error: 'Package name or policy URL required' 
+            });
+        }
+
+        console.log(`\n📱 App Scan Request: ${packageName || 'Unknown'}`);
+
+        const result = await scanApp({
+            packageName,
+            store,
+            policyUrl,
+            userId: getUserId(req),
+            refresh: isRefreshRequested(req),
+            ai: resolveAIProvider(req.body, req.apiKey),
+            fetchOptions: resolveFetchOptions(req.body),
+            checkDataSafety: true,
+            appPackage
+        });
+       
+        res.json({
+            success: true,
+            packageName,
+            url: result.url,
+            score: result.score,
+            personalized: result.personalized,
+            analysis: result.analysis,
+            cached: result.cached,
+            cache_age_seconds: result.cache_age_seconds,
+            usage: result.usage,
+            history_id: result.history_id,
+            policy_version: result.policy_version,
+            discovery: result.discovery,
+            data_safety: result.data_safety,
+            data_safety_check: result.data_safety_check,
+            data_safety_error: result.data_safety_error,
+            app_access: result.app_access,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('✗ App scan error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            packageName: error.status === 404 ? req.body.packageName : undefined,
+            discovery: error.discovery
+        });
+    }
+});
+
+// Scan an app's privacy policy: find the policy URL if needed, extract, analyze
+// (reusing the cache), score and persist. Shared by /api/scan-app and the watchlist.
+async function scanApp({ packageName, store = null, policyUrl, userId, refresh = false, ai = resolveAIProvider(), fetchOptions = resolveFetchOptions(), sourceType = 'app', feature = sourceType === 'app' ? 'scan_app' : sourceType, checkDataSafety = false, appPackage = null }) {
+    let url = policyUrl;
+    let discovery;
+
+    // If no URL provided, try to find it
+    if (!url && packageName) {
+        discovery = await discoverAppPolicy(packageName, { store });
+        url = discovery.candidates[0]?.url;
+        
+        if (!url) {
+            const error = new Error('Could not find privacy policy for this app');
+            error.status = 404;
+            error.discovery = discovery;
+            throw error;
+        }
+        console.log(`✓ Policy found (${discovery.candidates[0].source}, confidence ${discovery.candidates[0].confidence}): ${url}`);
+    }
+
+    // Extract and analyze policy
+    const document = await extractPolicyDocument(url, fetchOptions);
+    const policyText = document.text;
+    const cached = refresh ? null : getCachedAnalysis(url, policyText, ai);
+    let analysis;
+    if (cached) {
+        analysis = cached.analysis;
+    } else {
+        analysis = await analyzePolicy(policyText, url, ai, { document });
+        setCachedAnalysis(url, policyText, analysis, ai);
+    }
+    const snapshot = recordPolicySnapshot(getSnapshotUrl(url, fetchOptions), policyText, analysis, userId);
+
+    // Play listings: cross-check the "Data safety" declaration against the policy
+    let dataSafety;
+    let dataSafetyCheck;
+    let dataSafetyError;
+    const playId = checkDataSafety && packageName && store !== 'apple' ? appStores.play.parseId(String(packageName).trim()) : null;
+    if (playId) {
+        try {
+            dataSafety = await fetchPlayDataSafety(playId);
+            dataSafetyCheck = dataSafety.found ? crossCheckDataSafety(dataSafety, analysis, policyText) : null;
+        } catch (error) {
+            dataSafetyError = error.message;
+            console.log(`✗ Data safety unavailable for ${playId}: ${error.message}`);
+        }
+    }
+
+    // What the app can access (uploaded APK/manifest or permission list) against the policy
+    const appAccess = appPackage ? analyzeAppAccess(appPackage, analysis, policyText) : undefined;
+
+    // Calculate simple and personalized scores; undisclosed app access counts against both
+    const score = Math.max(0, calculateSimpleScore(analysis) - (appAccess?.penalty || 0));
+    const personalized = applyAppAccessPenalty(calculatePersonalizedScore(analysis, getUserPreferences(userId)), appAccess);
+
+    const historyId = saveScanHistory({
+        userId,
+        packageName,
+        sourceUrl: url,
+        sourceType,
+        analysis,
+        scanResult: personalized,
+        textLength: policyText.length
+    });
+    saveUsage({ userId, apiKeyId: ai.apiKey?.id, feature, historyId, calls: ai.calls });
+    console.log(`✓ App scan complete - Score: ${score}/100 (personalized ${personalized.privacyScore}/100)\n`);
+
+    return {
+        url,
+        score,
+        personalized,
+        analysis,
+        cached: !!cached,
+        cache_age_seconds: cached ? cached.ageSeconds : undefined,
+        document: summarizeDocument(document),
+        usage: summarizeUsage(ai.calls),
+        history_id: historyId,
+        policy_version: snapshot,
+        text_hash: hashText(policyText),
+        discovery,
+        data_safety: dataSafety,
+        data_safety_check: dataSafetyCheck,
+        data_safety_error: dataSafetyError,
+        app_access: appAccess
+    };
+}
+
+// Site tracker audit: inventory the trackers a site's homepage loads and sets, and flag
+// those its privacy policy does not disclose
+app.post('/api/audit-site', requireLLMQuota, async (req, res) => {
+    try {
+        const { url, policy_url: policyUrl, policy_text: policyText } = req.body;
+
+        if (!url) {
+            return res.status(400).json({
+                success: false,
+                error: 'url is required (the site to audit)'
+            });
+        }
+        if (policyText !== undefined && (typeof policyText !== 'string' || policyText.trim().length < 50)) {
+            return res.status(400).json({
+                success: false,
+                error: 'policy_text must be at least 50 characters of policy text'
+            });
+        }
+
+        console.log(`\n🍪 Site Audit Request: ${url}`);
+
+        const result = await auditSite({
+            url: normalizeUrl(url),
+            policyUrl,
+            policyText,
+            userId: getUserId(req),
+            refresh: isRefreshRequested(req),
+            ai: resolveAIProvider(req.body, req.apiKey),
+            fetchOptions: resolveFetchOptions(req.body)
+        });
+
+        res.json({
+            success: true,
+            ...result,
+            timestamp: new Date().toISOString()
+        });
+    } catch (error) {
+        console.error('✗ Site audit error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message,
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+// Audit a site: fetch the homepage, inventory and match its trackers, then check them
+// against the policy given as policy_url or policy_text, or else the one the homepage links to.
+async function auditSite({ url, policyUrl, policyText, userId, refresh = false, ai = resolveAIProvider(), fetchOptions = resolveFetchOptions() }) {
+    const database = loadTrackerDatabase();
+    const homepage = await fetchSiteHomepage(url, fetchOptions);
+    const inventory = inventorySitePage(homepage, database);
+    console.log(`✓ ${inventory.scripts.length} script(s), ${inventory.pixels.length} pixel(s), ${inventory.iframes.length} iframe(s), ${inventory.cookies.length} cookie(s) on ${homepage.url}`);
+
+    let policy = null;
+    let policyError;
+    if (policyText) {
+        const analysis = await analyzePolicy(policyText, `Policy for ${new URL(homepage.url).hostname}`, ai);
+        const historyId = saveScanHistory({
+            userId,
+            appName: new URL(homepage.url).hostname,
+            sourceType: 'text',
+            analysis,
+            textLength: policyText.length
+        });
+        saveUsage({ userId, apiKeyId: ai.apiKey?.id, feature: 'audit_site', historyId, calls: ai.calls });
+        policy = { source: 'text', url: null, history_id: historyId, analysis, text: policyText };
+    } else {
+        const discovered = policyUrl ? null : findPolicyLinks(homepage.html, homepage.url)
+            .find(link => /privacy/i.test(`${link.text} ${link.url}`) && !/cookie/i.test(`${link.text} ${link.url}`));
+        const target = policyUrl || discovered?.url;
+        if (target) {
+            try {
+                const result = await analyzeUrl({ url: target, userId, refresh, ai, fetchOptions, feature: 'audit_site', includeText: true });
+                policy = { source: policyUrl ? 'url' : 'homepage_link', url: result.url, history_id: result.history_id, cached: result.cached, analysis: result.analysis, text: result.text };
+            } catch (error) {
+                // A policy the caller named must be readable; a discovered link may be stale
+                if (policyUrl) throw error;
+                policyError = `Linked privacy policy ${target} unavailable: ${error.message}`;
+            }
+        } else {
+            policyError = 'No privacy policy link found on the homepage; pass policy_url or policy_text';
+        }
+        if (policyError) console.log(`✗ ${policyError}`);
+    }
+
+    const check = checkTrackerDisclosure(inventory, policy, database);
+    console.log(`✓ Site audit complete - ${check.trackers.length} tracker(s), ${check.undisclosed.length} undisclosed\n`);
+
+    return {
+        url: homepage.url,
+        site: inventory.site,
+        policy: policy ? {
+            source: policy.source,
+            url: policy.url,
+            history_id: policy.history_id,
+            cached: policy.cached,
+            cookies_used: policy.analysis.cookies_tracking?.cookies_used ?? null,
+            tracking_technologies: policy.analysis.cookies_tracking?.tracking_technologies || [],
+            analysis_method: policy.analysis.analysis_method
+        } : null,
+        policy_error: policyError,
+        inventory: {
+            scripts: inventory.scripts,
+            pixels: inventory.pixels,
+            iframes: inventory.iframes,
+            cookies: inventory.cookies
+        },
+        trackers: check.trackers,
+        undisclosed: check.undisclosed,
+        summary: check.summary,
+        tracker_db: { version: database.version, count: database.trackers.length },
+        usage: summarizeUsage(ai.calls)
+    };
+}
+
+// Scan history: list the user's past analyses (paginated)
+app.get('/api/history', (req, res) => {
+    try {
+        const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+        const userId = resolveRequestUser(req, req.query.user_id);
+
+        const { total } = db.prepare('SELECT COUNT(*) AS total FROM scan_history WHERE user_id = ?').get(userId);
+        const rows = db.prepare(
+            'SELECT * FROM scan_history WHERE user_id = ? ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?'
+        ).all(userId, limit, (page - 1) * limit);
+
+        res.json({
+            success: true,
+            history: rows.map(row => formatHistoryRow(row, false)),
+            pagination: {
+                page,
+                limit,
+                total,
+                total_pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        console.error('✗ History error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Scan history: single entry with the full stored analysis
+app.get('/api/history/:id', (req, res) => {
+    try {
+        const row = findHistoryRow(req.params.id, resolveRequestUser(req, req.query.user_id));
+
+        if (!row) {
+            return res.status(404).json({
+                success: false,
+                error: 'History entry not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            entry: formatHistoryRow(row, true)
+        });
+    } catch (error) {
+        console.error('✗ History error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Scan history: delete an entry
+app.delete('/api/history/:id', (req, res) => {
+    try {
+        const row = findHistoryRow(req.params.id, resolveRequestUser(req, req.query.user_id));
+
+        if (!row) {
+            return res.status(404).json({
+                success: false,
+                error: 'History entry not found'
+            });
+        }
+
+        db.prepare('DELETE FROM scan_history WHERE id = ?').run(row.id);
+        console.log(`🗑️ Deleted history entry ${row.id}`);
+
+        res.json({
+            success: true,
+            deleted: row.id
+        });
+    } catch (error) {
+        console.error('✗ History error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// User preferences are per user: a user's API key only reaches its own
+app.param('userId', (req, res, next, userId) => {
+    try {
+        resolveRequestUser(req, userId);
+        next();
+    } catch (error) {
+        res.status(error.status).json({ success: false, error: error.message });
+    }
+});
+
+// User preferences: current concern toggles (null = default weighting)
+app.get('/api/preferences/:userId', (req, res) => {
+    try {
+        const stored = getUserPreferences(req.params.userId);
+
+        res.json({
+            success: true,
+            user_id: req.params.userId,
+            preferences: resolvePreferences(stored)
+        });
+    } catch (error) {
+        console.error('✗ Preferences error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// User preferences: create or update concern toggles
+app.put('/api/preferences/:userId', (req, res) => {
+    try {
+        const updates = req.body?.preferences || req.body;
+
+        if (!updates || typeof updates !== 'object' || Array.isArray(updates) || Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'Preferences object is required'
+            });
+        }
+
+        const unknown = Object.keys(updates).filter(key => !PRIVACY_CONCERNS[key]);
+        if (unknown.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Unknown preference keys: ${unknown.join(', ')}`,
+                allowed: Object.keys(PRIVACY_CONCERNS)
+            });
+        }
+
+        const invalid = Object.keys(updates).filter(key => typeof updates[key] !== 'boolean');
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Preference values must be true or false: ${invalid.join(', ')}`
+            });
+        }
+
+        saveUserPreferences(req.params.userId, updates);
+        const stored = getUserPreferences(req.params.userId);
+        console.log(`⚙️ Updated preferences for ${req.params.userId}`);
+
+        res.json({
+            success: true,
+            user_id: req.params.userId,
+            preferences: resolvePreferences(stored)
+        });
+    } catch (error) {
+        console.error('✗ Preferences error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// User preferences: reset to defaults
+app.delete('/api/preferences/:userId', (req, res) => {
+    try {
+        const info = db.prepare('DELETE FROM user_preferences WHERE user_id = ?').run(req.params.userId);
+
+        res.json({
+            success: true,
+            user_id: req.params.userId,
+            removed: info.changes,
+            preferences: resolvePreferences({})
+        });
+    } catch (error) {
+        console.error('✗ Preferences error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Policy tracking: list the policy URLs the user has analyzed (optional ?url= lookup)
+app.get('/api/policies', (req, res) => {
+    try {
+        const userId = resolveRequestUser(req, req.query.user_id);
+        const userPolicies = 'SELECT policies.* FROM policies JOIN policy_users ON policy_users.policy_id = policies.id WHERE policy_users.user_id = ?';
+        let rows;
+        if (req.query.url) {
+            rows = db.prepare(`${userPolicies} AND policies.url = ?`).all(userId, normalizeUrl(req.query.url));
+        } else {
+            rows = db.prepare(`${userPolicies} ORDER BY policies.last_checked_at DESC`).all(userId);
+        }
+        const countVersions = db.prepare('SELECT COUNT(*) AS count FROM policy_versions WHERE policy_id = ?');
+
+        res.json({
+            success: true,
+            policies: rows.map(row => ({
+                id: row.id,
+                url: row.url,
+                versions: countVersions.get(row.id).count,
+                last_checked_at: row.last_checked_at,
+                created_at: row.created_at
+            }))
+        });
+    } catch (error) {
+        console.error('✗ Policies error:', error.message);
+        res.status(error.status || 400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Policy tracking: stored text snapshots of one policy
+app.get('/api/policies/:id/versions', (req, res) => {
+    try {
+        const policy = findPolicyRow(req.params.id, resolveRequestUser(req, req.query.user_id));
+
+        if (!policy) {
+            return res.status(404).json({
+                success: false,
+                error: 'Policy not found'
+            });
+        }
+
+        const versions = db.prepare(`
+            SELECT id, text_hash, text_length, analysis IS NOT NULL AS has_analysis, created_at
+            FROM policy_versions WHERE policy_id = ? ORDER BY id DESC
+        `).all(policy.id);
+
+        res.json({
+            success: true,
+            policy: { id: policy.id, url: policy.url, last_checked_at: policy.last_checked_at },
+            versions: versions.map(v => ({ ...v, has_analysis: !!v.has_analysis }))
+        });
+    } catch (error) {
+        console.error('✗ Policy versions error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Policy tracking: diff two versions (defaults to the two most recent)
+app.get('/api/policies/:id/diff', (req, res) => {
+    try {
+        const policy = findPolicyRow(req.params.id, resolveRequestUser(req, req.query.user_id));
+
+        if (!policy) {
+            return res.status(404).json({
+                success: false,
+                error: 'Policy not found'
+            });
+        }
+
+        const getVersion = db.prepare('SELECT * FROM policy_versions WHERE policy_id = ? AND id = ?');
+        const latest = db.prepare('SELECT * FROM policy_versions WHERE policy_id = ? ORDER BY id DESC LIMIT 2').all(policy.id);
+        const to = req.query.to ? getVersion.get(policy.id, req.query.to) : latest[0];
+        const from = req.query.from ? getVersion.get(policy.id, req.query.from) : latest[1];
+
+        if (!from || !to) {
+            return res.status(404).json({
+                success: false,
+                error: req.query.from || req.query.to
+                    ? 'Version not found for this policy'
+                    : 'Policy has fewer than two versions to compare'
+            });
+        }
+
+        const fromAnalysis = parseStoredJson(from.analysis);
+        const toAnalysis = parseStoredJson(to.analysis);
+
+        res.json({
+            success: true,
+            policy: { id: policy.id, url: policy.url },
+            from: { id: from.id, created_at: from.created_at, text_hash: from.text_hash },
+            to: { id: to.id, created_at: to.created_at, text_hash: to.text_hash },
+            text_changed: from.text_hash !== to.text_hash,
+            text_diff: diffPolicyText(from.policy_text, to.policy_text),
+            analysis_diff: fromAnalysis && toAnalysis ? diffAnalyses(fromAnalysis, toAnalysis) : null
+        });
+    } catch (error) {
+        console.error('✗ Policy diff error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Watchlist: register a policy URL or package name for scheduled re-scans
+app.post('/api/watchlist', async (req, res) => {
+    try {
+        const { packageName, policyUrl, webhookUrl, webhookSecret } = req.body;
+
+        if (!packageName && !policyUrl) {
+            return res.status(400).json({
+                success: false,
+                error: 'Package name or policy URL required'
+            });
+        }
+
+        if (!webhookUrl || !/^https?:\/\//i.test(webhookUrl)) {
+            return res.status(400).json({
+                success: false,
+                error: 'A valid http(s) webhookUrl is required'
+            });
+        }
+
+        // Same guard as delivery, so private and loopback targets are refused up front
+        try {
+            await assertFetchAllowed(webhookUrl);
+        } catch (error) {
+            return res.status(400).json({
+                success: false,
+                error: `webhookUrl is not allowed: ${error.message}`
+            });
+        }
+
+        const intervalMinutes = Math.max(
+            WATCHLIST_MIN_INTERVAL_MINUTES,
+            parseInt(req.body.intervalMinutes, 10) || WATCHLIST_DEFAULT_INTERVAL_MINUTES
+        );
+        const scoreThreshold = Math.max(1, parseInt(req.body.scoreThreshold, 10) || WATCHLIST_SCORE_THRESHOLD);
+        const secret = webhookSecret || crypto.randomBytes(24).toString('hex');
+
+        const info = db.prepare(`
+            INSERT INTO watchlist
+                (user_id, target_type, target, webhook_url, webhook_secret, interval_minutes, score_threshold, api_key_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            getUserId(req),
+            policyUrl ? 'url' : 'package',
+            policyUrl ? normalizeUrl(policyUrl) : packageName,
+            webhookUrl,
+            secret,
+            intervalMinutes,
+            scoreThreshold,
+            req.apiKey?.id || null
+        );
+        const entry = db.prepare('SELECT * FROM watchlist WHERE id = ?').get(info.lastInsertRowid);
+        console.log(`👀 Watchlist entry ${entry.id} added: ${entry.target} every ${intervalMinutes} min`);
+
+        res.status(201).json({
+            success: true,
+            entry: formatWatchlistEntry(entry),
+            // Only returned once - used to verify the X-PolAI-Signature header
+            webhook_secret: secret
+        });
+    } catch (error) {
+        console.error('✗ Watchlist error:', error.message);
+        res.status(400).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Watchlist: list the user's entries
+app.get('/api/watchlist', (req, res) => {
+    try {
+        const userId = resolveRequestUser(req, req.query.user_id);
+        const rows = db.prepare('SELECT * FROM watchlist WHERE user_id = ? ORDER BY id DESC').all(userId);
+
+        res.json({
+            success: true,
+            watchlist: rows.map(formatWatchlistEntry)
+        });
+    } catch (error) {
+        console.error('✗ Watchlist error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Watchlist: single entry
+app.get('/api/watchlist/:id', (req, res) => {
+    try {
+        const entry = findWatchlistRow(req.params.id, resolveRequestUser(req, req.query.user_id));
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: 'Watchlist entry not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            entry: formatWatchlistEntry(entry)
+        });
+    } catch (error) {
+        console.error('✗ Watchlist error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Watchlist: remove an entry
+app.delete('/api/watchlist/:id', (req, res) => {
+    try {
+        const entry = findWatchlistRow(req.params.id, resolveRequestUser(req, req.query.user_id));
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: 'Watchlist entry not found'
+            });
+        }
+
+        db.prepare('DELETE FROM watchlist WHERE id = ?').run(entry.id);
+
+        res.json({
+            success: true,
+            deleted: entry.id
+        });
+    } catch (error) {
+        console.error('✗ Watchlist error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Watchlist: re-scan an entry now instead of waiting for its schedule
+app.post('/api/watchlist/:id/check', requireLLMQuota, async (req, res) => {
+    try {
+        const entry = findWatchlistRow(req.params.id, resolveRequestUser(req, req.query.user_id));
+
+        if (!entry) {
+            return res.status(404).json({
+                success: false,
+                error: 'Watchlist entry not found'
+            });
+        }
+
+        const result = await checkWatchlistEntry(entry);
+        res.json({
+            success: !result.error,
+            ...result,
+            entry: formatWatchlistEntry(db.prepare('SELECT * FROM watchlist WHERE id = ?').get(entry.id))
+        });
+    } catch (error) {
+        console.error('✗ Watchlist check error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Jobs: queue a batch of URLs for background analysis and return immediately
+app.post('/api/jobs', requireLLMQuota, async (req, res) => {
+    try {
+        const { urls } = req.body;
+
+        if (!urls || !Array.isArray(urls) || urls.length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: 'URLs array is required'
+            });
+        }
+
+        if (urls.length > JOB_MAX_URLS) {
+            return res.status(400).json({
+                success: false,
+                error: `Maximum ${JOB_MAX_URLS} URLs allowed per job`
+            });
+        }
+
+        // Every URL is checked now, so a job never holds a URL that cannot be fetched
+        const checked = await Promise.all(urls.map(async (url, position) => {
+            try {
+                if (typeof url !== 'string') throw new Error('URL must be a string');
+                const normalized = normalizeUrl(url);
+                await assertFetchAllowed(normalized);
+                return { url: normalized };
+            } catch (error) {
+                return { error: { position, url, error: error.message } };
+            }
+        }));
+        const invalid = checked.filter(entry => entry.error).map(entry => entry.error);
+        if (invalid.length > 0) {
+            return res.status(400).json({
+                success: false,
+                error: `Invalid URL at position ${invalid[0].position}: ${invalid[0].error}`,
+                invalid_urls: invalid
+            });
+        }
+
+        const ai = resolveAIProvider(req.body, req.apiKey);
+        const jobId = crypto.randomUUID();
+        const insertItem = db.prepare('INSERT INTO job_items (job_id, position, url, status) VALUES (?, ?, ?, ?)');
+        db.transaction(() => {
+            db.prepare('INSERT INTO jobs (id, user_id, status, refresh, provider, model, output_language, api_key_id) VALUES (?, ?, ?, ?, ?, ?, ?, ?)')
+                .run(jobId, getUserId(req), 'queued', isRefreshRequested(req) ? 1 : 0, ai.provider.name, ai.model || null, ai.outputLanguage, req.apiKey?.id || null);
+            checked.forEach(({ url }, position) => insertItem.run(jobId, position, url, 'pending'));
+        })();
+
+        console.log(`\n🗂️ Job ${jobId} queued: ${urls.length} URLs`);
+        pumpJobQueue();
+
+        res.status(202).json({
+            success: true,
+            job: getJobStatus(jobId),
+            status_url: `/api/jobs/${jobId}`
+        });
+    } catch (error) {
+        console.error('✗ Job creation error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Jobs: per-URL progress and partial results
+app.get('/api/jobs/:id', (req, res) => {
+    try {
+        const job = findJob(req.params.id, resolveRequestUser(req, req.query.user_id));
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        const items = db.prepare('SELECT * FROM job_items WHERE job_id = ? ORDER BY position').all(job.id);
+
+        res.json({
+            success: true,
+            job,
+            items: items.map(item => ({
+                position: item.position,
+                url: item.url,
+                status: item.status,
+                result: parseStoredJson(item.result),
+                error: item.error,
+                started_at: item.started_at,
+                finished_at: item.finished_at
+            }))
+        });
+    } catch (error) {
+        console.error('✗ Job status error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Jobs: cancel - pending URLs are skipped, URLs already running finish
+app.delete('/api/jobs/:id', (req, res) => {
+    try {
+        const job = findJob(req.params.id, resolveRequestUser(req, req.query.user_id));
+
+        if (!job) {
+            return res.status(404).json({
+                success: false,
+                error: 'Job not found'
+            });
+        }
+
+        if (job.status === 'completed' || job.status === 'cancelled') {
+            return res.status(409).json({
+                success: false,
+                error: `Job already ${job.status}`,
+                job
+            });
+        }
+
+        db.transaction(() => {
+            db.prepare("UPDATE jobs SET status = 'cancelled', finished_at = CURRENT_TIMESTAMP WHERE id = ?").run(job.id);
+            db.prepare("UPDATE job_items SET status = 'cancelled' WHERE job_id = ? AND status = 'pending'").run(job.id);
+        })();
+        console.log(`🛑 Job ${job.id} cancelled`);
+
+        res.json({
+            success: true,
+            job: getJobStatus(job.id)
+        });
+    } catch (error) {
+        console.error('✗ Job cancel error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Usage accounting: LLM calls, tokens and estimated cost for the caller's user and an
+// optional date range (from/to as YYYY-MM-DD or ISO timestamps, UTC)
+app.get('/api/usage', usageReport(req => resolveRequestUser(req, req.query.user_id)));
+
+// Admin: the same report across all users (by_user), or for any one user with ?user_id=
+app.get('/api/admin/usage', requireAdmin, usageReport(req => req.query.user_id || null));
+
+// Route handler for the usage reports; resolveUser picks the user (null = everyone)
+function usageReport(resolveUser) {
+    return (req, res) => {
+        try {
+            const userId = resolveUser(req);
+            const parseBound = (value, name, endOfDay) => {
+                if (!value) return null;
+                const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+                const date = new Date(dateOnly ? `${value}T00:00:00Z` : value);
+                if (isNaN(date.getTime())) {
+                    const error = new Error(`${name} must be a date (YYYY-MM-DD) or ISO timestamp`);
+                    error.status = 400;
+                    throw error;
+                }
+                if (dateOnly && endOfDay) date.setUTCDate(date.getUTCDate() + 1);
+                return date.toISOString().replace('T', ' ').substring(0, 19);
+            };
+            const from = parseBound(req.query.from, 'from', false);
+            const to = parseBound(req.query.to, 'to', true);
+
+            const conditions = [];
+            const params = [];
+            if (userId) {
+                conditions.push('user_id = ?');
+                params.push(userId);
+            }
+            if (from) {
+                conditions.push('created_at >= ?');
+                params.push(from);
+            }
+            if (to) {
+                conditions.push(/^\d{4}-\d{2}-\d{2}$/.test(req.query.to) ? 'created_at < ?' : 'created_at <= ?');
+                params.push(to);
+            }
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const totals = `
+                COUNT(*) AS llm_calls,
+                COALESCE(SUM(status = 'failed'), 0) AS failed_calls,
+                COALESCE(SUM(prompt_tokens), 0) AS prompt_tokens,
+                COALESCE(SUM(completion_tokens), 0) AS completion_tokens,
+                COALESCE(SUM(total_tokens), 0) AS total_tokens,
+                ROUND(COALESCE(SUM(cost_usd), 0), 6) AS estimated_cost_usd,
+                COALESCE(SUM(cost_usd IS NULL), 0) AS unpriced_calls,
+                CAST(AVG(latency_ms) AS INTEGER) AS avg_latency_ms`;
+            const groupBy = columns => db.prepare(
+                `SELECT ${columns}, ${totals} FROM llm_usage ${where} GROUP BY ${columns} ORDER BY estimated_cost_usd DESC, llm_calls DESC`
+            ).all(...params);
+
+            res.json({
+                success: true,
+                user_id: userId,
+                from: req.query.from || null,
+                to: req.query.to || null,
+                totals: db.prepare(`SELECT ${totals} FROM llm_usage ${where}`).get(...params),
+                by_feature: groupBy('feature'),
+                by_model: groupBy('provider, model'),
+                by_purpose: groupBy('purpose'),
+                by_user: userId ? undefined : groupBy('user_id, api_key_id'),
+                by_day: db.prepare(
+                    `SELECT date(created_at) AS day, ${totals} FROM llm_usage ${where} GROUP BY day ORDER BY day`
+                ).all(...params)
+            });
+        } catch (error) {
+            console.error('✗ Usage error:', error.message);
+            res.status(error.status || 500).json({
+                success: false,
+                error: error.message
+            });
+        }
+    };
+}
+
+// Admin: issue an API key for a user. The key itself is only returned here.
+app.post('/api/admin/keys', requireAdmin, (req, res) => {
+    try {
+        const { user_id: userId, name } = req.body || {};
+
+        if (!userId || typeof userId !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'user_id is required'
+            });
+        }
+        if (userId === ANONYMOUS_USER_ID) {
+            return res.status(400).json({
+                success: false,
+                error: `user_id "${ANONYMOUS_USER_ID}" is reserved for requests without an API key`
+            });
+        }
+
+        const limits = {};
+        for (const field of ['rate_limit_per_minute', 'daily_llm_quota']) {
+            const value = req.body[field];
+            if (value === undefined || value === null) continue;
+            if (!Number.isInteger(value) || value < 1) {
+                return res.status(400).json({
+                    success: false,
+                    error: `${field} must be a positive integer`
+                });
+            }
+            limits[field] = value;
+        }
+
+        const key = `polai_${crypto.randomBytes(24).toString('base64url')}`;
+        const info = db.prepare(`
+            INSERT INTO api_keys (key_hash, key_prefix, user_id, name, rate_limit_per_minute, daily_llm_quota)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(hashApiKey(key), key.slice(0, 12), userId, name || null, limits.rate_limit_per_minute || null, limits.daily_llm_quota || null);
+        const row = db.prepare('SELECT * FROM api_keys WHERE id = ?').get(info.lastInsertRowid);
+        console.log(`🔑 Issued API key #${row.id} for ${userId}`);
+
+        res.status(201).json({
+            success: true,
+            key,
+            api_key: formatApiKeyRow(row)
+        });
+    } catch (error) {
+        console.error('✗ API key error:', error.message);
+        res.status(error.status || 500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Admin: list API keys (optional ?user_id= filter) with today's LLM usage
+app.get('/api/admin/keys', requireAdmin, (req, res) => {
+    try {
+        const rows = req.query.user_id
+            ? db.prepare('SELECT * FROM api_keys WHERE user_id = ? ORDER BY id DESC').all(req.query.user_id)
+            : db.prepare('SELECT * FROM api_keys ORDER BY id DESC').all();
+
+        res.json({
+            success: true,
+            api_keys: rows.map(formatApiKeyRow)
+        });
+    } catch (error) {
+        console.error('✗ API key error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// Admin: revoke an API key; requests with it get a 401 from then on
+app.delete('/api/admin/keys/:id', requireAdmin, (req, res) => {
+    try {
+        const row = db.prepare('SELECT * FROM api_keys WHERE id = ?').get(req.params.id);
+
+        if (!row) {
+            return res.status(404).json({
+                success: false,
+                error: 'API key not found'
+            });
+        }
+
+        if (!row.revoked_at) {
+            db.prepare('UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?').run(row.id);
+            rateLimitBuckets.delete(row.id);
+            console.log(`🔒 Revoked API key #${row.id}`);
+        }
+
+        res.json({
+            success: true,
+            api_key: formatApiKeyRow(db.prepare('SELECT * FROM api_keys WHERE id = ?').get(row.id))
+        });
+    } catch (error) {
+        console.error('✗ API key error:', error.message);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+// App stores for policy discovery. Every store implements
+//   parseId(input, { explicit }) -> the app id in canonical form, or null when the input is
+//     not one of the store's ids (explicit: the caller named this store)
+//   discover(appId, { fetchPage }) -> { app: { id, name, developer, website, email, store_url }, candidates }
+// Pages are read with fetchPage(url, { timeout }) -> { data, finalUrl }, fetchStorePage
+// unless the caller passes another (the tests read fixtures).
+const appStores = {};
+function registerAppStore(name, store) {
+    appStores[name] = { name, ...store };
+}
+const PACKAGE_NAME_PATTERN = /^[a-z][\w]*(\.[a-z0-9_]+)+$/i;
+const PLAY_STORE_HOSTS = /(^|\.)(google|gstatic|youtube|android|googleusercontent)\.com$/i;
+const APPLE_HOSTS = /(^|\.)apple\.com$/i;
+// Store-page link wording
+const STORE_PRIVACY_LINK_PATTERN = /privacy (policy|notice|statement)/i;
+const STORE_WEBSITE_LINK_PATTERN = /website/i;
+// Email domains that say nothing about the developer's own site
+const WEBMAIL_DOMAINS = ['gmail.com', 'googlemail.com', 'outlook.com', 'hotmail.com', 'yahoo.com', 'icloud.com', 'me.com', 'protonmail.com', 'proton.me', 'aol.com', 'gmx.com', 'mail.ru', 'qq.com', '163.com'];
+// Paths tried on a developer site whose home page links to no policy
+const DEVELOPER_POLICY_PATHS = ['/privacy', '/privacy-policy', '/legal/privacy', '/legal/privacy-policy', '/privacy.html', '/policies/privacy'];
+
+// Helper: Fetch a store page, store lookup or developer-site page as { data, finalUrl }
+async function fetchStorePage(url, { timeout = 10000 } = {}) {
+    const response = await guardedRequest({ method: 'get', url, headers: getHeaders(url), responseType: 'text', timeout });
+    return { data: String(response.data), finalUrl: response.finalUrl };
+}
+
+// Helper: Follow Google's https://www.google.com/url?q=<target> link wrapper
+function unwrapStoreRedirect(target) {
+    if (/(^|\.)google\.com$/i.test(target.hostname) && target.pathname === '/url' && target.searchParams.get('q')) {
+        return new URL(target.searchParams.get('q'));
+    }
+    return target;
+}
+
+// Helper: Developer details and privacy links from a store page. The store's own privacy
+// link (page footer) only counts when the developer's website is on the store's site too.
+function readStorePageLinks(html, baseUrl, ownHosts) {
+    const $ = cheerio.load(html);
+    const privacyLinks = [];
+    let website = null;
+    let email = null;
+    $('a[href]').each((i, element) => {
+        const href = $(element).attr('href').trim();
+        const text = collapseWhitespace($(element).text()) || $(element).attr('aria-label') || '';
+        if (/^mailto:/i.test(href)) {
+            email = email || decodeURIComponent(href.slice(7).split('?')[0]).trim() || null;
+            return;
+        }
+        let target;
+        try {
+            target = unwrapStoreRedirect(new URL(href, baseUrl));
+        } catch (error) {
+            return;
+        }
+        if (!/^https?:$/.test(target.protocol)) return;
+        if (STORE_PRIVACY_LINK_PATTERN.test(text)) {
+            privacyLinks.push({ url: target.href, own: ownHosts.test(target.hostname) });
+        } else if (!website && STORE_WEBSITE_LINK_PATTERN.test(text) && target.hostname !== new URL(baseUrl).hostname) {
+            website = target.href;
+        }
+    });
+    const ownWebsite = website && ownHosts.test(new URL(website).hostname);
+    const candidates = privacyLinks
+        .filter(link => !link.own || ownWebsite)
+        .map(link => ({ url: link.url, confidence: 0.95, source: 'store_privacy_field' }));
+    return { $, candidates, website, email };
+}
+
+// Google Play: the "Privacy policy" link of the app's support section
+registerAppStore('play', {
+    label: 'Google Play',
+    parseId(input) {
+        if (/^https?:\/\/play\.google\.com\//i.test(input)) {
+            try {
+                const id = new URL(input).searchParams.get('id');
+                return id && PACKAGE_NAME_PATTERN.test(id) ? id : null;
+            } catch (error) {
+                return null;
+            }
+        }
+        return PACKAGE_NAME_PATTERN.test(input) ? input : null;
+    },
+    async discover(appId, { fetchPage }) {
+        // English labels, so the support section links can be recognized
+        const storeUrl = `https://play.google.com/store/apps/details?id=${encodeURIComponent(appId)}&hl=en&gl=US`;
+        const html = (await fetchPage(storeUrl)).data;
+        const { $, candidates, website, email } = readStorePageLinks(html, storeUrl, PLAY_STORE_HOSTS);
+        if (candidates.length === 0) {
+            // The support section is sometimes only present in the page's embedded data
+            const seen = new Set();
+            for (const [url] of html.matchAll(/https?:\/\/[^\s"'\\<>]+/g)) {
+                let target;
+                try {
+                    target = new URL(url);
+                } catch (error) {
+                    continue;
+                }
+                if (PLAY_STORE_HOSTS.test(target.hostname) || !/privacy/i.test(target.pathname) || seen.has(target.href)) continue;
+                seen.add(target.href);
+                candidates.push({ url: target.href, confidence: 0.6, source: 'store_page_data' });
+            }
+        }
+        return {
+            app: {
+                id: appId,
+                name: collapseWhitespace($('h1').first().text()) || null,
+                developer: collapseWhitespace($('a[href*="/store/apps/dev"]').first().text()) || null,
+                website,
+                email,
+                store_url: storeUrl
+            },
+            candidates: candidates.slice(0, 3)
+        };
+    }
+});
+
+// Apple App Store: numeric ids (or apps.apple.com URLs); bundle ids when the store is named.
+// The iTunes lookup API gives the seller's website, the app page the developer's policy link.
+registerAppStore('apple', {
+    label: 'App Store',
+    parseId(input, { explicit = false } = {}) {
+        const match = input.match(/^(?:id)?(\d{6,12})$/i) || input.match(/^https?:\/\/(?:apps|itunes)\.apple\.com\/.*\bid(\d{6,12})\b/i);
+        if (match) return match[1];
+        return explicit && PACKAGE_NAME_PATTERN.test(input) ? input : null;
+    },
+    async discover(appId, { fetchPage }) {
+        const query = /^\d+$/.test(appId) ? `id=${appId}` : `bundleId=${encodeURIComponent(appId)}`;
+        const lookupUrl = `https://itunes.apple.com/lookup?${query}&country=${APP_STORE_COUNTRY}`;
+        const lookup = JSON.parse((await fetchPage(lookupUrl)).data);
+        const entry = (lookup.results || [])[0];
+        if (!entry) {
+            throw createFetchError(`App ${appId} not found in the App Store`, 404);
+        }
+        const storeUrl = entry.trackViewUrl || `https://apps.apple.com/${APP_STORE_COUNTRY}/app/id${entry.trackId}`;
+        const html = (await fetchPage(storeUrl)).data;
+        const { candidates, website, email } = readStorePageLinks(html, storeUrl, APPLE_HOSTS);
+        return {
+            app: {
+                id: String(entry.trackId),
+                bundle_id: entry.bundleId || null,
+                name: entry.trackName || null,
+                developer: entry.sellerName || entry.artistName || null,
+                website: entry.sellerUrl || website,
+                email,
+                store_url: storeUrl
+            },
+            candidates: candidates.slice(0, 3)
+        };
+    }
+});
+
+// Helper: Privacy policy candidates on a developer's site: privacy links on its home page,
+// or else the first well-known policy path that answers with policy-like text.
+// factor scales confidence by how sure we are that the site is the developer's.
+async function probeDeveloperSite(siteUrl, factor, source, fetchPage = fetchStorePage) {
+    const candidates = [];
+    try {
+        const response = await fetchPage(siteUrl, { timeout: 8000 });
+        for (const link of findPolicyLinks(String(response.data), response.finalUrl)) {
+            // Cookie and state notices rank high for crawling but are not the main policy
+            if (!/privacy/i.test(`${link.text} ${link.url}`) || /cookie/i.test(`${link.text} ${link.url}`)) continue;
+            candidates.push({ url: link.url, confidence: 0.7 * factor, source: `${source}_link` });
+            if (candidates.length === 2) break;
+        }
+    } catch (error) {
+        console.log(`✗ Developer site ${siteUrl} unavailable: ${error.message}`);
+        // Unreachable or refused: no point trying paths on it
+        if (!error.response) return [];
+    }
+    if (candidates.length) return candidates;
+    const origin = new URL(siteUrl).origin;
+    for (const policyPath of DEVELOPER_POLICY_PATHS) {
+        const url = `${origin}${policyPath}`;
+        try {
+            const response = await fetchPage(url, { timeout: 5000 });
+            const $ = cheerio.load(String(response.data));
+            $('script, style, noscript').remove();
+            if (looksLikePolicyContent(collapseWhitespace($('body').text()))) {
+                return [{ url: response.finalUrl, confidence: 0.75 * factor, source: `${source}_path` }];
+            }
+        } catch (error) {
+            continue;
+        }
+    }
+    return [];
+}
+
+// Helper: Sites that may belong to the developer, most trustworthy first: the website
+// the store lists, the support email's domain, the domain spelled by the package name
+function findDeveloperSites(app, appId) {
+    const sites = [];
+    if (app.website) sites.push({ url: app.website, factor: 1, source: 'developer_website' });
+    const emailDomain = (app.email || '').split('@')[1]?.toLowerCase();
+    if (emailDomain && !WEBMAIL_DOMAINS.includes(emailDomain)) {
+        sites.push({ url: `https://${emailDomain}/`, factor: 0.8, source: 'developer_email_domain' });
+    }
+    // com.spotify.music -> spotify.com
+    const [tld, name] = (app.bundle_id || appId).toLowerCase().split('.');
+    if (name && /^[a-z]{2,6}$/.test(tld) && PACKAGE_NAME_PATTERN.test(app.bundle_id || appId)) {
+        sites.push({ url: `https://${name}.${tld}/`, factor: 0.5, source: 'package_domain' });
+    }
+    const seen = new Set();
+    return sites.filter(site => {
+        const domain = getSiteDomain(new URL(site.url).hostname);
+        if (seen.has(domain)) return false;
+        seen.add(domain);
+        return true;
+    });
+}
+
+// Discover an app's privacy policy: the store's policy field first, then the developer's
+// site. Returns { app_id, store, app, candidates (best first, with a 0-1 confidence) }.
+async function discoverAppPolicy(input, { store: storeName = null, fetchPage = fetchStorePage } = {}) {
+    const value = String(input || '').trim();
+    if (storeName && !appStores[storeName]) {
+        const error = new Error(`Unknown store: ${storeName}. Available: ${Object.keys(appStores).join(', ')}`);
+        error.status = 400;
+        throw error;
+    }
+    const stores = storeName ? [appStores[storeName]] : Object.values(appStores);
+    const store = stores.find(candidate => candidate.parseId(value, { explicit: !!storeName }));
+    if (!store) {
+        const error = new Error(storeName
+            ? `${value} is not a ${appStores[storeName].label} app id`
+            : `${value} is not an app id (Android package name, App Store id or store URL)`);
+        error.status = 400;
+        throw error;
+    }
+    const appId = store.parseId(value, { explicit: !!storeName });
+    console.log(`🔎 Discovering privacy policy for ${appId} (${store.label})`);
+
+    let details = { app: { id: appId }, candidates: [] };
+    let storeError = null;
+    try {
+        details = await store.discover(appId, { fetchPage });
+    } catch (error) {
+        storeError = error.message;
+        console.log(`✗ ${store.label} lookup failed: ${error.message}`);
+    }
+    const candidates = [...details.candidates];
+    if (!candidates.some(candidate => candidate.source === 'store_privacy_field')) {
+        for (const site of findDeveloperSites(details.app, appId)) {
+            const found = await probeDeveloperSite(site.url, site.factor, site.source, fetchPage);
+            candidates.push(...found);
+            if (found.length) break;
+        }
+    }
+
+    // One entry per page, at its highest confidence
+    const ranked = new Map();
+    for (const candidate of candidates) {
+        const key = getCrawlKey(candidate.url);
+        if (!ranked.has(key) || ranked.get(key).confidence < candidate.confidence) {
+            ranked.set(key, { ...candidate, confidence: Math.round(candidate.confidence * 100) / 100 });
+        }
+    }
+    return {
+        app_id: appId,
+        store: store.name,
+        app: details.app,
+        candidates: [...ranked.values()].sort((a, b) => b.confidence - a.confidence),
+        store_error: storeError || undefined
+    };
+}
+
+// Google Play "Data safety" categories and their data types. pattern finds the category in
+// policy wording (analysis data types and policy sentences).
+const DATA_SAFETY_CATEGORIES = [
+    { id: 'location', label: 'Location', noun: 'location', types: ['Approximate location', 'Precise location'], pattern: /\b(location|gps|geo-?location)\b/i },
+    { id: 'personal_info', label: 'Personal info', noun: 'personal info', types: ['Name', 'Email address', 'User IDs', 'Address', 'Phone number', 'Race and ethnicity', 'Political or religious beliefs', 'Sexual orientation', 'Other info'], pattern: /\b(names?|e-?mail( address(es)?)?|phone numbers?|postal address|home address|user ids?|personal (information|data|identifiers?)|contact (information|details))\b/i },
+    { id: 'financial_info', label: 'Financial info', noun: 'financial info', types: ['User payment info', 'Purchase history', 'Credit score', 'Other financial info'], pattern: /\b(financial|payments?|credit cards?|purchase history|billing|bank account)\b/i },
+    { id: 'health_fitness', label: 'Health and fitness', noun: 'health and fitness data', types: ['Health info', 'Fitness info'], pattern: /\b(health|fitness|medical)\b/i },
+    { id: 'messages', label: 'Messages', noun: 'messages', types: ['Emails', 'SMS or MMS', 'Other in-app messages'], pattern: /\b(messages?|sms|mms|chats?)\b/i },
+    { id: 'photos_videos', label: 'Photos and videos', noun: 'photos and videos', types: ['Photos', 'Videos'], pattern: /\b(photos?|videos?|images?|pictures?)\b/i },
+    { id: 'audio', label: 'Audio', noun: 'audio', types: ['Voice or sound recordings', 'Music files', 'Other audio files'], pattern: /\b(audio|voice|sound recordings?|microphone)\b/i },
+    { id: 'files_docs', label: 'Files and docs', noun: 'files and documents', types: ['Files and docs'], pattern: /\b(files|documents)\b/i },
+    { id: 'calendar', label: 'Calendar', noun: 'calendar events', types: ['Calendar events'], pattern: /\bcalendars?\b/i },
+    { id: 'contacts', label: 'Contacts', noun: 'contacts', types: ['Contacts'], pattern: /\b(contacts|address book|contact list)\b/i },
+    { id: 'app_activity', label: 'App activity', noun: 'app activity', types: ['App interactions', 'In-app search history', 'Installed apps', 'Other user-generated content', 'Other actions'], pattern: /\b(usage|activity|interactions?|search history|installed apps|behaviou?r)\b/i },
+    { id: 'web_browsing', label: 'Web browsing', noun: 'web browsing history', types: ['Web browsing history'], pattern: /\b(browsing history|web browsing)\b/i },
+    { id: 'app_performance', label: 'App info and performance', noun: 'app performance data', types: ['Crash logs', 'Diagnostics', 'Other app performance data'], pattern: /\b(crash(es| reports| logs)?|diagnostics?|performance data|log data|logs)\b/i },
+    { id: 'device_ids', label: 'Device or other IDs', noun: 'device or other IDs', types: ['Device or other IDs'], pattern: /\b(device|ip address(es)?|imei|advertising ids?|cookies?)\b/i }
+];
+const DATA_SAFETY_PURPOSES = ['App functionality', 'Analytics', 'Developer communications', 'Advertising or marketing', 'Fraud prevention, security, and compliance', 'Personalization', 'Account management'];
+// Policy sentences that hand data to someone else, and who receives it (first match wins)
+const SHARING_VERB_PATTERN = /\b(share[sd]?|sharing|disclose[sd]?|sells?|sold|rent|transfer(s|red)?|provide[sd]? (it|them|this( information)?) to)\b/i;
+// A sharing verb is denied when a negator comes straight before it ("do not sell", "will
+// never share") or it is listed after a denied verb ("do not sell, rent or share")
+const SHARING_NEGATOR_BEFORE = /(?:\bnot|\bnever|n['’]t)\b[\s,]*(?:(?:ever|otherwise|knowingly)\s+)?$/i;
+const SHARING_VERB_LIST_JOIN = /^\s*,?\s*(?:(?:or|and|nor)\s+)?$/i;
+const SHARING_RECIPIENTS = [
+    ['data brokers', /\bdata brokers?\b/i],
+    ['advertisers', /\b(advertis\w*|ad networks?|marketing partners?)\b/i],
+    ['analytics providers', /\banalytics (providers?|partners?|compan(y|ies)|services?)\b/i],
+    ['third parties', /\b(third[- ]part(y|ies)|partners?|affiliates?|vendors?|service providers?|other compan(y|ies))\b/i]
+];
+
+// Helper: Visible text of an HTML page, one line per block element
+function htmlToLines(html) {
+    const $ = cheerio.load(html);
+    $('script, style, noscript, template').remove();
+    $('br').replaceWith('\n');
+    $('address, article, aside, div, footer, h1, h2, h3, h4, h5, h6, header, li, main, nav, p, section, td, th, tr').each((i, element) => {
+        $(element).prepend('\n').append('\n');
+    });
+    return $('body').text().split('\n').map(collapseWhitespace).filter(Boolean);
+}
+
+// Helper: The Play purposes named on a line, or null when the line is not a purpose list
+function parseDataSafetyPurposes(line) {
+    let rest = line;
+    const purposes = [];
+    for (const purpose of DATA_SAFETY_PURPOSES) {
+        if (rest.toLowerCase().includes(purpose.toLowerCase())) {
+            purposes.push(purpose);
+            rest = rest.replace(new RegExp(escapeRegExp(purpose), 'i'), '');
+        }
+    }
+    return purposes.length && !/[a-z]/i.test(rest.replace(/\band\b/gi, '')) ? purposes : null;
+}
+
+// Parse a Play "Data safety" page: the data types shared and collected (with purposes and
+// whether they are optional) and the security practices. Works on the page text, so class
+// names can change freely; unknown lines are ignored.
+function parseDataSafety(html, sourceUrl) {
+    const result = {
+        source_url: sourceUrl,
+        found: false,
+        shared: { declared_none: false, categories: [] },
+        collected: { declared_none: false, categories: [] },
+        security: { encrypted_in_transit: null, deletion_request: null, families_policy: false, independent_review: false }
+    };
+    let section = null;
+    let category = null;
+    let lastType = null;
+    for (const line of htmlToLines(html).map(text => text.replace(/[‘’]/g, '\''))) {
+        const lower = line.toLowerCase();
+        if (lower === 'data shared' || lower === 'data collected') {
+            section = lower === 'data shared' ? result.shared : result.collected;
+            category = null;
+            lastType = null;
+            result.found = true;
+            continue;
+        }
+        if (lower === 'security practices') {
+            section = null;
+            result.found = true;
+            continue;
+        }
+        if (/^no data shared\b/.test(lower)) result.shared.declared_none = true;
+        else if (/^no data collected\b/.test(lower)) result.collected.declared_none = true;
+        else if (/^data is encrypted in transit/.test(lower)) result.security.encrypted_in_transit = true;
+        else if (/^data isn't encrypted/.test(lower)) result.security.encrypted_in_transit = false;
+        else if (/^you can request that data be deleted/.test(lower)) result.security.deletion_request = true;
+        else if (/^data can't be deleted/.test(lower)) result.security.deletion_request = false;
+        else if (/families policy/.test(lower)) result.security.families_policy = true;
+        else if (/^independent security review/.test(lower)) result.security.independent_review = true;
+        if (!section) continue;
+
+        const definition = DATA_SAFETY_CATEGORIES.find(entry => entry.label.toLowerCase() === lower);
+        // A category heading, unless it repeats as the category's only type (e.g. Contacts)
+        if (definition && !(category?.id === definition.id && definition.types.length === 1 && category.types.length === 0)) {
+            category = section.categories.find(entry => entry.id === definition.id);
+            if (!category) {
+                category = { id: definition.id, label: definition.label, types: [], summary: [] };
+                section.categories.push(category);
+            }
+            lastType = null;
+            continue;
+        }
+        if (!category) continue;
+        const known = DATA_SAFETY_CATEGORIES.find(entry => entry.id === category.id).types;
+        const name = line.replace(/[\s·•,-]*optional$/i, '');
+        const type = known.find(entry => entry.toLowerCase() === name.toLowerCase());
+        if (type) {
+            lastType = category.types.find(entry => entry.name === type);
+            if (!lastType) {
+                lastType = { name: type, optional: false, purposes: [] };
+                category.types.push(lastType);
+            }
+            lastType.optional = lastType.optional || name !== line;
+            continue;
+        }
+        if (lower === 'optional' && lastType) {
+            lastType.optional = true;
+            continue;
+        }
+        const purposes = parseDataSafetyPurposes(line);
+        if (purposes && lastType) {
+            lastType.purposes = [...new Set([...lastType.purposes, ...purposes])];
+            continue;
+        }
+        // Collapsed view: "Approximate location and Precise location"
+        const parts = line.split(/,\s*|\s+and\s+/).map(part => known.find(entry => entry.toLowerCase() === part.trim().toLowerCase()));
+        if (parts.every(Boolean)) category.summary.push(...parts);
+    }
+    for (const part of [result.shared, result.collected]) {
+        part.categories = part.categories.map(({ id, label, types, summary }) => {
+            const definition = DATA_SAFETY_CATEGORIES.find(entry => entry.id === id);
+            const listed = types.length ? types : [...new Set(summary.length ? summary : definition.types.length === 1 ? definition.types : [])]
+                .map(name => ({ name, optional: false, purposes: [] }));
+            return { id, label, types: listed, purposes: [...new Set(listed.flatMap(type => type.purposes))] };
+        });
+    }
+    return result;
+}
+
+// Helper: Fetch and parse an app's Play "Data safety" page
+async function fetchPlayDataSafety(appId, fetchPage = fetchStorePage) {
+    const url = `https://play.google.com/store/apps/datasafety?id=${encodeURIComponent(appId)}&hl=en`;
+    return parseDataSafety((await fetchPage(url)).data, url);
+}
+
+// Helper: Whether a sentence has a sharing verb that is not denied ("We do not sell your
+// data, but we share it with advertisers" does share)
+function affirmsSharing(sentence) {
+    let previous = null;
+    for (const match of sentence.matchAll(new RegExp(SHARING_VERB_PATTERN.source, 'gi'))) {
+        const denied = SHARING_NEGATOR_BEFORE.test(sentence.slice(0, match.index))
+            || (!!previous && SHARING_VERB_LIST_JOIN.test(sentence.slice(previous.end, match.index)));
+        if (!denied) return true;
+        previous = { end: match.index + match[0].length };
+    }
+    return false;
+}
+
+// Helper: Data safety categories the policy says are shared, each with the first sentence
+// saying so and who receives the data
+function findPolicySharing(policyText) {
+    const shared = new Map();
+    const locate = createQuoteLocator(policyText);
+    for (const sentence of policyText.split('\n').flatMap(splitSentences)) {
+        if (!affirmsSharing(sentence)) continue;
+        const recipient = SHARING_RECIPIENTS.find(([, pattern]) => pattern.test(sentence));
+        if (!recipient) continue;
+        for (const category of DATA_SAFETY_CATEGORIES) {
+            if (shared.has(category.id) || !category.pattern.test(sentence)) continue;
+            const location = locate(sentence);
+            shared.set(category.id, {
+                recipient: recipient[0],
+                evidence: { quote: sentence, start: location ? location.start : null, end: location ? location.end : null }
+            });
+        }
+    }
+    return shared;
+}
+
+// Cross-check a Data safety declaration against the policy and its analysis. Discrepancies
+// are high severity for undeclared sharing with advertisers or data brokers, medium when
+// the declaration and the policy contradict each other, low when one is silent.
+function crossCheckDataSafety(dataSafety, analysis, policyText) {
+    const discrepancies = [];
+    const add = (kind, severity, category, message, evidence) => discrepancies.push({
+        kind,
+        severity,
+        category: category ? category.id : undefined,
+        message,
+        evidence: evidence ? [evidence] : undefined
+    });
+    const declaredShared = new Set(dataSafety.shared.categories.map(category => category.id));
+    const declaredCollected = new Set(dataSafety.collected.categories.map(category => category.id));
+    const policyTypes = analysis.data_collection?.types || [];
+    const policyCollected = DATA_SAFETY_CATEGORIES.filter(category => policyTypes.some(type => category.pattern.test(type)));
+    const policyShared = findPolicySharing(policyText);
+
+    for (const category of DATA_SAFETY_CATEGORIES) {
+        const sharing = policyShared.get(category.id);
+        if (sharing && !declaredShared.has(category.id)) {
+            const declared = dataSafety.shared.declared_none ? 'Declares no data shared with third parties' : `Declares no sharing of ${category.noun}`;
+            add('shared_not_declared', ['advertisers', 'data brokers'].includes(sharing.recipient) ? 'high' : 'medium', category,
+                `${declared}, but the policy says it shares ${category.noun} with ${sharing.recipient}`, sharing.evidence);
+        }
+    }
+    if (dataSafety.shared.declared_none && policyShared.size === 0 && analysis.data_sharing?.third_parties) {
+        const purposes = analysis.data_sharing.third_party_purposes || [];
+        add('shared_not_declared', 'medium', null,
+            `Declares no data shared with third parties, but the policy says data is shared with third parties${purposes.length ? ` (${purposes.join(', ')})` : ''}`);
+    }
+    for (const category of policyCollected) {
+        if (declaredCollected.has(category.id) || declaredShared.has(category.id)) continue;
+        const types = policyTypes.filter(type => category.pattern.test(type));
+        const declared = dataSafety.collected.declared_none ? 'the Data safety section declares no data collected' : 'the Data safety section does not declare it';
+        add('collected_not_declared', 'medium', category, `The policy says it collects ${category.noun} (${types.join(', ')}), but ${declared}`);
+    }
+    for (const [kind, part, verb] of [['collected', dataSafety.collected, 'collecting'], ['shared', dataSafety.shared, 'sharing']]) {
+        for (const declared of part.categories) {
+            const category = DATA_SAFETY_CATEGORIES.find(entry => entry.id === declared.id);
+            if (policyCollected.includes(category) || policyShared.has(category.id) || category.pattern.test(policyText)) continue;
+            add(`${kind}_not_in_policy`, 'low', category, `Declares ${verb} ${category.noun}, which the policy does not mention`);
+        }
+    }
+    const { encrypted_in_transit: encrypted, deletion_request: deletion } = dataSafety.security;
+    const encryptionMentioned = !!analysis.security_measures?.encryption_mentioned;
+    if (encrypted === true && !encryptionMentioned) {
+        add('security_mismatch', 'low', null, 'Declares data is encrypted in transit, which the policy does not mention');
+    } else if (encrypted === false && encryptionMentioned) {
+        add('security_mismatch', 'medium', null, 'Declares data is not encrypted in transit, but the policy mentions encryption');
+    }
+    if (deletion === true && !analysis.user_rights?.deletion) {
+        add('deletion_mismatch', 'low', null, 'Declares that users can request deletion, which the policy does not offer');
+    } else if (deletion === false && analysis.user_rights?.deletion) {
+        add('deletion_mismatch', 'medium', null, 'Declares that data cannot be deleted, but the policy offers deletion');
+    }
+
+    const order = { high: 0, medium: 1, low: 2 };
+    discrepancies.sort((a, b) => order[a.severity] - order[b.severity]);
+    return {
+        consistent: discrepancies.length === 0,
+        summary: Object.fromEntries(Object.keys(order).map(severity => [severity, discrepancies.filter(entry => entry.severity === severity).length])),
+        discrepancies,
+        policy: {
+            collected: policyCollected.map(category => category.id),
+            shared: [...policyShared.keys()]
+        }
+    };
+}
+
+// Android permissions that expose personal data, grouped. Dangerous permissions need a
+// runtime grant; "sensitive" ones are normal permissions that still reveal user data.
+// pattern finds the data in the policy's data types or text; penalty is the score
+// deduction when the policy never discloses it.
+const ANDROID_PERMISSION_GROUPS = [
+    { id: 'location', label: 'Location', penalty: 10, pattern: /\b(location|gps|geo-?location)\b/i, permissions: ['ACCESS_FINE_LOCATION', 'ACCESS_COARSE_LOCATION', 'ACCESS_BACKGROUND_LOCATION', 'ACCESS_MEDIA_LOCATION'] },
+    { id: 'contacts', label: 'Contacts', penalty: 10, pattern: /\b(contacts|address book|contact list)\b/i, permissions: ['READ_CONTACTS', 'WRITE_CONTACTS', 'GET_ACCOUNTS'] },
+    { id: 'camera', label: 'Camera', penalty: 10, pattern: /\b(camera|photos?|videos?|images?|pictures?)\b/i, permissions: ['CAMERA'] },
+    { id: 'microphone', label: 'Microphone', penalty: 10, pattern: /\b(microphone|audio|voice|sound recordings?)\b/i, permissions: ['RECORD_AUDIO'] },
+    { id: 'sms', label: 'SMS', penalty: 10, pattern: /\b(sms|mms|text messages?)\b/i, permissions: ['READ_SMS', 'SEND_SMS', 'RECEIVE_SMS', 'RECEIVE_MMS', 'RECEIVE_WAP_PUSH'] },
+    { id: 'call_log', label: 'Call log', penalty: 10, pattern: /\b(call (logs?|history|records?)|phone calls?)\b/i, permissions: ['READ_CALL_LOG', 'WRITE_CALL_LOG', 'PROCESS_OUTGOING_CALLS'] },
+    { id: 'phone', label: 'Phone', penalty: 5, pattern: /\b(phone (numbers?|state|calls?)|device (ids?|identifiers?)|imei|carrier)\b/i, permissions: ['READ_PHONE_STATE', 'READ_PHONE_NUMBERS', 'CALL_PHONE', 'ANSWER_PHONE_CALLS', 'ADD_VOICEMAIL', 'USE_SIP'] },
+    { id: 'calendar', label: 'Calendar', penalty: 5, pattern: /\bcalendars?\b/i, permissions: ['READ_CALENDAR', 'WRITE_CALENDAR'] },
+    { id: 'sensors', label: 'Body sensors and activity', penalty: 5, pattern: /\b(sensors?|health|fitness|physical activity|heart rate)\b/i, permissions: ['BODY_SENSORS', 'BODY_SENSORS_BACKGROUND', 'ACTIVITY_RECOGNITION'] },
+    { id: 'storage', label: 'Files and media', penalty: 5, pattern: /\b(files|documents|photos?|media|storage)\b/i, permissions: ['READ_EXTERNAL_STORAGE', 'WRITE_EXTERNAL_STORAGE', 'READ_MEDIA_IMAGES', 'READ_MEDIA_VIDEO', 'READ_MEDIA_AUDIO', 'READ_MEDIA_VISUAL_USER_SELECTED'] },
+    { id: 'nearby_devices', label: 'Nearby devices', penalty: 5, pattern: /\b(bluetooth|nearby devices|wi-?fi|beacons?)\b/i, permissions: ['BLUETOOTH_SCAN', 'BLUETOOTH_CONNECT', 'BLUETOOTH_ADVERTISE', 'NEARBY_WIFI_DEVICES', 'UWB_RANGING'] },
+    { id: 'advertising_id', label: 'Advertising ID', penalty: 5, sensitive: true, pattern: /\b(advertising (id|identifier)s?|ad ids?|aaid|gaid|device (ids?|identifiers?))\b/i, permissions: ['com.google.android.gms.permission.AD_ID'] },
+    { id: 'installed_apps', label: 'Installed apps', penalty: 5, sensitive: true, pattern: /\b(installed (apps|applications)|app usage|apps on your device)\b/i, permissions: ['QUERY_ALL_PACKAGES', 'PACKAGE_USAGE_STATS'] }
+];
+// Known tracker SDKs by package prefix; pattern finds the SDK or its vendor in the policy
+const TRACKER_SDKS = [
+    { name: 'Google AdMob', category: 'advertising', packages: ['com.google.android.gms.ads', 'com.google.ads'], pattern: /\b(admob|google (mobile )?ads)\b/i },
+    { name: 'Google Firebase Analytics', category: 'analytics', packages: ['com.google.firebase.analytics', 'com.google.android.gms.measurement'], pattern: /\b(firebase|google analytics)\b/i },
+    { name: 'Firebase Crashlytics', category: 'crash_reporting', packages: ['com.google.firebase.crashlytics', 'com.crashlytics'], pattern: /\b(crashlytics|firebase)\b/i },
+    { name: 'Google Tag Manager', category: 'analytics', packages: ['com.google.android.gms.tagmanager'], pattern: /\btag manager\b/i },
+    { name: 'Facebook Analytics', category: 'analytics', packages: ['com.facebook.appevents'], pattern: /\b(facebook|meta)\b/i },
+    { name: 'Facebook Audience Network', category: 'advertising', packages: ['com.facebook.ads'], pattern: /\b(facebook|meta|audience network)\b/i },
+    { name: 'Facebook Login', category: 'social', packages: ['com.facebook.login'], pattern: /\b(facebook|meta)\b/i },
+    { name: 'AppsFlyer', category: 'attribution', packages: ['com.appsflyer'], pattern: /\bappsflyer\b/i },
+    { name: 'Adjust', category: 'attribution', packages: ['com.adjust.sdk'], pattern: /\badjust (gmbh|sdk)\b/i },
+    { name: 'Branch', category: 'attribution', packages: ['io.branch'], pattern: /\bbranch (metrics|\.io)\b/i },
+    { name: 'Kochava', category: 'attribution', packages: ['com.kochava'], pattern: /\bkochava\b/i },
+    { name: 'Singular', category: 'attribution', packages: ['com.singular.sdk'], pattern: /\bsingular labs\b/i },
+    { name: 'Mixpanel', category: 'analytics', packages: ['com.mixpanel.android'], pattern: /\bmixpanel\b/i },
+    { name: 'Amplitude', category: 'analytics', packages: ['com.amplitude'], pattern: /\bamplitude\b/i },
+    { name: 'Segment', category: 'analytics', packages: ['com.segment.analytics'], pattern: /\bsegment\.(io|com)\b|\btwilio segment\b/i },
+    { name: 'Flurry', category: 'analytics', packages: ['com.flurry'], pattern: /\bflurry\b/i },
+    { name: 'Yandex AppMetrica', category: 'analytics', packages: ['com.yandex.metrica'], pattern: /\b(appmetrica|yandex)\b/i },
+    { name: 'Microsoft App Center', category: 'analytics', packages: ['com.microsoft.appcenter'], pattern: /\bapp center\b/i },
+    { name: 'New Relic', category: 'analytics', packages: ['com.newrelic.agent'], pattern: /\bnew relic\b/i },
+    { name: 'AppLovin', category: 'advertising', packages: ['com.applovin'], pattern: /\bapplovin\b/i },
+    { name: 'Unity Ads', category: 'advertising', packages: ['com.unity3d.ads', 'com.unity3d.services'], pattern: /\bunity (ads|technologies)\b/i },
+    { name: 'ironSource', category: 'advertising', packages: ['com.ironsource'], pattern: /\bironsource\b/i },
+    { name: 'Vungle', category: 'advertising', packages: ['com.vungle'], pattern: /\b(vungle|liftoff)\b/i },
+    { name: 'Chartboost', category: 'advertising', packages: ['com.chartboost'], pattern: /\bchartboost\b/i },
+    { name: 'InMobi', category: 'advertising', packages: ['com.inmobi'], pattern: /\binmobi\b/i },
+    { name: 'Mintegral', category: 'advertising', packages: ['com.mbridge.msdk'], pattern: /\bmintegral\b/i },
+    { name: 'Pangle', category: 'advertising', packages: ['com.bytedance.sdk.openadsdk'], pattern: /\b(pangle|bytedance)\b/i },
+    { name: 'Tapjoy', category: 'advertising', packages: ['com.tapjoy'], pattern: /\btapjoy\b/i },
+    { name: 'Huawei Ads', category: 'advertising', packages: ['com.huawei.hms.ads'], pattern: /\bhuawei\b/i },
+    { name: 'Sentry', category: 'crash_reporting', packages: ['io.sentry'], pattern: /\bsentry\b/i },
+    { name: 'Bugsnag', category: 'crash_reporting', packages: ['com.bugsnag'], pattern: /\bbugsnag\b/i },
+    { name: 'OneSignal', category: 'engagement', packages: ['com.onesignal'], pattern: /\bonesignal\b/i },
+    { name: 'Braze', category: 'engagement', packages: ['com.braze', 'com.appboy'], pattern: /\b(braze|appboy)\b/i }
+];
+// Generic policy wording that discloses a tracker category without naming the SDK, and
+// the score deduction for an SDK the policy does not disclose at all
+const TRACKER_CATEGORIES = {
+    advertising: { penalty: 8, pattern: /advertis|ad networks?|ads? (sdk|partner)/i },
+    attribution: { penalty: 8, pattern: /attribution|install tracking|measurement partner/i },
+    analytics: { penalty: 5, pattern: /analytic/i },
+    social: { penalty: 5, pattern: /social (login|sign-?in|media (sdk|plugins?))|facebook login/i },
+    crash_reporting: { penalty: 3, pattern: /crash|diagnostic|error report/i },
+    engagement: { penalty: 3, pattern: /push notification|messaging (sdk|service)/i }
+};
+// Total deduction from app access violations
+const MAX_APP_ACCESS_PENALTY = 40;
+const AXML_NAME_RESOURCE_ID = 0x01010003;
+const MANIFEST_COMPONENT_TAGS = ['activity', 'activity-alias', 'service', 'receiver', 'provider', 'meta-data'];
+const inflateRaw = promisify(zlib.inflateRaw);
+
+// Helper: The strings of a binary XML string pool chunk (UTF-8 or UTF-16)
+function readAxmlStringPool(buffer, start) {
+    const headerSize = buffer.readUInt16LE(start + 2);
+    const count = buffer.readUInt32LE(start + 8);
+    const utf8 = (buffer.readUInt32LE(start + 16) & 0x100) !== 0;
+    const stringsStart = start + buffer.readUInt32LE(start + 20);
+    const strings = [];
+    for (let i = 0; i < count; i++) {
+        let at = stringsStart + buffer.readUInt32LE(start + headerSize + i * 4);
+        if (utf8) {
+            // Character count, then byte count; each one byte, or two with the high bit set
+            at += buffer[at] & 0x80 ? 2 : 1;
+            let length = buffer[at];
+            if (length & 0x80) {
+                length = ((length & 0x7f) << 8) | buffer[at + 1];
+                at += 2;
+            } else {
+                at += 1;
+            }
+            strings.push(buffer.toString('utf8', at, at + length));
+        } else {
+            let length = buffer.readUInt16LE(at);
+            if (length & 0x8000) {
+                length = ((length & 0x7fff) << 16) | buffer.readUInt16LE(at + 2);
+                at += 4;
+            } else {
+                at += 2;
+            }
+            strings.push(buffer.toString('utf16le', at, at + length * 2));
+        }
+    }
+    return strings;
+}
+
+// Helper: Elements of a compiled (binary) AndroidManifest.xml as { tag, attributes }.
+// Attribute names are looked up in the resource map when the string pool omits them.
+function parseBinaryXml(buffer) {
+    const elements = [];
+    let strings = [];
+    let resourceIds = [];
+    let offset = buffer.readUInt16LE(2);
+    while (offset + 8 <= buffer.length) {
+        const type = buffer.readUInt16LE(offset);
+        const headerSize = buffer.readUInt16LE(offset + 2);
+        const size = buffer.readUInt32LE(offset + 4);
+        if (size < 8 || offset + size > buffer.length) break;
+        if (type === 0x0001) {
+            strings = readAxmlStringPool(buffer, offset);
+        } else if (type === 0x0180) {
+            resourceIds = [];
+            for (let at = offset + headerSize; at + 4 <= offset + size; at += 4) resourceIds.push(buffer.readUInt32LE(at));
+        } else if (type === 0x0102) {
+            const ext = offset + headerSize;
+            const attributeStart = buffer.readUInt16LE(ext + 8);
+            const attributeSize = buffer.readUInt16LE(ext + 10);
+            const attributeCount = buffer.readUInt16LE(ext + 12);
+            const attributes = {};
+            for (let i = 0; i < attributeCount; i++) {
+                const at = ext + attributeStart + i * attributeSize;
+                const nameIndex = buffer.readUInt32LE(at + 4);
+                const name = strings[nameIndex] || (resourceIds[nameIndex] === AXML_NAME_RESOURCE_ID ? 'name' : null);
+                if (!name) continue;
+                const raw = buffer.readUInt32LE(at + 8);
+                const dataType = buffer[at + 15];
+                const data = buffer.readUInt32LE(at + 16);
+                attributes[name] = raw !== 0xFFFFFFFF ? strings[raw] : dataType === 0x03 ? strings[data] : data;
+            }
+            elements.push({ tag: strings[buffer.readUInt32LE(ext + 4)], attributes });
+        }
+        offset += size;
+    }
+    return elements;
+}
+
+// Helper: Elements of a plain-text AndroidManifest.xml, attribute names without "android:"
+function parseTextManifest(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    return $('*').toArray().map(element => ({
+        tag: element.tagName,
+        attributes: Object.fromEntries(Object.entries(element.attribs || {}).map(([name, value]) => [name.replace(/^android:/, ''), value]))
+    }));
+}
+
+// Helper: Entries of a ZIP archive (an APK) by name, read from the central directory
+function readZipDirectory(buffer) {
+    const floor = Math.max(0, buffer.length - 65557);
+    let end = -1;
+    for (let at = buffer.length - 22; at >= floor; at--) {
+        if (buffer.readUInt32LE(at) === 0x06054b50) {
+            end = at;
+            break;
+        }
+    }
+    if (end < 0) throw new Error('not a ZIP archive');
+    const entries = new Map();
+    let at = buffer.readUInt32LE(end + 16);
+    for (let i = buffer.readUInt16LE(end + 10); i > 0 && buffer.readUInt32LE(at) === 0x02014b50; i--) {
+        const nameLength = buffer.readUInt16LE(at + 28);
+        entries.set(buffer.toString('utf8', at + 46, at + 46 + nameLength), {
+            method: buffer.readUInt16LE(at + 10),
+            compressedSize: buffer.readUInt32LE(at + 20),
+            size: buffer.readUInt32LE(at + 24),
+            localOffset: buffer.readUInt32LE(at + 42)
+        });
+        at += 46 + nameLength + buffer.readUInt16LE(at + 30) + buffer.readUInt16LE(at + 32);
+    }
+    return entries;
+}
+
+// Helper: Contents of one ZIP entry (stored or deflated). Inflated bytes are taken from
+// budget.remaining, shared by every entry of the archive, so a ZIP bomb fails early
+// instead of filling memory; inflation runs on the zlib thread pool.
+async function readZipEntry(buffer, entry, budget) {
+    const start = entry.localOffset + 30 + buffer.readUInt16LE(entry.localOffset + 26) + buffer.readUInt16LE(entry.localOffset + 28);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+    if (entry.method === 0) return data;
+    if (entry.method !== 8) throw new Error(`unsupported ZIP compression method ${entry.method}`);
+    const tooLarge = () => new Error(`the APK inflates to more than ${MAX_APP_INFLATED_BYTES} bytes`);
+    // The declared size can lie; maxOutputLength is what holds
+    if (entry.size > budget.remaining) throw tooLarge();
+    let inflated;
+    try {
+        inflated = await inflateRaw(data, { maxOutputLength: Math.max(1, budget.remaining) });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+        throw error;
+    }
+    budget.remaining -= inflated.length;
+    return inflated;
+}
+
+// Helper: Permission and component names from manifest elements
+function readManifestElements(elements) {
+    const manifest = elements.find(element => element.tag === 'manifest');
+    const packageName = typeof manifest?.attributes.package === 'string' ? manifest.attributes.package : null;
+    const names = tags => elements
+        .filter(element => tags.includes(element.tag) && typeof element.attributes.name === 'string')
+        .map(element => element.attributes.name);
+    return {
+        package_name: packageName,
+        permissions: names(['uses-permission', 'uses-permission-sdk-23', 'uses-permission-sdk-m']),
+        // ".MainActivity" is relative to the manifest package
+        components: names(MANIFEST_COMPONENT_TAGS).map(name => name.startsWith('.') && packageName ? `${packageName}${name}` : name)
+    };
+}
+
+// Read what an app can access from an uploaded APK or AndroidManifest.xml (binary or
+// text) and/or listed permissions and component class names. APKs are also searched
+// for tracker SDK classes in their dex files; dex_packages holds the prefixes found.
+async function readAppPackage({ file = null, permissions = [], components = [] } = {}) {
+    const result = { source: 'list', package_name: null, permissions: [], components: [], dex_packages: [] };
+    if (file) {
+        const { buffer } = file;
+        try {
+            let manifest = buffer;
+            if (buffer.toString('latin1', 0, 2) === 'PK') {
+                result.source = 'apk';
+                const entries = readZipDirectory(buffer);
+                if (!entries.has('AndroidManifest.xml')) throw new Error('the APK has no AndroidManifest.xml');
+                const budget = { remaining: MAX_APP_INFLATED_BYTES };
+                manifest = await readZipEntry(buffer, entries.get('AndroidManifest.xml'), budget);
+                const prefixes = TRACKER_SDKS.flatMap(sdk => sdk.packages);
+                const found = new Set();
+                for (const [name, entry] of entries) {
+                    if (!/^classes\d*\.dex$/.test(name)) continue;
+                    // Class descriptors such as Lcom/facebook/ads/ are searched in the raw bytes
+                    const dex = await readZipEntry(buffer, entry, budget);
+                    prefixes
+                        .filter(prefix => !found.has(prefix) && dex.includes(`L${prefix.replace(/\./g, '/')}/`, 0, 'latin1'))
+                        .forEach(prefix => found.add(prefix));
+                }
+                result.dex_packages = [...found];
+            } else {
+                result.source = 'manifest';
+            }
+            const elements = manifest.readUInt16LE(0) === 0x0003
+                ? parseBinaryXml(manifest)
+                : parseTextManifest(manifest.toString('utf8'));
+            if (!elements.some(element => element.tag === 'manifest')) throw new Error('no <manifest> element found');
+            Object.assign(result, readManifestElements(elements));
+        } catch (error) {
+            const failure = new Error(`Unreadable app file (upload an APK or AndroidManifest.xml): ${error.message}`);
+            failure.status = 422;
+            throw failure;
+        }
+    }
+    const list = value => (Array.isArray(value) ? value : String(value || '').split(/[\s,]+/)).map(item => String(item).trim()).filter(Boolean);
+    if (file && (list(permissions).length || list(components).length)) result.source = `${result.source}+list`;
+    result.permissions = [...new Set([...result.permissions, ...list(permissions)].map(permission =>
+        permission.includes('.') ? permission : `android.permission.${permission}`))];
+    result.components = [...new Set([...result.components, ...list(components)])];
+    return result;
+}
+
+// Reconcile what an app can access with its policy: dangerous permissions against the
+// declared data types (or, failing that, the policy text) and tracker SDKs against
+// cookies_tracking.tracking_technologies and the policy text. Anything undisclosed is
+// a violation with a score penalty.
+function analyzeAppAccess(appPackage, analysis, policyText) {
+    const dataTypes = analysis.data_collection?.types || [];
+    const trackingTerms = [...(analysis.cookies_tracking?.tracking_technologies || []), ...(analysis.data_sharing?.third_party_purposes || [])];
+    const violations = [];
+
+    const granted = new Set(appPackage.permissions);
+    const classified = new Set();
+    const permissionGroups = [];
+    for (const group of ANDROID_PERMISSION_GROUPS) {
+        const permissions = appPackage.permissions.filter(permission =>
+            group.permissions.some(name => permission === (name.includes('.') ? name : `android.permission.${name}`)));
+        if (permissions.length === 0) continue;
+        permissions.forEach(permission => classified.add(permission));
+        const disclosedBy = dataTypes.some(type => group.pattern.test(type)) ? 'data_types'
+            : group.pattern.test(policyText) ? 'policy_text' : null;
+        permissionGroups.push({
+            group: group.id,
+            label: group.label,
+            protection: group.sensitive ? 'sensitive' : 'dangerous',
+            permissions,
+            disclosed: !!disclosedBy,
+            disclosed_by: disclosedBy
+        });
+        if (!disclosedBy) {
+            violations.push({
+                kind: 'undisclosed_permission',
+                group: group.id,
+                message: `Requests ${group.label} permissions (${permissions.map(permission => permission.split('.').pop()).join(', ')}), which the policy does not disclose`,
+                penalty: group.penalty
+            });
+        }
+    }
+
+    const trackers = [];
+    for (const sdk of TRACKER_SDKS) {
+        const prefixes = sdk.packages.filter(prefix =>
+            appPackage.components.some(name => name === prefix || name.startsWith(`${prefix}.`)) ||
+            appPackage.dex_packages.includes(prefix));
+        if (prefixes.length === 0) continue;
+        const category = TRACKER_CATEGORIES[sdk.category];
+        const disclosedBy = trackingTerms.some(term => sdk.pattern.test(term)) ? 'tracking_technologies'
+            : sdk.pattern.test(policyText) ? 'policy_text'
+            : trackingTerms.some(term => category.pattern.test(term)) ? 'generic' : null;
+        trackers.push({
+            name: sdk.name,
+            category: sdk.category,
+            packages: prefixes,
+            disclosed: !!disclosedBy,
+            disclosed_by: disclosedBy
+        });
+        if (!disclosedBy) {
+            violations.push({
+                kind: 'undisclosed_tracker',
+                tracker: sdk.name,
+                message: `Includes the ${sdk.name} ${sdk.category.replace('_', ' ')} SDK, which the policy does not disclose`,
+                penalty: category.penalty
+            });
+        }
+    }
+
+    return {
+        source: appPackage.source,
+        package_name: appPackage.package_name,
+        permissions: {
+            total: granted.size,
+            groups: permissionGroups,
+            other: appPackage.permissions.filter(permission => !classified.has(permission))
+        },
+        trackers,
+        violations,
+        penalty: Math.min(MAX_APP_ACCESS_PENALTY, violations.reduce((sum, violation) => sum + violation.penalty, 0))
+    };
+}
+
+// Helper: Deduct app access violations from the personalized score and list them
+// with its violations
+function applyAppAccessPenalty(personalized, appAccess) {
+    if (!appAccess || appAccess.penalty === 0) return personalized;
+    const privacyScore = Math.max(0, personalized.privacyScore - appAccess.penalty);
+    return {
+        ...personalized,
+        privacyScore,
+        riskLevel: getRiskLevel(privacyScore),
+        violations: [...personalized.violations, ...appAccess.violations.map(violation => `Violation: ${violation.message}`)],
+        app_access_penalty: appAccess.penalty
+    };
+}
+
+// Tracker database categories, with generic policy wording that discloses a category of
+// tracker without naming it
+const SITE_TRACKER_CATEGORIES = {
+    advertising: /advertis|ad networks?|retarget|remarketing|(tracking|conversion) pixels?|interest-based ads/i,
+    analytics: /analytic|audience measurement|session (recording|replay)|heat ?maps?/i,
+    social: /social (media|network(ing)?) (plugins?|widgets?|buttons?|features)|share buttons?|embedded (content|videos?)/i,
+    fingerprinting: /fingerprint|device (identification|recognition|reputation)|fraud (prevention|detection)/i
+};
+// Set-Cookie lifetime (days) beyond which a cookie counts as long-lived
+const LONG_LIVED_COOKIE_DAYS = 365;
+const INLINE_SCRIPT_URL_PATTERN = /(?:https?:)?\/\/([a-z0-9-]+(?:\.[a-z0-9-]+)+)(\/[^\s'"`<>\\)]*)?/gi;
+let trackerDatabase = null;
+
+// Helper: Load the tracker database, again whenever the file changes so an updated copy
+// takes effect without a restart. A broken update keeps the last good database.
+//   { version, trackers: [{ id, name, company, category, aliases, domains, cookies, inline }] }
+// domains may carry a path (facebook.com/tr); cookie names may end or contain * wildcards.
+function loadTrackerDatabase() {
+    try {
+        const { mtimeMs } = fs.statSync(TRACKER_DB_PATH);
+        if (trackerDatabase && trackerDatabase.mtimeMs === mtimeMs) return trackerDatabase;
+        const data = JSON.parse(fs.readFileSync(TRACKER_DB_PATH, 'utf8'));
+        if (!Array.isArray(data.trackers)) throw new Error('trackers must be an array');
+        const trackers = data.trackers
+            .filter(tracker => tracker && tracker.id && tracker.name && SITE_TRACKER_CATEGORIES[tracker.category])
+            .map(tracker => ({
+                id: tracker.id,
+                name: tracker.name,
+                company: tracker.company || null,
+                category: tracker.category,
+                names: [tracker.name, ...(tracker.aliases || [])],
+                domains: (tracker.domains || []).map(domain => {
+                    const [host, ...segments] = domain.toLowerCase().split('/');
+                    return { host, path: segments.length ? `/${segments.join('/')}` : '/', length: domain.length };
+                }),
+                cookies: (tracker.cookies || []).map(name => new RegExp(`^${name.split('*').map(escapeRegExp).join('.*')}$`)),
+                inline: tracker.inline || []
+            }));
+        trackerDatabase = { version: data.version || null, mtimeMs, trackers };
+        console.log(`✓ Tracker database loaded: ${trackers.length} trackers (version ${trackerDatabase.version || 'unknown'})`);
+    } catch (error) {
+        if (!trackerDatabase) {
+            const failure = new Error(`Tracker database unavailable: ${error.message}`);
+            failure.status = 500;
+            throw failure;
+        }
+        console.error(`✗ Tracker database reload failed, keeping ${trackerDatabase.version}: ${error.message}`);
+    }
+    return trackerDatabase;
+}
+
+// Helper: Fetch a site's homepage with its response headers, through the request's fetcher
+async function fetchSiteHomepage(url, { fetcher, locale }) {
+    const page = await policyFetchers[fetcher === 'auto' ? 'http' : fetcher].fetch(url, { locale });
+    return { url: page.url, html: String(page.body), headers: page.headers || {} };
+}
+
+// Helper: The database tracker serving a URL; the most specific domain entry wins
+// (facebook.com/tr is the Meta Pixel, the rest of facebook.com its social plugins)
+function matchTrackerUrl(database, target) {
+    const hostname = target.hostname.toLowerCase();
+    let match = null;
+    let matchLength = 0;
+    for (const tracker of database.trackers) {
+        for (const domain of tracker.domains) {
+            if ((hostname === domain.host || hostname.endsWith(`.${domain.host}`)) &&
+                target.pathname.startsWith(domain.path) && domain.length > matchLength) {
+                match = tracker;
+                matchLength = domain.length;
+            }
+        }
+    }
+    return match;
+}
+
+// Helper: One Set-Cookie header as { name, domain, persistent, lifetime_days, secure, http_only, same_site }
+function parseSetCookie(header) {
+    const [pair, ...attributes] = header.split(';');
+    const separator = pair.indexOf('=');
+    const cookie = {
+        name: (separator === -1 ? pair : pair.slice(0, separator)).trim(),
+        domain: null,
+        persistent: false,
+        lifetime_days: null,
+        secure: false,
+        http_only: false,
+        same_site: null
+    };
+    for (const attribute of attributes) {
+        const [key, ...rest] = attribute.split('=');
+        const value = rest.join('=').trim();
+        switch (key.trim().toLowerCase()) {
+            case 'domain':
+                cookie.domain = value.replace(/^\./, '').toLowerCase() || null;
+                break;
+            case 'max-age':
+                if (/^-?\d+$/.test(value)) {
+                    cookie.persistent = Number(value) > 0;
+                    cookie.lifetime_days = Math.max(0, Math.round(Number(value) / 86400));
+                }
+                break;
+            case 'expires': {
+                const expires = Date.parse(value);
+                // Max-Age takes precedence
+                if (!Number.isNaN(expires) && cookie.lifetime_days === null) {
+                    cookie.persistent = expires > Date.now();
+                    cookie.lifetime_days = Math.max(0, Math.round((expires - Date.now()) / 86400000));
+                }
+                break;
+            }
+            case 'secure':
+                cookie.secure = true;
+                break;
+            case 'httponly':
+                cookie.http_only = true;
+                break;
+            case 'samesite':
+                cookie.same_site = value || null;
+                break;
+        }
+    }
+    return cookie;
+}
+
+// Inventory a homepage: third-party scripts (src and URLs or snippets in inline scripts),
+// pixels (tiny, hidden, <noscript> or tracker-hosted images), third-party iframes and
+// the cookies set by the response, each matched against the tracker database
+function inventorySitePage({ url, html, headers }, database) {
+    const site = getSiteDomain(new URL(url).hostname);
+    const seen = new Set();
+    const inventory = { site, scripts: [], pixels: [], iframes: [], cookies: [] };
+
+    const resolve = value => {
+        try {
+            const target = new URL(value, url);
+            return /^https?:$/.test(target.protocol) ? target : null;
+        } catch (error) {
+            return null;
+        }
+    };
+    const describe = target => {
+        const tracker = matchTrackerUrl(database, target);
+        return { url: target.href, host: target.hostname, third_party: getSiteDomain(target.hostname) !== site, tracker: tracker ? tracker.id : null };
+    };
+    const add = (list, entry) => {
+        const key = `${list === inventory.scripts ? 'script' : list === inventory.pixels ? 'pixel' : 'iframe'} ${entry.url || entry.signature}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        list.push(entry);
+    };
+    const isHidden = $element => {
+        const size = name => Number.parseInt($element.attr(name), 10);
+        const style = ($element.attr('style') || '').replace(/\s/g, '').toLowerCase();
+        return (size('width') <= 1 && size('height') <= 1) || /display:none|visibility:hidden/.test(style) ||
+            (/width:[01]px/.test(style) && /height:[01]px/.test(style));
+    };
+    const readElements = ($, noscript) => {
+        $('img[src]').each((i, element) => {
+            const target = resolve($(element).attr('src'));
+            if (!target) return;
+            const entry = describe(target);
+            if (!entry.third_party) return;
+            if (noscript || entry.tracker || isHidden($(element))) add(inventory.pixels, { ...entry, noscript });
+        });
+        $('iframe[src]').each((i, element) => {
+            const target = resolve($(element).attr('src'));
+            if (!target) return;
+            const entry = describe(target);
+            if (entry.third_party) add(inventory.iframes, { ...entry, hidden: isHidden($(element)), noscript });
+        });
+    };
+
+    const $ = cheerio.load(html);
+    $('script[src]').each((i, element) => {
+        const target = resolve($(element).attr('src'));
+        if (!target) return;
+        const entry = describe(target);
+        if (entry.third_party || entry.tracker) add(inventory.scripts, { ...entry, inline: false });
+    });
+    $('script:not([src])').each((i, element) => {
+        const code = $(element).html() || '';
+        for (const [, host, pathname = '/'] of code.matchAll(INLINE_SCRIPT_URL_PATTERN)) {
+            const target = resolve(`https://${host}${pathname}`);
+            if (!target) continue;
+            const entry = describe(target);
+            if (entry.tracker) add(inventory.scripts, { ...entry, inline: true });
+        }
+        for (const tracker of database.trackers) {
+            const signature = tracker.inline.find(snippet => code.includes(snippet));
+            if (signature && !inventory.scripts.some(script => script.tracker === tracker.id)) {
+                add(inventory.scripts, { url: null, host: null, third_party: true, tracker: tracker.id, inline: true, signature });
+            }
+        }
+    });
+    readElements($, false);
+    // Parsed as scripting-enabled HTML, so <noscript> fallbacks (pixels, iframes) are text
+    $('noscript').each((i, element) => readElements(cheerio.load($(element).text()), true));
+
+    // One header per cookie over HTTP; the headless browser joins them with newlines
+    const setCookie = [].concat(headers?.['set-cookie'] || []).flatMap(header => String(header).split('\n'));
+    for (const header of setCookie) {
+        const cookie = parseSetCookie(String(header));
+        if (!cookie.name) continue;
+        const tracker = database.trackers.find(candidate => candidate.cookies.some(pattern => pattern.test(cookie.name)));
+        inventory.cookies.push({
+            ...cookie,
+            third_party: !!cookie.domain && getSiteDomain(cookie.domain) !== site,
+            tracker: tracker ? tracker.id : null
+        });
+    }
+    return inventory;
+}
+
+// Reconcile the inventory with the policy: each tracker is disclosed when the analysis'
+// tracking technologies or the policy text name it, or (generic) when they name its
+// category. Cookies set while the analysis says no cookies are used are flagged too.
+function checkTrackerDisclosure(inventory, policy, database) {
+    const policyText = policy?.text || '';
+    const trackingTerms = policy
+        ? [...(policy.analysis.cookies_tracking?.tracking_technologies || []), ...(policy.analysis.data_sharing?.third_party_purposes || [])]
+        : [];
+    const found = new Map();
+    const record = (id, type, value) => {
+        if (!id) return;
+        if (!found.has(id)) found.set(id, []);
+        found.get(id).push({ type, value });
+    };
+    inventory.scripts.forEach(script => record(script.tracker, script.inline ? 'inline_script' : 'script', script.url || script.signature));
+    inventory.pixels.forEach(pixel => record(pixel.tracker, 'pixel', pixel.url));
+    inventory.iframes.forEach(iframe => record(iframe.tracker, 'iframe', iframe.url));
+    inventory.cookies.forEach(cookie => record(cookie.tracker, 'cookie', cookie.name));
+
+    const trackers = [];
+    const undisclosed = [];
+    for (const tracker of database.trackers) {
+        if (!found.has(tracker.id)) continue;
+        const pattern = new RegExp(`\\b(${tracker.names.map(escapeRegExp).join('|')})\\b`, 'i');
+        const disclosedBy = !policy ? null
+            : trackingTerms.some(term => pattern.test(term)) ? 'tracking_technologies'
+            : pattern.test(policyText) ? 'policy_text'
+            : trackingTerms.some(term => SITE_TRACKER_CATEGORIES[tracker.category].test(term)) ? 'generic' : null;
+        trackers.push({
+            id: tracker.id,
+            name: tracker.name,
+            company: tracker.company,
+            category: tracker.category,
+            evidence: found.get(tracker.id),
+            disclosed: !!disclosedBy,
+            disclosed_by: disclosedBy
+        });
+        if (!disclosedBy) {
+            undisclosed.push({
+                kind: 'undisclosed_tracker',
+                tracker: tracker.id,
+                category: tracker.category,
+                message: policy
+                    ? `Loads ${tracker.name} (${tracker.category}), which the policy does not disclose`
+                    : `Loads ${tracker.name} (${tracker.category}); no privacy policy was available to disclose it`
+            });
+        }
+    }
+    if (policy && inventory.cookies.length > 0 && policy.analysis.cookies_tracking?.cookies_used === false) {
+        undisclosed.push({
+            kind: 'undisclosed_cookies',
+            cookies: inventory.cookies.map(cookie => cookie.name),
+            message: `Sets ${inventory.cookies.length} cookie(s) on the homepage, but the policy does not say cookies are used`
+        });
+    }
+
+    const unknownHosts = [...new Set([...inventory.scripts, ...inventory.pixels, ...inventory.iframes]
+        .filter(entry => entry.host && entry.third_party && !entry.tracker)
+        .map(entry => entry.host))];
+    return {
+        trackers,
+        undisclosed,
+        summary: {
+            trackers: trackers.length,
+            undisclosed: trackers.filter(tracker => !tracker.disclosed).length,
+            by_category: Object.fromEntries(Object.keys(SITE_TRACKER_CATEGORIES)
+                .map(category => [category, trackers.filter(tracker => tracker.category === category).length])),
+            cookies: inventory.cookies.length,
+            long_lived_cookies: inventory.cookies.filter(cookie => cookie.lifetime_days > LONG_LIVED_COOKIE_DAYS).length,
+            unknown_third_parties: unknownHosts
+        }
+    };
+}
+
+// Helper: Calculate simple score
+function calculateSimpleScore(analysis) {
+    let score = 100;
+    
+    if (analysis.data_sharing?.third_parties) {
+        score -= analysis.data_sharing.user_control ? 15 : 25;
+    }
+    
+    if (!analysis.user_rights?.deletion) score -= 20;
+    if (!analysis.user_rights?.access) score -= 10;
+    if (!analysis.user_rights?.opt_out) score -= 10;
+    
+    if (analysis.cookies_tracking?.cookies_used && !analysis.cookies_tracking?.opt_out_available) {
+        score -= 15;
+    }
+    
+    if (!analysis.security_measures?.encryption_mentioned) score -= 10;
+    
+    if (!analysis.compliance?.gdpr_mentioned && !analysis.compliance?.ccpa_mentioned) {
+        score -= 10;
+    }
+    
+    return Math.max(0, score);
+}
+
+// Privacy concerns users can toggle in user_preferences. Base weights sum to 24,
+// matching the personalized scores already stored in scan_history.
+const PRIVACY_CONCERNS = {
+    data_collection: {
+        weight: 3,
+        detect: (a) => (a.data_collection?.types || []).length > 0,
+        describe: (a) => `Collects ${a.data_collection.types.length} types of data`
+    },
+    third_party_sharing: {
+        weight: 4,
+        detect: (a) => !!a.data_sharing?.third_parties,
+        describe: (a) => a.data_sharing.user_control
+            ? 'Shares data with third parties (user controls available)'
+            : 'Shares data with third parties without user controls'
+    },
+    location_tracking: {
+        weight: 3,
+        detect: (a) => matchesAny(a.data_collection?.types, /location|gps|geoloc/i),
+        describe: () => 'Collects location data'
+    },
+    cookies: {
+        weight: 2,
+        detect: (a) => !!a.cookies_tracking?.cookies_used,
+        describe: (a) => a.cookies_tracking.opt_out_available
+            ? 'Uses cookies (opt-out available)'
+            : 'Uses cookies without an opt-out'
+    },
+    data_selling: {
+        weight: 4,
+        detect: (a) => matchesAny([...(a.data_sharing?.third_party_purposes || []), ...(a.data_collection?.purposes || [])], /\bsell|\bsold\b|\bsale/i),
+        describe: () => 'May sell personal data'
+    },
+    targeted_ads: {
+        weight: 3,
+        detect: (a) => matchesAny([...(a.data_sharing?.third_party_purposes || []), ...(a.data_collection?.purposes || [])], /advertis|marketing/i),
+        describe: () => 'Uses data for advertising or marketing'
+    },
+    data_retention: {
+        weight: 2,
+        detect: (a) => !a.data_retention?.retention_period_specified,
+        describe: () => 'No retention period specified'
+    },
+    weak_security: {
+        weight: 3,
+        detect: (a) => !a.security_measures?.encryption_mentioned || (a.security_measures?.security_score ?? 10) < 5,
+        describe: (a) => a.security_measures?.encryption_mentioned ? 'Limited security measures described' : 'Encryption not mentioned'
+    }
+};
+// Weight multipliers for concerns a user flagged as important / unimportant
+const PREFERENCE_WEIGHT_MULTIPLIERS = { true: 1.5, false: 0.5, default: 1 };
+
+// Helper: Case-insensitive regex match over a list of strings
+function matchesAny(list, pattern) {
+    return Array.isArray(list) && list.some(item => typeof item === 'string' && pattern.test(item));
+}
+
+// Helper: Load a user's stored concern toggles ({ key: boolean }, latest row wins)
+function getUserPreferences(userId) {
+    if (!userId) return {};
+    const rows = db.prepare(
+        'SELECT preference_key, preference_value FROM user_preferences WHERE user_id = ? ORDER BY id'
+    ).all(userId);
+    const preferences = {};
+    for (const row of rows) {
+        if (PRIVACY_CONCERNS[row.preference_key]) {
+            preferences[row.preference_key] = !!row.preference_value;
+        }
+    }
+    return preferences;
+}
+
+// Helper: List every concern, with null for those left at the default weight
+function resolvePreferences(stored) {
+    const preferences = {};
+    for (const key of Object.keys(PRIVACY_CONCERNS)) {
+        preferences[key] = stored[key] ?? null;
+    }
+    return preferences;
+}
+
+// Helper: Replace a user's stored value for each given concern
+function saveUserPreferences(userId, updates) {
+    const remove = db.prepare('DELETE FROM user_preferences WHERE user_id = ? AND preference_key = ?');
+    const insert = db.prepare('INSERT INTO user_preferences (user_id, preference_key, preference_value) VALUES (?, ?, ?)');
+    db.transaction(() => {
+        for (const [key, value] of Object.entries(updates)) {
+            remove.run(userId, key);
+            insert.run(userId, key, value ? 1 : 0);
+        }
+    })();
+}
+
+// Helper: Score an analysis against the user's concerns. Concerns the user cares
+// about weigh more and are reported as violations; with no stored preferences
+// every concern keeps its base weight.
+function calculatePersonalizedScore(analysis, preferences = {}) {
+    let totalWeight = 0;
+    let penalty = 0;
+    const concerns = [];
+    const violations = [];
+
+    for (const [key, concern] of Object.entries(PRIVACY_CONCERNS)) {
+        const multiplier = key in preferences
+            ? PREFERENCE_WEIGHT_MULTIPLIERS[preferences[key]]
+            : PREFERENCE_WEIGHT_MULTIPLIERS.default;
+        const weight = concern.weight * multiplier;
+        totalWeight += weight;
+
+        if (!concern.detect(analysis)) continue;
+
+        penalty += weight;
+        concerns.push({
+            concern: key,
+            description: concern.describe(analysis),
+            weight
+        });
+        if (preferences[key] === true) {
+            violations.push(`Violation: ${key.replace(/_/g, ' ')}`);
+        }
+    }
+
+    const privacyScore = Math.round(100 * (1 - penalty / totalWeight));
+    return {
+        privacyScore,
+        riskLevel: getRiskLevel(privacyScore),
+        concerns,
+        violations,
+        summary: `Found ${concerns.length} privacy concerns`
+    };
+}
+
+// Content hash of policy text. Whitespace runs count as a single space so that
+// layout-only changes (including how extraction renders blocks) do not count as a new
+// policy version, while "a b" and "ab" still differ.
+function hashText(text) {
+    return crypto.createHash('sha256').update(text.replace(/\s+/g, ' ').trim()).digest('hex');
+}
+
+// Helper: Cache key for a policy - same URL, identical extracted text, same provider/model
+// and same output language
+function getCacheKey(url, policyText, ai) {
+    const textHash = hashText(policyText);
+    return { key: `${normalizeUrl(url)}#${textHash}#${ai.provider.name}:${ai.model}${ai.outputLanguage ? `#${ai.outputLanguage}` : ''}`, textHash };
+}
+
+// Helper: Whether the caller asked to bypass the analysis cache. Multipart and query
+// values arrive as strings, so "true" and "1" count as well as JSON true.
+function isRefreshRequested(req) {
+    return [req.query.refresh, req.body?.refresh].some(value => value === true || value === 'true' || value === '1');
+}
+
+// Helper: Look up a cached analysis (memory first, then SQLite when enabled)
+function getCachedAnalysis(url, policyText, ai) {
+    try {
+        const { key } = getCacheKey(url, policyText, ai);
+        let entry = analysisCache.get(key);
+
+        if (!entry && ANALYSIS_CACHE_PERSIST) {
+            const row = db.prepare('SELECT analysis, cached_at FROM analysis_cache WHERE cache_key = ?').get(key);
+            const remaining = row ? ANALYSIS_CACHE_TTL - (Date.now() - row.cached_at) / 1000 : 0;
+            if (remaining > 0) {
+                entry = { analysis: JSON.parse(row.analysis), cachedAt: row.cached_at };
+                analysisCache.set(key, entry, Math.ceil(remaining));
+            } else if (row) {
+                db.prepare('DELETE FROM analysis_cache WHERE cache_key = ?').run(key);
+            }
+        }
+
+        if (!entry) return null;
+        const ageSeconds = Math.round((Date.now() - entry.cachedAt) / 1000);
+        console.log(`⚡ Cache hit for ${url} (age ${ageSeconds}s)`);
+        return { analysis: entry.analysis, ageSeconds };
     } catch (error) {
-        console.error('✗ Batch analysis error:', error.message);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        console.error('⚠️ Cache lookup failed:', error.message);
+        return null;
     }
-});
+}
 
-// Text analysis endpoint (for OCR results)
-app.post('/api/analyze-text', async (req, res) => {
+// Helper: Cache an AI analysis. Rule-based fallbacks are not cached so the
+// next request retries the AI provider.
+function setCachedAnalysis(url, policyText, analysis, ai) {
+    if (analysis.ai_error) return;
     try {
-        const { text } = req.body;
-       
-        if (!text || text.trim().length < 50) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'Text too short. Please provide at least 50 characters of policy text.' 
-            });
+        const { key, textHash } = getCacheKey(url, policyText, ai);
+        const entry = { analysis, cachedAt: Date.now() };
+        analysisCache.set(key, entry);
+
+        if (ANALYSIS_CACHE_PERSIST) {
+            db.prepare(`
+                INSERT OR REPLACE INTO analysis_cache (cache_key, url, text_hash, analysis, cached_at)
+                VALUES (?, ?, ?, ?, ?)
+            `).run(key, normalizeUrl(url), textHash, JSON.stringify(analysis), entry.cachedAt);
         }
+    } catch (error) {
+        console.error('⚠️ Cache write failed:', error.message);
+    }
+}
 
-        console.log(`\n📄 Text Analysis Request: ${text.length} characters`);
+// Helper: Policy URL a snapshot is stored under. Crawled documents combine several
+// pages and a requested locale may serve other text, so each variant is versioned
+// separately from the plain single-page text of the same URL.
+function getSnapshotUrl(url, fetchOptions) {
+    const variant = [fetchOptions.crawl && 'crawl', fetchOptions.locale && `locale=${fetchOptions.locale}`].filter(Boolean).join('&');
+    return variant ? `${normalizeUrl(url)}#${variant}` : url;
+}
 
-        // Analyze the text directly
-        let analysis;
-        try {
-            if (AI_PROVIDER === 'openai') {
-                analysis = await analyzePolicyWithOpenAI(text, 'Direct Text Input');
-                analysis.analysis_method = 'openai';
-            } else {
-                analysis = await analyzePolicyWithMistral(text, 'Direct Text Input');
-                analysis.analysis_method = 'mistral_ai';
+// Helper: Store a timestamped snapshot of a policy URL's text. A new version is
+// only created when the text hash changes; the analysis is attached to it. Snapshots
+// are shared, but a user only sees the policies they analyzed (policy_users).
+function recordPolicySnapshot(url, policyText, analysis, userId) {
+    try {
+        const normalized = normalizeUrl(url);
+        const textHash = hashText(policyText);
+
+        db.prepare('INSERT OR IGNORE INTO policies (url) VALUES (?)').run(normalized);
+        const policy = db.prepare('SELECT id FROM policies WHERE url = ?').get(normalized);
+        db.prepare('UPDATE policies SET last_checked_at = CURRENT_TIMESTAMP WHERE id = ?').run(policy.id);
+        db.prepare('INSERT OR IGNORE INTO policy_users (policy_id, user_id) VALUES (?, ?)').run(policy.id, userId);
+
+        const latest = db.prepare(
+            'SELECT id, text_hash, analysis FROM policy_versions WHERE policy_id = ? ORDER BY id DESC LIMIT 1'
+        ).get(policy.id);
+
+        if (latest && latest.text_hash === textHash) {
+            // Keep the best analysis of this text: AI results replace rule-based ones
+            const stored = parseStoredJson(latest.analysis);
+            if (analysis && (!stored || (stored.ai_error && !analysis.ai_error))) {
+                db.prepare('UPDATE policy_versions SET analysis = ? WHERE id = ?').run(JSON.stringify(analysis), latest.id);
             }
-        } catch (aiError) {
-            console.error('⚠️ AI analysis failed, using enhanced fallback:', aiError.message);
-            analysis = performRuleBasedAnalysis(text, 'Direct Text Input');
-            analysis.ai_error = aiError.message;
+            return { policy_id: policy.id, version_id: latest.id, changed: false };
         }
 
-        console.log(`✓ Text analysis complete\n`);
-       
-        res.json({
-            success: true,
-            source: 'text',
-            analysis: analysis,
-            text_length: text.length,
-            timestamp: new Date().toISOString()
-        });
+        const info = db.prepare(`
+            INSERT INTO policy_versions (policy_id, text_hash, text_length, policy_text, analysis)
+            VALUES (?, ?, ?, ?, ?)
+        `).run(policy.id, textHash, policyText.length, policyText, analysis ? JSON.stringify(analysis) : null);
+
+        if (latest) {
+            console.log(`📝 Policy text changed for ${normalized} (version ${info.lastInsertRowid})`);
+        }
+        return { policy_id: policy.id, version_id: Number(info.lastInsertRowid), changed: !!latest };
     } catch (error) {
-        console.error('✗ Text analysis error:', error.message);
-        res.status(500).json({
-            success: false,
-            error: error.message,
-            timestamp: new Date().toISOString()
-        });
+        console.error('⚠️ Failed to record policy snapshot:', error.message);
+        return null;
     }
-});
+}
 
-// App scanning endpoint (for background task)
-app.post('/api/scan-app', async (req, res) => {
-    try {
-        const { packageName, policyUrl } = req.body;
-       
-        if (!packageName && !policyUrl) {
-            return res.status(400).json({ 
-                success: false,
-                error: 'Package name or policy URL required' 
-            });
-        }
+// Keyword hints used to attribute policy sentences to analysis sections
+const POLICY_SECTION_KEYWORDS = {
+    data_collection: ['collect', 'information we', 'personal data', 'personal information'],
+    data_sharing: ['share', 'third part', 'partner', 'disclose', 'sell', 'transfer'],
+    user_rights: ['right to', 'your rights', 'access', 'delete', 'erase', 'opt out', 'opt-out', 'withdraw'],
+    cookies_tracking: ['cookie', 'pixel', 'beacon', 'track'],
+    security_measures: ['secur', 'encrypt', 'protect', 'breach'],
+    data_retention: ['retain', 'retention', 'keep your', 'store your'],
+    compliance: ['gdpr', 'ccpa', 'coppa', 'regulation', 'law'],
+    contact_info: ['contact', 'email us', 'data protection officer'],
+    policy_updates: ['change to this', 'update this', 'changes to', 'revise']
+};
 
-        console.log(`\n📱 App Scan Request: ${packageName || 'Unknown'}`);
+// Helper: Split normalized policy text into sentences
+function splitSentences(text) {
+    return (text || '')
+        .split(/(?<=[.!?])\s+(?=[A-Z0-9"“(])/)
+        .map(sentence => sentence.trim())
+        .filter(sentence => sentence.length > 0);
+}
+
+// Helper: Attribute a sentence to the analysis section it most likely belongs to
+function classifySentence(sentence) {
+    const lower = sentence.toLowerCase();
+    let best = 'other';
+    let bestHits = 0;
+    for (const [section, keywords] of Object.entries(POLICY_SECTION_KEYWORDS)) {
+        const hits = keywords.filter(keyword => lower.includes(keyword)).length;
+        if (hits > bestHits) {
+            best = section;
+            bestHits = hits;
+        }
+    }
+    return best;
+}
 
-        let url = policyUrl;
+// Helper: Sentence-level diff (LCS) of two policy texts, grouped by section.
+// Very long policies fall back to a set comparison to bound memory.
+function diffPolicyText(fromText, toText) {
+    const a = splitSentences(fromText);
+    const b = splitSentences(toText);
+    const added = [];
+    const removed = [];
+    let unchanged = 0;
 
-        // If no URL provided, try to find it
-        if (!url && packageName) {
-            url = await findAppPrivacyPolicy(packageName);
-            
-            if (!url) {
-                return res.status(404).json({
-                    success: false,
-                    error: 'Could not find privacy policy for this app',
-                    packageName
-                });
+    if (a.length * b.length <= 16000000) {
+        const width = b.length + 1;
+        const lcs = new Uint16Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lcs[i * width + j] = a[i] === b[j]
+                    ? lcs[(i + 1) * width + j + 1] + 1
+                    : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
             }
         }
-
-        // Extract and analyze policy
-        const policyText = await extractPolicyText(url);
-        let analysis;
-       
-        try {
-            if (AI_PROVIDER === 'openai') {
-                analysis = await analyzePolicyWithOpenAI(policyText, url);
-                analysis.analysis_method = 'openai';
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                unchanged++;
+                i++;
+                j++;
+            } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+                removed.push(a[i++]);
             } else {
-                analysis = await analyzePolicyWithMistral(policyText, url);
-                analysis.analysis_method = 'mistral_ai';
+                added.push(b[j++]);
             }
-        } catch (aiError) {
-            analysis = performRuleBasedAnalysis(policyText, url);
-            analysis.ai_error = aiError.message;
         }
+        while (i < a.length) removed.push(a[i++]);
+        while (j < b.length) added.push(b[j++]);
+    } else {
+        const fromSet = new Set(a);
+        const toSet = new Set(b);
+        a.forEach(sentence => (toSet.has(sentence) ? unchanged++ : removed.push(sentence)));
+        b.forEach(sentence => { if (!fromSet.has(sentence)) added.push(sentence); });
+    }
 
-        // Calculate simple score
-        const score = calculateSimpleScore(analysis);
+    const sections = {};
+    const bucket = (section) => (sections[section] = sections[section] || { section, added: [], removed: [] });
+    added.forEach(sentence => bucket(classifySentence(sentence)).added.push(sentence));
+    removed.forEach(sentence => bucket(classifySentence(sentence)).removed.push(sentence));
 
-        console.log(`✓ App scan complete - Score: ${score}/100\n`);
-       
-        res.json({
-            success: true,
-            packageName,
-            url,
-            score,
-            analysis,
-            timestamp: new Date().toISOString()
+    return {
+        summary: { added: added.length, removed: removed.length, unchanged },
+        sections: Object.values(sections)
+    };
+}
+
+// Helper: Field-by-field diff of two analysis objects, e.g.
+// "user_rights.deletion went true→false" or "data_sharing.sharing_score dropped 7→4"
+function diffAnalyses(fromAnalysis, toAnalysis) {
+    const changes = [];
+    const sections = new Set([...Object.keys(fromAnalysis), ...Object.keys(toAnalysis)]);
+
+    for (const section of sections) {
+        const before = fromAnalysis[section];
+        const after = toAnalysis[section];
+        if (!before || !after || typeof before !== 'object' || typeof after !== 'object' || Array.isArray(before)) continue;
+
+        const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+        for (const field of fields) {
+            const path = `${section}.${field}`;
+            const from = before[field];
+            const to = after[field];
+
+            if (typeof from === 'boolean' || typeof to === 'boolean') {
+                if (from !== to) {
+                    changes.push({ path, type: 'boolean', from, to, description: `${path} went ${from}→${to}` });
+                }
+            } else if (typeof from === 'number' || typeof to === 'number') {
+                if (from !== to) {
+                    const verb = typeof from === 'number' && typeof to === 'number'
+                        ? (to > from ? 'rose' : 'dropped')
+                        : 'changed';
+                    changes.push({ path, type: 'score', from, to, description: `${path} ${verb} ${from}→${to}` });
+                }
+            } else if (Array.isArray(from) || Array.isArray(to)) {
+                const fromItems = Array.isArray(from) ? from : [];
+                const toItems = Array.isArray(to) ? to : [];
+                const addedItems = toItems.filter(item => !fromItems.includes(item));
+                const removedItems = fromItems.filter(item => !toItems.includes(item));
+                if (addedItems.length || removedItems.length) {
+                    const parts = [];
+                    if (addedItems.length) parts.push(`added ${addedItems.join(', ')}`);
+                    if (removedItems.length) parts.push(`removed ${removedItems.join(', ')}`);
+                    changes.push({ path, type: 'list', added: addedItems, removed: removedItems, description: `${path} ${parts.join('; ')}` });
+                }
+            }
+        }
+    }
+
+    const fromScore = calculateSimpleScore(fromAnalysis);
+    const toScore = calculateSimpleScore(toAnalysis);
+    return {
+        changes,
+        score: { from: fromScore, to: toScore, delta: toScore - fromScore }
+    };
+}
+
+// Helper: Shape a watchlist row for API responses (the webhook secret is never returned)
+function formatWatchlistEntry(row) {
+    return {
+        id: row.id,
+        user_id: row.user_id,
+        target_type: row.target_type,
+        target: row.target,
+        webhook_url: row.webhook_url,
+        interval_minutes: row.interval_minutes,
+        score_threshold: row.score_threshold,
+        active: !!row.active,
+        last_url: row.last_url,
+        last_score: row.last_score,
+        last_error: row.last_error,
+        last_checked_at: row.last_checked_at,
+        last_notified_at: row.last_notified_at,
+        last_webhook_status: row.last_webhook_status,
+        next_check_at: row.next_check_at,
+        created_at: row.created_at
+    };
+}
+
+// Helper: Re-run the scan-app pipeline for a watchlist entry and notify its
+// webhook when the policy text or score changed beyond the threshold
+async function checkWatchlistEntry(entry) {
+    console.log(`\n👀 Watchlist check #${entry.id}: ${entry.target}`);
+    const reschedule = `+${entry.interval_minutes} minutes`;
+
+    try {
+        const result = await scanApp({
+            packageName: entry.target_type === 'package' ? entry.target : undefined,
+            policyUrl: entry.target_type === 'url' ? entry.target : undefined,
+            userId: entry.user_id,
+            ai: resolveAIProvider({}, getApiKeyById(entry.api_key_id)),
+            sourceType: 'watchlist'
         });
+
+        // The first check only records a baseline
+        const textChanged = !!entry.last_text_hash && entry.last_text_hash !== result.text_hash;
+        const scoreDelta = entry.last_score === null ? 0 : result.score - entry.last_score;
+        const scoreChanged = Math.abs(scoreDelta) >= entry.score_threshold;
+
+        let notification = null;
+        if (textChanged || scoreChanged) {
+            notification = await sendWatchlistWebhook(entry, {
+                event: 'policy.changed',
+                watch_id: entry.id,
+                target_type: entry.target_type,
+                target: entry.target,
+                url: result.url,
+                text_changed: textChanged,
+                previous_score: entry.last_score,
+                score: result.score,
+                score_delta: scoreDelta,
+                risk_level: result.personalized.riskLevel,
+                summary: result.analysis.summary,
+                policy_version: result.policy_version,
+                history_id: result.history_id,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        db.prepare(`
+            UPDATE watchlist SET
+                last_url = ?, last_text_hash = ?, last_score = ?, last_error = NULL,
+                last_checked_at = CURRENT_TIMESTAMP,
+                next_check_at = datetime('now', ?),
+                last_notified_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE last_notified_at END,
+                last_webhook_status = COALESCE(?, last_webhook_status)
+            WHERE id = ?
+        `).run(
+            result.url,
+            result.text_hash,
+            result.score,
+            reschedule,
+            notification ? 1 : 0,
+            notification ? notification.status : null,
+            entry.id
+        );
+
+        return {
+            changed: textChanged || scoreChanged,
+            text_changed: textChanged,
+            score: result.score,
+            score_delta: scoreDelta,
+            notification
+        };
     } catch (error) {
-        console.error('✗ App scan error:', error.message);
-        res.status(500).json({
-            success: false,
-            error: error.message
-        });
+        console.error(`✗ Watchlist check #${entry.id} failed:`, error.message);
+        db.prepare(`
+            UPDATE watchlist SET last_error = ?, last_checked_at = CURRENT_TIMESTAMP, next_check_at = datetime('now', ?)
+            WHERE id = ?
+        `).run(error.message, reschedule, entry.id);
+        return { changed: false, error: error.message };
     }
-});
+}
+
+// Helper: POST a signed JSON payload to a watchlist webhook. The signature is an
+// HMAC-SHA256 of "<timestamp>.<body>" keyed with the entry's webhook secret.
+async function sendWatchlistWebhook(entry, payload) {
+    const body = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const signature = crypto.createHmac('sha256', entry.webhook_secret).update(`${timestamp}.${body}`).digest('hex');
 
-// Helper: Find app privacy policy
-async function findAppPrivacyPolicy(packageName) {
     try {
-        // Try Play Store
-        const playStoreUrl = `https://play.google.com/store/apps/details?id=${packageName}`;
-        const response = await axios.get(playStoreUrl, {
-            headers: getHeaders(playStoreUrl),
+        const response = await guardedRequest({
+            method: 'post',
+            url: entry.webhook_url,
+            data: body,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-PolAI-Event': payload.event,
+                'X-PolAI-Timestamp': timestamp,
+                'X-PolAI-Signature': `sha256=${signature}`
+            },
             timeout: 10000
         });
+        console.log(`📨 Webhook delivered for watchlist #${entry.id} (${response.status})`);
+        return { delivered: true, status: String(response.status) };
+    } catch (error) {
+        console.error(`✗ Webhook delivery failed for watchlist #${entry.id}:`, error.message);
+        return { delivered: false, status: error.response ? String(error.response.status) : 'error', error: error.message };
+    }
+}
 
-        const $ = cheerio.load(response.data);
-        
-        // Look for privacy policy link
-        const privacyLink = $('a[href*="privacy"]').first().attr('href') ||
-                          $('a[href*="policy"]').first().attr('href');
+// Run every watchlist entry that is due, one at a time
+let watchlistRunning = false;
+async function runDueWatchlistChecks() {
+    if (watchlistRunning) return;
+    watchlistRunning = true;
+    try {
+        const due = db.prepare(
+            "SELECT * FROM watchlist WHERE active = 1 AND next_check_at <= datetime('now') ORDER BY next_check_at"
+        ).all();
+        for (const entry of due) {
+            await checkWatchlistEntry(entry);
+        }
+    } catch (error) {
+        console.error('✗ Watchlist scheduler error:', error.message);
+    } finally {
+        watchlistRunning = false;
+    }
+}
+
+// Start polling the watchlist in the background
+function startWatchlistScheduler() {
+    if (!WATCHLIST_ENABLED) {
+        console.log('👀 Watchlist scheduler disabled');
+        return;
+    }
+    setInterval(runDueWatchlistChecks, WATCHLIST_POLL_SECONDS * 1000);
+    console.log(`👀 Watchlist scheduler polling every ${WATCHLIST_POLL_SECONDS}s`);
+}
+
+// Helper: Job row plus per-status item counts
+function getJobStatus(jobId) {
+    const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(jobId);
+    if (!job) return null;
+
+    const counts = { pending: 0, running: 0, completed: 0, failed: 0, cancelled: 0 };
+    db.prepare('SELECT status, COUNT(*) AS count FROM job_items WHERE job_id = ? GROUP BY status')
+        .all(jobId)
+        .forEach(row => { counts[row.status] = row.count; });
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    return {
+        id: job.id,
+        user_id: job.user_id,
+        status: job.status,
+        total,
+        progress: counts,
+        percent_complete: total ? Math.round(100 * (counts.completed + counts.failed + counts.cancelled) / total) : 100,
+        created_at: job.created_at,
+        started_at: job.started_at,
+        finished_at: job.finished_at
+    };
+}
+
+// Helper: Atomically take the oldest pending URL of an active job
+const claimNextJobItem = () => db.transaction(() => {
+    const item = db.prepare(`
+        SELECT job_items.*, jobs.user_id, jobs.refresh, jobs.provider, jobs.model, jobs.output_language, jobs.api_key_id FROM job_items
+        JOIN jobs ON jobs.id = job_items.job_id
+        WHERE job_items.status = 'pending' AND jobs.status IN ('queued', 'running')
+        ORDER BY jobs.created_at, job_items.job_id, job_items.position
+        LIMIT 1
+    `).get();
+    if (!item) return null;
+
+    db.prepare("UPDATE job_items SET status = 'running', started_at = CURRENT_TIMESTAMP WHERE id = ?").run(item.id);
+    db.prepare(`
+        UPDATE jobs SET status = 'running', started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
+        WHERE id = ? AND status = 'queued'
+    `).run(item.job_id);
+    return item;
+})();
+
+// Analyze one job URL with the scan-app pipeline and store its result
+async function runJobItem(item) {
+    console.log(`🗂️ Job ${item.job_id}: analyzing ${item.position + 1} - ${item.url}`);
+    try {
+        const result = await scanApp({
+            policyUrl: item.url,
+            userId: item.user_id,
+            refresh: !!item.refresh,
+            ai: resolveAIProvider({ provider: item.provider || undefined, model: item.model || undefined, output_language: item.output_language }, getApiKeyById(item.api_key_id)),
+            sourceType: 'job'
+        });
+        delete result.text_hash;
+        db.prepare("UPDATE job_items SET status = 'completed', result = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?")
+            .run(JSON.stringify(result), item.id);
+    } catch (error) {
+        console.error(`✗ Job ${item.job_id} item ${item.position + 1} failed:`, error.message);
+        db.prepare("UPDATE job_items SET status = 'failed', error = ?, finished_at = CURRENT_TIMESTAMP WHERE id = ?")
+            .run(error.message, item.id);
+    }
+
+    // Finish the job once nothing is left to run
+    const remaining = db.prepare(
+        "SELECT COUNT(*) AS count FROM job_items WHERE job_id = ? AND status IN ('pending', 'running')"
+    ).get(item.job_id).count;
+    if (remaining === 0) {
+        const info = db.prepare(
+            "UPDATE jobs SET status = 'completed', finished_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'running'"
+        ).run(item.job_id);
+        if (info.changes) console.log(`✓ Job ${item.job_id} complete\n`);
+    }
+}
 
-        if (privacyLink) {
-            return privacyLink.startsWith('http') ? privacyLink : `https://play.google.com${privacyLink}`;
+// Keep up to JOB_CONCURRENCY job URLs in flight
+let activeJobWorkers = 0;
+function pumpJobQueue() {
+    while (activeJobWorkers < JOB_CONCURRENCY) {
+        const item = claimNextJobItem();
+        if (!item) return;
+
+        activeJobWorkers++;
+        runJobItem(item)
+            .catch(error => console.error('✗ Job worker error:', error.message))
+            .finally(() => {
+                activeJobWorkers--;
+                pumpJobQueue();
+            });
+    }
+}
+
+// Requeue URLs interrupted by a restart and continue unfinished jobs
+function resumeJobs() {
+    const info = db.prepare(`
+        UPDATE job_items SET status = 'pending', started_at = NULL
+        WHERE status = 'running' AND job_id IN (SELECT id FROM jobs WHERE status IN ('queued', 'running'))
+    `).run();
+    const pending = db.prepare("SELECT COUNT(*) AS count FROM jobs WHERE status IN ('queued', 'running')").get().count;
+    if (pending > 0) {
+        console.log(`🗂️ Resuming ${pending} unfinished job(s) (${info.changes} interrupted URLs requeued)`);
+    }
+    pumpJobQueue();
+}
+
+// Helper: Map a 0-100 privacy score to a risk level
+function getRiskLevel(score) {
+    if (score >= 70) return 'Low';
+    if (score >= 40) return 'Medium';
+    return 'High';
+}
+
+// Helper: Resolve which user a request belongs to
+function getUserId(req) {
+    return resolveRequestUser(req, req.body?.userId || req.query.user_id);
+}
+
+// API keys: clients authenticate with "Authorization: Bearer <key>" or "X-API-Key".
+// Only a SHA-256 hash of each key is stored; the key itself is shown once, when issued.
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+function findApiKey(key) {
+    return db.prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(hashApiKey(key)) || null;
+}
+function getApiKeyById(id) {
+    return id ? db.prepare('SELECT * FROM api_keys WHERE id = ? AND revoked_at IS NULL').get(id) || null : null;
+}
+function readApiKey(req) {
+    const authorization = req.get('authorization') || '';
+    const bearer = /^Bearer\s+(\S+)$/i.exec(authorization);
+    // EventSource cannot send headers, so the stream endpoint also takes ?api_key=
+    const fromQuery = req.method === 'GET' && req.path === '/analyze/stream' ? req.query.api_key : null;
+    return (bearer && bearer[1]) || req.get('x-api-key') || fromQuery || null;
+}
+// Token bucket per key: holds up to the per-minute limit and refills continuously.
+// A bucket left alone for a minute is full again, so idle buckets are dropped.
+const rateLimitBuckets = new Map();
+let rateLimitSweptAt = Date.now();
+function takeRateLimitToken(apiKey) {
+    const limit = apiKey.rate_limit_per_minute || API_RATE_LIMIT_PER_MINUTE;
+    const now = Date.now();
+    if (now - rateLimitSweptAt >= 60000) {
+        for (const [id, idle] of rateLimitBuckets) {
+            if (now - idle.updatedAt >= 60000) rateLimitBuckets.delete(id);
         }
+        rateLimitSweptAt = now;
+    }
+    const bucket = rateLimitBuckets.get(apiKey.id) || { tokens: limit, updatedAt: now };
+    bucket.tokens = Math.min(limit, bucket.tokens + (now - bucket.updatedAt) * limit / 60000);
+    bucket.updatedAt = now;
+    const allowed = bucket.tokens >= 1;
+    if (allowed) bucket.tokens -= 1;
+    rateLimitBuckets.set(apiKey.id, bucket);
+    return {
+        allowed,
+        limit,
+        remaining: Math.floor(bucket.tokens),
+        reset: Math.ceil((limit - bucket.tokens) * 60 / limit),
+        retryAfter: allowed ? 0 : Math.ceil((1 - bucket.tokens) * 60 / limit)
+    };
+}
+function setRateLimitHeaders(res, rate) {
+    res.set({
+        'RateLimit-Limit': String(rate.limit),
+        'RateLimit-Remaining': String(rate.remaining),
+        'RateLimit-Reset': String(rate.reset),
+        'RateLimit-Policy': `${rate.limit};w=60`
+    });
+}
+// Daily LLM-call quota per key, counted per UTC day
+function getLLMQuota(apiKey) {
+    const limit = apiKey.daily_llm_quota || API_DAILY_LLM_QUOTA;
+    const row = db.prepare("SELECT llm_calls FROM api_key_usage WHERE api_key_id = ? AND day = date('now')").get(apiKey.id);
+    const used = row ? row.llm_calls : 0;
+    return { limit, used, remaining: Math.max(0, limit - used) };
+}
+// Count one call against the quota; false (nothing counted) once it is used up
+function reserveLLMCall(apiKey) {
+    const limit = apiKey.daily_llm_quota || API_DAILY_LLM_QUOTA;
+    const info = db.prepare(`
+        INSERT INTO api_key_usage (api_key_id, day, llm_calls) VALUES (?, date('now'), 1)
+        ON CONFLICT (api_key_id, day) DO UPDATE SET llm_calls = llm_calls + 1 WHERE llm_calls < ?
+    `).run(apiKey.id, limit);
+    return info.changes > 0;
+}
+function secondsUntilUtcMidnight() {
+    const now = new Date();
+    return Math.ceil((Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1) - now.getTime()) / 1000);
+}
+// Middleware for /api: resolve the API key into req.apiKey and apply its rate limit.
+// The health check stays open; admin routes use ADMIN_API_KEY instead.
+function authenticateApiKey(req, res, next) {
+    if (req.path === '/health' || req.path.startsWith('/admin/')) return next();
+    const key = readApiKey(req);
+    if (!key) {
+        if (!API_AUTH_REQUIRED) return next();
+        return res.status(401).set('WWW-Authenticate', 'Bearer').json({
+            success: false,
+            error: 'API key required (Authorization: Bearer <key> or X-API-Key header)'
+        });
+    }
+    const apiKey = findApiKey(key);
+    if (!apiKey || apiKey.revoked_at) {
+        return res.status(401).set('WWW-Authenticate', 'Bearer error="invalid_token"').json({
+            success: false,
+            error: apiKey ? 'API key has been revoked' : 'Invalid API key'
+        });
+    }
+    const rate = takeRateLimitToken(apiKey);
+    setRateLimitHeaders(res, rate);
+    if (!rate.allowed) {
+        return res.status(429).set('Retry-After', String(rate.retryAfter)).json({
+            success: false,
+            error: `Rate limit exceeded: ${rate.limit} requests per minute`,
+            retry_after_seconds: rate.retryAfter
+        });
+    }
+    db.prepare('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(apiKey.id);
+    req.apiKey = apiKey;
+    next();
+}
+// Route middleware for endpoints that call AI providers: refuse the request once the
+// key's daily quota is spent. Each provider call is checked again (callAIProvider).
+function requireLLMQuota(req, res, next) {
+    if (!req.apiKey) return next();
+    const quota = getLLMQuota(req.apiKey);
+    res.set({ 'X-LLM-Quota-Limit': String(quota.limit), 'X-LLM-Quota-Remaining': String(quota.remaining) });
+    if (quota.remaining <= 0) {
+        const retryAfter = secondsUntilUtcMidnight();
+        return res.status(429).set('Retry-After', String(retryAfter)).json({
+            success: false,
+            error: `Daily LLM call quota of ${quota.limit} exhausted`,
+            retry_after_seconds: retryAfter
+        });
+    }
+    next();
+}
+// Admin routes: ADMIN_API_KEY as a Bearer token or X-Admin-Key header
+function requireAdmin(req, res, next) {
+    if (!ADMIN_API_KEY) {
+        return res.status(403).json({ success: false, error: 'Admin API disabled: ADMIN_API_KEY is not configured' });
+    }
+    const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    const provided = Buffer.from(req.get('x-admin-key') || (bearer && bearer[1]) || '');
+    const expected = Buffer.from(ADMIN_API_KEY);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return res.status(401).json({ success: false, error: 'Invalid admin key' });
+    }
+    next();
+}
+function formatApiKeyRow(row) {
+    return {
+        id: row.id,
+        prefix: row.key_prefix,
+        user_id: row.user_id,
+        name: row.name,
+        rate_limit_per_minute: row.rate_limit_per_minute || API_RATE_LIMIT_PER_MINUTE,
+        daily_llm_quota: row.daily_llm_quota || API_DAILY_LLM_QUOTA,
+        llm_calls_today: getLLMQuota(row).used,
+        created_at: row.created_at,
+        last_used_at: row.last_used_at,
+        revoked_at: row.revoked_at
+    };
+}
+// Helper: The user a request acts for: the API key's user, or the anonymous user for
+// requests without a key. Naming any other user is a 403.
+function resolveRequestUser(req, requested) {
+    const bound = req.apiKey ? req.apiKey.user_id : ANONYMOUS_USER_ID;
+    if (requested && String(requested) !== bound) {
+        const error = new Error(req.apiKey
+            ? 'This API key cannot access another user\'s data'
+            : 'Requests without an API key cannot name a user_id');
+        error.status = 403;
+        throw error;
+    }
+    return bound;
+}
 
-        // Try common URLs
-        const domain = packageName.split('.').slice(-2).join('.');
-        const commonUrls = [
-            `https://${domain}/privacy`,
-            `https://${domain}/privacy-policy`,
-            `https://www.${domain}/privacy`
-        ];
+// Helper: Persist the provider calls behind one request into llm_usage (for
+// /api/usage). Like saveScanHistory, storage problems are only logged.
+function saveUsage({ userId, apiKeyId, feature, historyId, calls }) {
+    if (!calls || calls.length === 0) return;
+    try {
+        const insert = db.prepare(`
+            INSERT INTO llm_usage
+                (user_id, api_key_id, feature, history_id, provider, model, purpose, status,
+                 prompt_tokens, completion_tokens, total_tokens, tokens_estimated, latency_ms, cost_usd)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `);
+        db.transaction(() => {
+            for (const call of calls) {
+                insert.run(
+                    userId || null, apiKeyId || null, feature, historyId || null, call.provider, call.model, call.purpose, call.status,
+                    call.prompt_tokens, call.completion_tokens, call.total_tokens, call.tokens_estimated ? 1 : 0, call.latency_ms, call.cost_usd
+                );
+            }
+        })();
+    } catch (error) {
+        console.error('✗ Failed to save usage:', error.message);
+    }
+}
 
-        for (const url of commonUrls) {
+// Helper: Persist an analysis into scan_history. Storage problems are logged,
+// never surfaced - the caller still gets its analysis.
+function saveScanHistory({ userId, appName, packageName, sourceUrl, sourceType, analysis, scanResult, textLength }) {
+    try {
+        if (!scanResult) {
+            scanResult = calculatePersonalizedScore(analysis, getUserPreferences(userId));
+        }
+        let name = appName || packageName;
+        if (!name && sourceUrl) {
             try {
-                await axios.head(url, { timeout: 3000 });
-                return url;
+                name = new URL(normalizeUrl(sourceUrl)).hostname;
             } catch (e) {
-                continue;
+                name = sourceUrl;
             }
         }
 
-        return null;
+        const info = db.prepare(`
+            INSERT INTO scan_history
+                (user_id, app_name, package_name, privacy_score, risk_level, scan_result,
+                 source_url, source_type, analysis_method, text_length, analysis)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            userId || null,
+            name || 'Scanned App',
+            packageName || null,
+            scanResult.privacyScore,
+            scanResult.riskLevel,
+            JSON.stringify(scanResult),
+            sourceUrl || null,
+            sourceType,
+            analysis.analysis_method || null,
+            textLength || null,
+            JSON.stringify(analysis)
+        );
+        return Number(info.lastInsertRowid);
     } catch (error) {
-        console.error('Error finding privacy policy:', error.message);
+        console.error('⚠️ Failed to save scan history:', error.message);
         return null;
     }
 }
 
-// Helper: Calculate simple score
-function calculateSimpleScore(analysis) {
-    let score = 100;
-    
-    if (analysis.data_sharing?.third_parties) {
-        score -= analysis.data_sharing.user_control ? 15 : 25;
-    }
-    
-    if (!analysis.user_rights?.deletion) score -= 20;
-    if (!analysis.user_rights?.access) score -= 10;
-    if (!analysis.user_rights?.opt_out) score -= 10;
-    
-    if (analysis.cookies_tracking?.cookies_used && !analysis.cookies_tracking?.opt_out_available) {
-        score -= 15;
+// Helper: Load a scan_history row, only when it belongs to userId
+function findHistoryRow(id, userId) {
+    return db.prepare('SELECT * FROM scan_history WHERE id = ? AND user_id = ?').get(id, userId);
+}
+
+// Helper: A tracked policy, only when userId has analyzed it
+function findPolicyRow(id, userId) {
+    return db.prepare(`
+        SELECT policies.* FROM policies JOIN policy_users ON policy_users.policy_id = policies.id
+        WHERE policies.id = ? AND policy_users.user_id = ?
+    `).get(id, userId);
+}
+
+// Helper: A watchlist entry, only when it belongs to userId
+function findWatchlistRow(id, userId) {
+    return db.prepare('SELECT * FROM watchlist WHERE id = ? AND user_id = ?').get(id, userId);
+}
+
+// Helper: A job's status, only when it belongs to userId
+function findJob(id, userId) {
+    const job = getJobStatus(id);
+    return job && job.user_id === userId ? job : null;
+}
+
+// Helper: Shape a scan_history row for API responses
+function formatHistoryRow(row, includeAnalysis) {
+    const entry = {
+        id: row.id,
+        user_id: row.user_id,
+        app_name: row.app_name,
+        package_name: row.package_name,
+        source_url: row.source_url,
+        source_type: row.source_type,
+        analysis_method: row.analysis_method,
+        privacy_score: row.privacy_score,
+        risk_level: row.risk_level,
+        text_length: row.text_length,
+        created_at: row.created_at
+    };
+    if (includeAnalysis) {
+        entry.scan_result = parseStoredJson(row.scan_result);
+        entry.analysis = parseStoredJson(row.analysis);
     }
-    
-    if (!analysis.security_measures?.encryption_mentioned) score -= 10;
-    
-    if (!analysis.compliance?.gdpr_mentioned && !analysis.compliance?.ccpa_mentioned) {
-        score -= 10;
+    return entry;
+}
+
+// Helper: Parse a JSON column, tolerating legacy/empty values
+function parseStoredJson(value) {
+    if (!value) return null;
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return null;
     }
-    
-    return Math.max(0, score);
 }
 
-// Start server
-app.listen(PORT, () => {
+// Start server (tests load the app and listen themselves)
+if (require.main === module) app.listen(PORT, () => {
     console.log('\n╔════════════════════════════════════════╗');
     console.log('║ PolAI Backend v2.0 - Enhanced ║');
     console.log('╚════════════════════════════════════════╝');
     console.log(`\n🚀 Server running: http://localhost:${PORT}`);
     console.log(`🤖 AI Provider: ${AI_PROVIDER.toUpperCase()}`);
+    console.log(`🔁 Provider chain: ${AI_PROVIDER_CHAIN.join(' → ')}`);
+    console.log(`🔑 API keys: ${API_AUTH_REQUIRED ? 'required' : 'optional'}${ADMIN_API_KEY ? '' : ' (ADMIN_API_KEY not set, keys cannot be issued)'}`);
+    console.log(`🌐 Policy fetcher: ${POLICY_FETCHER}${POLICY_CRAWL ? ` (crawl depth ${CRAWL_MAX_DEPTH}, max ${CRAWL_MAX_PAGES} pages)` : ''}`);
     console.log(`🔍 Health check: http://localhost:${PORT}/api/health`);
     console.log(`📊 Analyze endpoint: POST http://localhost:${PORT}/api/analyze`);
+    startWatchlistScheduler();
+    resumeJobs();
    
     if (!MISTRAL_API_KEY && AI_PROVIDER === 'mistral') {
         console.warn('\n⚠️ WARNING: MISTRAL_API_KEY not set!');
     }
+    if (API_AUTH_REQUIRED && !ADMIN_API_KEY) {
+        console.warn('\n⚠️ WARNING: API keys are required but ADMIN_API_KEY is not set - no keys can be issued');
+    }
+    if (!API_AUTH_REQUIRED) {
+        console.warn(`\n⚠️ WARNING: API_AUTH_REQUIRED=false - requests without a key are served as "${ANONYMOUS_USER_ID}" (development only)`);
+    }
     if (!OPENAI_API_KEY && AI_PROVIDER === 'openai') {
         console.warn('\n⚠️ WARNING: OPENAI_API_KEY not set!');
     }
+    if (!aiProviders[AI_PROVIDER]) {
+        console.warn(`\n⚠️ WARNING: Unknown AI_PROVIDER "${AI_PROVIDER}" - analyses will fail`);
+    }
+    const unknownChainEntries = AI_PROVIDER_CHAIN.filter(name => name !== 'rule_based' && !aiProviders[name]);
+    if (unknownChainEntries.length > 0) {
+        console.warn(`\n⚠️ WARNING: Unknown providers in AI_PROVIDER_CHAIN ignored: ${unknownChainEntries.join(', ')}`);
+    }
    
     console.log('\n✓ Ready to analyze privacy policies\n');
 });
-module.exports = app;
\ No newline at end of file
+// The app, plus the helpers the tests exercise directly
+module.exports = {
+    app,
+    registerPolicyFetcher,
+    discoverAppPolicy,
+    isBlockedAddress,
+    assertFetchAllowed,
+    guardedRequest,
+    parseDataSafety,
+    crossCheckDataSafety,
+    readAppPackage,
+    analyzeAppAccess,
+    takeRateLimitToken,
+    rateLimitBuckets
+};
\ No newline at end of file
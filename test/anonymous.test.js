@@ -0,0 +1,24 @@
+// Requests without an API key, allowed for development with API_AUTH_REQUIRED=false
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const POLICY = 'We collect your email address to send receipts and keep it for two years.';
+let api;
+before(async () => {
+    api = await startServer({ API_AUTH_REQUIRED: 'false' });
+});
+after(() => api.close());
+
+test('Keyless requests act as the anonymous user and cannot name another', async () => {
+    const analyzed = await api.request('POST', '/api/analyze-text', { text: POLICY });
+    assert.equal(analyzed.status, 200, analyzed.body.error);
+    const { body } = await api.request('GET', '/api/history');
+    assert.deepEqual(body.history.map(entry => entry.id), [analyzed.body.history_id]);
+    assert.equal(body.history[0].user_id, 'anonymous');
+
+    assert.equal((await api.request('GET', '/api/history?user_id=alice')).status, 403);
+    assert.equal((await api.request('POST', '/api/analyze-text', { text: POLICY, userId: 'alice' })).status, 403);
+    assert.equal((await api.request('GET', '/api/preferences/alice')).status, 403);
+    assert.equal((await api.request('GET', '/api/usage?user_id=alice')).status, 403);
+});
@@ -0,0 +1,139 @@
+// App access checks: manifests (text and binary), APKs and their dex files
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, zip } = require('./helpers');
+
+const MAX_INFLATED = 64 * 1024;
+let api;
+before(async () => {
+    api = await startServer({ MAX_APP_INFLATED_BYTES: String(MAX_INFLATED) });
+});
+after(() => api.close());
+
+const EXPECTED = {
+    package_name: 'com.example.app',
+    permissions: ['android.permission.ACCESS_FINE_LOCATION'],
+    components: ['com.example.app.MainActivity', 'com.facebook.ads.AudienceNetworkActivity']
+};
+
+const TEXT_MANIFEST = `<?xml version="1.0" encoding="utf-8"?>
+<manifest xmlns:android="http://schemas.android.com/apk/res/android" package="com.example.app">
+    <uses-permission android:name="android.permission.ACCESS_FINE_LOCATION" />
+    <application>
+        <activity android:name=".MainActivity" />
+        <activity android:name="com.facebook.ads.AudienceNetworkActivity" />
+    </application>
+</manifest>`;
+
+// A compiled AndroidManifest.xml with the same content. String 0 ("name") is blanked
+// out, as obfuscators do, so its name comes from the resource map; one activity name is
+// a typed string value instead of a raw one.
+function binaryManifest({ utf8 = false } = {}) {
+    const strings = ['', 'package', 'manifest', 'uses-permission', 'activity', 'com.example.app',
+        'android.permission.ACCESS_FINE_LOCATION', '.MainActivity', 'com.facebook.ads.AudienceNetworkActivity'];
+    const encoded = strings.map(string => utf8
+        ? Buffer.concat([Buffer.from([string.length, string.length]), Buffer.from(string, 'utf8'), Buffer.from([0])])
+        : Buffer.concat([u16(string.length), Buffer.from(string, 'utf16le'), u16(0)]));
+    let data = Buffer.concat(encoded);
+    data = Buffer.concat([data, Buffer.alloc((4 - data.length % 4) % 4)]);
+    const offsets = [];
+    let at = 0;
+    for (const entry of encoded) {
+        offsets.push(u32(at));
+        at += entry.length;
+    }
+    const poolHeader = 28;
+    const pool = chunk(0x0001, poolHeader, Buffer.concat([
+        u32(strings.length), u32(0), u32(utf8 ? 0x100 : 0), u32(poolHeader + strings.length * 4), u32(0), ...offsets, data
+    ]));
+    const resourceMap = chunk(0x0180, 8, u32(0x01010003));
+    const NO_VALUE = 0xFFFFFFFF;
+    const element = (tag, attributes) => chunk(0x0102, 16, Buffer.concat([
+        u32(1), u32(NO_VALUE),
+        u32(NO_VALUE), u32(tag), u16(20), u16(20), u16(attributes.length), u16(0), u16(0), u16(0),
+        ...attributes.map(([name, raw, dataType, value]) => Buffer.concat([u32(NO_VALUE), u32(name), u32(raw), u16(8), Buffer.from([0, dataType]), u32(value)]))
+    ]));
+    const body = Buffer.concat([
+        pool,
+        resourceMap,
+        element(2, [[1, 5, 0x03, 5]]),
+        element(3, [[0, 6, 0x03, 6]]),
+        element(4, [[0, NO_VALUE, 0x03, 7]]),
+        element(4, [[0, 8, 0x03, 8]])
+    ]);
+    return Buffer.concat([u16(0x0003), u16(8), u32(8 + body.length), body]);
+}
+function chunk(type, headerSize, rest) {
+    return Buffer.concat([u16(type), u16(headerSize), u32(8 + rest.length), rest]);
+}
+function u16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16LE(value);
+    return buffer;
+}
+function u32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value);
+    return buffer;
+}
+
+const read = buffer => api.modules.readAppPackage({ file: { buffer } });
+
+test('Reads text and binary manifests', async () => {
+    const text = await read(Buffer.from(TEXT_MANIFEST));
+    assert.equal(text.source, 'manifest');
+    assert.deepEqual({ package_name: text.package_name, permissions: text.permissions, components: text.components }, EXPECTED);
+    for (const utf8 of [false, true]) {
+        const binary = await read(binaryManifest({ utf8 }));
+        assert.deepEqual({ package_name: binary.package_name, permissions: binary.permissions, components: binary.components }, EXPECTED, utf8 ? 'UTF-8' : 'UTF-16');
+    }
+});
+
+test('Reads an APK and finds tracker SDKs in its dex files', async () => {
+    const dex = Buffer.concat([Buffer.from('dex\n035\0'), Buffer.alloc(64), Buffer.from('Lcom/appsflyer/AppsFlyerLib;\0Lcom/example/app/MainActivity;', 'latin1')]);
+    const apk = await read(zip([
+        { name: 'AndroidManifest.xml', data: binaryManifest() },
+        { name: 'classes.dex', data: dex },
+        { name: 'res/raw/notes.txt', data: Buffer.from('Lcom/mixpanel/android/') }
+    ]));
+    assert.equal(apk.source, 'apk');
+    assert.equal(apk.package_name, 'com.example.app');
+    // Only dex files are searched
+    assert.deepEqual(apk.dex_packages, ['com.appsflyer']);
+});
+
+test('ZIP bombs are refused with a 422', async () => {
+    const bomb = Buffer.alloc(MAX_INFLATED * 16);
+    for (const size of [bomb.length, 1024]) {
+        // The declared size is checked first; a lying one is caught while inflating
+        const apk = zip([{ name: 'AndroidManifest.xml', data: binaryManifest() }, { name: 'classes.dex', data: bomb, size }]);
+        await assert.rejects(read(apk), error => error.status === 422 && /inflates to more than 65536 bytes/.test(error.message));
+    }
+    const form = new FormData();
+    form.append('file', new Blob([zip([{ name: 'AndroidManifest.xml', data: bomb }])]), 'app.apk');
+    form.append('policyUrl', 'https://example.test/privacy');
+    const response = await fetch(`${api.baseUrl}/api/scan-app`, { method: 'POST', body: form });
+    assert.equal(response.status, 422);
+    assert.match((await response.json()).error, /Unreadable app file/);
+});
+
+test('Undisclosed permissions and trackers are violations', async () => {
+    const appPackage = await read(zip([
+        { name: 'AndroidManifest.xml', data: Buffer.from(TEXT_MANIFEST) },
+        { name: 'classes.dex', data: Buffer.from('Lcom/appsflyer/AppsFlyerLib;', 'latin1') }
+    ]));
+    const quiet = api.modules.analyzeAppAccess(appPackage, { data_collection: { types: ['Email address'] } }, 'We collect your email address.');
+    assert.deepEqual(quiet.violations.map(violation => violation.group || violation.tracker), ['location', 'Facebook Audience Network', 'AppsFlyer']);
+    assert.equal(quiet.penalty, 26);
+
+    const open = api.modules.analyzeAppAccess(appPackage, {
+        data_collection: { types: ['Precise location'] },
+        cookies_tracking: { tracking_technologies: ['Advertising SDKs'] }
+    }, 'We use AppsFlyer to measure installs.');
+    assert.deepEqual(open.violations, []);
+    assert.deepEqual(open.trackers.map(tracker => [tracker.name, tracker.disclosed_by]), [
+        ['Facebook Audience Network', 'generic'],
+        ['AppsFlyer', 'policy_text']
+    ]);
+    assert.equal(open.permissions.groups[0].disclosed_by, 'data_types');
+});
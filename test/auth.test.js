@@ -0,0 +1,66 @@
+// API keys: required by default, issued by the admin, bound to their user
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startServer, siteFixtureFetcher } = require('./helpers');
+
+const ADMIN = { 'x-admin-key': 'test-admin-key' };
+const POLICY = 'We collect your email address to send receipts and keep it for two years.';
+let api;
+before(async () => {
+    // API_AUTH_REQUIRED unset: keys are required
+    api = await startServer({ API_AUTH_REQUIRED: '', ADMIN_API_KEY: ADMIN['x-admin-key'] });
+    api.modules.registerPolicyFetcher('fixtures', siteFixtureFetcher(path.join(__dirname, 'fixtures', 'sites')));
+});
+after(() => api.close());
+
+const issueKey = async (userId, limits = {}) => {
+    const { status, body } = await api.request('POST', '/api/admin/keys', { user_id: userId, ...limits }, ADMIN);
+    assert.equal(status, 201, body.error);
+    return { authorization: `Bearer ${body.key}` };
+};
+
+test('Requests without a key are refused, except the health check', async () => {
+    assert.equal((await api.request('GET', '/api/history')).status, 401);
+    assert.equal((await api.request('POST', '/api/analyze-text', { text: POLICY })).status, 401);
+    assert.equal((await api.request('GET', '/api/history', null, { authorization: 'Bearer polai_unknown' })).status, 401);
+    const health = await api.request('GET', '/api/health');
+    assert.equal(health.status, 200);
+    assert.equal(health.body.auth.api_key_required, true);
+});
+
+test('A key acts only as its own user', async () => {
+    const alice = await issueKey('alice');
+    const bob = await issueKey('bob');
+    const analyzed = await api.request('POST', '/api/analyze-text', { text: POLICY }, alice);
+    assert.equal(analyzed.status, 200, analyzed.body.error);
+    const historyId = analyzed.body.history_id;
+
+    const own = await api.request('GET', '/api/history', null, alice);
+    assert.deepEqual(own.body.history.map(entry => entry.id), [historyId]);
+    assert.equal((await api.request('GET', `/api/history/${historyId}`, null, alice)).status, 200);
+    assert.deepEqual((await api.request('GET', '/api/history', null, bob)).body.history, []);
+    assert.equal((await api.request('GET', `/api/history/${historyId}`, null, bob)).status, 404);
+    assert.equal((await api.request('GET', '/api/history?user_id=alice', null, bob)).status, 403);
+    assert.equal((await api.request('POST', '/api/analyze-text', { text: POLICY, userId: 'alice' }, bob)).status, 403);
+    assert.equal((await api.request('GET', '/api/preferences/alice', null, bob)).status, 403);
+});
+
+test('Policy versions are visible only to users who analyzed the policy', async () => {
+    const carol = await issueKey('carol');
+    const dave = await issueKey('dave');
+    const analyzed = await api.request('POST', '/api/analyze', { url: 'https://shop.test/legal/privacy.html', fetcher: 'fixtures' }, carol);
+    assert.equal(analyzed.status, 200, analyzed.body.error);
+    const policyId = analyzed.body.policy_version.policy_id;
+
+    assert.deepEqual((await api.request('GET', '/api/policies', null, carol)).body.policies.map(policy => policy.id), [policyId]);
+    assert.equal((await api.request('GET', `/api/policies/${policyId}/versions`, null, carol)).status, 200);
+    assert.deepEqual((await api.request('GET', '/api/policies', null, dave)).body.policies, []);
+    assert.equal((await api.request('GET', `/api/policies/${policyId}/versions`, null, dave)).status, 404);
+    assert.equal((await api.request('GET', `/api/policies/${policyId}/diff`, null, dave)).status, 404);
+});
+
+test('Keys cannot be issued for the anonymous user or without the admin key', async () => {
+    assert.equal((await api.request('POST', '/api/admin/keys', { user_id: 'anonymous' }, ADMIN)).status, 400);
+    assert.equal((await api.request('POST', '/api/admin/keys', { user_id: 'mallory' }, { 'x-admin-key': 'wrong-admin-key' })).status, 401);
+});
@@ -0,0 +1,58 @@
+// Analysis cache keyed on the policy text
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startMockProvider, aiAnalysis } = require('./helpers');
+
+// Policy pages by URL, changed by the tests
+const pages = {};
+let api;
+let provider;
+before(async () => {
+    provider = await startMockProvider(() => JSON.stringify(aiAnalysis()));
+    api = await startServer({
+        AI_PROVIDER: 'openai_compatible',
+        OPENAI_COMPATIBLE_BASE_URL: provider.url,
+        OPENAI_COMPATIBLE_MODEL: 'test-model'
+    });
+    api.modules.registerPolicyFetcher('pages', {
+        label: 'Test pages',
+        isAvailable: () => true,
+        fetch: async url => ({ url, body: pages[url], contentType: 'text/html', headers: {} })
+    });
+});
+after(() => {
+    api.close();
+    provider.close();
+});
+
+const URL = 'https://cache.test/privacy';
+const page = body => `<html><body><h1>Privacy Policy</h1>${body}<p>Write to privacy@cache.test with any questions about this policy or your data.</p></body></html>`;
+const analyze = (extra = {}) => api.request('POST', '/api/analyze', { url: URL, fetcher: 'pages', ...extra });
+
+test('Unchanged text is served from the cache', async () => {
+    pages[URL] = page('<p>We collect your email address to provide the service.</p><p>You may delete your account.</p>');
+    const calls = provider.requests.length;
+    const first = await analyze();
+    assert.equal(first.status, 200, first.body.error);
+    assert.equal(first.body.cached, false);
+    assert.equal(first.body.analysis.analysis_method, 'openai_compatible');
+
+    // Only the layout changed
+    pages[URL] = page('<div>We collect your email address   to provide the service.</div>\n<div>You may delete your account.</div>');
+    const second = await analyze();
+    assert.equal(second.body.cached, true);
+    assert.ok(second.body.cache_age_seconds >= 0);
+    assert.equal(provider.requests.length - calls, 1);
+    // The history still records every request
+    assert.notEqual(second.body.history_id, first.body.history_id);
+});
+
+test('Changed text, another model or refresh miss the cache', async () => {
+    pages[URL] = page('<p>We collect your phone number to provide the service.</p>');
+    await analyze();
+    const calls = provider.requests.length;
+    assert.equal((await analyze()).body.cached, true);
+    assert.equal((await analyze({ model: 'other-model' })).body.cached, false);
+    assert.equal((await analyze({ refresh: true })).body.cached, false);
+    assert.equal(provider.requests.length - calls, 2);
+});
@@ -0,0 +1,111 @@
+// Chunked analysis of long policies: split by section, merge, reduce
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startMockProvider } = require('./helpers');
+
+// Three sections of about 600 characters: one chunk each at a 300-token input budget
+const SECTIONS = {
+    '1. Data we collect': 'We collect your email address and your location when you use the app. We share data with our advertising partners.',
+    '2. Sharing': 'We do not share data with third parties except as described in this policy.',
+    '3. Your rights': 'You may delete your account at any time from the settings page.'
+};
+const POLICY = Object.entries(SECTIONS).map(([heading, text]) => `${heading}\n${`${text} `.repeat(Math.ceil(560 / text.length)).trim()}`).join('\n\n');
+// Findings per section, as a model would report them
+const FINDINGS = {
+    '1. Data we collect': {
+        summary: 'Collection of email and location, sharing with advertisers.',
+        data_collection: { types: ['Email address', 'Location'], transparency_score: 6 },
+        data_sharing: { third_parties: true },
+        evidence: [{ field: 'data_sharing.third_parties', quotes: [SECTIONS['1. Data we collect'].split('. ')[1]] }]
+    },
+    '2. Sharing': {
+        summary: 'Sharing with third parties is denied.',
+        data_collection: { types: ['email address'], transparency_score: 8 },
+        data_sharing: { third_parties: false },
+        evidence: [{ field: 'data_sharing.third_parties', quotes: [SECTIONS['2. Sharing']] }]
+    },
+    '3. Your rights': {
+        summary: 'Users can delete their account.',
+        user_rights: { deletion: true }
+    }
+};
+// How the provider answers: chunk prompts by section, the reduce prompt per test
+let failSection = null;
+let reduceReply = null;
+let api;
+let provider;
+before(async () => {
+    provider = await startMockProvider(body => {
+        const prompt = body.messages[1].content;
+        if (prompt.startsWith('You are combining')) return reduceReply;
+        const heading = /Sections in this part: (.*)/.exec(prompt)[1];
+        return heading === failSection ? { status: 400 } : JSON.stringify(FINDINGS[heading]);
+    });
+    api = await startServer({
+        AI_PROVIDER: 'openai_compatible',
+        OPENAI_COMPATIBLE_BASE_URL: provider.url,
+        OPENAI_COMPATIBLE_MODEL: 'test-model',
+        OPENAI_COMPATIBLE_MAX_INPUT_TOKENS: '300',
+        AI_MAX_RETRIES: '0',
+        AI_CHUNK_MIN_COVERAGE: '0.6'
+    });
+});
+after(() => {
+    api.close();
+    provider.close();
+});
+
+const analyze = async () => {
+    const { status, body } = await api.request('POST', '/api/analyze-text', { text: POLICY });
+    assert.equal(status, 200, body.error);
+    return body.analysis;
+};
+
+test('Chunk findings are merged and the model settles contradictions', async () => {
+    reduceReply = JSON.stringify({
+        summary: 'Whole policy summary.',
+        resolutions: [{ field: 'data_sharing.third_parties', value: true, reason: 'The denial has exceptions; sharing with advertisers is stated.' }]
+    });
+    const analysis = await analyze();
+    assert.equal(analysis.chunking.chunks_total, 3);
+    assert.deepEqual(analysis.chunking.chunk_summaries.map(entry => entry.headings), [['1. Data we collect'], ['2. Sharing'], ['3. Your rights']]);
+    // Lists are unioned case-insensitively, scores averaged over the chunks reporting them
+    assert.deepEqual(analysis.data_collection.types, ['Email address', 'Location']);
+    assert.equal(analysis.data_collection.transparency_score, 7);
+    assert.equal(analysis.user_rights.deletion, true);
+    assert.equal(analysis.summary, 'Whole policy summary.');
+    assert.equal(analysis.chunking.reduce_method, 'model');
+    assert.deepEqual(analysis.chunking.contradictions, [{
+        field: 'data_sharing.third_parties',
+        stated_in_chunks: [1],
+        denied_in_chunks: [2],
+        resolved_value: true,
+        resolution: 'model',
+        reason: 'The denial has exceptions; sharing with advertisers is stated.'
+    }]);
+    assert.equal(analysis.data_sharing.third_parties, true);
+    // The quotes of the losing side are dropped
+    const quotes = analysis.evidence.filter(entry => entry.field === 'data_sharing.third_parties').flatMap(entry => entry.excerpts.map(excerpt => excerpt.quote));
+    assert.ok(quotes.length > 0);
+    assert.ok(!quotes.some(quote => quote.startsWith('We do not share')));
+});
+
+test('Without a reduce answer explicit denials stand and the summary is composed', async () => {
+    reduceReply = 'No JSON here.';
+    const analysis = await analyze();
+    assert.equal(analysis.chunking.reduce_method, 'merged_findings');
+    assert.ok(analysis.chunking.reduce_error);
+    assert.equal(analysis.data_sharing.third_parties, false);
+    assert.equal(analysis.chunking.contradictions[0].resolution, 'explicit_denial');
+    assert.match(analysis.summary, /collecting 2 types of data/);
+});
+
+test('Failed chunks are reported while enough of the text is covered', async () => {
+    reduceReply = JSON.stringify({ summary: 'Whole policy summary.' });
+    failSection = '3. Your rights';
+    const analysis = await analyze();
+    failSection = null;
+    assert.equal(analysis.analysis_method, 'openai_compatible');
+    assert.deepEqual(analysis.chunking.failed_chunks.map(failure => [failure.chunk, failure.headings]), [[3, ['3. Your rights']]]);
+    assert.ok(analysis.chunking.coverage > 0.6 && analysis.chunking.coverage < 0.7);
+});
@@ -0,0 +1,100 @@
+// Policy comparison: aligned matrix, winners, key differences and the comparative summary
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startMockProvider, aiAnalysis } = require('./helpers');
+
+const page = name => `<html><body><main><h1>${name} Privacy Policy</h1><p>${name} collects your email address to provide the service. Contact us at privacy@${name.toLowerCase()}.test with any questions about how we handle it.</p></main></body></html>`;
+const ANALYSES = {
+    // 80/100: shares nothing
+    Alpha: aiAnalysis({ data_sharing: { third_parties: false, third_party_purposes: [] } }),
+    // 35/100: shares without control and offers no deletion
+    Beta: aiAnalysis({ user_rights: { deletion: false, rights_score: 2 } })
+};
+let api;
+let provider;
+before(async () => {
+    provider = await startMockProvider(body => {
+        if (body.model === 'broken-model') return { status: 400 };
+        const prompt = body.messages[1].content;
+        if (prompt.includes('comparing their privacy policies')) {
+            return JSON.stringify({ summary: 'alpha.test shares less than beta.test.', recommendation: 'Choose alpha.test.' });
+        }
+        return JSON.stringify(ANALYSES[prompt.includes('Alpha collects') ? 'Alpha' : 'Beta']);
+    });
+    api = await startServer({
+        AI_PROVIDER: 'openai_compatible',
+        OPENAI_COMPATIBLE_BASE_URL: provider.url,
+        OPENAI_COMPATIBLE_MODEL: 'test-model',
+        AI_MAX_RETRIES: '0'
+    });
+    api.modules.registerPolicyFetcher('pages', {
+        label: 'Test pages',
+        isAvailable: () => true,
+        fetch: async url => ({ url, body: page(url.includes('alpha') ? 'Alpha' : 'Beta'), contentType: 'text/html', headers: {} })
+    });
+});
+after(() => {
+    api.close();
+    provider.close();
+});
+
+const compare = body => api.request('POST', '/api/compare', { fetcher: 'pages', ...body });
+const field = (matrix, section, name) => matrix.find(row => row.section === section).fields.find(entry => entry.field === name);
+let historyIds;
+
+test('URLs are analyzed and lined up section by section', async () => {
+    const { status, body } = await compare({ policies: ['https://alpha.test/privacy', { url: 'https://beta.test/privacy' }] });
+    assert.equal(status, 200, body.error);
+    assert.deepEqual(body.policies.map(policy => [policy.index, policy.source, policy.label, policy.score]), [[0, 'url', 'alpha.test', 80], [1, 'url', 'beta.test', 35]]);
+    assert.deepEqual(body.overall, { scores: [80, 35], winners: [0] });
+    assert.deepEqual(field(body.matrix, 'user_rights', 'deletion').values, [true, false]);
+    assert.deepEqual(field(body.matrix, 'user_rights', 'deletion').winners, [0]);
+    assert.deepEqual(field(body.matrix, 'data_sharing', 'third_parties').winners, [0]);
+    // Equal values and informational fields have no winner
+    assert.deepEqual(field(body.matrix, 'user_rights', 'access').winners, []);
+    assert.deepEqual(field(body.matrix, 'data_sharing', 'law_enforcement').winners, []);
+    assert.deepEqual(body.matrix.find(row => row.section === 'user_rights').scores, [6, 2]);
+    // Heaviest first; the rights scores are 4 apart
+    assert.deepEqual(body.key_differences.slice(0, 2).map(difference => difference.field).sort(), ['deletion', 'third_parties']);
+    assert.ok(body.key_differences.some(difference => difference.field === 'rights_score'));
+    assert.ok(body.key_differences.every((difference, index, list) => index === 0 || list[index - 1].weight >= difference.weight));
+    assert.equal(body.summary.method, 'ai');
+    assert.equal(body.summary.recommendation, 'Choose alpha.test.');
+    assert.ok(provider.requests.at(-1).messages[1].content.includes('1. alpha.test: 80/100.'));
+    assert.deepEqual(body.usage.calls.map(call => call.purpose), ['analysis', 'analysis', 'compare']);
+    historyIds = body.policies.map(policy => policy.history_id);
+});
+
+test('History ids reuse the stored analyses', async () => {
+    const calls = provider.requests.length;
+    const { status, body } = await compare({ policies: [String(historyIds[1]), { history_id: historyIds[0] }] });
+    assert.equal(status, 200, body.error);
+    assert.deepEqual(body.policies.map(policy => policy.source), ['history', 'history']);
+    assert.deepEqual(body.overall.winners, [1]);
+    // Only the summary is written
+    assert.equal(provider.requests.length, calls + 1);
+});
+
+test('Without a provider the summary is composed from the scores', async () => {
+    const { body } = await compare({ policies: [historyIds[0], historyIds[1]], model: 'broken-model' });
+    assert.equal(body.summary.method, 'rule_based');
+    assert.equal(body.summary.output_language, 'en');
+    assert.ok(body.summary.text.startsWith(`${body.policies[0].label} has the highest overall privacy score (80/100), ahead of ${body.policies[1].label} (35/100).`));
+    assert.equal(body.summary.recommendation, `Based on these policies alone, ${body.policies[0].label} is the more privacy-protective choice.`);
+});
+
+test('The same policy twice gets distinct labels and no winners', async () => {
+    const { body } = await compare({ policies: [historyIds[0], historyIds[0]], model: 'broken-model' });
+    assert.equal(body.policies[1].label, `${body.policies[0].label} (2)`);
+    assert.deepEqual(body.overall.winners, []);
+    assert.ok(body.matrix.every(row => row.winners.length === 0));
+    assert.deepEqual(body.key_differences, []);
+});
+
+test('Invalid and unknown entries are refused, naming the entry', async () => {
+    assert.equal((await compare({ policies: [historyIds[0]] })).status, 400);
+    assert.equal((await compare({ policies: [historyIds[0], {}] })).status, 400);
+    const missing = await compare({ policies: [historyIds[0], 999999] });
+    assert.equal(missing.status, 404);
+    assert.ok(missing.body.error.startsWith('policies[1] (history 999999): '));
+});
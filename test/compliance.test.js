@@ -0,0 +1,87 @@
+// Compliance checklists: AI item statuses with verified evidence, keyword fallback and validation
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startMockProvider } = require('./helpers');
+
+const POLICY = [
+    'Example Ltd is the controller responsible for your personal data.',
+    'Contact us at privacy@example.com or write to our registered office.',
+    'We retain account data for 12 months after you close your account.',
+    'You may withdraw your consent at any time in the app settings.',
+    'You have the right to lodge a complaint with a supervisory authority.'
+].join(' ');
+const AI_ITEMS = [
+    { id: 'controller_identity', status: 'present', explanation: 'The controller is named.', quotes: ['Example Ltd is the controller responsible for your personal data.'] },
+    // Not in the policy: downgraded
+    { id: 'dpo_contact', status: 'present', explanation: 'A DPO is named.', quotes: ['Our data protection officer is Jane Doe.'] },
+    { id: 'legal_basis', status: 'missing', explanation: 'No legal basis is given.', quotes: [] },
+    { id: 'retention_period', status: 'unclear', explanation: 'Only account data is covered.', quotes: ['We retain account data for 12 months'] }
+];
+let api;
+let provider;
+before(async () => {
+    provider = await startMockProvider(body => body.model === 'broken-model' ? { status: 400 } : JSON.stringify({ items: AI_ITEMS }));
+    api = await startServer({
+        AI_PROVIDER: 'openai_compatible',
+        OPENAI_COMPATIBLE_BASE_URL: provider.url,
+        OPENAI_COMPATIBLE_MODEL: 'test-model',
+        AI_MAX_RETRIES: '0'
+    });
+});
+after(() => {
+    api.close();
+    provider.close();
+});
+
+const check = body => api.request('POST', '/api/compliance/check', { text: POLICY, regulation: 'gdpr', ...body });
+const byId = items => Object.fromEntries(items.map(item => [item.id, item]));
+
+test('Every regulation\'s checklist is listed', async () => {
+    const { status, body } = await api.request('GET', '/api/compliance/checklists');
+    assert.equal(status, 200);
+    assert.deepEqual(body.checklists.map(checklist => [checklist.id, checklist.items.length]), [['gdpr', 15], ['ccpa', 16], ['coppa', 9]]);
+    for (const item of body.checklists.flatMap(checklist => checklist.items)) {
+        assert.deepEqual(Object.keys(item), ['id', 'requirement', 'reference']);
+    }
+});
+
+test('Model statuses need a quote found in the policy to count as present', async () => {
+    const { status, body } = await check();
+    assert.equal(status, 200, body.error);
+    assert.equal(body.method, 'ai');
+    assert.equal(body.regulation_name, 'GDPR Articles 13 and 14');
+    assert.ok(provider.requests.at(-1).messages[1].content.includes('- complaint_right: Right to lodge a complaint with a supervisory authority (Art. 13(2)(d))'));
+    const items = byId(body.items);
+    const [quote] = items.controller_identity.evidence;
+    assert.equal(items.controller_identity.status, 'present');
+    assert.equal(POLICY.slice(quote.start, quote.end), quote.quote);
+    assert.equal(items.dpo_contact.status, 'unclear');
+    assert.equal(items.dpo_contact.downgraded, 'no quote found in the policy text');
+    assert.equal(items.legal_basis.status, 'missing');
+    assert.equal(items.retention_period.status, 'unclear');
+    // Items the model left out come from the keyword rules
+    assert.equal(items.withdraw_consent.status, 'present');
+    assert.equal(items.withdraw_consent.filled_from_rule_based, true);
+    assert.equal(items.complaint_right.source, 'rule_based');
+    const { present, unclear, missing, total, coverage } = body.summary;
+    assert.equal(present + unclear + missing, total);
+    assert.equal(coverage, Math.round(100 * (present + unclear / 2) / total));
+    assert.equal(body.usage.calls[0].purpose, 'compliance');
+});
+
+test('Without a provider the keyword checklist is used', async () => {
+    const { body } = await check({ model: 'broken-model', regulation: 'CPRA' });
+    assert.equal(body.regulation, 'ccpa');
+    assert.equal(body.method, 'rule_based');
+    assert.ok(body.ai_error);
+    assert.ok(body.items.every(item => item.source === 'rule_based'));
+    const items = byId(body.items);
+    assert.equal(items.retention_period.status, 'present');
+    assert.equal(items.authorized_agent.status, 'missing');
+});
+
+test('Unknown regulations and missing policies are refused', async () => {
+    assert.equal((await check({ regulation: 'hipaa' })).status, 400);
+    assert.equal((await check({ text: 'Too short.' })).status, 400);
+    assert.equal((await api.request('POST', '/api/compliance/check', { regulation: 'gdpr' })).status, 400);
+});
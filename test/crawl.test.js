@@ -0,0 +1,91 @@
+// Multi-page crawling of related policy pages and the headless browser fallback of "auto"
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const paragraph = topic => `<p>This notice explains how we handle ${topic}. We describe what is collected, why, and how you can contact us with questions about it.</p>`;
+const SITE = {
+    'https://crawl.test/privacy': `<html><head><title>Privacy Policy</title></head><body><main>
+        <h1>Privacy Policy</h1>
+        ${paragraph('personal information you give us')}
+        <a href="/privacy/california">California privacy notice</a>
+        <a href="/cookies">Cookie Policy</a>
+        <a href="/privacy#top">Back to top</a>
+        <a href="/login">Log in to manage your privacy</a>
+        <a href="/careers/privacy">Careers privacy</a>
+        <a href="https://other.test/privacy">Partner privacy policy</a>
+    </main></body></html>`,
+    'https://crawl.test/cookies': `<html><head><title>Cookie Policy</title></head><body><main>
+        <h1>Cookie Policy</h1>
+        ${paragraph('cookies and similar technologies')}
+        <a href="/privacy/children">Children's privacy</a>
+    </main></body></html>`,
+    'https://crawl.test/privacy/children': `<html><head><title>Children</title></head><body><main>
+        <h1>Children</h1>
+        ${paragraph('information about children')}
+    </main></body></html>`
+};
+const fetched = [];
+let api;
+before(async () => {
+    api = await startServer();
+    api.modules.registerPolicyFetcher('pages', {
+        label: 'Test pages',
+        isAvailable: () => true,
+        async fetch(url) {
+            fetched.push(url);
+            if (!SITE[url]) throw Object.assign(new Error(`Not found: ${url}`), { status: 404 });
+            return { url, body: SITE[url], contentType: 'text/html', headers: {} };
+        }
+    });
+});
+after(() => api.close());
+
+test('Crawling follows same-site policy links and combines the pages', async () => {
+    fetched.length = 0;
+    const { status, body } = await api.request('GET', '/api/extract?url=https://crawl.test/privacy&fetcher=pages&crawl=true');
+    assert.equal(status, 200, body.error);
+    // Most relevant link first; the failing page is skipped without failing the request
+    assert.deepEqual(fetched, ['https://crawl.test/privacy', 'https://crawl.test/privacy/california', 'https://crawl.test/cookies']);
+    assert.deepEqual(body.skipped_pages.map(page => page.url), ['https://crawl.test/privacy/california']);
+    assert.deepEqual(body.pages.map(page => [page.url, page.depth, page.link_text]), [
+        ['https://crawl.test/privacy', 0, null],
+        ['https://crawl.test/cookies', 1, 'Cookie Policy']
+    ]);
+    for (const page of body.pages) {
+        assert.ok(body.text.slice(page.start, page.end).includes(page.url.endsWith('cookies') ? 'cookies and similar' : 'personal information'));
+    }
+    assert.deepEqual(body.tree.children.map(node => [node.type, node.url]), body.pages.map(page => ['page', page.url]));
+    const cookies = body.sections.find(section => section.heading === 'Cookie Policy');
+    assert.equal(cookies.page, 1);
+    assert.equal(body.text.slice(cookies.start, cookies.start + 'Cookie Policy'.length), 'Cookie Policy');
+});
+
+test('crawl_depth and crawl_max_pages bound the crawl', async () => {
+    const deep = await api.request('GET', '/api/extract?url=https://crawl.test/privacy&fetcher=pages&crawl=true&crawl_depth=2');
+    assert.equal(deep.status, 200, deep.body.error);
+    assert.deepEqual(deep.body.pages.map(page => page.url), ['https://crawl.test/privacy', 'https://crawl.test/cookies', 'https://crawl.test/privacy/children']);
+    const capped = await api.request('GET', '/api/extract?url=https://crawl.test/privacy&fetcher=pages&crawl=true&crawl_max_pages=1');
+    assert.equal(capped.body.pages.length, 1);
+    const invalid = await api.request('GET', '/api/extract?url=https://crawl.test/privacy&fetcher=pages&crawl=true&crawl_depth=9');
+    assert.equal(invalid.status, 400);
+});
+
+test('Without crawling only the requested page is fetched', async () => {
+    fetched.length = 0;
+    const { body } = await api.request('GET', '/api/extract?url=https://crawl.test/privacy&fetcher=pages');
+    assert.deepEqual(fetched, ['https://crawl.test/privacy']);
+    assert.equal(body.pages.length, 1);
+    assert.equal(body.skipped_pages, undefined);
+});
+
+test('"auto" renders a client-side shell with the headless browser', async () => {
+    const shell = '<html><head><title>App</title></head><body><div id="root"></div><p>Loading the privacy policy for you now, please wait while the app starts up.</p></body></html>';
+    const rendered = `<html><head><title>Privacy Policy</title></head><body><main><h1>Privacy Policy</h1>${paragraph('rendered policy text')}</main></body></html>`;
+    api.modules.registerPolicyFetcher('http', { label: 'HTTP', isAvailable: () => true, fetch: async url => ({ url, body: shell, contentType: 'text/html', headers: {} }) });
+    api.modules.registerPolicyFetcher('browser', { label: 'Headless browser', isAvailable: () => true, fetch: async url => ({ url, body: rendered, contentType: 'text/html', headers: {} }) });
+    const { status, body } = await api.request('GET', '/api/extract?url=https://spa.test/privacy&fetcher=auto');
+    assert.equal(status, 200, body.error);
+    assert.equal(body.pages[0].fetcher, 'browser');
+    assert.ok(body.text.includes('rendered policy text'));
+});
@@ -0,0 +1,99 @@
+// Play Data safety declarations checked against the policy
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let api;
+before(async () => {
+    api = await startServer();
+});
+after(() => api.close());
+
+// A declaration of no sharing, checked against the policy sentences given
+const check = policyText => api.modules.crossCheckDataSafety({
+    shared: { declared_none: true, categories: [] },
+    collected: { declared_none: false, categories: [] },
+    security: { encrypted_in_transit: null, deletion_request: null }
+}, { data_collection: { types: [] } }, policyText);
+
+test('A denial covers only the verb it negates', () => {
+    const result = check('We do not sell your location data, but we share your location with advertisers.');
+    assert.deepEqual(result.policy.shared, ['location']);
+    assert.equal(result.discrepancies[0].kind, 'shared_not_declared');
+    assert.equal(result.discrepancies[0].severity, 'high');
+});
+
+test('A denial covers the verbs listed after it', () => {
+    for (const sentence of [
+        'We do not sell, rent or share your location with advertisers.',
+        'We will never share your location with advertisers.',
+        'We don’t disclose your location to third parties.'
+    ]) {
+        const result = check(sentence);
+        assert.deepEqual(result.policy.shared, [], sentence);
+        assert.equal(result.consistent, true, sentence);
+    }
+});
+
+// The text of a Play Data safety page, expanded except for Personal info (its collapsed
+// summary line) and with the class names left out, since the parser ignores them
+const DATA_SAFETY_PAGE = `<html><body><main>
+    <h2>Data shared</h2>
+    <div><h3>Location</h3><div><span>Approximate location</span><span>Optional</span></div><div>Advertising or marketing, Analytics</div></div>
+    <h2>Data collected</h2>
+    <div><h3>Personal info</h3><div>Email address and Name</div></div>
+    <div><h3>Contacts</h3><div>Contacts</div><div>App functionality</div></div>
+    <div><h3>App info and performance</h3><div>Crash logs · Optional</div><div>Analytics</div><div>Diagnostics</div><div>Fraud prevention, security, and compliance</div></div>
+    <h2>Security practices</h2>
+    <div>Data is encrypted in transit</div>
+    <div>You can request that data be deleted</div>
+    <p>Learn more about how developers declare collection</p>
+</main></body></html>`;
+const DATA_SAFETY_URL = 'https://play.google.com/store/apps/datasafety?id=com.example.app&hl=en';
+
+test('Data safety pages are parsed into categories, types and purposes', () => {
+    const result = api.modules.parseDataSafety(DATA_SAFETY_PAGE, DATA_SAFETY_URL);
+    assert.equal(result.found, true);
+    assert.equal(result.source_url, DATA_SAFETY_URL);
+    assert.deepEqual(result.shared.categories, [{
+        id: 'location',
+        label: 'Location',
+        types: [{ name: 'Approximate location', optional: true, purposes: ['Analytics', 'Advertising or marketing'] }],
+        purposes: ['Analytics', 'Advertising or marketing']
+    }]);
+    const collected = Object.fromEntries(result.collected.categories.map(category => [category.id, category]));
+    assert.deepEqual(Object.keys(collected), ['personal_info', 'contacts', 'app_performance']);
+    // Collapsed: the types from the summary line, without purposes
+    assert.deepEqual(collected.personal_info.types, [{ name: 'Email address', optional: false, purposes: [] }, { name: 'Name', optional: false, purposes: [] }]);
+    // A type named like its category is not a second heading
+    assert.deepEqual(collected.contacts.types, [{ name: 'Contacts', optional: false, purposes: ['App functionality'] }]);
+    assert.deepEqual(collected.app_performance.types, [
+        { name: 'Crash logs', optional: true, purposes: ['Analytics'] },
+        { name: 'Diagnostics', optional: false, purposes: ['Fraud prevention, security, and compliance'] }
+    ]);
+    assert.equal(result.shared.declared_none, false);
+    assert.deepEqual(result.security, { encrypted_in_transit: true, deletion_request: true, families_policy: false, independent_review: false });
+});
+
+test('Declarations of no data and pages without a Data safety section', () => {
+    const none = api.modules.parseDataSafety('<html><body><h2>Data shared</h2><p>No data shared with third parties</p><h2>Data collected</h2><p>No data collected</p><div>Data isn’t encrypted</div></body></html>', DATA_SAFETY_URL);
+    assert.equal(none.shared.declared_none, true);
+    assert.equal(none.collected.declared_none, true);
+    assert.equal(none.security.encrypted_in_transit, false);
+    assert.equal(api.modules.parseDataSafety('<html><body><p>We’re sorry, the requested URL was not found.</p></body></html>', DATA_SAFETY_URL).found, false);
+});
+
+test('A parsed declaration is checked against the analysis and policy text', () => {
+    const declaration = api.modules.parseDataSafety(DATA_SAFETY_PAGE, DATA_SAFETY_URL);
+    const result = api.modules.crossCheckDataSafety(declaration, {
+        data_collection: { types: ['Email address', 'Device identifiers'] },
+        security_measures: { encryption_mentioned: false },
+        user_rights: { deletion: true }
+    }, 'We collect your email address, name, contacts, location and crash logs. We share device identifiers with advertisers.');
+    assert.deepEqual(result.discrepancies.map(entry => [entry.kind, entry.severity, entry.category ?? null]), [
+        ['shared_not_declared', 'high', 'device_ids'],
+        ['collected_not_declared', 'medium', 'device_ids'],
+        ['security_mismatch', 'low', null]
+    ]);
+    assert.deepEqual(result.summary, { high: 1, medium: 1, low: 1 });
+});
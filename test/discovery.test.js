@@ -0,0 +1,71 @@
+// App policy discovery against store and developer-site fixtures (no network)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startServer, storeFixtureFetcher } = require('./helpers');
+
+let api;
+before(async () => {
+    api = await startServer();
+});
+after(() => api.close());
+
+const fetchPage = storeFixtureFetcher(path.join(__dirname, 'fixtures', 'stores'));
+const discover = (appId, store = null) => api.modules.discoverAppPolicy(appId, { store, fetchPage });
+
+test('Play: the support section privacy link wins, unwrapped from google.com/url', async () => {
+    const body = await discover('com.example.app');
+    assert.equal(body.store, 'play');
+    assert.equal(body.app.name, 'Example App');
+    assert.equal(body.app.website, 'https://devsite.test/');
+    assert.equal(body.app.email, 'support@devsite.test');
+    assert.deepEqual(body.candidates, [{ url: 'https://example-app.test/privacy', confidence: 0.95, source: 'store_privacy_field' }]);
+});
+
+test('Play URLs are accepted as app ids', async () => {
+    const body = await discover('https://play.google.com/store/apps/details?id=com.example.app&hl=de');
+    assert.equal(body.app_id, 'com.example.app');
+});
+
+test('Developer website: the privacy link on its home page, not the cookie policy', async () => {
+    const body = await discover('com.devsite.app');
+    assert.deepEqual(body.candidates, [{ url: 'https://devsite.test/legal/privacy-policy', confidence: 0.7, source: 'developer_website_link' }]);
+});
+
+test('Developer website: well-known policy paths when the home page links to none', async () => {
+    const body = await discover('com.pathsite.app');
+    assert.deepEqual(body.candidates, [{ url: 'https://pathsite.test/privacy-policy', confidence: 0.75, source: 'developer_website_path' }]);
+});
+
+test('Unreachable developer sites give no candidates', async () => {
+    const body = await discover('com.offline.app');
+    assert.deepEqual(body.candidates, []);
+});
+
+test('A missing store page is reported and the package domain is still tried', async () => {
+    const body = await discover('com.missing.app');
+    assert.match(body.store_error, /No fixture play\/com\.missing\.app\.html/);
+    assert.deepEqual(body.candidates, []);
+});
+
+test('App Store: lookup plus app page, by numeric id', async () => {
+    const body = await discover('id123456789');
+    assert.equal(body.store, 'apple');
+    assert.equal(body.app.bundle_id, 'com.example.ios');
+    assert.equal(body.app.website, 'https://devsite.test/');
+    assert.deepEqual(body.candidates, [{ url: 'https://example-app.test/ios-privacy', confidence: 0.95, source: 'store_privacy_field' }]);
+});
+
+test('Invalid ids and unknown stores are rejected', async () => {
+    await assert.rejects(discover('not an app'), { status: 400 });
+    await assert.rejects(discover('com.example.app', 'fdroid'), { status: 400 });
+    // A package name is only an App Store bundle id when the store is named
+    assert.equal((await discover('com.example.app', 'apple')).store, 'apple');
+});
+
+test('The discovery endpoint validates its input', async () => {
+    const request = query => api.request('GET', `/api/apps/discover${query}`);
+    assert.equal((await request('')).status, 400);
+    assert.equal((await request('?app_id=not%20an%20app')).status, 400);
+    assert.equal((await request('?app_id=com.example.app&store=fdroid')).status, 400);
+});
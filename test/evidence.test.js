@@ -0,0 +1,58 @@
+// Rule-based findings and the excerpts cited for them
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let api;
+before(async () => {
+    api = await startServer();
+});
+after(() => api.close());
+
+const analyze = text => api.request('POST', '/api/analyze-text', { text });
+const findEvidence = (analysis, field, item) => analysis.evidence.find(entry => entry.field === field && entry.item === item);
+
+test('Keywords match whole words only', async () => {
+    const { status, body } = await analyze('We collect information about your account so we can run the service. Write to privacy@example.test with questions.');
+    assert.equal(status, 200);
+    // "form" inside "information" is no contact form
+    assert.ok(!body.analysis.contact_info.methods.includes('contact form'));
+    assert.ok(body.analysis.contact_info.methods.includes('email'));
+});
+
+test('Negated mentions are not cited as evidence', async () => {
+    const { body } = await analyze('We do not share personal information with third parties. You may contact us to delete your account at any time.');
+    assert.equal(body.analysis.data_sharing.third_parties, false);
+    assert.equal(findEvidence(body.analysis, 'data_sharing.third_parties'), undefined);
+    const deletion = findEvidence(body.analysis, 'user_rights.deletion');
+    assert.equal(deletion.verified, true);
+    assert.equal(deletion.excerpts[0].quote, 'You may contact us to delete your account at any time.');
+});
+
+test('Stems match their inflections', async () => {
+    const { body } = await analyze('This website uses cookies to remember your preferences. We encrypted all stored passwords and keep them secure.');
+    assert.ok(body.analysis.cookies_tracking.tracking_technologies.includes('Cookies'));
+    assert.ok(body.analysis.security_measures.measures.includes('Encryption'));
+    assert.equal(findEvidence(body.analysis, 'cookies_tracking.cookies_used').verified, true);
+});
+
+test('Negations with a typographic apostrophe count too', async () => {
+    const { body } = await analyze('We don’t share your personal information with partners or other third parties.');
+    assert.equal(body.analysis.data_sharing.third_parties, false);
+    assert.equal(findEvidence(body.analysis, 'data_sharing.third_parties'), undefined);
+});
+
+test('Generic words are not findings', async () => {
+    const { body } = await analyze('Read the third section to learn how to opt in to our newsletter. Share buttons on our blog let you post articles. We follow the law of Ireland.');
+    assert.equal(body.analysis.data_sharing.third_parties, false);
+    assert.equal(body.analysis.user_rights.opt_out, false);
+    assert.equal(body.analysis.data_sharing.law_enforcement, false);
+});
+
+test('Negators are whole words of the policy language', async () => {
+    // Portuguese "no" (in the) is no negation
+    const { body } = await analyze('Armazenamos os seus dados no servidor da empresa e podemos compartilhar os dados com terceiros para prestar o serviço. Você pode solicitar a exclusão dos seus dados.');
+    assert.equal(body.analysis.rule_language, 'pt');
+    assert.equal(body.analysis.data_sharing.third_parties, true);
+    assert.equal(findEvidence(body.analysis, 'data_sharing.third_parties').verified, true);
+});
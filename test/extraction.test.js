@@ -0,0 +1,85 @@
+// Structure-preserving extraction of policy pages
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const PAGE = `<!DOCTYPE html>
+<html lang="en_GB">
+<head><title>Privacy Policy | Example</title><script>var tracking = true;</script></head>
+<body>
+<nav><a href="/">Home</a> <a href="/shop">Shop</a></nav>
+<main>
+    <h1>Privacy Policy</h1>
+    <p>Last updated: March 3, 2024</p>
+    <h2>Information we collect</h2>
+    <p>We collect personal information you give us and data about how you use the service.</p>
+    <ul>
+        <li>Account data
+            <ul><li>Email address</li><li>Name</li></ul>
+        </li>
+        <li>Usage data</li>
+    </ul>
+    <h3>Cookies</h3>
+    <p>We use cookies to keep you signed in.</p>
+    <h2>Retention</h2>
+    <table>
+        <caption>How long we keep data</caption>
+        <tr><th>Data</th><th>Period</th></tr>
+        <tr><td>Account data</td><td>Until you delete your account</td></tr>
+    </table>
+</main>
+<footer>© Example Ltd</footer>
+</body>
+</html>`;
+let api;
+let document;
+before(async () => {
+    api = await startServer();
+    api.modules.registerPolicyFetcher('pages', {
+        label: 'Test pages',
+        isAvailable: () => true,
+        fetch: async url => ({ url, body: PAGE, contentType: 'text/html', headers: {} })
+    });
+    const { status, body } = await api.request('GET', '/api/extract?url=https://extract.test/privacy&fetcher=pages');
+    assert.equal(status, 200, body.error);
+    document = body;
+});
+after(() => api.close());
+
+test('Page metadata is read', () => {
+    assert.equal(document.title, 'Privacy Policy | Example');
+    assert.equal(document.language, 'en-GB');
+    assert.equal(document.last_updated.date, '2024-03-03');
+    assert.equal(document.text.slice(document.last_updated.start, document.last_updated.end), 'March 3, 2024');
+});
+
+test('Navigation, scripts and footers are left out of the text', () => {
+    assert.ok(!document.text.includes('Shop'));
+    assert.ok(!document.text.includes('tracking'));
+    assert.ok(!document.text.includes('Example Ltd'));
+    assert.equal(document.text_length, document.text.length);
+});
+
+test('Headings nest into sections with offsets into the text', () => {
+    assert.deepEqual(document.sections.map(section => [section.heading, section.level]), [
+        ['Privacy Policy', 1], ['Information we collect', 2], ['Cookies', 3], ['Retention', 2]
+    ]);
+    for (const section of document.sections) {
+        assert.equal(document.text.slice(section.start, section.start + section.heading.length), section.heading);
+    }
+    const findSection = (node, heading) => node.type === 'section' && node.heading === heading ? node
+        : (node.children || []).map(child => findSection(child, heading)).find(Boolean);
+    const collected = findSection(document.tree, 'Information we collect');
+    assert.deepEqual(collected.children.map(child => child.type), ['paragraph', 'list', 'section']);
+    assert.ok(document.text.slice(collected.start, collected.end).endsWith('We use cookies to keep you signed in.'));
+});
+
+test('Lists keep their nesting and tables their cells', () => {
+    const findNode = (node, type) => node.type === type ? node : (node.children || []).map(child => findNode(child, type)).find(Boolean);
+    const list = findNode(document.tree, 'list');
+    assert.deepEqual(list.items.map(item => [item.text, item.depth]), [['Account data', 0], ['Email address', 1], ['Name', 1], ['Usage data', 0]]);
+    const table = findNode(document.tree, 'table');
+    assert.deepEqual(table.rows.map(row => row.cells), [['Data', 'Period'], ['Account data', 'Until you delete your account']]);
+    assert.equal(document.text.slice(table.rows[1].start, table.rows[1].end), 'Account data\tUntil you delete your account');
+    assert.ok(document.text.includes('How long we keep data\nData\tPeriod'));
+});
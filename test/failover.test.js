@@ -0,0 +1,84 @@
+// Provider retries, failover chain and circuit breaker
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startMockProvider, aiAnalysis } = require('./helpers');
+
+const POLICY = 'We collect your email address to provide the service. You may delete your account at any time.';
+// Replies still to give, per provider; an empty queue answers with a valid analysis
+const replies = { compatible: [], ollama: [] };
+const answer = name => () => replies[name].shift() || JSON.stringify(aiAnalysis());
+let api;
+let compatible;
+let ollama;
+before(async () => {
+    compatible = await startMockProvider(answer('compatible'));
+    ollama = await startMockProvider(answer('ollama'));
+    api = await startServer({
+        AI_PROVIDER: 'openai_compatible',
+        OPENAI_COMPATIBLE_BASE_URL: compatible.url,
+        OPENAI_COMPATIBLE_MODEL: 'compatible-model',
+        OLLAMA_BASE_URL: ollama.url,
+        AI_PROVIDER_CHAIN: 'openai_compatible,ollama,rule_based',
+        AI_MAX_RETRIES: '1',
+        AI_RETRY_BASE_DELAY_MS: '10',
+        AI_RETRY_MAX_DELAY_MS: '5000',
+        CIRCUIT_BREAKER_THRESHOLD: '2',
+        CIRCUIT_BREAKER_COOLDOWN_SECONDS: '60'
+    });
+});
+after(() => {
+    api.close();
+    compatible.close();
+    ollama.close();
+});
+
+const analyze = async () => {
+    const { status, body } = await api.request('POST', '/api/analyze-text', { text: POLICY });
+    assert.equal(status, 200, body.error);
+    return body.analysis;
+};
+const attemptsOf = analysis => analysis.ai_attempts.map(({ provider, status, reason, retries }) => ({ provider, status, reason, retries }));
+
+test('Transient errors are retried after Retry-After', async () => {
+    replies.compatible.push({ status: 429, headers: { 'retry-after': '1' } });
+    const started = Date.now();
+    const analysis = await analyze();
+    assert.ok(Date.now() - started >= 1000);
+    assert.equal(analysis.ai_provider, 'openai_compatible');
+    assert.deepEqual(attemptsOf(analysis), [{ provider: 'openai_compatible', status: 'success', reason: undefined, retries: 1 }]);
+});
+
+test('A Retry-After beyond the longest delay moves on to the next provider', async () => {
+    replies.compatible.push({ status: 503, headers: { 'retry-after': '120' } });
+    const calls = compatible.requests.length;
+    const analysis = await analyze();
+    assert.equal(compatible.requests.length - calls, 1);
+    assert.equal(analysis.ai_provider, 'ollama');
+    assert.deepEqual(attemptsOf(analysis), [
+        { provider: 'openai_compatible', status: 'failed', reason: 'http_503', retries: 0 },
+        { provider: 'ollama', status: 'success', reason: undefined, retries: 0 }
+    ]);
+});
+
+test('Errors that are not transient are not retried, and the chain ends with rule-based analysis', async () => {
+    replies.compatible.push({ status: 400 });
+    replies.ollama.push({ status: 401 });
+    const analysis = await analyze();
+    assert.equal(analysis.analysis_method, 'enhanced_rule_based');
+    assert.match(analysis.ai_error, /openai_compatible: .*400.*; ollama: .*401/);
+    assert.deepEqual(attemptsOf(analysis).map(attempt => [attempt.reason, attempt.retries]), [['http_400', 0], ['http_401', 0]]);
+});
+
+test('The circuit opens after repeated failures and skips the provider', async () => {
+    // openai_compatible has failed twice in a row by now: the 503 and the 400
+    const { body } = await api.request('GET', '/api/health');
+    assert.equal(body.circuits.openai_compatible.state, 'open');
+    assert.equal(body.circuits.openai_compatible.consecutive_failures, 2);
+    assert.equal(body.circuits.ollama.state, 'closed');
+
+    const calls = compatible.requests.length;
+    const analysis = await analyze();
+    assert.equal(compatible.requests.length, calls);
+    assert.equal(analysis.ai_provider, 'ollama');
+    assert.deepEqual(attemptsOf(analysis)[0], { provider: 'openai_compatible', status: 'skipped', reason: 'circuit_open', retries: undefined });
+});
@@ -0,0 +1,106 @@
+// Policy files: PDF, DOCX, HTML and plain text uploads, and policy URLs that serve a PDF
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, zip } = require('./helpers');
+
+const MAX_UPLOAD = 64 * 1024;
+const LINES = [
+    '1. Information We Collect',
+    'We collect your email address and name when you create an account with us.',
+    '2. How We Share Information',
+    'We share personal information with service providers who host our website.',
+    '3. Your Rights',
+    'You can access your data or delete your account at any time by contacting us.'
+];
+
+// A one-page PDF with a text layer, one line of LINES per text line
+function pdf(lines) {
+    const escape = line => line.replace(/[\\()]/g, '\\$&');
+    const content = `BT /F1 11 Tf 14 TL 72 720 Td ${lines.map(line => `(${escape(line)}) Tj T*`).join(' ')} ET`;
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+        '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+        `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+    let body = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = body.length;
+        body += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = body.length;
+    body += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')}`;
+    body += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(body, 'latin1');
+}
+
+// A minimal DOCX: headings and paragraphs in word/document.xml
+function docx(lines) {
+    const paragraph = line => /^\d\./.test(line)
+        ? `<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:r><w:t>${line.replace(/^\d\.\s*/, '')}</w:t></w:r></w:p>`
+        : `<w:p><w:r><w:t>${line}</w:t></w:r></w:p>`;
+    return zip([
+        { name: '[Content_Types].xml', data: Buffer.from('<?xml version="1.0" encoding="UTF-8"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/></Types>') },
+        { name: '_rels/.rels', data: Buffer.from('<?xml version="1.0" encoding="UTF-8"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/></Relationships>') },
+        { name: 'word/document.xml', data: Buffer.from(`<?xml version="1.0" encoding="UTF-8"?><w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"><w:body>${lines.map(paragraph).join('')}</w:body></w:document>`) }
+    ]);
+}
+
+let api;
+before(async () => {
+    api = await startServer({ MAX_UPLOAD_BYTES: String(MAX_UPLOAD) });
+    api.modules.registerPolicyFetcher('pdf', {
+        label: 'Test PDF',
+        isAvailable: () => true,
+        fetch: async url => ({ url, body: pdf(LINES), contentType: 'application/pdf', headers: {} })
+    });
+});
+after(() => api.close());
+
+async function upload(data, filename, type = '') {
+    const form = new FormData();
+    form.append('file', new Blob([data], { type }), filename);
+    const response = await fetch(`${api.baseUrl}/api/analyze-file`, { method: 'POST', body: form });
+    return { status: response.status, body: await response.json() };
+}
+
+test('Uploads of each format are parsed into sections and analyzed', async () => {
+    const files = {
+        text: [LINES.join('\n\n'), 'policy.txt', 'text/plain'],
+        html: [`<html><body>${LINES.map(line => /^\d\./.test(line) ? `<h2>${line}</h2>` : `<p>${line}</p>`).join('')}</body></html>`, 'policy.html', 'text/html'],
+        pdf: [pdf(LINES), 'policy.pdf', 'application/pdf'],
+        docx: [docx(LINES), 'policy.docx', '']
+    };
+    for (const [format, [data, filename, type]] of Object.entries(files)) {
+        const { status, body } = await upload(data, filename, type);
+        assert.equal(status, 200, `${format}: ${body.error}`);
+        assert.equal(body.source, 'file');
+        assert.equal(body.filename, filename);
+        assert.equal(body.document.format, format);
+        assert.equal(body.document.section_count, 3, format);
+        assert.equal(body.analysis.user_rights.deletion, true, format);
+        assert.ok(body.history_id, format);
+    }
+});
+
+test('A policy URL that serves a PDF is parsed as a PDF', async () => {
+    const { status, body } = await api.request('GET', '/api/extract?url=https://pdf.test/privacy.pdf&fetcher=pdf');
+    assert.equal(status, 200, body.error);
+    assert.equal(body.format, 'pdf');
+    assert.equal(body.page_count, 1);
+    assert.deepEqual(body.sections.map(section => section.heading), ['1. Information We Collect', '2. How We Share Information', '3. Your Rights']);
+    assert.ok(body.text.includes('delete your account at any time'));
+});
+
+test('Missing, unsupported, unreadable and oversized files are refused', async () => {
+    const form = new FormData();
+    form.append('userId', 'anonymous');
+    const missing = await fetch(`${api.baseUrl}/api/analyze-file`, { method: 'POST', body: form });
+    assert.equal(missing.status, 400);
+    assert.equal((await upload(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0, 0, 0, 0]), 'logo.png', 'image/png')).status, 415);
+    assert.equal((await upload(Buffer.from('%PDF-1.4\nnot really a pdf'), 'broken.pdf', 'application/pdf')).status, 422);
+    assert.equal((await upload('Too short.', 'short.txt', 'text/plain')).status, 422);
+    assert.equal((await upload(Buffer.alloc(MAX_UPLOAD + 1, 'a'), 'large.txt', 'text/plain')).status, 413);
+});
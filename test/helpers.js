@@ -0,0 +1,188 @@
+// Shared setup: load the app against a throwaway database, with no AI provider keys
+// (analyses use the rule-based analyzer) and the given environment, and listen on a free port
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+async function startServer(env = {}) {
+    const dbPath = path.join(os.tmpdir(), `polai-test-${process.pid}.db`);
+    Object.assign(process.env, {
+        DB_PATH: dbPath,
+        AI_PROVIDER: 'mistral',
+        MISTRAL_API_KEY: '',
+        OPENAI_API_KEY: '',
+        ANTHROPIC_API_KEY: '',
+        API_AUTH_REQUIRED: 'false',
+        ...env
+    });
+    // Node 20's runner reads each test file's stdout as its report stream and plain text
+    // mixed into it can break that, so server logging goes to stderr (still shown per file)
+    console.log = console.error;
+    const modules = require('../server');
+    const { app } = modules;
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    return {
+        modules,
+        baseUrl,
+        request(method, route, body, headers = {}) {
+            return fetch(`${baseUrl}${route}`, {
+                method,
+                headers: body ? { 'content-type': 'application/json', ...headers } : headers,
+                body: body ? JSON.stringify(body) : undefined
+            }).then(async response => ({ status: response.status, headers: response.headers, body: await response.json() }));
+        },
+        close() {
+            server.closeAllConnections();
+            server.close();
+            fs.rmSync(dbPath, { force: true });
+        }
+    };
+}
+
+// A policy fetcher that reads sites from a fixtures directory: <dir>/<hostname>/<path>,
+// with index.html for a directory. The homepage's response headers, if any, come from
+// <dir>/<hostname>/headers.json (e.g. { "set-cookie": ["_ga=GA1.1.1; Max-Age=63072000"] }).
+function siteFixtureFetcher(dir) {
+    return {
+        label: 'Site fixtures',
+        isAvailable: () => true,
+        async fetch(url) {
+            const target = new URL(url);
+            const page = target.pathname.replace(/\/$/, '/index.html');
+            const file = path.join(dir, target.hostname, page);
+            if (!fs.existsSync(file)) throw Object.assign(new Error(`No site fixture ${target.hostname}${page}`), { status: 404 });
+            const headersFile = path.join(dir, target.hostname, 'headers.json');
+            const headers = page === '/index.html' && fs.existsSync(headersFile) ? JSON.parse(fs.readFileSync(headersFile, 'utf8')) : {};
+            return {
+                url: target.href,
+                body: fs.readFileSync(file, 'utf8'),
+                contentType: 'text/html',
+                // Lower-case names, as HTTP clients give them
+                headers: Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]))
+            };
+        }
+    };
+}
+
+// A fetchPage for app discovery that reads a fixtures directory instead of the stores:
+// play/<package>.html (and <package>.datasafety.html), apple/<id or bundle id>.json (the
+// iTunes lookup) and apple/<id>.html. Developer sites are read from sites/<hostname>/<path>,
+// with index.html for a directory. A host without a directory is unreachable, and a
+// missing page answers 404.
+function storeFixtureFetcher(dir) {
+    const read = (file, url) => ({ data: fs.readFileSync(path.join(dir, file), 'utf8'), finalUrl: url });
+    const missing = file => Object.assign(new Error(`No fixture ${file}`), { status: 404 });
+    return async url => {
+        const target = new URL(url);
+        let file;
+        if (target.hostname === 'play.google.com') {
+            const id = target.searchParams.get('id');
+            file = path.join('play', target.pathname.endsWith('/datasafety') ? `${id}.datasafety.html` : `${id}.html`);
+        } else if (target.hostname === 'itunes.apple.com') {
+            file = path.join('apple', `${target.searchParams.get('id') || target.searchParams.get('bundleId')}.json`);
+        } else if (target.hostname === 'apps.apple.com') {
+            file = path.join('apple', `${/id(\d+)/.exec(target.pathname)[1]}.html`);
+        } else {
+            if (!fs.existsSync(path.join(dir, 'sites', target.hostname))) throw missing(`sites/${target.hostname}`);
+            file = path.join('sites', target.hostname, target.pathname.replace(/\/$/, '/index.html'));
+            if (!fs.existsSync(path.join(dir, file))) {
+                throw Object.assign(new Error('Request failed with status code 404'), { response: { status: 404 } });
+            }
+        }
+        if (!fs.existsSync(path.join(dir, file))) throw missing(file);
+        return read(file, target.href);
+    };
+}
+
+// A local OpenAI-compatible chat completions server (for AI_PROVIDER=openai_compatible).
+// respond(body) returns (or resolves to) the message content for each request, or
+// { status, headers } to fail it; requests keeps the bodies.
+async function startMockProvider(respond) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', async () => {
+            const body = JSON.parse(data);
+            requests.push(body);
+            const content = await respond(body);
+            if (typeof content === 'object') {
+                res.writeHead(content.status, { 'content-type': 'application/json', ...content.headers });
+                return res.end(JSON.stringify({ error: { message: `Mock provider error ${content.status}` } }));
+            }
+            res.writeHead(200, { 'content-type': 'application/json' });
+            res.end(JSON.stringify({
+                model: body.model,
+                choices: [{ message: { role: 'assistant', content } }],
+                usage: { prompt_tokens: 100, completion_tokens: 20, total_tokens: 120 }
+            }));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}/v1`,
+        requests,
+        close() {
+            server.closeAllConnections();
+            server.close();
+        }
+    };
+}
+
+// A complete, schema-valid analysis as an AI provider returns it. overrides replace
+// top-level fields or are merged into a section.
+function aiAnalysis(overrides = {}) {
+    const analysis = {
+        summary: 'The service collects email addresses and shares them with service providers.',
+        data_collection: { types: ['Email address'], purposes: ['Providing the service'], transparency_score: 7, justification: 'Collection is explained.' },
+        user_rights: { access: true, deletion: true, correction: false, portability: false, opt_out: false, opt_out_methods: [], rights_score: 6, details: 'Users can access and delete their data.' },
+        data_sharing: { third_parties: true, third_party_purposes: ['Service providers'], international_transfers: false, transfer_safeguards: [], law_enforcement: false, user_control: false, sharing_score: 5 },
+        cookies_tracking: { cookies_used: false, tracking_technologies: [], opt_out_available: false, granular_controls: false, tracking_score: 8 },
+        security_measures: { measures: ['Encryption'], encryption_mentioned: true, access_controls: false, incident_response: false, security_score: 6 },
+        policy_updates: { notification_method: 'Email', frequency_mentioned: false, user_consent_required: false },
+        compliance: { gdpr_mentioned: false, ccpa_mentioned: false, coppa_mentioned: false, other_regulations: [], compliance_score: 4 },
+        contact_info: { provided: true, methods: ['email'], dpo_mentioned: false },
+        transparency: { clear_language: true, easy_to_find: true, well_organized: true, specific_examples: false, transparency_score: 7 },
+        data_retention: { retention_period_specified: false, deletion_process_clear: true, retention_score: 5 },
+        evidence: []
+    };
+    for (const [key, value] of Object.entries(overrides)) {
+        analysis[key] = value && typeof value === 'object' && !Array.isArray(value) ? { ...analysis[key], ...value } : value;
+    }
+    return analysis;
+}
+
+// A ZIP archive of deflated entries (APKs, DOCX files); size overrides the size recorded for an entry
+function zip(entries) {
+    const u16 = value => {
+        const buffer = Buffer.alloc(2);
+        buffer.writeUInt16LE(value);
+        return buffer;
+    };
+    const u32 = value => {
+        const buffer = Buffer.alloc(4);
+        buffer.writeUInt32LE(value);
+        return buffer;
+    };
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const { name, data, size = data.length } of entries) {
+        const compressed = zlib.deflateRawSync(data);
+        const fields = Buffer.concat([u16(20), u16(0), u16(8), u16(0), u16(0), u32(zlib.crc32(data)), u32(compressed.length), u32(size), u16(name.length), u16(0)]);
+        const local = Buffer.concat([u32(0x04034b50), fields, Buffer.from(name), compressed]);
+        centrals.push(Buffer.concat([u32(0x02014b50), u16(20), fields, u16(0), u16(0), u16(0), u32(0), u32(offset), Buffer.from(name)]));
+        locals.push(local);
+        offset += local.length;
+    }
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.concat([u32(0x06054b50), u16(0), u16(0), u16(entries.length), u16(entries.length), u32(directory.length), u32(offset), u16(0)]);
+    return Buffer.concat([...locals, directory, end]);
+}
+
+module.exports = { startServer, startMockProvider, siteFixtureFetcher, storeFixtureFetcher, aiAnalysis, zip };
@@ -0,0 +1,37 @@
+// Scan history
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+const POLICY = 'We collect your email address and usage data to provide the service. You may delete your account at any time.';
+let api;
+before(async () => {
+    api = await startServer();
+});
+after(() => api.close());
+
+test('Every analysis is saved and listed newest first', async () => {
+    const first = await api.request('POST', '/api/analyze-text', { text: POLICY });
+    const second = await api.request('POST', '/api/analyze-text', { text: `${POLICY} We never sell your data.` });
+    assert.ok(first.body.history_id);
+
+    const { body } = await api.request('GET', '/api/history?limit=1');
+    assert.deepEqual(body.history.map(entry => entry.id), [second.body.history_id]);
+    assert.deepEqual(body.pagination, { page: 1, limit: 1, total: 2, total_pages: 2 });
+    // Listings leave out the stored analysis
+    assert.equal(body.history[0].analysis, undefined);
+    assert.equal(body.history[0].source_type, 'text');
+    assert.equal(body.history[0].analysis_method, 'enhanced_rule_based');
+
+    const entry = (await api.request('GET', `/api/history/${first.body.history_id}`)).body.entry;
+    assert.equal(entry.text_length, POLICY.length);
+    assert.equal(entry.analysis.user_rights.deletion, true);
+    assert.equal(entry.privacy_score, entry.scan_result.privacyScore);
+});
+
+test('Entries can be deleted', async () => {
+    const { body } = await api.request('POST', '/api/analyze-text', { text: POLICY });
+    assert.equal((await api.request('DELETE', `/api/history/${body.history_id}`)).body.deleted, body.history_id);
+    assert.equal((await api.request('GET', `/api/history/${body.history_id}`)).status, 404);
+    assert.equal((await api.request('DELETE', `/api/history/${body.history_id}`)).status, 404);
+});
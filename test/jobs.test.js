@@ -0,0 +1,79 @@
+// Background jobs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('timers/promises');
+const { startServer } = require('./helpers');
+
+const HOST = 'https://93.184.216.34';
+const POLICY = '<html><body><h1>Privacy Policy</h1><p>We collect your email address to provide the service.</p><p>Write to privacy@example.test with any questions about this policy.</p></body></html>';
+let api;
+before(async () => {
+    api = await startServer({ POLICY_FETCHER: 'pages', JOB_CONCURRENCY: '1' });
+    // Every path is a policy except /missing; /slow ones take a while
+    api.modules.registerPolicyFetcher('pages', {
+        label: 'Test pages',
+        isAvailable: () => true,
+        async fetch(url) {
+            const { pathname } = new URL(url);
+            if (pathname === '/missing') throw Object.assign(new Error('Request failed with status code 404'), { status: 404 });
+            if (pathname.startsWith('/slow')) await delay(200);
+            return { url, body: POLICY, contentType: 'text/html', headers: {} };
+        }
+    });
+});
+after(() => api.close());
+
+const waitForJob = async id => {
+    for (let i = 0; i < 100; i++) {
+        const { body } = await api.request('GET', `/api/jobs/${id}`);
+        // A cancelled job still finishes the URLs already running
+        if (['completed', 'cancelled'].includes(body.job.status) && !body.items.some(item => item.status === 'running')) return body;
+        await delay(50);
+    }
+    throw new Error(`Job ${id} did not finish`);
+};
+
+test('Jobs analyze every URL and report per-URL results', async () => {
+    const { status, body } = await api.request('POST', '/api/jobs', { urls: [`${HOST}/privacy`, `${HOST}/missing`, '93.184.216.34/other'] });
+    assert.equal(status, 202, body.error);
+    assert.equal(body.status_url, `/api/jobs/${body.job.id}`);
+    assert.equal(body.job.total, 3);
+
+    const done = await waitForJob(body.job.id);
+    assert.equal(done.job.percent_complete, 100);
+    assert.deepEqual(done.job.progress, { pending: 0, running: 0, completed: 2, failed: 1, cancelled: 0 });
+    // URLs are stored normalized
+    assert.deepEqual(done.items.map(item => [item.url, item.status]), [
+        [`${HOST}/privacy`, 'completed'],
+        [`${HOST}/missing`, 'failed'],
+        [`${HOST}/other`, 'completed']
+    ]);
+    assert.ok(done.items[0].result.history_id);
+    assert.match(done.items[1].error, /404/);
+});
+
+test('Cancelling a job skips its pending URLs', async () => {
+    const { body } = await api.request('POST', '/api/jobs', { urls: [1, 2, 3].map(n => `${HOST}/slow${n}`) });
+    const cancelled = await api.request('DELETE', `/api/jobs/${body.job.id}`);
+    assert.equal(cancelled.body.job.status, 'cancelled');
+    const done = await waitForJob(body.job.id);
+    assert.deepEqual(done.items.map(item => item.status), ['completed', 'cancelled', 'cancelled']);
+    assert.equal((await api.request('DELETE', `/api/jobs/${body.job.id}`)).status, 409);
+});
+
+test('Jobs with invalid or blocked URLs are refused at creation', async () => {
+    const { status, body } = await api.request('POST', '/api/jobs', {
+        urls: [`${HOST}/privacy`, 'http://169.254.169.254/latest/meta-data/', 'ftp://93.184.216.34/', 42]
+    });
+    assert.equal(status, 400);
+    assert.match(body.error, /position 1/);
+    assert.deepEqual(body.invalid_urls.map(entry => entry.position), [1, 2, 3]);
+    assert.match(body.invalid_urls[0].error, /private or reserved address/);
+});
+
+test('The batch endpoint is marked deprecated', async () => {
+    const { status, headers } = await api.request('POST', '/api/analyze/batch', { urls: [] });
+    assert.equal(status, 200);
+    assert.equal(headers.get('deprecation'), 'true');
+    assert.match(headers.get('link'), /<\/api\/jobs>; rel="successor-version"/);
+});
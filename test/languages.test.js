@@ -0,0 +1,72 @@
+// Policy locales, language detection and the output language of AI summaries
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startMockProvider, aiAnalysis } = require('./helpers');
+
+// Declared as English, as translated sites often leave it
+const GERMAN_PAGE = `<html lang="en"><head><title>Datenschutzerklärung</title></head><body><main>
+    <h1>Datenschutzerklärung</h1>
+    <p>Wir verarbeiten Ihre personenbezogenen Daten nur im Rahmen der gesetzlichen Vorgaben. Sie können die Löschung Ihrer Daten jederzeit verlangen, und wir geben die Daten nicht an Dritte weiter, es sei denn, Sie haben dem zugestimmt.</p>
+</main></body></html>`;
+const locales = [];
+let provider;
+let api;
+before(async () => {
+    provider = await startMockProvider(body => body.model === 'broken-model' ? { status: 400 } : JSON.stringify(aiAnalysis({ summary: 'Der Dienst verarbeitet E-Mail-Adressen.' })));
+    api = await startServer({
+        AI_PROVIDER: 'openai_compatible',
+        OPENAI_COMPATIBLE_BASE_URL: provider.url,
+        OPENAI_COMPATIBLE_MODEL: 'test-model',
+        AI_MAX_RETRIES: '0',
+        POLICY_FETCHER: 'pages'
+    });
+    api.modules.registerPolicyFetcher('pages', {
+        label: 'Test pages',
+        isAvailable: () => true,
+        async fetch(url, { locale }) {
+            locales.push(locale);
+            return { url, body: GERMAN_PAGE, contentType: 'text/html', headers: {} };
+        }
+    });
+});
+after(() => {
+    api.close();
+    provider.close();
+});
+
+const POLICY_URL = 'https://languages.test/datenschutz';
+
+test('The requested locale is canonicalized and passed to the fetcher', async () => {
+    locales.length = 0;
+    assert.equal((await api.request('GET', `/api/extract?url=${POLICY_URL}`)).status, 200);
+    assert.equal((await api.request('GET', `/api/extract?url=${POLICY_URL}&locale=de_DE`)).status, 200);
+    assert.equal((await api.request('GET', `/api/extract?url=${POLICY_URL}&locale=en-GB`)).status, 200);
+    // No locale: the HTTP fetcher asks for en-US
+    assert.deepEqual(locales, [null, 'de-DE', 'en-GB']);
+    assert.equal((await api.request('GET', `/api/extract?url=${POLICY_URL}&locale=not a locale`)).status, 400);
+});
+
+test('The detected language takes precedence over the declared one', async () => {
+    const { body } = await api.request('GET', `/api/extract?url=${POLICY_URL}`);
+    assert.equal(body.language, 'en');
+    assert.equal(body.detected_language, 'de');
+});
+
+test('output_language is passed to the provider and recorded', async () => {
+    const { status, body } = await api.request('POST', '/api/analyze', { url: POLICY_URL, output_language: 'de', refresh: true });
+    assert.equal(status, 200, body.error);
+    assert.equal(body.analysis.output_language, 'de');
+    assert.ok(provider.requests.at(-1).messages[1].content.includes('Write "summary" and all other free-text explanations in German.'));
+    const english = await api.request('POST', '/api/analyze-text', { text: GERMAN_PAGE });
+    assert.equal(english.body.analysis.output_language, 'en');
+    assert.ok(!provider.requests.at(-1).messages[1].content.includes('free-text explanations in'));
+    assert.equal((await api.request('POST', '/api/analyze-text', { text: GERMAN_PAGE, output_language: 'klingon!' })).status, 400);
+});
+
+test('Rule-based fallbacks use the policy language pack and answer in English', async () => {
+    const { body } = await api.request('POST', '/api/analyze', { url: POLICY_URL, output_language: 'de', model: 'broken-model', refresh: true });
+    assert.equal(body.analysis.analysis_method, 'enhanced_rule_based');
+    assert.equal(body.analysis.rule_language, 'de');
+    assert.equal(body.analysis.output_language, 'en');
+    assert.equal(body.analysis.user_rights.deletion, true);
+});
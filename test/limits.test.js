@@ -0,0 +1,76 @@
+// Per-key rate limits and daily LLM-call quotas
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startMockProvider } = require('./helpers');
+
+const ADMIN = { 'x-admin-key': 'test-admin-key' };
+// Ten sections of about 500 characters: several chunks at a 300-token input budget
+const LONG_POLICY = Array.from({ length: 10 }, (_, i) => `Section ${i + 1}\n${'We collect your email address and device identifiers to provide the service. '.repeat(6)}`).join('\n\n');
+let api;
+let provider;
+before(async () => {
+    provider = await startMockProvider(() => JSON.stringify({ summary: 'The service collects email addresses.' }));
+    api = await startServer({
+        API_AUTH_REQUIRED: '',
+        ADMIN_API_KEY: ADMIN['x-admin-key'],
+        AI_PROVIDER: 'openai_compatible',
+        OPENAI_COMPATIBLE_BASE_URL: provider.url,
+        OPENAI_COMPATIBLE_MODEL: 'test-model',
+        OPENAI_COMPATIBLE_MAX_INPUT_TOKENS: '300',
+        AI_CHUNK_CONCURRENCY: '1'
+    });
+});
+after(() => {
+    api.close();
+    provider.close();
+});
+
+const issueKey = async (userId, limits = {}) => {
+    const { status, body } = await api.request('POST', '/api/admin/keys', { user_id: userId, ...limits }, ADMIN);
+    assert.equal(status, 201, body.error);
+    return { authorization: `Bearer ${body.key}`, id: body.api_key.id };
+};
+
+test('Requests over the per-minute limit get a 429 with Retry-After', async () => {
+    const { authorization } = await issueKey('erin', { rate_limit_per_minute: 2 });
+    const first = await api.request('GET', '/api/history', null, { authorization });
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('ratelimit-limit'), '2');
+    assert.equal(first.headers.get('ratelimit-remaining'), '1');
+    assert.equal((await api.request('GET', '/api/history', null, { authorization })).status, 200);
+    const limited = await api.request('GET', '/api/history', null, { authorization });
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) >= 1);
+});
+
+test('Idle rate-limit buckets are dropped', t => {
+    const { takeRateLimitToken, rateLimitBuckets } = api.modules;
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    takeRateLimitToken({ id: -1, rate_limit_per_minute: 5 });
+    t.mock.timers.tick(30000);
+    takeRateLimitToken({ id: -2, rate_limit_per_minute: 5 });
+    assert.ok(rateLimitBuckets.has(-1));
+    t.mock.timers.tick(60000);
+    takeRateLimitToken({ id: -3, rate_limit_per_minute: 5 });
+    assert.ok(!rateLimitBuckets.has(-1));
+    assert.ok(!rateLimitBuckets.has(-2));
+    assert.ok(rateLimitBuckets.has(-3));
+});
+
+test('The quota is checked on every provider call, not only when the request starts', async () => {
+    const key = await issueKey('frank', { daily_llm_quota: 2 });
+    const calls = provider.requests.length;
+    const { status, body, headers } = await api.request('POST', '/api/analyze-text', { text: LONG_POLICY }, { authorization: key.authorization });
+    assert.equal(status, 200, body.error);
+    assert.equal(headers.get('x-llm-quota-remaining'), '2');
+    // Two chunks (or a chunk and its repair) ran, the rest were refused
+    assert.equal(provider.requests.length - calls, 2);
+    assert.equal(body.analysis.analysis_method, 'enhanced_rule_based');
+    assert.deepEqual(body.analysis.ai_attempts.map(attempt => attempt.reason), ['quota_exceeded']);
+
+    const keys = (await api.request('GET', '/api/admin/keys?user_id=frank', null, ADMIN)).body.api_keys;
+    assert.equal(keys[0].llm_calls_today, 2);
+    const refused = await api.request('POST', '/api/analyze-text', { text: LONG_POLICY }, { authorization: key.authorization });
+    assert.equal(refused.status, 429);
+    assert.equal(provider.requests.length - calls, 2);
+});
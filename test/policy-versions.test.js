@@ -0,0 +1,62 @@
+// Policy snapshots, versions and diffs
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let policyHtml;
+let api;
+before(async () => {
+    api = await startServer();
+    api.modules.registerPolicyFetcher('pages', {
+        label: 'Test pages',
+        isAvailable: () => true,
+        fetch: async url => ({ url, body: policyHtml, contentType: 'text/html', headers: {} })
+    });
+});
+after(() => api.close());
+
+const INTRO = 'We collect your email address to provide the service.';
+const CONTACT = 'Write to privacy@versions.test with any questions about this policy.';
+const publish = (...sentences) => {
+    policyHtml = `<html><body><h1>Privacy Policy</h1>${sentences.map(sentence => `<p>${sentence}</p>`).join('')}</body></html>`;
+};
+const analyze = () => api.request('POST', '/api/analyze', { url: 'https://versions.test/privacy', fetcher: 'pages' });
+
+test('A new version is stored only when the text changes', async () => {
+    publish(INTRO, 'You may delete your account at any time.', CONTACT);
+    const first = (await analyze()).body.policy_version;
+    assert.equal(first.changed, false);
+    const again = (await analyze()).body.policy_version;
+    assert.deepEqual(again, first);
+
+    const diff = await api.request('GET', `/api/policies/${first.policy_id}/diff`);
+    assert.equal(diff.status, 404);
+    assert.match(diff.body.error, /fewer than two versions/);
+
+    publish(INTRO, 'We share your personal information with third parties.', CONTACT);
+    const changed = (await analyze()).body.policy_version;
+    assert.equal(changed.changed, true);
+    assert.equal(changed.policy_id, first.policy_id);
+
+    const { body } = await api.request('GET', `/api/policies/${first.policy_id}/versions`);
+    assert.deepEqual(body.versions.map(version => version.id), [changed.version_id, first.version_id]);
+    assert.ok(body.versions.every(version => version.has_analysis));
+    const policies = (await api.request('GET', '/api/policies?url=versions.test/privacy')).body.policies;
+    assert.deepEqual(policies.map(policy => [policy.id, policy.versions]), [[first.policy_id, 2]]);
+});
+
+test('Diffs list changed sentences and findings', async () => {
+    const [policy] = (await api.request('GET', '/api/policies')).body.policies;
+    const { status, body } = await api.request('GET', `/api/policies/${policy.id}/diff`);
+    assert.equal(status, 200);
+    assert.equal(body.text_changed, true);
+    assert.deepEqual(body.text_diff.summary, { added: 1, removed: 1, unchanged: 2 });
+    const changes = Object.fromEntries(body.analysis_diff.changes.filter(change => change.type === 'boolean').map(change => [change.path, [change.from, change.to]]));
+    assert.deepEqual(changes['user_rights.deletion'], [true, false]);
+    assert.deepEqual(changes['data_sharing.third_parties'], [false, true]);
+    assert.ok(body.analysis_diff.score.delta < 0);
+
+    const missing = await api.request('GET', `/api/policies/${policy.id}/diff?from=999999`);
+    assert.equal(missing.status, 404);
+    assert.match(missing.body.error, /Version not found/);
+});
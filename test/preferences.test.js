@@ -0,0 +1,46 @@
+// Per-user preferences and the personalized score
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+// Collects data and shares it with third parties
+const POLICY = 'We collect your email address to provide the service. We share personal information with third parties that help us run it.';
+let api;
+before(async () => {
+    api = await startServer();
+});
+after(() => api.close());
+
+const preferences = body => api.request('PUT', '/api/preferences/anonymous', body);
+const personalizedScan = async () => {
+    const { body } = await api.request('POST', '/api/analyze-text', { text: POLICY });
+    return (await api.request('GET', `/api/history/${body.history_id}`)).body.entry.scan_result;
+};
+
+test('Preferences are validated', async () => {
+    const unknown = await preferences({ pets: true });
+    assert.equal(unknown.status, 400);
+    assert.ok(unknown.body.allowed.includes('third_party_sharing'));
+    assert.equal((await preferences({ third_party_sharing: 'yes' })).status, 400);
+    assert.equal((await preferences({})).status, 400);
+});
+
+test('Concerns the user cares about weigh more and are violations', async () => {
+    const neutral = await personalizedScan();
+    const concerns = neutral.concerns.map(concern => concern.concern);
+    assert.ok(concerns.includes('data_collection') && concerns.includes('third_party_sharing'));
+    assert.deepEqual(neutral.violations, []);
+
+    const { body } = await preferences({ third_party_sharing: true, data_collection: false });
+    assert.equal(body.preferences.third_party_sharing, true);
+    assert.equal(body.preferences.cookies, null);
+    const strict = await personalizedScan();
+    assert.deepEqual(strict.violations, ['Violation: third party sharing']);
+    assert.equal(strict.concerns.find(concern => concern.concern === 'third_party_sharing').weight, 6);
+    assert.equal(strict.concerns.find(concern => concern.concern === 'data_collection').weight, 1.5);
+    assert.ok(strict.privacyScore < neutral.privacyScore);
+
+    const reset = await api.request('DELETE', '/api/preferences/anonymous');
+    assert.equal(reset.body.removed, 2);
+    assert.deepEqual((await personalizedScan()).violations, []);
+});
@@ -0,0 +1,64 @@
+// AI provider registry and per-request provider selection
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startMockProvider, aiAnalysis } = require('./helpers');
+
+const POLICY = 'We collect your email address to provide the service. You may delete your account at any time.';
+let api;
+let compatible;
+let ollama;
+before(async () => {
+    compatible = await startMockProvider(() => JSON.stringify(aiAnalysis()));
+    ollama = await startMockProvider(() => JSON.stringify(aiAnalysis({ summary: 'Answered by Ollama.' })));
+    api = await startServer({
+        AI_PROVIDER: 'openai_compatible',
+        OPENAI_COMPATIBLE_BASE_URL: compatible.url,
+        OPENAI_COMPATIBLE_MODEL: 'compatible-model',
+        OLLAMA_BASE_URL: ollama.url
+    });
+});
+after(() => {
+    api.close();
+    compatible.close();
+    ollama.close();
+});
+
+const analyze = body => api.request('POST', '/api/analyze-text', { text: POLICY, ...body });
+
+test('The default provider gets a chat completion request', async () => {
+    const { status, body } = await analyze();
+    assert.equal(status, 200, body.error);
+    assert.equal(body.analysis.analysis_method, 'openai_compatible');
+    assert.equal(body.analysis.ai_provider, 'openai_compatible');
+    assert.equal(body.analysis.ai_model, 'compatible-model');
+    const request = compatible.requests.at(-1);
+    assert.equal(request.model, 'compatible-model');
+    assert.deepEqual(request.messages.map(message => message.role), ['system', 'user']);
+    assert.ok(request.messages[1].content.includes(POLICY));
+    assert.equal(body.usage.llm_calls, 1);
+    assert.equal(body.usage.total_tokens, 120);
+});
+
+test('Requests can pick another provider and model', async () => {
+    const { body } = await analyze({ provider: 'ollama', model: 'llama3.2' });
+    assert.equal(body.analysis.ai_provider, 'ollama');
+    assert.equal(body.analysis.ai_model, 'llama3.2');
+    assert.equal(body.analysis.summary, 'Answered by Ollama.');
+    assert.equal(ollama.requests.at(-1).model, 'llama3.2');
+});
+
+test('Unknown providers and empty models are refused', async () => {
+    const unknown = await analyze({ provider: 'nope' });
+    assert.equal(unknown.status, 400);
+    assert.match(unknown.body.error, /Unknown AI provider: nope\. Available: .*openai_compatible/);
+    assert.equal((await analyze({ model: ' ' })).status, 400);
+});
+
+test('The health check lists the providers', async () => {
+    const { body } = await api.request('GET', '/api/health');
+    const providers = Object.fromEntries(body.providers.map(provider => [provider.name, provider]));
+    assert.equal(providers.openai_compatible.configured, true);
+    assert.equal(providers.openai_compatible.default_model, 'compatible-model');
+    assert.equal(providers.anthropic.configured, false);
+    assert.deepEqual(body.provider_chain, ['openai_compatible', 'rule_based']);
+});
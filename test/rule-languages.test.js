@@ -0,0 +1,34 @@
+// Language packs of the rule-based analyzer: stems match from the start of a word
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let api;
+before(async () => {
+    api = await startServer();
+});
+after(() => api.close());
+
+const analyze = async text => (await api.request('POST', '/api/analyze-text', { text })).body.analysis;
+const GERMAN_INTRO = 'Wir verarbeiten Ihre personenbezogenen Daten nur im Rahmen der gesetzlichen Vorgaben. ';
+
+test('German stems match their inflections and listed compound tails', async () => {
+    const analysis = await analyze(`${GERMAN_INTRO}Die Daten liegen auf sicheren Servern in Frankfurt. Sie können uns per Post an unsere Anschrift schreiben. Sie haben ein Recht auf Datenlöschung.`);
+    assert.ok(analysis.security_measures.measures.includes('Secure Servers'));
+    assert.ok(analysis.contact_info.methods.includes('postal mail'));
+    assert.equal(analysis.user_rights.deletion, true);
+});
+
+test('German stems do not match inside other words', async () => {
+    // Postleitzahl is no postal mail, Versicherung is not sicher, Dienstleister is no service
+    const analysis = await analyze(`${GERMAN_INTRO}Geben Sie Ihre Postleitzahl und Adresse für den Versand an. Ihre Versicherung erhält keine Daten von unseren Servern. Unsere Dienstleister arbeiten in unserem Auftrag.`);
+    assert.ok(!analysis.contact_info.methods.includes('postal mail'));
+    assert.ok(!analysis.security_measures.measures.includes('Secure Servers'));
+    assert.ok(!analysis.data_collection.purposes.includes('Service Provision'));
+});
+
+test('French security measures "adaptées" are no personalization', async () => {
+    const analysis = await analyze('Nous traitons vos données personnelles conformément à la loi. Nous prenons des mesures de sécurité adaptées pour protéger vos données et nous ne vendons pas vos données.');
+    assert.ok(!analysis.data_collection.purposes.includes('Personalization'));
+    assert.ok(analysis.data_collection.purposes.includes('Security & Fraud Prevention'));
+});
@@ -0,0 +1,96 @@
+// Schema validation, coercion and repair of AI output
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startMockProvider, aiAnalysis } = require('./helpers');
+
+const POLICY = 'We collect your email address to provide the service. We comply with the GDPR. You may delete your account at any time.';
+// Replies still to give; an empty queue answers with a valid analysis
+const replies = [];
+let api;
+let provider;
+before(async () => {
+    provider = await startMockProvider(() => replies.shift() || JSON.stringify(aiAnalysis()));
+    api = await startServer({
+        AI_PROVIDER: 'openai_compatible',
+        OPENAI_COMPATIBLE_BASE_URL: provider.url,
+        OPENAI_COMPATIBLE_MODEL: 'test-model',
+        AI_MAX_RETRIES: '0'
+    });
+});
+after(() => {
+    api.close();
+    provider.close();
+});
+
+// Analyze POLICY with the given provider replies; returns the analysis and the requests sent
+const analyzeWith = async (...queued) => {
+    replies.push(...queued);
+    const calls = provider.requests.length;
+    const { status, body } = await api.request('POST', '/api/analyze-text', { text: POLICY });
+    assert.equal(status, 200, body.error);
+    return { analysis: body.analysis, requests: provider.requests.slice(calls) };
+};
+
+test('Loosely typed values are coerced without a repair call', async () => {
+    const { analysis, requests } = await analyzeWith(JSON.stringify(aiAnalysis({
+        user_rights: { deletion: 'Yes', rights_score: '70%' },
+        data_sharing: { sharing_score: '7/10', third_parties: 0 },
+        data_collection: { types: 'Email address; Device identifiers' }
+    })));
+    assert.equal(requests.length, 1);
+    assert.equal(analysis.user_rights.deletion, true);
+    assert.equal(analysis.user_rights.rights_score, 7);
+    assert.equal(analysis.data_sharing.sharing_score, 7);
+    assert.equal(analysis.data_sharing.third_parties, false);
+    assert.deepEqual(analysis.data_collection.types, ['Email address', 'Device identifiers']);
+    assert.deepEqual(analysis.schema_validation, {
+        valid: false,
+        repaired: false,
+        coerced: ['data_collection.types', 'user_rights.deletion', 'user_rights.rights_score', 'data_sharing.third_parties', 'data_sharing.sharing_score'],
+        filled_from_rule_based: []
+    });
+});
+
+test('Fenced JSON is read and missing fields come from the rule-based analyzer', async () => {
+    const partial = aiAnalysis();
+    delete partial.compliance;
+    delete partial.contact_info.methods;
+    const { analysis, requests } = await analyzeWith(`Here is the analysis:\n\`\`\`json\n${JSON.stringify(partial)}\n\`\`\``);
+    assert.equal(requests.length, 1);
+    assert.equal(analysis.compliance.gdpr_mentioned, true);
+    assert.deepEqual(analysis.schema_validation.filled_from_rule_based, ['compliance', 'contact_info.methods']);
+    assert.equal(analysis.schema_validation.valid, false);
+});
+
+test('Unreadable output gets one repair round-trip', async () => {
+    const { analysis, requests } = await analyzeWith('I am unable to answer in JSON.', JSON.stringify(aiAnalysis()));
+    assert.equal(requests.length, 2);
+    assert.match(requests[1].messages[0].content, /You fix JSON/);
+    assert.match(requests[1].messages[1].content, /response is not valid JSON/);
+    assert.equal(analysis.analysis_method, 'openai_compatible');
+    assert.equal(analysis.schema_validation.repaired, true);
+    assert.equal(analysis.schema_validation.valid, false);
+});
+
+test('Values that cannot be coerced are named in the repair prompt', async () => {
+    const { analysis, requests } = await analyzeWith(JSON.stringify(aiAnalysis({ user_rights: { deletion: 'sometimes' } })), JSON.stringify(aiAnalysis()));
+    assert.equal(requests.length, 2);
+    assert.match(requests[1].messages[1].content, /- user_rights\.deletion: expected boolean, got "sometimes"/);
+    assert.equal(analysis.user_rights.deletion, true);
+    assert.equal(analysis.schema_validation.repaired, true);
+});
+
+test('A failed repair falls back to the rule-based analyzer', async () => {
+    const { analysis, requests } = await analyzeWith('Not JSON.', 'Still not JSON.');
+    assert.equal(requests.length, 2);
+    assert.equal(analysis.analysis_method, 'enhanced_rule_based');
+    assert.match(analysis.ai_error, /schema validation after repair/);
+});
+
+test('A valid response passes unchanged', async () => {
+    const { analysis } = await analyzeWith(JSON.stringify(aiAnalysis()));
+    assert.deepEqual(analysis.schema_validation, { valid: true, repaired: false, coerced: [], filled_from_rule_based: [] });
+    const schema = (await api.request('GET', '/api/schema')).body;
+    assert.ok(schema.required.includes('data_retention'));
+    assert.deepEqual(schema.properties.user_rights.properties.rights_score, { type: 'number', minimum: 0, maximum: 10 });
+});
@@ -0,0 +1,75 @@
+// Site tracker audit against homepage and policy fixtures (no network)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { startServer, siteFixtureFetcher } = require('./helpers');
+
+let api;
+before(async () => {
+    api = await startServer();
+    api.modules.registerPolicyFetcher('fixtures', siteFixtureFetcher(path.join(__dirname, 'fixtures', 'sites')));
+});
+after(() => api.close());
+
+const audit = body => api.request('POST', '/api/audit-site', { fetcher: 'fixtures', ...body });
+const byId = trackers => Object.fromEntries(trackers.map(tracker => [tracker.id, tracker]));
+
+test('Inventories third-party scripts, pixels, iframes and cookies', async () => {
+    const { status, body } = await audit({ url: 'https://shop.test/' });
+    assert.equal(status, 200);
+    const { scripts, pixels, iframes, cookies } = body.inventory;
+    // First-party scripts are left out; inline snippets count
+    assert.ok(!scripts.some(script => script.host === 'shop.test'));
+    assert.ok(scripts.some(script => script.inline && script.tracker === 'meta_pixel'));
+    assert.deepEqual(pixels.map(pixel => [pixel.tracker, pixel.noscript]), [['meta_pixel', true]]);
+    assert.deepEqual(iframes.map(iframe => iframe.tracker), ['youtube']);
+    assert.deepEqual(cookies.map(cookie => [cookie.name, cookie.tracker]), [['_ga', 'google_analytics'], ['_fbp', 'meta_pixel'], ['sessionid', null]]);
+    assert.equal(cookies[0].lifetime_days, 730);
+    assert.deepEqual(body.summary.unknown_third_parties, ['cdn.unknown-widgets.test']);
+    assert.ok(body.tracker_db.count > 0);
+});
+
+test('Checks trackers against the policy linked from the homepage', async () => {
+    const { body } = await audit({ url: 'https://shop.test/' });
+    assert.equal(body.policy.source, 'homepage_link');
+    assert.equal(body.policy.url, 'https://shop.test/legal/privacy.html');
+    const trackers = byId(body.trackers);
+    assert.equal(trackers.google_analytics.disclosed, true);
+    assert.equal(trackers.meta_pixel.disclosed, true);
+    assert.equal(trackers.youtube.disclosed, true);
+    // Named by category only: the policy's analytics purposes cover Hotjar
+    assert.equal(trackers.hotjar.disclosed_by, 'generic');
+    assert.equal(trackers.fingerprintjs.disclosed, false);
+    assert.deepEqual(body.undisclosed.map(finding => finding.tracker), ['fingerprintjs']);
+});
+
+test('policy_text and policy_url take precedence over the homepage link', async () => {
+    const fromText = await audit({ url: 'shop.test', policy_text: 'We use cookies. Hotjar, Google Tag Manager and FingerprintJS run on our website to see how visitors use it.' });
+    assert.equal(fromText.body.policy.source, 'text');
+    assert.deepEqual(fromText.body.undisclosed.map(finding => finding.tracker).sort(), ['google_analytics', 'meta_pixel', 'youtube']);
+
+    const fromUrl = await audit({ url: 'https://nolink.test/', policy_url: 'https://shop.test/legal/privacy.html' });
+    assert.equal(fromUrl.body.policy.source, 'url');
+    assert.equal(byId(fromUrl.body.trackers).google_analytics.disclosed_by, 'policy_text');
+});
+
+test('Without a policy every tracker is undisclosed', async () => {
+    const { status, body } = await audit({ url: 'https://nolink.test/' });
+    assert.equal(status, 200);
+    assert.equal(body.policy, null);
+    assert.match(body.policy_error, /No privacy policy link/);
+    assert.deepEqual(body.undisclosed.map(finding => finding.tracker), ['google_analytics']);
+});
+
+test('Flags cookies when the policy says none are used', async () => {
+    const { body } = await audit({ url: 'https://quiet.test/' });
+    assert.equal(body.policy.cookies_used, false);
+    assert.deepEqual(body.undisclosed.map(finding => [finding.kind, finding.cookies]), [['undisclosed_cookies', ['visitor']]]);
+});
+
+test('Rejects bad input and reports missing pages', async () => {
+    assert.equal((await audit({})).status, 400);
+    assert.equal((await audit({ url: 'https://shop.test/', policy_text: 'too short' })).status, 400);
+    assert.equal((await audit({ url: 'https://missing.test/' })).status, 404);
+    assert.equal((await audit({ url: 'https://nolink.test/', policy_url: 'https://nolink.test/privacy' })).status, 404);
+});
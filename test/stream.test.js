@@ -0,0 +1,77 @@
+// Streaming analysis (Server-Sent Events)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: delay } = require('timers/promises');
+const { startServer, startMockProvider } = require('./helpers');
+
+// Ten sections of about 500 characters: several chunks at a 300-token input budget
+const LONG_POLICY = Array.from({ length: 10 }, (_, i) => `<h2>Section ${i + 1}</h2><p>${'We collect your email address and device identifiers to provide the service. '.repeat(6)}</p>`).join('\n');
+let api;
+let provider;
+// A test that sets gate holds each provider call until it resolves the gate
+let gate = null;
+let providerCalled = () => {};
+before(async () => {
+    provider = await startMockProvider(async () => {
+        providerCalled();
+        await gate;
+        return JSON.stringify({ summary: 'The service collects email addresses.' });
+    });
+    api = await startServer({
+        AI_PROVIDER: 'openai_compatible',
+        OPENAI_COMPATIBLE_BASE_URL: provider.url,
+        OPENAI_COMPATIBLE_MODEL: 'test-model',
+        OPENAI_COMPATIBLE_MAX_INPUT_TOKENS: '300',
+        AI_CHUNK_CONCURRENCY: '1'
+    });
+    api.modules.registerPolicyFetcher('inline', {
+        label: 'Inline policy',
+        isAvailable: () => true,
+        fetch: async url => ({ url, body: `<html><body><h1>Privacy Policy</h1>${LONG_POLICY}</body></html>`, contentType: 'text/html', headers: {} })
+    });
+});
+after(() => {
+    api.close();
+    provider.close();
+});
+
+const STREAM_URL = '/api/analyze/stream?url=https://policy.test/privacy&fetcher=inline';
+
+test('Progress events come before the result', async () => {
+    const response = await fetch(`${api.baseUrl}${STREAM_URL}`);
+    assert.equal(response.headers.get('content-type'), 'text/event-stream');
+    const events = (await response.text()).split('\n\n').filter(Boolean).map(block => ({
+        event: /^event: (.*)$/m.exec(block)[1],
+        data: JSON.parse(/^data: (.*)$/m.exec(block)[1])
+    }));
+    const names = events.map(entry => entry.event);
+    const order = ['fetch_start', 'page_fetch', 'fetch_complete', 'analysis_start', 'chunking', 'chunk_start', 'chunk_complete', 'merge_start', 'merge_complete', 'analysis_complete', 'result'];
+    const positions = order.map(name => names.indexOf(name));
+    assert.ok(positions.every((position, i) => position > (i === 0 ? -1 : positions[i - 1])), names.join(', '));
+    const chunking = events.find(entry => entry.event === 'chunking').data;
+    assert.ok(chunking.chunk_count > 1);
+    assert.equal(names.filter(name => name === 'chunk_complete').length, chunking.chunk_count);
+    const result = events.at(-1).data;
+    assert.equal(result.success, true);
+    assert.equal(result.analysis.analysis_method, 'openai_compatible');
+});
+
+test('A client that disconnects cancels the analysis', async () => {
+    let releaseProvider;
+    gate = new Promise(resolve => { releaseProvider = resolve; });
+    const called = new Promise(resolve => { providerCalled = resolve; });
+    const calls = provider.requests.length;
+    const client = new AbortController();
+    // refresh: the first test cached the analysis
+    const response = await fetch(`${api.baseUrl}${STREAM_URL}&refresh=true`, { signal: client.signal });
+    assert.equal(response.status, 200);
+    await called;
+    client.abort();
+    await delay(200);
+    releaseProvider();
+    await delay(300);
+    // The first chunk's call was abandoned and no further chunk was sent
+    assert.equal(provider.requests.length - calls, 1);
+    const { body } = await api.request('GET', '/api/history');
+    assert.equal(body.history.length, 1);
+});
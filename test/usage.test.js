@@ -0,0 +1,97 @@
+// Token and cost accounting per provider call, and the /api/usage report
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, startMockProvider, aiAnalysis } = require('./helpers');
+
+const POLICY = 'We collect your email address to provide the service. You may delete your account at any time.';
+const PAGE = `<html><body><main><h1>Privacy Policy</h1><p>${POLICY} Contact us at privacy@example.com with any questions about this policy.</p></main></body></html>`;
+let api;
+let compatible;
+let ollama;
+before(async () => {
+    compatible = await startMockProvider(body => body.model === 'broken-model' ? { status: 400 } : JSON.stringify(aiAnalysis()));
+    ollama = await startMockProvider(() => JSON.stringify(aiAnalysis()));
+    api = await startServer({
+        AI_PROVIDER: 'openai_compatible',
+        OPENAI_COMPATIBLE_BASE_URL: compatible.url,
+        OPENAI_COMPATIBLE_MODEL: 'test-model',
+        OLLAMA_BASE_URL: ollama.url,
+        AI_PRICING: JSON.stringify({ 'test-model': { input: 1, output: 2 } }),
+        AI_MAX_RETRIES: '0'
+    });
+    api.modules.registerPolicyFetcher('pages', {
+        label: 'Test pages',
+        isAvailable: () => true,
+        fetch: async url => ({ url, body: PAGE, contentType: 'text/html', headers: {} })
+    });
+});
+after(() => {
+    api.close();
+    compatible.close();
+    ollama.close();
+});
+
+const analyze = body => api.request('POST', '/api/analyze-text', { text: POLICY, ...body });
+
+test('Each call records reported tokens and a cost from the price table', async () => {
+    const { status, body } = await analyze();
+    assert.equal(status, 200, body.error);
+    assert.equal(body.usage.llm_calls, 1);
+    assert.deepEqual([body.usage.prompt_tokens, body.usage.completion_tokens, body.usage.total_tokens], [100, 20, 120]);
+    // 100 prompt tokens at $1 and 20 completion tokens at $2 per million
+    assert.equal(body.usage.estimated_cost_usd, 0.00014);
+    assert.equal(body.usage.cost_complete, true);
+    assert.equal(body.usage.tokens_estimated, false);
+    const [call] = body.usage.calls;
+    assert.deepEqual([call.provider, call.model, call.purpose, call.status], ['openai_compatible', 'test-model', 'analysis', 'success']);
+});
+
+test('Unpriced models have no cost, Ollama is free and failed calls are recorded', async () => {
+    const unpriced = await analyze({ model: 'unknown-model' });
+    assert.equal(unpriced.body.usage.calls[0].cost_usd, null);
+    assert.equal(unpriced.body.usage.cost_complete, false);
+    const local = await analyze({ provider: 'ollama' });
+    assert.equal(local.body.usage.estimated_cost_usd, 0);
+    assert.equal(local.body.usage.cost_complete, true);
+    const failed = await analyze({ model: 'broken-model' });
+    assert.equal(failed.body.analysis.analysis_method, 'enhanced_rule_based');
+    assert.equal(failed.body.usage.llm_calls, 1);
+    assert.equal(failed.body.usage.calls[0].status, 'failed');
+    assert.equal(failed.body.usage.total_tokens, 0);
+});
+
+test('A cache hit makes no provider calls', async () => {
+    const first = await api.request('POST', '/api/analyze', { url: 'https://usage.test/privacy', fetcher: 'pages' });
+    assert.equal(first.status, 200, first.body.error);
+    assert.equal(first.body.usage.llm_calls, 1);
+    const second = await api.request('POST', '/api/analyze', { url: 'https://usage.test/privacy', fetcher: 'pages' });
+    assert.equal(second.body.usage.llm_calls, 0);
+    assert.equal(second.body.usage.estimated_cost_usd, 0);
+});
+
+test('The usage report aggregates the stored calls', async () => {
+    const { status, body } = await api.request('GET', '/api/usage');
+    assert.equal(status, 200, body.error);
+    assert.equal(body.user_id, 'anonymous');
+    assert.equal(body.totals.llm_calls, 5);
+    assert.equal(body.totals.failed_calls, 1);
+    assert.equal(body.totals.unpriced_calls, 2);
+    assert.equal(body.totals.estimated_cost_usd, 0.00028);
+    assert.deepEqual(Object.fromEntries(body.by_feature.map(row => [row.feature, row.llm_calls])), { analyze_text: 4, analyze: 1 });
+    assert.deepEqual(Object.fromEntries(body.by_model.map(row => [`${row.provider}/${row.model}`, row.llm_calls])), {
+        'openai_compatible/test-model': 2,
+        'openai_compatible/unknown-model': 1,
+        'openai_compatible/broken-model': 1,
+        'ollama/llama3.1': 1
+    });
+    assert.deepEqual(body.by_purpose.map(row => row.purpose), ['analysis']);
+    assert.equal(body.by_day.length, 1);
+    assert.equal(body.by_user, undefined);
+});
+
+test('Date bounds filter the report and must be dates', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    assert.equal((await api.request('GET', `/api/usage?from=${today}&to=${today}`)).body.totals.llm_calls, 5);
+    assert.equal((await api.request('GET', '/api/usage?to=2000-01-01')).body.totals.llm_calls, 0);
+    assert.equal((await api.request('GET', '/api/usage?from=yesterday')).status, 400);
+});
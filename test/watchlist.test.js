@@ -0,0 +1,28 @@
+// Watchlist registration
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+let api;
+before(async () => {
+    api = await startServer();
+});
+after(() => api.close());
+
+const register = webhookUrl => api.request('POST', '/api/watchlist', { policyUrl: 'https://example.test/privacy', webhookUrl });
+
+test('Rejects webhooks on private or loopback addresses', async () => {
+    for (const webhookUrl of ['https://127.0.0.1/hook', 'http://10.0.0.5/hook', 'http://[::1]/hook', 'http://169.254.169.254/latest']) {
+        const { status, body } = await register(webhookUrl);
+        assert.equal(status, 400, webhookUrl);
+        assert.match(body.error, /private or reserved address/);
+    }
+    assert.equal((await register('ftp://example.test/hook')).status, 400);
+});
+
+test('Registers a public webhook', async () => {
+    const { status, body } = await register('https://93.184.216.34/hook');
+    assert.equal(status, 201, body.error);
+    assert.equal(body.entry.webhook_url, 'https://93.184.216.34/hook');
+    assert.ok(body.webhook_secret);
+});